@@ -10,6 +10,18 @@ const authRoutes = require('./routes/authRoutes.js');
 const venueRoutes = require('./routes/venueRoutes');
 const courtRoutes = require('./routes/courtRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const equipmentRoutes = require('./routes/equipmentRoutes');
+const serviceRoutes = require('./routes/serviceRoutes');
+const membershipRoutes = require('./routes/membershipRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const taxRuleRoutes = require('./routes/taxRuleRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const reminderRoutes = require('./routes/reminderRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const staffRoutes = require('./routes/staffRoutes');
 const errorHandler = require('./middleware/errorHandler.js');
 
 const passport = require('passport');
@@ -51,7 +63,15 @@ if (process.env.NODE_ENV !== 'development' && process.env.DISABLE_RATE_LIMIT !==
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+// The raw body is kept for payment webhook signature verification
+app.use(express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith("/api/bookings/payments/webhook")) {
+            req.rawBody = buf.toString("utf8");
+        }
+    },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Swagger configuration
@@ -96,7 +116,20 @@ const swaggerOptions = {
             { name: 'Auth', description: 'Authentication endpoints' },
             { name: 'Venues', description: 'Venue management endpoints' },
             { name: 'Courts', description: 'Court management endpoints' },
-            { name: 'Bookings', description: 'Booking management endpoints' }
+            { name: 'Bookings', description: 'Booking management endpoints' },
+            { name: 'Jobs', description: 'Scheduled background job endpoints' },
+            { name: 'Coupons', description: 'Coupon and promo code endpoints' },
+            { name: 'Reviews', description: 'Court and venue review endpoints' },
+            { name: 'Equipment', description: 'Equipment rental inventory endpoints' },
+            { name: 'Services', description: 'Bookable add-on service endpoints' },
+            { name: 'Memberships', description: 'Venue membership plan and subscription endpoints' },
+            { name: 'Wallet', description: 'Prepaid wallet balance and transaction endpoints' },
+            { name: 'Invoices', description: 'Booking invoice, receipt and credit note endpoints' },
+            { name: 'Tax Rules', description: 'Regional tax and platform fee rule endpoints' },
+            { name: 'Calendar', description: 'iCalendar booking downloads and subscription feeds' },
+            { name: 'Reminders', description: 'Upcoming booking reminder endpoints' },
+            { name: 'Notifications', description: 'In-app notification inbox, notification preference, push subscription and delivery endpoints' },
+            { name: 'Staff', description: 'Venue staff roles, invitation and membership endpoints' }
         ]
     },
     apis: ["./src/routes/*.js"],
@@ -134,6 +167,18 @@ app.use("/api/auth", authRoutes);
 app.use('/api/venues', venueRoutes);
 app.use('/api/courts', courtRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/equipment', equipmentRoutes);
+app.use('/api/services', serviceRoutes);
+app.use('/api/memberships', membershipRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/tax-rules', taxRuleRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/staff', staffRoutes);
 
 // 404 handler
 app.use(/('*')/, (req, res) => {
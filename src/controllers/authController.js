@@ -1,7 +1,8 @@
 const crypto = require('crypto');
 const User = require('../models/User.js');
+const Reminder = require('../models/Reminder.js');
 const JWTUtils = require('../utils/jwt.js');
-const EmailService = require('../utils/email.js');
+const notifications = require('../services/notifications');
 
 class AuthController {
     // Register new user
@@ -37,7 +38,7 @@ class AuthController {
 
             // Send verification email
             try {
-                await EmailService.sendWelcomeEmail(user, verificationToken);
+                await notifications.notifyWelcome(user, verificationToken);
             } catch (emailError) {
                 console.error("Failed to send verification email:", emailError);
                 // Don't fail registration if email fails
@@ -245,6 +246,8 @@ class AuthController {
                 "dateOfBirth",
                 "gender",
                 "profilePicture",
+                "language",
+                "reminderPreferences",
             ];
             const updates = {};
 
@@ -259,6 +262,12 @@ class AuthController {
                 new: true,
                 runValidators: true,
             });
+
+            // Reschedule the reminders of upcoming bookings with the new preferences
+            if (updates.reminderPreferences) {
+                await Reminder.syncUpcoming({ user: user._id });
+            }
+
             res.json({
                 success: true,
                 message: "Profile updated successfully",
@@ -326,7 +335,7 @@ class AuthController {
 
             // Send reset email
             try {
-                await EmailService.sendPasswordResetEmail(user, resetToken);
+                await notifications.notifyPasswordReset(user, resetToken);
             } catch (emailError) {
                 user.passwordResetToken = undefined;
                 user.passwordResetExpires = undefined;
@@ -445,7 +454,7 @@ class AuthController {
 
             // Send verification email
             try {
-                await EmailService.sendWelcomeEmail(user, verificationToken);
+                await notifications.notifyWelcome(user, verificationToken);
             } catch (emailError) {
                 return res.status(500).json({
                     success: false,
@@ -1,14 +1,38 @@
 const Booking = require('../models/Booking');
 const Court = require('../models/Court');
 const Venue = require('../models/Venue');
+const SlotLock = require('../models/SlotLock');
+const Coupon = require('../models/Coupon');
+const Equipment = require('../models/Equipment');
+const Service = require('../models/Service');
+const Membership = require('../models/Membership');
+const TaxRule = require('../models/TaxRule');
+const BookingSeries = require('../models/BookingSeries');
+const Invoice = require('../models/Invoice');
+const Reminder = require('../models/Reminder');
+const VenueMembership = require('../models/VenueMembership');
+const payments = require('../services/payments');
+const waitlist = require('../services/waitlist');
+const CancellationPolicy = require('../utils/cancellationPolicy');
+const ChargeRules = require('../utils/charges');
+const RecurrenceRule = require('../utils/recurrence');
+const TimezoneUtils = require('../utils/timezone');
+const notifications = require('../services/notifications');
 const { validationResult } = require('express-validator');
 
+// Minutes a checkout hold keeps the slot while the user pays
+const CHECKOUT_HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 10;
+
+// Booking details the user fills in; everything else on a new booking is set by the server
+const BOOKING_DETAIL_FIELDS = ['notes', 'specialRequests', 'groupSize', 'contactInfo', 'participants'];
+
 /**
- * @desc    Create a new booking
+ * @desc    Create a new booking. A checkout hold is created the same way but only keeps the slot
+ *          for a few minutes, until it is paid for.
  * @route   POST /api/bookings
  * @access  Private
  */
-exports.createBooking = async (req, res, next) => {
+exports.createBooking = async (req, res, next, { hold = false } = {}) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -18,7 +42,19 @@ exports.createBooking = async (req, res, next) => {
             });
         }
 
-        const { court, startTime, endTime, bookingType, recurringPattern, ...bookingData } = req.body;
+        const { court, startTime, endTime, bookingType, recurringPattern, couponCode, equipment, services } = req.body;
+
+        // Recurring bookings are booked as a series, their legacy pattern turned into a recurrence rule
+        if (bookingType === 'recurring') {
+            if (hold) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Recurring bookings cannot be held'
+                });
+            }
+
+            return exports.createSeries(req, res, next, { rule: RecurrenceRule.fromPattern(recurringPattern) });
+        }
 
         // Verify court exists and is active
         const courtDoc = await Court.findById(court).populate('venue');
@@ -38,17 +74,24 @@ exports.createBooking = async (req, res, next) => {
 
         // Verify booking duration meets requirements
         const duration = (new Date(endTime) - new Date(startTime)) / (1000 * 60); // in minutes
-        if (duration < courtDoc.bookingSettings.minBookingDuration) {
+        const durationError = getDurationError(courtDoc, duration);
+        if (durationError) {
             return res.status(400).json({
                 success: false,
-                message: `Minimum booking duration is ${courtDoc.bookingSettings.minBookingDuration} minutes`
+                message: durationError
             });
         }
 
-        if (duration > courtDoc.bookingSettings.maxBookingDuration) {
+        // Members get their plan's perks at this venue
+        const membership = await Membership.findActive(req.user._id, courtDoc.venue._id);
+
+        // Verify the slot is within the advance booking window, which a membership can extend
+        const advanceBookingDays = courtDoc.bookingSettings.advanceBookingDays +
+            (membership ? membership.perks.extraAdvanceBookingDays : 0);
+        if (new Date(startTime) > new Date(Date.now() + advanceBookingDays * 24 * 60 * 60 * 1000)) {
             return res.status(400).json({
                 success: false,
-                message: `Maximum booking duration is ${courtDoc.bookingSettings.maxBookingDuration} minutes`
+                message: `Bookings can only be made up to ${advanceBookingDays} days in advance`
             });
         }
 
@@ -61,12 +104,16 @@ exports.createBooking = async (req, res, next) => {
             });
         }
 
+        // Holds that ran out still have the slot locked until the status job sweeps them
+        await Booking.expireTentativeHolds({ court });
+
         // Check for booking conflicts
         const conflicts = await Booking.checkConflicts(court, startTime, endTime);
         if (conflicts.length > 0) {
             return res.status(409).json({
                 success: false,
                 message: 'Time slot is already booked',
+                canJoinWaitlist: true,
                 conflicts: conflicts.map(c => ({
                     bookingNumber: c.bookingNumber,
                     startTime: c.startTime,
@@ -92,24 +139,84 @@ exports.createBooking = async (req, res, next) => {
 
         // Calculate pricing
         const basePrice = courtDoc.calculatePrice(startTime, endTime, {
-            membershipTier: req.user.membershipTier,
-            groupSize: bookingData.groupSize || 1,
-            isEarlyBird: bookingData.isEarlyBird
+            membershipTier: membership ? membership.tier : undefined,
+            groupSize: req.body.groupSize || 1,
+            isEarlyBird: req.body.isEarlyBird
         });
 
         // Apply discounts if any
-        let totalDiscount = 0;
         const discounts = [];
 
-        if (bookingData.couponCode) {
-            // TODO: Apply coupon discount
-            // This will be implemented in promotional system
+        // Membership discount and free member time
+        let membershipFreeMinutes = 0;
+        if (membership) {
+            const perks = membership.getBookingDiscounts(basePrice, duration);
+            discounts.push(...perks.discounts);
+            membershipFreeMinutes = perks.freeMinutes;
+        }
+
+        let coupon = null;
+        let couponDiscount = 0;
+
+        if (couponCode) {
+            coupon = await Coupon.findByCode(couponCode);
+            const priceBeforeCoupon = basePrice - discounts.reduce((sum, discount) => sum + discount.amount, 0);
+            const eligibility = coupon
+                ? coupon.checkEligibility({ userId: req.user._id, court: courtDoc, amount: priceBeforeCoupon })
+                : { valid: false, reason: 'Invalid coupon code' };
+
+            if (!eligibility.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: eligibility.reason
+                });
+            }
+
+            discounts.push({
+                type: 'coupon',
+                name: coupon.code,
+                amount: eligibility.discount,
+                percentage: coupon.discountType === 'percentage' ? coupon.discountValue : undefined
+            });
+            couponDiscount = eligibility.discount;
+        }
+
+        // Price the equipment rented with the booking
+        let equipmentRental = [];
+        let equipmentCost = 0;
+
+        if (equipment && equipment.length > 0) {
+            const rental = await prepareEquipmentRental(equipment, courtDoc, startTime, endTime);
+            if (rental.error) {
+                return res.status(rental.status).json({
+                    success: false,
+                    message: rental.error
+                });
+            }
+
+            equipmentRental = rental.items;
+            equipmentCost = rental.cost;
+        }
+
+        // Price the add-on services booked with it
+        let additionalServices = [];
+        let servicesCost = 0;
+
+        if (services && services.length > 0) {
+            const selection = await prepareServices(services, courtDoc, startTime, endTime);
+            if (selection.error) {
+                return res.status(selection.status).json({
+                    success: false,
+                    message: selection.error
+                });
+            }
+
+            additionalServices = selection.items;
+            servicesCost = selection.cost;
         }
 
-        const subtotal = basePrice - totalDiscount;
-        const tax = subtotal * 0.05; // 5% tax (can be configured)
-        const serviceFee = 0; // Can be configured
-        const totalAmount = subtotal + tax + serviceFee;
+        const charges = await TaxRule.getCharges(courtDoc.venue);
+        const pricing = buildPricing(basePrice, discounts, courtDoc.currency, { equipmentCost, servicesCost, charges });
 
         // Prepare booking data
         const booking = new Booking({
@@ -118,19 +225,11 @@ exports.createBooking = async (req, res, next) => {
             venue: courtDoc.venue._id,
             startTime,
             endTime,
-            bookingType: bookingType || 'single',
-            pricing: {
-                basePrice,
-                discounts,
-                totalDiscount,
-                subtotal,
-                tax,
-                serviceFee,
-                totalAmount,
-                currency: courtDoc.currency
-            },
+            timezone: courtDoc.timezone,
+            bookingType: 'single',
+            pricing,
             payment: {
-                amount: totalAmount,
+                amount: pricing.totalAmount,
                 currency: courtDoc.currency,
                 status: 'pending'
             },
@@ -141,63 +240,128 @@ exports.createBooking = async (req, res, next) => {
             source: req.body.source || 'web',
             ipAddress: req.ip,
             userAgent: req.get('user-agent'),
-            ...bookingData
+            ...pickBookingDetails(req.body),
+            coupon: coupon ? coupon._id : undefined,
+            couponCode: coupon ? coupon.code : undefined,
+            membership: membership ? membership._id : undefined,
+            membershipFreeMinutes,
+            equipmentRental,
+            additionalServices
         });
 
-        // Handle recurring bookings
-        if (bookingType === 'recurring' && recurringPattern) {
-            if (!courtDoc.bookingSettings.allowRecurringBookings) {
+        // Venues that take a deposit hold the booking until it is paid
+        const { requireDeposit, depositPercentage, depositHoldMinutes } = courtDoc.venue.settings.paymentSettings;
+        if (requireDeposit && depositPercentage > 0 && pricing.totalAmount > 0) {
+            booking.scheduleDeposit(depositPercentage, depositHoldMinutes);
+        }
+
+        if (hold) {
+            if (pricing.totalAmount === 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Recurring bookings are not allowed for this court'
+                    message: 'Free bookings do not need a hold, book the slot directly'
                 });
             }
 
-            // Validate recurring pattern
-            if (!recurringPattern.frequency || (!recurringPattern.endDate && !recurringPattern.occurrences)) {
+            booking.status = 'pending-confirmation';
+            booking.isTentative = true;
+            booking.tentativeExpiryTime = new Date(Math.min(
+                Date.now() + CHECKOUT_HOLD_MINUTES * 60000,
+                new Date(startTime).getTime()
+            ));
+        }
+
+        // Atomically reserve the slot; of two concurrent requests only one gets past this point
+        if (!await SlotLock.reserve(court, startTime, courtDoc.getBlockedUntil(endTime), booking._id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Time slot is already booked'
+            });
+        }
+
+        // Take the free member time; a concurrent booking may have used it up meanwhile
+        if (membershipFreeMinutes > 0 && !await Membership.useFreeMinutes(membership._id, membershipFreeMinutes)) {
+            await SlotLock.release(booking._id);
+            return res.status(409).json({
+                success: false,
+                message: 'Your free member hours have changed, please try again'
+            });
+        }
+
+        // Record the coupon use; the caps are enforced atomically so this can still fail
+        if (coupon) {
+            const redeemed = await Coupon.redeem(coupon._id, {
+                userId: req.user._id,
+                bookingId: booking._id,
+                discountAmount: couponDiscount
+            });
+
+            if (!redeemed) {
+                await releaseReservations(booking);
                 return res.status(400).json({
                     success: false,
-                    message: 'Invalid recurring pattern. Must specify frequency and either endDate or occurrences'
+                    message: 'Coupon usage limit has been reached'
                 });
             }
+        }
 
-            booking.recurringPattern = recurringPattern;
+        // Take the rented equipment out of stock; like the slot, this is atomic per item
+        if (equipmentRental.length > 0) {
+            const unavailable = await Equipment.reserve(
+                equipmentRental.map(item => ({ equipment: item.equipmentId, quantity: item.quantity, name: item.equipmentName })),
+                { bookingId: booking._id, startTime, endTime }
+            );
 
-            // Create the parent booking first
-            await booking.save();
+            if (unavailable) {
+                await releaseReservations(booking);
+                return res.status(409).json({
+                    success: false,
+                    message: `Not enough ${unavailable.name} available for the selected time`
+                });
+            }
+        }
 
-            // Generate recurring bookings
-            const recurringBookings = await generateRecurringBookings(booking, courtDoc);
+        // Book the add-on services, assigning staff to staffed ones
+        if (additionalServices.length > 0) {
+            const { unavailable, staff } = await Service.reserve(getBookedServices(booking), {
+                bookingId: booking._id,
+                startTime,
+                endTime
+            });
 
-            // Update parent booking with references
-            booking.recurringBookings = recurringBookings.map(b => b._id);
-            await booking.save();
+            if (unavailable) {
+                await releaseReservations(booking);
+                return res.status(409).json({
+                    success: false,
+                    message: `${unavailable.name} is fully booked for the selected time`
+                });
+            }
 
-            return res.status(201).json({
-                success: true,
-                message: 'Recurring booking created successfully',
-                data: {
-                    parentBooking: booking,
-                    recurringBookings,
-                    totalBookings: recurringBookings.length + 1
-                }
-            });
+            assignServiceStaff(booking, staff);
         }
 
-        await booking.save();
+        await saveReservedBooking(booking);
 
         // Update court statistics
         courtDoc.stats.totalBookings += 1;
         await courtDoc.save();
 
         // Populate references before sending response
-        await booking.populate('user court venue');
+        await booking.populate(['user', 'court', 'venue', { path: 'additionalServices.staff', select: 'firstName lastName' }]);
+
+        let message = booking.requiresApproval
+            ? 'Booking created and awaiting approval'
+            : 'Booking confirmed successfully';
+        if (hold) {
+            message = `Slot held until ${booking.tentativeExpiryTime.toISOString()}, pay to keep it`;
+        } else {
+            await notifyBooking(notifications.notifyBookingCreated, booking);
+            await notifyBooking(notifications.notifyVenueBookingCreated, booking);
+        }
 
         res.status(201).json({
             success: true,
-            message: booking.requiresApproval
-                ? 'Booking created and awaiting approval'
-                : 'Booking confirmed successfully',
+            message,
             data: booking
         });
     } catch (error) {
@@ -205,6 +369,13 @@ exports.createBooking = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Hold a slot while the user pays. The hold becomes a booking once paid and expires otherwise.
+ * @route   POST /api/bookings/hold
+ * @access  Private
+ */
+exports.holdBooking = (req, res, next) => exports.createBooking(req, res, next, { hold: true });
+
 /**
  * @desc    Get all bookings with filtering
  * @route   GET /api/bookings
@@ -229,26 +400,14 @@ exports.getBookings = async (req, res, next) => {
         // Build query
         const query = {};
 
-        // Only admins and venue owners can see all bookings
+        // Regular users can only see their own bookings, venue staff the bookings of their venue
         if (req.user.role !== 'admin') {
-            // Regular users can only see their own bookings
-            if (!court && !venue) {
+            const courtDoc = court ? await Court.findById(court).populate('venue') : null;
+            const venueDoc = courtDoc ? courtDoc.venue : (venue ? await Venue.findById(venue) : null);
+            const access = venueDoc ? await VenueMembership.getAccess(req.user, venueDoc, courtDoc) : null;
+
+            if (!access || !access.can('bookings.view')) {
                 query.user = req.user._id;
-            } else {
-                // If filtering by court/venue, check if user is owner/manager
-                if (court) {
-                    const courtDoc = await Court.findById(court).populate('venue');
-                    if (courtDoc) {
-                        const isOwner = courtDoc.owner.toString() === req.user._id.toString();
-                        const isVenueOwner = courtDoc.venue.owner.toString() === req.user._id.toString();
-                        const isManager = courtDoc.managers.some(m => m.toString() === req.user._id.toString()) ||
-                            courtDoc.venue.managers.some(m => m.toString() === req.user._id.toString());
-
-                        if (!isOwner && !isVenueOwner && !isManager) {
-                            query.user = req.user._id;
-                        }
-                    }
-                }
             }
         }
 
@@ -346,12 +505,9 @@ exports.getBooking = async (req, res, next) => {
         }
 
         // Check authorization
-        const isOwner = booking.user._id.toString() === req.user._id.toString();
-        const isCourtOwner = booking.court.owner.toString() === req.user._id.toString();
-        const isVenueOwner = booking.venue.owner.toString() === req.user._id.toString();
-        const isAdmin = req.user.role === 'admin';
+        const access = await VenueMembership.getBookingAccess(req.user, booking);
 
-        if (!isOwner && !isCourtOwner && !isVenueOwner && !isAdmin) {
+        if (!access.isOwner && !access.can('bookings.view')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to view this booking'
@@ -391,11 +547,9 @@ exports.updateBooking = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isOwner = booking.user.toString() === req.user._id.toString();
-        const isAdmin = req.user.role === 'admin';
+        const { isOwner, can } = await VenueMembership.getBookingAccess(req.user, booking);
 
-        if (!isOwner && !isAdmin) {
+        if (!isOwner && !can('bookings.manage')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this booking'
@@ -412,61 +566,24 @@ exports.updateBooking = async (req, res, next) => {
         }
 
         const { startTime, endTime, ...otherUpdates } = req.body;
+        const previousStartTime = booking.startTime;
+        const previousEndTime = booking.endTime;
+        let rescheduled = false;
 
         // If rescheduling (changing time)
         if (startTime || endTime) {
             const newStartTime = startTime ? new Date(startTime) : booking.startTime;
             const newEndTime = endTime ? new Date(endTime) : booking.endTime;
 
-            // Check for conflicts (excluding this booking)
-            const conflicts = await Booking.checkConflicts(
-                booking.court._id,
-                newStartTime,
-                newEndTime,
-                booking._id
-            );
-
-            if (conflicts.length > 0) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'New time slot is already booked',
-                    conflicts: conflicts.map(c => ({
-                        bookingNumber: c.bookingNumber,
-                        startTime: c.startTime,
-                        endTime: c.endTime
-                    }))
-                });
-            }
-
-            // Check court availability
-            const availability = await booking.court.isAvailableForSlot(newStartTime, newEndTime);
-            if (!availability.available) {
-                return res.status(400).json({
+            const moveError = await moveBooking(booking, newStartTime, newEndTime, req.user, req.body.modificationReason || 'Rescheduled');
+            if (moveError) {
+                return res.status(moveError.status).json({
                     success: false,
-                    message: availability.reason
+                    message: moveError.message,
+                    conflicts: moveError.conflicts
                 });
             }
-
-            // Recalculate pricing if time changed
-            const newPrice = booking.court.calculatePrice(newStartTime, newEndTime, {
-                membershipTier: req.user.membershipTier,
-                groupSize: booking.groupSize
-            });
-
-            // Update modification history
-            booking.modificationHistory.push({
-                modifiedBy: req.user._id,
-                changes: {
-                    startTime: { from: booking.startTime, to: newStartTime },
-                    endTime: { from: booking.endTime, to: newEndTime },
-                    price: { from: booking.pricing.totalAmount, to: newPrice }
-                },
-                reason: req.body.modificationReason || 'Rescheduled'
-            });
-
-            booking.startTime = newStartTime;
-            booking.endTime = newEndTime;
-            booking.pricing.totalAmount = newPrice;
+            rescheduled = true;
         }
 
         // Update other fields
@@ -476,10 +593,28 @@ exports.updateBooking = async (req, res, next) => {
             }
         });
 
-        await booking.save();
+        try {
+            await booking.save();
+        } catch (error) {
+            if (rescheduled) {
+                await undoMove(booking, previousStartTime, previousEndTime);
+            }
+            throw error;
+        }
+
+        if (rescheduled) {
+            await SlotLock.trim(booking._id, booking.startTime, booking.court.getBlockedUntil(booking.endTime));
+            if (booking.series) {
+                await refreshSeriesPricing(booking.series);
+            }
+        }
 
         await booking.populate('user court venue');
 
+        if (rescheduled) {
+            await notifyBooking(notifications.notifyBookingRescheduled, booking, { previousStartTime, previousEndTime });
+        }
+
         res.status(200).json({
             success: true,
             message: 'Booking updated successfully',
@@ -497,7 +632,7 @@ exports.updateBooking = async (req, res, next) => {
  */
 exports.cancelBooking = async (req, res, next) => {
     try {
-        const { reason } = req.body;
+        const { reason, refundToWallet } = req.body;
 
         if (!reason) {
             return res.status(400).json({
@@ -516,20 +651,20 @@ exports.cancelBooking = async (req, res, next) => {
         }
 
         // Check authorization
-        const isOwner = booking.user.toString() === req.user._id.toString();
-        const isVenueOwner = booking.venue.owner.toString() === req.user._id.toString();
-        const isCourtOwner = booking.court.owner.toString() === req.user._id.toString();
-        const isAdmin = req.user.role === 'admin';
+        const { isOwner, can } = await VenueMembership.getBookingAccess(req.user, booking);
 
-        if (!isOwner && !isVenueOwner && !isCourtOwner && !isAdmin) {
+        if (!isOwner && !can('bookings.manage')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to cancel this booking'
             });
         }
 
+        // Venue-side cancellations skip the policy and refund in full
+        const isVenueCancellation = !isOwner;
+
         // Check if booking can be cancelled
-        const canCancel = booking.canBeCancelled();
+        const canCancel = booking.canBeCancelled({ enforcePolicy: !isVenueCancellation });
         if (!canCancel.allowed) {
             return res.status(400).json({
                 success: false,
@@ -537,25 +672,16 @@ exports.cancelBooking = async (req, res, next) => {
             });
         }
 
-        // Calculate refund
-        const refundInfo = booking.calculateCancellationRefund();
-
-        booking.status = 'cancelled';
-        booking.cancellation = {
-            cancelledAt: new Date(),
-            cancelledBy: req.user._id,
-            reason,
-            ...refundInfo
-        };
+        const refundInfo = await applyCancellation(booking, req.user, { reason, isVenueCancellation, refundToWallet });
 
-        // Update payment status if refund is due
-        if (refundInfo.refundEligible && booking.isPaid) {
-            booking.payment.refundAmount = refundInfo.refundAmount;
-            // TODO: Process actual refund through payment gateway
-            // booking.payment.status = 'refunded';
+        if (booking.series) {
+            await refreshSeriesPricing(booking.series);
         }
 
-        await booking.save();
+        await notifyBooking(notifications.notifyBookingCancelled, booking, getRefundSummary(refundInfo), { byVenue: isVenueCancellation });
+        if (!isVenueCancellation) {
+            await notifyBooking(notifications.notifyVenueBookingCancelled, booking);
+        }
 
         res.status(200).json({
             success: true,
@@ -570,6 +696,53 @@ exports.cancelBooking = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Preview what cancelling a booking now would refund
+ * @route   GET /api/bookings/:id/cancellation-preview
+ * @access  Private
+ */
+exports.getCancellationPreview = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const { isOwner, can } = await VenueMembership.getBookingAccess(req.user, booking);
+
+        if (!isOwner && !can('bookings.manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this booking'
+            });
+        }
+
+        const isVenueCancellation = !isOwner;
+        const canCancel = booking.canBeCancelled({ enforcePolicy: !isVenueCancellation });
+        const refundInfo = isVenueCancellation
+            ? getFullRefundInfo(booking)
+            : booking.calculateCancellationRefund();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                canCancel: canCancel.allowed,
+                reason: canCancel.reason,
+                refundInfo,
+                // What would actually be paid back from what has been paid
+                refundAmount: canCancel.allowed ? getPaidRefundAmount(booking, refundInfo) : 0,
+                policy: booking.cancellationPolicy || CancellationPolicy.DEFAULT_POLICY
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Check availability for time slot
  * @route   POST /api/bookings/check-availability
@@ -671,24 +844,24 @@ exports.approveBooking = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isVenueOwner = booking.venue.owner.toString() === req.user._id.toString();
-        const isCourtOwner = booking.court.owner.toString() === req.user._id.toString();
-        const isManager = booking.court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            booking.venue.managers.some(m => m.toString() === req.user._id.toString());
-        const isAdmin = req.user.role === 'admin';
+        if (booking.status !== 'pending-confirmation') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending bookings can be approved'
+            });
+        }
 
-        if (!isVenueOwner && !isCourtOwner && !isManager && !isAdmin) {
-            return res.status(403).json({
+        if (booking.isWaitlisted && booking.isTentative) {
+            return res.status(400).json({
                 success: false,
-                message: 'Not authorized to approve bookings'
+                message: 'Waitlist offer has not been accepted by the user yet'
             });
         }
 
-        if (booking.status !== 'pending-confirmation') {
+        if (booking.isCheckoutHold()) {
             return res.status(400).json({
                 success: false,
-                message: 'Only pending bookings can be approved'
+                message: 'Booking is held for checkout and has not been paid yet'
             });
         }
 
@@ -698,7 +871,7 @@ exports.approveBooking = async (req, res, next) => {
 
         await booking.save();
 
-        // TODO: Send confirmation email/notification to user
+        await notifyBooking(notifications.notifyBookingApproved, booking);
 
         res.status(200).json({
             success: true,
@@ -735,20 +908,6 @@ exports.rejectBooking = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isVenueOwner = booking.venue.owner.toString() === req.user._id.toString();
-        const isCourtOwner = booking.court.owner.toString() === req.user._id.toString();
-        const isManager = booking.court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            booking.venue.managers.some(m => m.toString() === req.user._id.toString());
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isVenueOwner && !isCourtOwner && !isManager && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to reject bookings'
-            });
-        }
-
         if (booking.status !== 'pending-confirmation') {
             return res.status(400).json({
                 success: false,
@@ -766,9 +925,15 @@ exports.rejectBooking = async (req, res, next) => {
             refundPercentage: 100
         };
 
+        if (booking.getRefundableAmount() > 0) {
+            await payments.refund(booking, booking.getRefundableAmount(), reason);
+        }
+
         await booking.save();
 
-        // TODO: Send rejection notification to user
+        await waitlist.offerFreedSlot(booking);
+
+        await notifyBooking(notifications.notifyBookingRejected, booking);
 
         res.status(200).json({
             success: true,
@@ -797,10 +962,9 @@ exports.checkIn = async (req, res, next) => {
         }
 
         // Check authorization
-        const isOwner = booking.user.toString() === req.user._id.toString();
-        const isStaff = req.user.role === 'manager' || req.user.role === 'admin';
+        const { isOwner, can } = await VenueMembership.getBookingAccess(req.user, booking);
 
-        if (!isOwner && !isStaff) {
+        if (!isOwner && !can('bookings.check-in')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to check-in'
@@ -834,10 +998,18 @@ exports.checkIn = async (req, res, next) => {
 
         await booking.save();
 
+        await notifyBooking(notifications.notifyCheckInReceipt, booking);
+
+        // Staff collect whatever is still owed at the desk
+        const outstandingAmount = booking.getOutstandingAmount();
+
         res.status(200).json({
             success: true,
-            message: 'Checked in successfully',
-            data: booking
+            message: outstandingAmount > 0
+                ? `Checked in successfully. A balance of ${outstandingAmount} ${booking.payment.currency} is due`
+                : 'Checked in successfully',
+            data: booking,
+            outstandingAmount
         });
     } catch (error) {
         next(error);
@@ -861,10 +1033,9 @@ exports.checkOut = async (req, res, next) => {
         }
 
         // Check authorization
-        const isOwner = booking.user.toString() === req.user._id.toString();
-        const isStaff = req.user.role === 'manager' || req.user.role === 'admin';
+        const { isOwner, can } = await VenueMembership.getBookingAccess(req.user, booking);
 
-        if (!isOwner && !isStaff) {
+        if (!isOwner && !can('bookings.check-in')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to check-out'
@@ -946,66 +1117,1606 @@ exports.getMyBookings = async (req, res, next) => {
 };
 
 /**
- * Helper function to generate recurring bookings
+ * @desc    Join the waitlist for a booked time slot
+ * @route   POST /api/bookings/waitlist
+ * @access  Private
  */
-async function generateRecurringBookings(parentBooking, court) {
-    const recurringBookings = [];
-    const { frequency, interval, daysOfWeek, endDate, occurrences } = parentBooking.recurringPattern;
+exports.joinWaitlist = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
 
-    let currentDate = new Date(parentBooking.startTime);
-    const duration = parentBooking.endTime - parentBooking.startTime;
-    let count = 0;
-    const maxOccurrences = occurrences || 52; // Default max 52 occurrences
+        const { court, startTime, endTime, notes } = req.body;
 
-    while (count < maxOccurrences) {
-        // Calculate next occurrence based on frequency
-        if (frequency === 'daily') {
-            currentDate.setDate(currentDate.getDate() + (interval || 1));
-        } else if (frequency === 'weekly') {
-            currentDate.setDate(currentDate.getDate() + 7 * (interval || 1));
-        } else if (frequency === 'monthly') {
-            currentDate.setMonth(currentDate.getMonth() + (interval || 1));
+        const courtDoc = await Court.findById(court).populate('venue');
+        if (!courtDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Court not found'
+            });
         }
 
-        // Check if we've reached the end date
-        if (endDate && currentDate > new Date(endDate)) {
-            break;
+        if (courtDoc.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'Court is not available for booking'
+            });
         }
 
-        // Check if day matches for weekly bookings
-        if (daysOfWeek && daysOfWeek.length > 0) {
-            if (!daysOfWeek.includes(currentDate.getDay())) {
-                continue;
-            }
+        const duration = (new Date(endTime) - new Date(startTime)) / (1000 * 60);
+        if (duration < courtDoc.bookingSettings.minBookingDuration || duration > courtDoc.bookingSettings.maxBookingDuration) {
+            return res.status(400).json({
+                success: false,
+                message: `Booking duration must be between ${courtDoc.bookingSettings.minBookingDuration} and ${courtDoc.bookingSettings.maxBookingDuration} minutes`
+            });
         }
 
-        const newStartTime = new Date(currentDate);
-        const newEndTime = new Date(currentDate.getTime() + duration);
-
-        // Check for conflicts
-        const conflicts = await Booking.checkConflicts(court._id, newStartTime, newEndTime);
+        // Only slots that are open but taken can be waitlisted
+        const availability = await courtDoc.isAvailableForSlot(startTime, endTime);
+        if (!availability.available) {
+            return res.status(400).json({
+                success: false,
+                message: availability.reason || 'Court is not available for selected time slot'
+            });
+        }
 
+        const conflicts = await Booking.checkConflicts(court, startTime, endTime);
         if (conflicts.length === 0) {
-            const recurringBooking = new Booking({
-                ...parentBooking.toObject(),
-                _id: undefined,
-                bookingNumber: undefined,
-                startTime: newStartTime,
-                endTime: newEndTime,
-                parentBooking: parentBooking._id,
-                recurringPattern: undefined,
-                recurringBookings: undefined,
-                createdAt: undefined,
-                updatedAt: undefined
+            return res.status(400).json({
+                success: false,
+                message: 'Time slot is available, book it directly'
             });
+        }
 
-            await recurringBooking.save();
-            recurringBookings.push(recurringBooking);
-            count++;
+        const alreadyWaiting = await Booking.exists({
+            user: req.user._id,
+            court,
+            status: 'waitlisted',
+            startTime: { $lt: new Date(endTime) },
+            endTime: { $gt: new Date(startTime) }
+        });
+        if (alreadyWaiting) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already on the waitlist for this time slot'
+            });
         }
+
+        // Positions increase per court; offers go out in position order
+        const last = await Booking.findOne({ court, status: 'waitlisted' })
+            .sort('-waitlistPosition')
+            .select('waitlistPosition');
+        const waitlistPosition = ((last && last.waitlistPosition) || 0) + 1;
+
+        // Free member time is not held for waitlist entries, only the member discount applies
+        const membership = await Membership.findActive(req.user._id, courtDoc.venue._id);
+        const basePrice = courtDoc.calculatePrice(startTime, endTime, {
+            membershipTier: membership ? membership.tier : undefined
+        });
+        const discounts = membership
+            ? membership.getBookingDiscounts(basePrice, 0, { useFreeTime: false }).discounts
+            : [];
+        const charges = await TaxRule.getCharges(courtDoc.venue);
+        const pricing = buildPricing(basePrice, discounts, courtDoc.currency, { charges });
+
+        const entry = await Booking.create({
+            user: req.user._id,
+            court,
+            venue: courtDoc.venue._id,
+            startTime,
+            endTime,
+            timezone: courtDoc.timezone,
+            pricing,
+            payment: {
+                amount: pricing.totalAmount,
+                currency: courtDoc.currency,
+                status: 'pending'
+            },
+            requiresApproval: courtDoc.bookingSettings.requiresApproval || courtDoc.venue.settings.requiresApproval,
+            status: 'waitlisted',
+            isWaitlisted: true,
+            waitlistPosition,
+            notes,
+            source: req.body.source || 'web',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        const ahead = await Booking.countDocuments({
+            court,
+            status: 'waitlisted',
+            waitlistPosition: { $lt: waitlistPosition },
+            startTime: { $lt: new Date(endTime) },
+            endTime: { $gt: new Date(startTime) }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to the waitlist. You will be notified if the slot becomes available',
+            data: {
+                booking: entry,
+                positionInLine: ahead + 1
+            }
+        });
+    } catch (error) {
+        next(error);
     }
+};
 
-    return recurringBookings;
-}
+/**
+ * @desc    Accept a waitlist offer, turning it into a booking
+ * @route   POST /api/bookings/:id/waitlist/accept
+ * @access  Private
+ */
+exports.acceptWaitlistOffer = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
 
-module.exports = exports;
\ No newline at end of file
+        if (booking.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to accept this offer'
+            });
+        }
+
+        // Conditional update so an offer that lapses concurrently cannot be accepted
+        const accepted = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                status: 'pending-confirmation',
+                isWaitlisted: true,
+                isTentative: true,
+                tentativeExpiryTime: { $gt: new Date() }
+            },
+            {
+                $set: {
+                    status: booking.requiresApproval ? 'pending-confirmation' : 'confirmed',
+                    isTentative: false,
+                    isWaitlisted: false
+                },
+                $unset: { tentativeExpiryTime: 1, waitlistPosition: 1 }
+            },
+            { new: true }
+        );
+
+        if (!accepted) {
+            return res.status(400).json({
+                success: false,
+                message: booking.status === 'waitlisted'
+                    ? 'The slot has not been offered to you yet'
+                    : 'There is no open waitlist offer for this booking'
+            });
+        }
+
+        // The conditional update skips the post-save hook, so issue the invoice and schedule the reminders here
+        await Invoice.syncBooking(accepted);
+        await Reminder.syncBooking(accepted);
+
+        await Court.updateOne({ _id: accepted.court }, { $inc: { 'stats.totalBookings': 1 } });
+
+        await accepted.populate(['user', 'court', 'venue']);
+
+        await notifyBooking(notifications.notifyBookingCreated, accepted);
+        await notifyBooking(notifications.notifyVenueBookingCreated, accepted);
+
+        res.status(200).json({
+            success: true,
+            message: accepted.requiresApproval
+                ? 'Waitlist offer accepted, booking is awaiting approval'
+                : 'Waitlist offer accepted, booking confirmed',
+            data: accepted
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Leave the waitlist or decline a waitlist offer
+ * @route   DELETE /api/bookings/:id/waitlist
+ * @access  Private
+ */
+exports.leaveWaitlist = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to change this waitlist entry'
+            });
+        }
+
+        const isOffer = booking.isWaitlisted && booking.isTentative && booking.status === 'pending-confirmation';
+        if (booking.status !== 'waitlisted' && !isOffer) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking is not on the waitlist'
+            });
+        }
+
+        booking.status = 'cancelled';
+        booking.cancellation = {
+            cancelledAt: new Date(),
+            cancelledBy: req.user._id,
+            reason: isOffer ? 'Declined waitlist offer' : 'Left the waitlist'
+        };
+
+        await booking.save();
+
+        // A declined offer passes the held slot to the next person in line
+        if (isOffer) {
+            await waitlist.offerFreedSlot(booking);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: isOffer ? 'Waitlist offer declined' : 'Removed from the waitlist'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Preview a recurring series: its occurrences, which of them can be booked and what the series costs
+ * @route   POST /api/bookings/series/preview
+ * @access  Private
+ */
+exports.previewSeries = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { court, startTime, endTime, rule, groupSize } = req.body;
+
+        const courtDoc = await Court.findById(court).populate('venue');
+        const courtError = getSeriesCourtError(courtDoc, startTime, endTime);
+        if (courtError) {
+            return res.status(courtError.status).json({
+                success: false,
+                message: courtError.message
+            });
+        }
+
+        const plan = await planSeries(courtDoc, req.user._id, { startTime, endTime, rule, groupSize });
+        if (plan.error) {
+            return res.status(400).json({
+                success: false,
+                message: plan.error
+            });
+        }
+
+        const conflicts = plan.occurrences.filter(o => !o.available);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                rule: plan.rule,
+                occurrences: plan.occurrences,
+                totalOccurrences: plan.occurrences.length,
+                availableOccurrences: plan.occurrences.length - conflicts.length,
+                conflicts: conflicts.length,
+                pricing: plan.pricing
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Book a recurring series. Any unavailable occurrence fails the request, unless skipConflicts
+ *          is set: those occurrences are then left out and listed on the series.
+ * @route   POST /api/bookings/series
+ * @access  Private
+ */
+exports.createSeries = async (req, res, next, { rule = req.body.rule } = {}) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { court, startTime, endTime, skipConflicts, couponCode, equipment, services, groupSize, notes, specialRequests } = req.body;
+
+        if (couponCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupons cannot be applied to recurring bookings'
+            });
+        }
+
+        if (equipment && equipment.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Equipment cannot be rented with recurring bookings'
+            });
+        }
+
+        if (services && services.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Add-on services cannot be booked with recurring bookings'
+            });
+        }
+
+        const courtDoc = await Court.findById(court).populate('venue');
+        const courtError = getSeriesCourtError(courtDoc, startTime, endTime);
+        if (courtError) {
+            return res.status(courtError.status).json({
+                success: false,
+                message: courtError.message
+            });
+        }
+
+        const plan = await planSeries(courtDoc, req.user._id, { startTime, endTime, rule, groupSize });
+        if (plan.error) {
+            return res.status(400).json({
+                success: false,
+                message: plan.error
+            });
+        }
+
+        // The series starts within the advance booking window, later occurrences may lie beyond it
+        const advanceBookingDays = courtDoc.bookingSettings.advanceBookingDays +
+            (plan.membership ? plan.membership.perks.extraAdvanceBookingDays : 0);
+        if (new Date(startTime) > new Date(Date.now() + advanceBookingDays * 24 * 60 * 60 * 1000)) {
+            return res.status(400).json({
+                success: false,
+                message: `Bookings can only be made up to ${advanceBookingDays} days in advance`
+            });
+        }
+
+        const userActiveBookings = await Booking.countDocuments({
+            user: req.user._id,
+            court: court,
+            status: { $in: ['confirmed', 'pending-confirmation'] }
+        });
+
+        if (userActiveBookings >= courtDoc.bookingSettings.maxConcurrentBookingsPerUser) {
+            return res.status(400).json({
+                success: false,
+                message: `You have reached the maximum limit of ${courtDoc.bookingSettings.maxConcurrentBookingsPerUser} concurrent bookings for this court`
+            });
+        }
+
+        const conflicts = plan.occurrences.filter(o => !o.available);
+        if (conflicts.length === plan.occurrences.length || (conflicts.length > 0 && !skipConflicts)) {
+            return res.status(409).json({
+                success: false,
+                message: conflicts.length === plan.occurrences.length
+                    ? 'None of the occurrences in the series are available'
+                    : `${conflicts.length} of the ${plan.occurrences.length} occurrences are not available`,
+                conflicts
+            });
+        }
+
+        const series = new BookingSeries({
+            user: req.user._id,
+            court: courtDoc._id,
+            venue: courtDoc.venue._id,
+            rule: plan.rule,
+            startTime,
+            duration: Math.round((new Date(endTime) - new Date(startTime)) / 60000),
+            timezone: courtDoc.timezone,
+            skippedOccurrences: conflicts.map(({ startTime: start, endTime: end, reason }) => ({ startTime: start, endTime: end, reason }))
+        });
+
+        const requiresApproval = Boolean(courtDoc.bookingSettings.requiresApproval || courtDoc.venue.settings.requiresApproval);
+        const { requireDeposit, depositPercentage, depositHoldMinutes } = courtDoc.venue.settings.paymentSettings;
+        const bookings = [];
+
+        for (const occurrence of plan.occurrences.filter(o => o.available)) {
+            const booking = new Booking({
+                user: req.user._id,
+                court: courtDoc._id,
+                venue: courtDoc.venue._id,
+                series: series._id,
+                startTime: occurrence.startTime,
+                endTime: occurrence.endTime,
+                timezone: courtDoc.timezone,
+                bookingType: 'recurring',
+                pricing: occurrence.pricing,
+                payment: {
+                    amount: occurrence.pricing.totalAmount,
+                    currency: courtDoc.currency,
+                    status: 'pending'
+                },
+                requiresApproval,
+                status: requiresApproval ? 'pending-confirmation' : 'confirmed',
+                groupSize,
+                notes,
+                specialRequests,
+                source: req.body.source || 'web',
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent'),
+                membership: plan.membership ? plan.membership._id : undefined
+            });
+
+            if (requireDeposit && depositPercentage > 0 && occurrence.pricing.totalAmount > 0) {
+                booking.scheduleDeposit(depositPercentage, depositHoldMinutes);
+            }
+
+            // The slot may have been taken since the series was checked
+            if (!await SlotLock.reserve(courtDoc._id, occurrence.startTime, courtDoc.getBlockedUntil(occurrence.endTime), booking._id)) {
+                if (!skipConflicts) {
+                    await Promise.all(bookings.map(b => SlotLock.release(b._id)));
+                    return res.status(409).json({
+                        success: false,
+                        message: 'An occurrence in the series has just been booked, please try again'
+                    });
+                }
+
+                series.skippedOccurrences.push({ ...occurrence, reason: 'Time slot is already booked' });
+                continue;
+            }
+
+            bookings.push(booking);
+        }
+
+        if (bookings.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'None of the occurrences in the series are available'
+            });
+        }
+
+        series.pricing = BookingSeries.sumPricing(bookings.map(b => b.pricing), courtDoc.currency);
+        series.skippedOccurrences.sort((a, b) => a.startTime - b.startTime);
+
+        // Bookings that cannot be saved give back their slots; any already saved stay in the series
+        let saved = 0;
+        try {
+            await series.save();
+            for (const booking of bookings) {
+                await booking.save();
+                saved += 1;
+            }
+        } catch (error) {
+            await Promise.all(bookings.slice(saved).map(b => SlotLock.release(b._id)));
+            if (saved === 0) {
+                await series.deleteOne();
+            } else {
+                await refreshSeriesPricing(series._id);
+            }
+            throw error;
+        }
+
+        courtDoc.stats.totalBookings += bookings.length;
+        await courtDoc.save();
+
+        await notifyBooking(notifications.notifyBookingCreated, bookings[0], { occurrences: bookings.length });
+        await notifyBooking(notifications.notifyVenueBookingCreated, bookings[0], { occurrences: bookings.length });
+
+        res.status(201).json({
+            success: true,
+            message: series.skippedOccurrences.length > 0
+                ? `Recurring series booked, ${series.skippedOccurrences.length} unavailable occurrences skipped`
+                : 'Recurring series booked successfully',
+            data: {
+                series,
+                bookings,
+                totalBookings: bookings.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get current user's recurring series
+ * @route   GET /api/bookings/series
+ * @access  Private
+ */
+exports.getMySeries = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { status, page = 1, limit = 20 } = req.query;
+
+        const query = { user: req.user._id };
+        if (status) {
+            query.status = status;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [series, total] = await Promise.all([
+            BookingSeries.find(query)
+                .populate('court', 'name sportType')
+                .populate('venue', 'name address')
+                .sort('-createdAt')
+                .skip(skip)
+                .limit(parseInt(limit)),
+            BookingSeries.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: series.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: series
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a recurring series with its occurrences
+ * @route   GET /api/bookings/series/:id
+ * @access  Private
+ */
+exports.getSeries = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const series = await BookingSeries.findById(req.params.id).populate('court venue');
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        if (!(await getSeriesAccess(series, req.user)).canView) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this series'
+            });
+        }
+
+        const occurrences = await Booking.find({ series: series._id })
+            .select('bookingNumber startTime endTime status pricing.totalAmount payment.status')
+            .sort('startTime');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                series,
+                occurrences
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Cancel one occurrence of a recurring series, an occurrence and the ones after it, or
+ *          every upcoming occurrence. Each is refunded as if cancelled on its own; occurrences
+ *          that may no longer be cancelled are left as they are and reported.
+ * @route   POST /api/bookings/series/:id/cancel
+ * @access  Private
+ */
+exports.cancelSeries = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { scope, occurrence, reason, refundToWallet } = req.body;
+
+        const series = await BookingSeries.findById(req.params.id).populate('court venue');
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        const { isOwner, canCancel } = await getSeriesAccess(series, req.user);
+        if (!canCancel) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this series'
+            });
+        }
+
+        const selection = await selectOccurrences(series, scope, occurrence);
+        if (selection.error) {
+            return res.status(selection.status).json({
+                success: false,
+                message: selection.error
+            });
+        }
+
+        // Venue-side cancellations skip the policy and refund in full
+        const isVenueCancellation = !isOwner;
+
+        if (scope === 'occurrence') {
+            const check = selection.anchor.canBeCancelled({ enforcePolicy: !isVenueCancellation });
+            if (!check.allowed) {
+                return res.status(400).json({
+                    success: false,
+                    message: check.reason
+                });
+            }
+        }
+
+        const cancelled = [];
+        const notCancelled = [];
+        let refundTotal = 0;
+        let refundedTotal = 0;
+        let cancellationFees = 0;
+        let refundedToWallet = false;
+
+        for (const booking of selection.bookings) {
+            const check = booking.canBeCancelled({ enforcePolicy: !isVenueCancellation });
+            if (!check.allowed) {
+                notCancelled.push({ _id: booking._id, bookingNumber: booking.bookingNumber, startTime: booking.startTime, reason: check.reason });
+                continue;
+            }
+
+            const refundInfo = await applyCancellation(booking, req.user, { reason, isVenueCancellation, refundToWallet });
+            refundTotal += refundInfo.refundEligible ? refundInfo.refundAmount : 0;
+            refundedTotal += refundInfo.refundedAmount;
+            refundedToWallet = refundedToWallet || refundInfo.refundedToWallet === true;
+            cancellationFees += refundInfo.refundedAmount > 0 ? refundInfo.cancellationFee || 0 : 0;
+            cancelled.push(booking);
+        }
+
+        // Ending the series early shortens its rule to the occurrences before the cancelled ones
+        if (scope === 'following') {
+            const earlier = series.getOccurrences().filter(o => o.startTime < selection.anchor.startTime);
+            if (earlier.length > 0) {
+                series.rule = RecurrenceRule.format({
+                    ...RecurrenceRule.parse(series.rule),
+                    count: undefined,
+                    until: earlier[earlier.length - 1].startTime
+                });
+                series.skippedOccurrences = series.skippedOccurrences.filter(o => o.startTime < selection.anchor.startTime);
+            }
+        }
+
+        const remaining = await Booking.countDocuments({ series: series._id, status: { $in: Booking.ACTIVE_STATUSES } });
+        if (scope !== 'occurrence' && remaining === 0) {
+            series.status = 'cancelled';
+            series.cancellation = {
+                cancelledAt: new Date(),
+                cancelledBy: req.user._id,
+                reason
+            };
+        }
+
+        await series.refreshPricing();
+        await series.save();
+
+        if (cancelled.length > 0) {
+            await notifyBooking(notifications.notifyBookingCancelled, cancelled[0], {
+                amount: Math.round(refundedTotal * 100) / 100,
+                fee: Math.round(cancellationFees * 100) / 100,
+                toWallet: refundedToWallet
+            }, { byVenue: isVenueCancellation, occurrences: cancelled.length });
+            if (!isVenueCancellation) {
+                await notifyBooking(notifications.notifyVenueBookingCancelled, cancelled[0], { occurrences: cancelled.length });
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: notCancelled.length > 0
+                ? `${cancelled.length} occurrences cancelled, ${notCancelled.length} could not be cancelled`
+                : `${cancelled.length} occurrences cancelled`,
+            data: {
+                series,
+                cancelled,
+                notCancelled,
+                refundTotal: Math.round(refundTotal * 100) / 100
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reschedule one occurrence of a recurring series, an occurrence and the ones after it, or
+ *          every upcoming occurrence. A single occurrence may move to any time; several occurrences
+ *          move together to a new time of day and duration, and only if all of them can.
+ * @route   PUT /api/bookings/series/:id/reschedule
+ * @access  Private
+ */
+exports.rescheduleSeries = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { scope, occurrence, startTime, endTime } = req.body;
+        const reason = req.body.modificationReason || 'Rescheduled';
+
+        const series = await BookingSeries.findById(req.params.id).populate('court venue');
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        if (!(await getSeriesAccess(series, req.user)).canModify) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this series'
+            });
+        }
+
+        const selection = await selectOccurrences(series, scope, occurrence);
+        if (selection.error) {
+            return res.status(selection.status).json({
+                success: false,
+                message: selection.error
+            });
+        }
+
+        const { anchor } = selection;
+        const newStartTime = new Date(startTime);
+        const newEndTime = endTime
+            ? new Date(endTime)
+            : new Date(newStartTime.getTime() + (anchor.endTime - anchor.startTime));
+
+        const durationError = getDurationError(series.court, (newEndTime - newStartTime) / 60000);
+        if (durationError) {
+            return res.status(400).json({
+                success: false,
+                message: durationError
+            });
+        }
+
+        if (scope !== 'occurrence' &&
+            TimezoneUtils.formatDate(newStartTime, series.timezone) !== TimezoneUtils.formatDate(anchor.startTime, series.timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Several occurrences can only be moved to another time of day, reschedule single occurrences to move them to other days'
+            });
+        }
+
+        // Each selected occurrence keeps its date and takes the new time of day and duration
+        const time = TimezoneUtils.formatTime(newStartTime, series.timezone);
+        const moves = selection.bookings.map(booking => {
+            const start = scope === 'occurrence'
+                ? newStartTime
+                : TimezoneUtils.toDate(TimezoneUtils.formatDate(booking.startTime, series.timezone), time, series.timezone);
+            return {
+                booking,
+                previousStartTime: booking.startTime,
+                previousEndTime: booking.endTime,
+                startTime: start,
+                endTime: new Date(start.getTime() + (newEndTime - newStartTime))
+            };
+        });
+
+        // Check every occurrence before moving any of them
+        const blocked = [];
+        let blockedStatus = 409;
+        for (const move of moves) {
+            const block = await checkMove(move);
+            if (block) {
+                if (blocked.length === 0) {
+                    blockedStatus = block.status;
+                }
+                blocked.push({
+                    _id: move.booking._id,
+                    bookingNumber: move.booking.bookingNumber,
+                    startTime: move.startTime,
+                    endTime: move.endTime,
+                    reason: block.reason
+                });
+            }
+        }
+
+        if (blocked.length > 0) {
+            return res.status(scope === 'occurrence' ? blockedStatus : 409).json({
+                success: false,
+                message: scope === 'occurrence'
+                    ? blocked[0].reason
+                    : `${blocked.length} of the ${moves.length} occurrences cannot be moved`,
+                conflicts: blocked
+            });
+        }
+
+        const moved = [];
+        for (const move of moves) {
+            const moveError = await moveBooking(move.booking, move.startTime, move.endTime, req.user, reason);
+            if (moveError) {
+                await Promise.all(moved.map(m => undoMove(m.booking, m.previousStartTime, m.previousEndTime)));
+                return res.status(moveError.status).json({
+                    success: false,
+                    message: moveError.message,
+                    conflicts: moveError.conflicts
+                });
+            }
+            moved.push(move);
+        }
+
+        for (const [index, move] of moved.entries()) {
+            try {
+                await move.booking.save();
+            } catch (error) {
+                await Promise.all(moved.slice(index).map(m => undoMove(m.booking, m.previousStartTime, m.previousEndTime)));
+                throw error;
+            }
+            await SlotLock.trim(move.booking._id, move.startTime, series.court.getBlockedUntil(move.endTime));
+        }
+
+        const newSeries = scope === 'occurrence'
+            ? null
+            : await retimeSeries(series, moves, { time, duration: Math.round((newEndTime - newStartTime) / 60000) });
+
+        await series.refreshPricing();
+        await series.save();
+
+        await notifyBooking(notifications.notifyBookingRescheduled, moved[0].booking, {
+            previousStartTime: moved[0].previousStartTime,
+            previousEndTime: moved[0].previousEndTime,
+            occurrences: moved.length
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${moved.length} occurrences rescheduled`,
+            data: {
+                series,
+                newSeries,
+                bookings: moved.map(m => m.booking)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to pick the booking details a user may set themselves. Pricing, payment
+ * and status are always worked out on the server.
+ */
+function pickBookingDetails(body) {
+    const details = {};
+    BOOKING_DETAIL_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            details[field] = body[field];
+        }
+    });
+    return details;
+}
+
+/**
+ * Helper function to save a booking whose slot has been reserved,
+ * giving back everything reserved for it if the save fails
+ */
+async function saveReservedBooking(booking) {
+    try {
+        await booking.save();
+    } catch (error) {
+        await releaseReservations(booking);
+        throw error;
+    }
+}
+
+/**
+ * Helper function to give back what was reserved for a booking that is not going ahead:
+ * its slot, free member time, coupon redemption, rented equipment and add-on services
+ */
+async function releaseReservations(booking) {
+    await SlotLock.release(booking._id);
+    if (booking.membershipFreeMinutes > 0) {
+        await Membership.returnFreeMinutes(booking.membership, booking.membershipFreeMinutes);
+    }
+    if (booking.coupon) {
+        await Coupon.release(booking._id);
+    }
+    if (booking.equipmentRental.length > 0) {
+        await Equipment.release(booking._id);
+    }
+    if (booking.additionalServices.length > 0) {
+        await Service.release(booking._id);
+    }
+}
+
+/**
+ * Helper function to check and price requested equipment for a court and time slot.
+ * Repeated items are merged. Returns the booking's equipmentRental lines and their cost,
+ * or an error message with its status code.
+ */
+async function prepareEquipmentRental(requested, court, startTime, endTime) {
+    const quantities = mergeQuantities(requested, 'equipment');
+
+    const equipmentDocs = await Equipment.find({ _id: { $in: [...quantities.keys()] } });
+    const durationMinutes = (new Date(endTime) - new Date(startTime)) / (1000 * 60);
+    const items = [];
+
+    for (const [id, quantity] of quantities) {
+        const equipment = equipmentDocs.find(e => e._id.toString() === id);
+
+        if (!equipment || !equipment.isActive || equipment.venue.toString() !== court.venue._id.toString()) {
+            return { status: 400, error: 'Requested equipment is not available at this venue' };
+        }
+
+        if (equipment.sportTypes.length > 0 && !equipment.sportTypes.includes(court.sportType)) {
+            return { status: 400, error: `${equipment.name} cannot be used for ${court.sportType}` };
+        }
+
+        const available = equipment.getAvailableQuantity(startTime, endTime);
+        if (available < quantity) {
+            return { status: 409, error: `Only ${available} ${equipment.name} available for the selected time` };
+        }
+
+        items.push({
+            equipmentId: equipment._id,
+            equipmentName: equipment.name,
+            quantity,
+            price: equipment.calculatePrice(quantity, durationMinutes)
+        });
+    }
+
+    return { items, cost: items.reduce((sum, item) => sum + item.price, 0) };
+}
+
+/**
+ * Helper function to check and price requested add-on services for a court and time slot.
+ * Repeated services are merged. Returns the booking's additionalServices lines and their cost,
+ * or an error message with its status code.
+ */
+async function prepareServices(requested, court, startTime, endTime) {
+    const quantities = mergeQuantities(requested, 'service');
+
+    const serviceDocs = await Service.find({ _id: { $in: [...quantities.keys()] } });
+    const durationMinutes = (new Date(endTime) - new Date(startTime)) / (1000 * 60);
+    const items = [];
+
+    for (const [id, quantity] of quantities) {
+        const service = serviceDocs.find(s => s._id.toString() === id);
+
+        if (!service || !service.isOfferedOn(court)) {
+            return { status: 400, error: 'Requested service is not offered on this court' };
+        }
+
+        // Each booking of a staffed service gets one staff member
+        if (service.isStaffed && quantity > 1) {
+            return { status: 400, error: `${service.name} can only be booked once per booking` };
+        }
+
+        if (service.getAvailableQuantity(startTime, endTime) < quantity) {
+            return { status: 409, error: `${service.name} is fully booked for the selected time` };
+        }
+
+        items.push({
+            serviceId: service._id,
+            serviceName: service.name,
+            quantity,
+            price: service.calculatePrice(quantity, durationMinutes)
+        });
+    }
+
+    return { items, cost: items.reduce((sum, item) => sum + item.price, 0) };
+}
+
+/**
+ * Helper function to add up the quantities of requested add-ons by id
+ */
+function mergeQuantities(requested, idField) {
+    const quantities = new Map();
+    requested.forEach(item => {
+        const id = item[idField].toString();
+        quantities.set(id, (quantities.get(id) || 0) + (item.quantity || 1));
+    });
+    return quantities;
+}
+
+/**
+ * Helper function to list a booking's rented equipment in the form Equipment.reserve takes
+ */
+function getRentedItems(booking) {
+    return booking.equipmentRental.map(item => ({ equipment: item.equipmentId, quantity: item.quantity }));
+}
+
+/**
+ * Helper function to list a booking's add-on services in the form Service.reserve takes
+ */
+function getBookedServices(booking) {
+    return booking.additionalServices.map(item => ({
+        service: item.serviceId,
+        quantity: item.quantity,
+        name: item.serviceName,
+        staff: item.staff
+    }));
+}
+
+/**
+ * Helper function to record the staff members Service.reserve assigned to a booking's services
+ */
+function assignServiceStaff(booking, staff) {
+    booking.additionalServices.forEach((item, index) => {
+        item.staff = staff[index];
+    });
+}
+
+/**
+ * Helper function to check if a booking has rented equipment or add-on services
+ */
+function hasAddOns(booking) {
+    return booking.equipmentRental.length > 0 || booking.additionalServices.length > 0;
+}
+
+/**
+ * Helper function to reserve a booking's equipment and services for a time slot.
+ * Returns false, with nothing reserved for the booking, if any of them is not available.
+ */
+async function reserveAddOns(booking, startTime, endTime) {
+    const slot = { bookingId: booking._id, startTime, endTime };
+
+    if (booking.equipmentRental.length > 0 && await Equipment.reserve(getRentedItems(booking), slot)) {
+        return false;
+    }
+
+    if (booking.additionalServices.length > 0) {
+        const { unavailable, staff } = await Service.reserve(getBookedServices(booking), slot);
+        if (unavailable) {
+            await Equipment.release(booking._id);
+            return false;
+        }
+        assignServiceStaff(booking, staff);
+    }
+
+    return true;
+}
+
+/**
+ * Helper function to move a booking's equipment and services to a new time and reprice them.
+ * Returns false, keeping the current reservations, if any of them is not available.
+ */
+async function moveAddOns(booking, startTime, endTime) {
+    if (!await reserveAddOns(booking, startTime, endTime)) {
+        // A failed reservation gives up the current slot's reservations too, so take them back
+        await reserveAddOns(booking, booking.startTime, booking.endTime);
+        return false;
+    }
+
+    const durationMinutes = (endTime - startTime) / (1000 * 60);
+    const [equipmentDocs, serviceDocs] = await Promise.all([
+        Equipment.find({ _id: { $in: booking.equipmentRental.map(item => item.equipmentId) } }).select('pricing'),
+        Service.find({ _id: { $in: booking.additionalServices.map(item => item.serviceId) } }).select('pricing')
+    ]);
+
+    booking.equipmentRental.forEach(item => {
+        const equipment = equipmentDocs.find(e => e._id.equals(item.equipmentId));
+        if (equipment) {
+            item.price = equipment.calculatePrice(item.quantity, durationMinutes);
+        }
+    });
+    booking.additionalServices.forEach(item => {
+        const service = serviceDocs.find(s => s._id.equals(item.serviceId));
+        if (service) {
+            item.price = service.calculatePrice(item.quantity, durationMinutes);
+        }
+    });
+
+    booking.pricing.equipmentCost = booking.equipmentRental.reduce((sum, item) => sum + item.price, 0);
+    booking.pricing.servicesCost = booking.additionalServices.reduce((sum, item) => sum + item.price, 0);
+
+    return true;
+}
+
+/**
+ * Helper function to build booking pricing from the base price, applied discounts and rental extras,
+ * with the taxes and fees in effect at the venue (the default 5% tax without charges)
+ */
+function buildPricing(basePrice, discounts, currency, { equipmentCost = 0, servicesCost = 0, charges } = {}) {
+    const totalDiscount = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    const price = Math.max(0, basePrice + equipmentCost + servicesCost - totalDiscount);
+
+    return {
+        basePrice,
+        discounts,
+        totalDiscount,
+        equipmentCost,
+        servicesCost,
+        ...ChargeRules.apply(price, charges),
+        currency
+    };
+}
+
+/**
+ * Helper function to check a booking duration in minutes against the court's limits
+ */
+function getDurationError(court, duration) {
+    if (duration < court.bookingSettings.minBookingDuration) {
+        return `Minimum booking duration is ${court.bookingSettings.minBookingDuration} minutes`;
+    }
+    if (duration > court.bookingSettings.maxBookingDuration) {
+        return `Maximum booking duration is ${court.bookingSettings.maxBookingDuration} minutes`;
+    }
+    return null;
+}
+
+/**
+ * Helper function to build the refund for a cancellation that waives the policy
+ */
+function getFullRefundInfo(booking) {
+    return {
+        refundEligible: booking.pricing.totalAmount > 0,
+        refundPercentage: 100,
+        refundAmount: booking.pricing.totalAmount,
+        cancellationFee: 0,
+        hoursUntilBooking: Math.round(((booking.startTime - new Date()) / (1000 * 60 * 60)) * 10) / 10
+    };
+}
+
+/**
+ * Helper function to get what cancelling pays back. The fee is kept from what has actually been paid,
+ * so bookings paid only in part (e.g. just the deposit) still pay it.
+ */
+function getPaidRefundAmount(booking, refundInfo) {
+    if (!refundInfo.refundEligible) {
+        return 0;
+    }
+    const refund = booking.getRefundableAmount() - (refundInfo.cancellationFee || 0);
+    return Math.max(0, Math.round(refund * 100) / 100);
+}
+
+/**
+ * Helper function to get what a cancellation refunded, for the cancellation email
+ */
+function getRefundSummary(refundInfo) {
+    return {
+        amount: refundInfo.refundedAmount,
+        fee: refundInfo.cancellationFee,
+        toWallet: refundInfo.refundedToWallet
+    };
+}
+
+/**
+ * Helper function to send a booking notification. Failures are logged and never fail the request.
+ */
+async function notifyBooking(send, ...args) {
+    try {
+        await send.apply(notifications, args);
+    } catch (error) {
+        console.error('Failed to send booking notification:', error);
+    }
+}
+
+/**
+ * Helper function to cancel a booking that may be cancelled, refunding what the policy allows
+ * (everything for venue-side cancellations) and offering the freed slot to the waitlist
+ */
+async function applyCancellation(booking, user, { reason, isVenueCancellation, refundToWallet }) {
+    // Calculate refund
+    const refundInfo = isVenueCancellation
+        ? getFullRefundInfo(booking)
+        : booking.calculateCancellationRefund();
+    const freesSlot = Booking.ACTIVE_STATUSES.includes(booking.status);
+
+    booking.status = 'cancelled';
+    booking.cancellation = {
+        cancelledAt: new Date(),
+        cancelledBy: user._id,
+        reason,
+        ...refundInfo
+    };
+
+    // Refund what was paid less the fee. The booking user may take it as wallet credit instead.
+    const refundAmount = getPaidRefundAmount(booking, refundInfo);
+    const toWallet = !isVenueCancellation && refundToWallet === true;
+    refundInfo.refundedAmount = 0;
+    if (refundAmount > 0) {
+        const refund = await payments.refund(booking, refundAmount, reason, { toWallet });
+        refundInfo.refundedAmount = refundAmount;
+        refundInfo.refundedToWallet = refund.toWallet;
+    }
+
+    await booking.save();
+
+    if (freesSlot) {
+        await waitlist.offerFreedSlot(booking);
+    }
+
+    return refundInfo;
+}
+
+/**
+ * Helper function to move a booking to a new time: checks the slot, reserves it alongside the current one,
+ * moves rented equipment and add-on services, and reprices the booking with the current rules.
+ * Returns an error with its status code, or nothing once the booking has been changed. After saving it
+ * the caller trims the slot lock to the new time, or calls undoMove if the save fails.
+ */
+async function moveBooking(booking, newStartTime, newEndTime, user, reason) {
+    // Check for conflicts (excluding this booking)
+    const conflicts = await Booking.checkConflicts(
+        booking.court._id,
+        newStartTime,
+        newEndTime,
+        booking._id
+    );
+
+    if (conflicts.length > 0) {
+        return {
+            status: 409,
+            message: 'New time slot is already booked',
+            conflicts: conflicts.map(c => ({
+                bookingNumber: c.bookingNumber,
+                startTime: c.startTime,
+                endTime: c.endTime
+            }))
+        };
+    }
+
+    // Check court availability
+    const availability = await booking.court.isAvailableForSlot(newStartTime, newEndTime);
+    if (!availability.available) {
+        return { status: 400, message: availability.reason };
+    }
+
+    // Reserve the new slot before letting go of the old one
+    if (!await SlotLock.reserve(booking.court._id, newStartTime, booking.court.getBlockedUntil(newEndTime), booking._id)) {
+        return { status: 409, message: 'New time slot is already booked' };
+    }
+
+    // Move rented equipment and add-on services along with the booking
+    if (hasAddOns(booking) && !await moveAddOns(booking, newStartTime, newEndTime)) {
+        await SlotLock.trim(booking._id, booking.startTime, booking.court.getBlockedUntil(booking.endTime));
+        return { status: 409, message: 'Rented equipment or add-on services are not available for the new time slot' };
+    }
+
+    // Recalculate pricing if time changed, with the tier of the booking user's membership.
+    // Discounts, rentals and services keep their amounts; taxes and fees follow the current rules.
+    const membership = await Membership.findActive(booking.user, booking.venue._id);
+    const basePrice = booking.court.calculatePrice(newStartTime, newEndTime, {
+        membershipTier: membership ? membership.tier : undefined,
+        groupSize: booking.groupSize
+    });
+    const newPricing = buildPricing(
+        basePrice,
+        booking.pricing.discounts.map(discount => discount.toObject()),
+        booking.pricing.currency,
+        {
+            equipmentCost: booking.pricing.equipmentCost || 0,
+            servicesCost: booking.pricing.servicesCost || 0,
+            charges: await TaxRule.getCharges(booking.venue)
+        }
+    );
+
+    // Update modification history
+    booking.modificationHistory.push({
+        modifiedBy: user._id,
+        changes: {
+            startTime: { from: booking.startTime, to: newStartTime },
+            endTime: { from: booking.endTime, to: newEndTime },
+            price: { from: booking.pricing.totalAmount, to: newPricing.totalAmount }
+        },
+        reason
+    });
+
+    booking.startTime = newStartTime;
+    booking.endTime = newEndTime;
+    booking.pricing = newPricing;
+    booking.payment.amount = newPricing.totalAmount;
+
+    // The deposit is worked out again from the new total, like when the booking was made
+    if (booking.payment.depositAmount) {
+        const { depositPercentage } = booking.venue.settings.paymentSettings;
+        booking.payment.depositAmount = Math.round(newPricing.totalAmount * depositPercentage) / 100;
+        booking.payment.balanceDueAt = newStartTime;
+    }
+
+    // A dearer slot leaves the difference to pay, a cheaper one may settle what is left
+    const paidAmount = booking.getPaidAmount();
+    if (booking.payment.status === 'completed' && paidAmount < booking.payment.amount) {
+        booking.payment.status = 'partially-paid';
+    } else if (booking.payment.status === 'partially-paid' && paidAmount >= booking.payment.amount) {
+        booking.payment.status = 'completed';
+    }
+}
+
+/**
+ * Helper function to take back the previous slot, equipment and services of a booking moved by moveBooking
+ */
+async function undoMove(booking, previousStartTime, previousEndTime) {
+    await SlotLock.trim(booking._id, previousStartTime, booking.court.getBlockedUntil(previousEndTime));
+    if (hasAddOns(booking)) {
+        await reserveAddOns(booking, previousStartTime, previousEndTime);
+    }
+}
+
+/**
+ * Helper function to recalculate the totals of a recurring series after one of its occurrences changed
+ */
+async function refreshSeriesPricing(seriesId) {
+    const series = await BookingSeries.findById(seriesId);
+    if (series) {
+        await series.refreshPricing();
+        await series.save();
+    }
+}
+
+/**
+ * Helper function to check that a court takes recurring bookings of the given slot's length
+ */
+function getSeriesCourtError(court, startTime, endTime) {
+    if (!court) {
+        return { status: 404, message: 'Court not found' };
+    }
+
+    if (court.status !== 'active') {
+        return { status: 400, message: 'Court is not available for booking' };
+    }
+
+    if (!court.bookingSettings.allowRecurringBookings) {
+        return { status: 400, message: 'Recurring bookings are not allowed for this court' };
+    }
+
+    const durationError = getDurationError(court, (new Date(endTime) - new Date(startTime)) / (1000 * 60));
+    return durationError ? { status: 400, message: durationError } : null;
+}
+
+/**
+ * Helper function to work out a recurring series on a court: every occurrence of the rule, whether it
+ * can be booked and, for those that can, its pricing. Members get their discount on each occurrence
+ * but no free time, and the court's bulk discount depends on how many occurrences are booked.
+ * Returns an error message for rules that cannot be used.
+ */
+async function planSeries(court, userId, { startTime, endTime, rule, groupSize = 1 }) {
+    let parts;
+    let slots;
+    try {
+        parts = RecurrenceRule.parse(rule);
+        slots = RecurrenceRule.getOccurrences(parts, { startTime, endTime, timezone: court.timezone });
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    // Holds that ran out still have the slot locked until the status job sweeps them
+    await Booking.expireTentativeHolds({ court: court._id });
+
+    const now = new Date();
+    const occurrences = [];
+    for (const slot of slots) {
+        let reason;
+        if (slot.startTime <= now) {
+            reason = 'Occurrence is in the past';
+        } else {
+            const availability = await court.isAvailableForSlot(slot.startTime, slot.endTime);
+            if (!availability.available) {
+                reason = availability.reason || 'Court is not available for selected time slot';
+            } else if ((await Booking.checkConflicts(court._id, slot.startTime, slot.endTime)).length > 0) {
+                reason = 'Time slot is already booked';
+            }
+        }
+        occurrences.push({ ...slot, available: !reason, reason });
+    }
+
+    const [membership, charges] = await Promise.all([
+        Membership.findActive(userId, court.venue._id),
+        TaxRule.getCharges(court.venue)
+    ]);
+
+    const bookable = occurrences.filter(o => o.available);
+    bookable.forEach(occurrence => {
+        const basePrice = court.calculatePrice(occurrence.startTime, occurrence.endTime, {
+            membershipTier: membership ? membership.tier : undefined,
+            groupSize
+        });
+        const discounts = membership
+            ? membership.getBookingDiscounts(basePrice, 0, { useFreeTime: false }).discounts
+            : [];
+        const seriesDiscount = court.getSeriesDiscount(
+            basePrice - discounts.reduce((sum, discount) => sum + discount.amount, 0),
+            bookable.length
+        );
+        if (seriesDiscount) {
+            discounts.push(seriesDiscount);
+        }
+        occurrence.pricing = buildPricing(basePrice, discounts, court.currency, { charges });
+    });
+
+    return {
+        rule: RecurrenceRule.format(parts),
+        occurrences,
+        membership,
+        pricing: BookingSeries.sumPricing(bookable.map(o => o.pricing), court.currency)
+    };
+}
+
+/**
+ * Helper function to check what a user may do with a recurring series, like with its bookings:
+ * the booking user and venue staff may view, cancel and reschedule it
+ */
+async function getSeriesAccess(series, user) {
+    const { isOwner, can } = await VenueMembership.getBookingAccess(user, series);
+
+    return {
+        isOwner,
+        canView: isOwner || can('bookings.view'),
+        canCancel: isOwner || can('bookings.manage'),
+        canModify: isOwner || can('bookings.manage')
+    };
+}
+
+/**
+ * Helper function to check whether an occurrence can move to its new slot, without reserving anything.
+ * Returns the reason it cannot, with a status code.
+ */
+async function checkMove({ booking, startTime, endTime }) {
+    const canModify = booking.canBeModified();
+    if (!canModify.allowed) {
+        return { status: 400, reason: canModify.reason };
+    }
+
+    const conflicts = await Booking.checkConflicts(booking.court._id, startTime, endTime, booking._id);
+    if (conflicts.length > 0) {
+        return { status: 409, reason: 'New time slot is already booked' };
+    }
+
+    const availability = await booking.court.isAvailableForSlot(startTime, endTime);
+    if (!availability.available) {
+        return { status: 400, reason: availability.reason || 'Court is not available for selected time slot' };
+    }
+
+    return null;
+}
+
+/**
+ * Helper function to find the bookings a series change applies to: the given occurrence, the upcoming
+ * ones from it on, or all upcoming ones. The anchor is the given occurrence, or the first upcoming one.
+ */
+async function selectOccurrences(series, scope, occurrenceId) {
+    let anchor = null;
+    if (occurrenceId) {
+        anchor = await Booking.findOne({ _id: occurrenceId, series: series._id });
+        if (!anchor) {
+            return { status: 404, error: 'Occurrence not found in this series' };
+        }
+    } else if (scope !== 'all') {
+        return { status: 400, error: 'An occurrence is required for this scope' };
+    }
+
+    let bookings = [anchor];
+    if (scope !== 'occurrence') {
+        const startTime = { $gt: new Date() };
+        if (scope === 'following') {
+            startTime.$gte = anchor.startTime;
+        }
+
+        bookings = await Booking.find({
+            series: series._id,
+            status: { $in: Booking.ACTIVE_STATUSES },
+            startTime
+        }).sort('startTime');
+
+        if (bookings.length === 0) {
+            return { status: 400, error: 'There are no upcoming occurrences to change' };
+        }
+        anchor = anchor || bookings[0];
+    }
+
+    bookings.forEach(booking => {
+        booking.court = series.court;
+        booking.venue = series.venue;
+    });
+
+    return { anchor, bookings };
+}
+
+/**
+ * Helper function to give a series the new time of day and duration of its rescheduled occurrences.
+ * When earlier occurrences keep the old time, the rescheduled ones are split off into a new series
+ * that continues the rule, and the old series ends before them. Returns the new series, if any.
+ */
+async function retimeSeries(series, moves, { time, duration }) {
+    const splitAt = moves[0].previousStartTime;
+    const retime = (start) => TimezoneUtils.toDate(TimezoneUtils.formatDate(start, series.timezone), time, series.timezone);
+
+    const parts = RecurrenceRule.parse(series.rule);
+    const occurrences = series.getOccurrences();
+    const earlier = occurrences.filter(o => o.startTime < splitAt);
+    const later = occurrences.filter(o => o.startTime >= splitAt);
+
+    // An UNTIL time could cut off the last occurrence once it starts later in the day,
+    // so the retimed rule runs through that occurrence's date instead
+    const until = parts.until && later.length > 0
+        ? TimezoneUtils.formatDate(later[later.length - 1].startTime, series.timezone)
+        : parts.until;
+
+    if (earlier.length === 0) {
+        series.rule = RecurrenceRule.format({ ...parts, until });
+        series.startTime = retime(series.startTime);
+        series.duration = duration;
+        return null;
+    }
+
+    const newSeries = new BookingSeries({
+        user: series.user,
+        court: series.court._id,
+        venue: series.venue._id,
+        timezone: series.timezone,
+        rule: RecurrenceRule.format({
+            ...parts,
+            count: parts.count ? Math.max(1, parts.count - earlier.length) : undefined,
+            until
+        }),
+        startTime: retime(later.length > 0 ? later[0].startTime : splitAt),
+        duration,
+        splitFrom: series._id,
+        skippedOccurrences: series.skippedOccurrences.filter(o => o.startTime >= splitAt)
+    });
+    await newSeries.save();
+
+    await Booking.updateMany(
+        {
+            series: series._id,
+            $or: [
+                { _id: { $in: moves.map(m => m.booking._id) } },
+                { startTime: { $gte: splitAt } }
+            ]
+        },
+        { series: newSeries._id }
+    );
+
+    await newSeries.refreshPricing();
+    await newSeries.save();
+
+    series.rule = RecurrenceRule.format({
+        ...parts,
+        count: parts.count ? earlier.length : undefined,
+        until: parts.count ? undefined : earlier[earlier.length - 1].startTime
+    });
+    series.skippedOccurrences = series.skippedOccurrences.filter(o => o.startTime < splitAt);
+
+    return newSeries;
+}
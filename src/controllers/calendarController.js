@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Court = require('../models/Court');
+const User = require('../models/User');
+const VenueMembership = require('../models/VenueMembership');
+const ICalendar = require('../utils/icalendar');
+const BookingCalendar = require('../utils/bookingCalendar');
+const { validationResult } = require('express-validator');
+
+// Feeds list bookings from this many days back, so the recent past stays in the calendar
+// and bookings cancelled lately still reach it as cancelled
+const FEED_HISTORY_DAYS = 30;
+
+// Most bookings in a single feed
+const FEED_MAX_BOOKINGS = 500;
+
+// Bookings venue staff see in a court feed. Cancelled ones are listed so they drop out of calendars.
+const COURT_FEED_STATUSES = ['confirmed', 'in-progress', 'completed', 'cancelled'];
+
+/**
+ * @desc    Download a booking as an iCalendar (.ics) file
+ * @route   GET /api/bookings/:id/calendar
+ * @access  Private (Booking owner/Venue staff/Admin)
+ */
+exports.getBookingCalendar = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const isOwner = booking.user.toString() === req.user._id.toString();
+        if (!isOwner && !(await VenueMembership.getAccess(req.user, booking.venue, booking.court)).can('bookings.view')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+
+        sendCalendar(res, BookingCalendar.forBooking(booking), BookingCalendar.getFilename(booking));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create the current user's calendar feed, replacing any earlier feed URL
+ * @route   POST /api/calendar/feed
+ * @access  Private
+ */
+exports.createUserFeed = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const token = user.createCalendarFeedToken();
+        await user.save({ validateBeforeSave: false });
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed created. Earlier feed links no longer work.',
+            data: getFeedUrls(req, `/api/calendar/feed/${token}.ics`)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Turn off the current user's calendar feed
+ * @route   DELETE /api/calendar/feed
+ * @access  Private
+ */
+exports.deleteUserFeed = async (req, res, next) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedToken: 1 } });
+
+        res.status(200).json({
+            success: true,
+            message: 'Calendar feed turned off'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Calendar feed of a user's bookings, for calendar apps to subscribe to
+ * @route   GET /api/calendar/feed/:token.ics
+ * @access  Public (feed token)
+ */
+exports.getUserFeed = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ calendarFeedToken: hashToken(req.params.token), isActive: true });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const bookings = await Booking.find({
+            user: user._id,
+            status: { $ne: 'waitlisted' },
+            startTime: { $gte: getFeedStart() }
+        })
+            .populate('court', 'name sportType')
+            .populate('venue', 'name address')
+            .sort('startTime')
+            .limit(FEED_MAX_BOOKINGS);
+
+        sendCalendar(res, BookingCalendar.forUser(user, bookings));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create a court's calendar feed, replacing any earlier feed URL
+ * @route   POST /api/calendar/courts/:courtId/feed
+ * @access  Private (Court/Venue owner or manager/Admin)
+ */
+exports.createCourtFeed = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const court = await Court.findById(req.params.courtId);
+
+        if (!court) {
+            return res.status(404).json({
+                success: false,
+                message: 'Court not found'
+            });
+        }
+
+        const token = court.createCalendarFeedToken();
+        await court.save({ validateBeforeSave: false });
+
+        res.status(201).json({
+            success: true,
+            message: 'Court calendar feed created. Earlier feed links no longer work.',
+            data: getFeedUrls(req, `/api/calendar/courts/${court._id}/feed/${token}.ics`)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Turn off a court's calendar feed
+ * @route   DELETE /api/calendar/courts/:courtId/feed
+ * @access  Private (Court/Venue owner or manager/Admin)
+ */
+exports.deleteCourtFeed = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const court = await Court.findById(req.params.courtId);
+
+        if (!court) {
+            return res.status(404).json({
+                success: false,
+                message: 'Court not found'
+            });
+        }
+
+        await Court.updateOne({ _id: court._id }, { $unset: { calendarFeedToken: 1 } });
+
+        res.status(200).json({
+            success: true,
+            message: 'Court calendar feed turned off'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Calendar feed of a court's bookings and availability exceptions, for venue staff
+ * @route   GET /api/calendar/courts/:courtId/feed/:token.ics
+ * @access  Public (feed token)
+ */
+exports.getCourtFeed = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const court = await Court.findOne({
+            _id: req.params.courtId,
+            calendarFeedToken: hashToken(req.params.token)
+        }).populate('venue', 'name address');
+
+        if (!court) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const feedStart = getFeedStart();
+        const bookings = await Booking.find({
+            court: court._id,
+            status: { $in: COURT_FEED_STATUSES },
+            startTime: { $gte: feedStart }
+        })
+            .populate('user', 'firstName lastName')
+            .sort('startTime')
+            .limit(FEED_MAX_BOOKINGS);
+
+        // The court and venue are already loaded, so bookings share them instead of populating each
+        bookings.forEach(booking => {
+            booking.court = court;
+            booking.venue = court.venue;
+        });
+
+        const exceptions = court.availabilityExceptions.filter(exception => exception.date >= getDayStart(feedStart));
+
+        sendCalendar(res, BookingCalendar.forCourt(court, bookings, exceptions));
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to hash a feed token the way it is stored
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Helper function to get the earliest booking start listed in feeds
+ */
+function getFeedStart() {
+    return new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Helper function to get the UTC midnight a date falls on, as availability exception dates are stored
+ */
+function getDayStart(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * Helper function to build the links to a feed. Calendar apps open webcal:// links as subscriptions.
+ */
+function getFeedUrls(req, path) {
+    const url = `${req.protocol}://${req.get('host')}${path}`;
+    return {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+    };
+}
+
+/**
+ * Helper function to send an iCalendar document, as a download when given a filename
+ */
+function sendCalendar(res, body, filename) {
+    res.set('Content-Type', ICalendar.CONTENT_TYPE);
+    if (filename) {
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.status(200).send(body);
+}
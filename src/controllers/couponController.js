@@ -0,0 +1,400 @@
+const Coupon = require('../models/Coupon');
+const Court = require('../models/Court');
+const Venue = require('../models/Venue');
+const Membership = require('../models/Membership');
+const VenueMembership = require('../models/VenueMembership');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/coupons
+ * @access  Private (Venue owner/Admin)
+ */
+exports.createCoupon = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const scopeError = await checkScopeOwnership(req.body.scope, req.user);
+        if (scopeError) {
+            return res.status(403).json({
+                success: false,
+                message: scopeError
+            });
+        }
+
+        const existing = await Coupon.findByCode(req.body.code);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon code already exists'
+            });
+        }
+
+        const { usageCount, redemptions, ...couponData } = req.body;
+
+        const coupon = await Coupon.create({
+            ...couponData,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get coupons (admins see all, owners see their own, or a venue's when given)
+ * @route   GET /api/coupons
+ * @access  Private (Venue owner/Admin)
+ */
+exports.getCoupons = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { isActive, venue, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+
+        if (venue) {
+            const venueDoc = await Venue.findById(venue);
+
+            if (!venueDoc) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Venue not found'
+                });
+            }
+
+            if (!(await VenueMembership.getAccess(req.user, venueDoc)).can('coupons.manage')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to view this venue\'s coupons'
+                });
+            }
+
+            query['scope.venues'] = venue;
+        } else if (req.user.role !== 'admin') {
+            query.createdBy = req.user._id;
+        }
+
+        if (isActive !== undefined) {
+            query.isActive = isActive === 'true';
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const coupons = await Coupon.find(query)
+            .select('-redemptions')
+            .sort('-createdAt')
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await Coupon.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: coupons.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: coupons
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single coupon with its redemptions
+ * @route   GET /api/coupons/:id
+ * @access  Private (Venue owner/Admin)
+ */
+exports.getCoupon = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const coupon = await Coupon.findById(req.params.id)
+            .populate('redemptions.user', 'firstName lastName email')
+            .populate('redemptions.booking', 'bookingNumber startTime status');
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        if (!await canManageCoupon(coupon, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this coupon'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: coupon
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/coupons/:id
+ * @access  Private (Venue owner/Admin)
+ */
+exports.updateCoupon = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        if (!await canManageCoupon(coupon, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this coupon'
+            });
+        }
+
+        if (req.body.scope) {
+            const scopeError = await checkScopeOwnership(req.body.scope, req.user);
+            if (scopeError) {
+                return res.status(403).json({
+                    success: false,
+                    message: scopeError
+                });
+            }
+        }
+
+        if (req.body.code && req.body.code.toUpperCase() !== coupon.code) {
+            const existing = await Coupon.findByCode(req.body.code);
+            if (existing) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Coupon code already exists'
+                });
+            }
+        }
+
+        // Usage bookkeeping is only changed through redemptions
+        const { usageCount, redemptions, createdBy, ...updates } = req.body;
+
+        coupon.set(updates);
+        await coupon.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: coupon
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete coupon, or deactivate it if it has been redeemed
+ * @route   DELETE /api/coupons/:id
+ * @access  Private (Venue owner/Admin)
+ */
+exports.deleteCoupon = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        if (!await canManageCoupon(coupon, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this coupon'
+            });
+        }
+
+        // Keep redeemed coupons so bookings can still refer to them
+        if (coupon.usageCount > 0) {
+            coupon.isActive = false;
+            await coupon.save();
+
+            return res.status(200).json({
+                success: true,
+                message: 'Coupon has been redeemed and was deactivated instead of deleted'
+            });
+        }
+
+        await coupon.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Check a coupon code against a prospective booking
+ * @route   POST /api/coupons/validate
+ * @access  Private
+ */
+exports.validateCoupon = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { code, court, startTime, endTime } = req.body;
+
+        const courtDoc = await Court.findById(court);
+        if (!courtDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Court not found'
+            });
+        }
+
+        const coupon = await Coupon.findByCode(code);
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invalid coupon code'
+            });
+        }
+
+        const membership = await Membership.findActive(req.user._id, courtDoc.venue);
+        const basePrice = courtDoc.calculatePrice(startTime, endTime, {
+            membershipTier: membership ? membership.tier : undefined
+        });
+
+        // Coupons apply to the price after member discounts, as in createBooking
+        const durationMinutes = (new Date(endTime) - new Date(startTime)) / (1000 * 60);
+        const membershipDiscount = membership
+            ? membership.getBookingDiscounts(basePrice, durationMinutes).discounts.reduce((sum, discount) => sum + discount.amount, 0)
+            : 0;
+        const price = basePrice - membershipDiscount;
+
+        const eligibility = coupon.checkEligibility({ userId: req.user._id, court: courtDoc, amount: price });
+
+        if (!eligibility.valid) {
+            return res.status(400).json({
+                success: false,
+                message: eligibility.reason
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon is valid',
+            data: {
+                code: coupon.code,
+                discountType: coupon.discountType,
+                discountValue: coupon.discountValue,
+                basePrice,
+                membershipDiscount,
+                discount: eligibility.discount,
+                priceAfterDiscount: price - eligibility.discount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to check if a user may manage a coupon: its creator, or whoever
+ * may manage coupons at every venue and court it is limited to
+ */
+async function canManageCoupon(coupon, user) {
+    return user.role === 'admin' ||
+        coupon.createdBy.toString() === user._id.toString() ||
+        !(await checkScopeOwnership(coupon.scope, user));
+}
+
+/**
+ * Helper function to make sure non-admins only create coupons for venues and courts they
+ * may manage coupons at. Returns an error message, or null when the scope is allowed.
+ */
+async function checkScopeOwnership(scope = {}, user) {
+    if (user.role === 'admin') {
+        return null;
+    }
+
+    const venueIds = [...new Set((scope.venues || []).map(String))];
+    const courtIds = [...new Set((scope.courts || []).map(String))];
+
+    if (venueIds.length === 0 && courtIds.length === 0) {
+        return 'Coupons must be limited to at least one of your venues or courts';
+    }
+
+    const venues = await Venue.find({ _id: { $in: venueIds } });
+    const venueAccess = await Promise.all(venues.map(venue => VenueMembership.getAccess(user, venue)));
+    if (venues.length !== venueIds.length || !venueAccess.every(access => access.can('coupons.manage'))) {
+        return 'You can only create coupons for venues you own';
+    }
+
+    const courts = await Court.find({ _id: { $in: courtIds } }).populate('venue', 'owner managers');
+    const courtAccess = await Promise.all(courts.map(court => VenueMembership.getAccess(user, court.venue, court)));
+    if (courts.length !== courtIds.length || !courtAccess.every(access => access.can('coupons.manage'))) {
+        return 'You can only create coupons for courts you own';
+    }
+
+    return null;
+}
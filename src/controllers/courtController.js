@@ -1,5 +1,8 @@
 const Court = require('../models/Court');
 const Venue = require('../models/Venue');
+const TaxRule = require('../models/TaxRule');
+const ChargeRules = require('../utils/charges');
+const notifications = require('../services/notifications');
 const { validationResult } = require('express-validator');
 
 /**
@@ -17,7 +20,7 @@ exports.createCourt = async (req, res, next) => {
             });
         }
 
-        // Verify venue exists and user has permission
+        // Verify venue exists
         const venue = await Venue.findById(req.body.venue);
         if (!venue) {
             return res.status(404).json({
@@ -26,22 +29,10 @@ exports.createCourt = async (req, res, next) => {
             });
         }
 
-        // Check if user is owner or manager of the venue
-        const isOwner = venue.owner.toString() === req.user._id.toString();
-        const isManager = venue.managers.some(m => m.toString() === req.user._id.toString());
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isOwner && !isManager && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to create courts for this venue'
-            });
-        }
-
-        // Set owner from authenticated user if not admin
+        // Courts belong to the venue's owner, whichever of its staff adds them
         const courtData = {
             ...req.body,
-            owner: isAdmin && req.body.owner ? req.body.owner : req.user._id
+            owner: req.user.role === 'admin' && req.body.owner ? req.body.owner : venue.owner
         };
 
         const court = await Court.create(courtData);
@@ -248,23 +239,10 @@ exports.updateCourt = async (req, res, next) => {
             });
         }
 
-        // Check authorization
         const venue = await Venue.findById(court.venue);
-        const isOwner = court.owner.toString() === req.user._id.toString();
-        const isVenueOwner = venue.owner.toString() === req.user._id.toString();
-        const isManager = court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            venue.managers.some(m => m.toString() === req.user._id.toString());
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isOwner && !isVenueOwner && !isManager && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to update this court'
-            });
-        }
 
         // Prevent changing owner unless admin
-        if (req.body.owner && !isAdmin) {
+        if (req.body.owner && req.user.role !== 'admin') {
             delete req.body.owner;
         }
 
@@ -273,6 +251,8 @@ exports.updateCourt = async (req, res, next) => {
             delete req.body.venue;
         }
 
+        const previousStatus = court.status;
+
         court = await Court.findByIdAndUpdate(
             req.params.id,
             req.body,
@@ -287,6 +267,14 @@ exports.updateCourt = async (req, res, next) => {
             await venue.updateStats();
         }
 
+        if (court.status !== previousStatus) {
+            try {
+                await notifications.notifyCourtStatusChanged(court, venue, { actor: req.user._id });
+            } catch (error) {
+                console.error('Failed to send court status notification:', error);
+            }
+        }
+
         res.status(200).json({
             success: true,
             message: 'Court updated successfully',
@@ -313,17 +301,6 @@ exports.deleteCourt = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isOwner = court.owner.toString() === req.user._id.toString();
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isOwner && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to delete this court'
-            });
-        }
-
         // TODO: Check for active bookings before deletion
         // For now, we'll just delete
 
@@ -368,22 +345,6 @@ exports.addMedia = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const venue = await Venue.findById(court.venue);
-        const isAuthorized =
-            court.owner.toString() === req.user._id.toString() ||
-            venue.owner.toString() === req.user._id.toString() ||
-            (court.managers && court.managers.some(m => m && m.toString() === req.user._id.toString())) ||
-            (venue.managers && venue.managers.some(m => m && m.toString() === req.user._id.toString())) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to add media to this court'
-            });
-        }
-
         // Support both single media object and array of media
         const mediaArray = Array.isArray(req.body) ? req.body : [req.body];
         
@@ -472,22 +433,6 @@ exports.deleteMedia = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const venue = await Venue.findById(court.venue);
-        const isAuthorized =
-            court.owner.toString() === req.user._id.toString() ||
-            venue.owner.toString() === req.user._id.toString() ||
-            court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            venue.managers.some(m => m.toString() === req.user._id.toString()) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to delete media from this court'
-            });
-        }
-
         const mediaIndex = court.media.findIndex(m => m._id.toString() === req.params.mediaId);
 
         if (mediaIndex === -1) {
@@ -553,22 +498,6 @@ exports.addPricingRule = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const venue = await Venue.findById(court.venue);
-        const isAuthorized =
-            court.owner.toString() === req.user._id.toString() ||
-            venue.owner.toString() === req.user._id.toString() ||
-            court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            venue.managers.some(m => m.toString() === req.user._id.toString()) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to add pricing rules to this court'
-            });
-        }
-
         court.pricingRules.push(req.body);
         await court.save();
 
@@ -598,22 +527,6 @@ exports.updatePricingRule = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const venue = await Venue.findById(court.venue);
-        const isAuthorized =
-            court.owner.toString() === req.user._id.toString() ||
-            venue.owner.toString() === req.user._id.toString() ||
-            court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            venue.managers.some(m => m.toString() === req.user._id.toString()) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to update pricing rules for this court'
-            });
-        }
-
         const ruleIndex = court.pricingRules.findIndex(r => r._id.toString() === req.params.ruleId);
 
         if (ruleIndex === -1) {
@@ -656,22 +569,6 @@ exports.deletePricingRule = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const venue = await Venue.findById(court.venue);
-        const isAuthorized =
-            court.owner.toString() === req.user._id.toString() ||
-            venue.owner.toString() === req.user._id.toString() ||
-            court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            venue.managers.some(m => m.toString() === req.user._id.toString()) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to delete pricing rules from this court'
-            });
-        }
-
         const ruleIndex = court.pricingRules.findIndex(r => r._id.toString() === req.params.ruleId);
 
         if (ruleIndex === -1) {
@@ -717,22 +614,6 @@ exports.addAvailabilityException = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const venue = await Venue.findById(court.venue);
-        const isAuthorized =
-            court.owner.toString() === req.user._id.toString() ||
-            venue.owner.toString() === req.user._id.toString() ||
-            court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            venue.managers.some(m => m.toString() === req.user._id.toString()) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to add availability exceptions to this court'
-            });
-        }
-
         const exceptionData = {
             ...req.body,
             createdBy: req.user._id
@@ -767,22 +648,6 @@ exports.deleteAvailabilityException = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const venue = await Venue.findById(court.venue);
-        const isAuthorized =
-            court.owner.toString() === req.user._id.toString() ||
-            venue.owner.toString() === req.user._id.toString() ||
-            court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            venue.managers.some(m => m.toString() === req.user._id.toString()) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to delete availability exceptions from this court'
-            });
-        }
-
         const exceptionIndex = court.availabilityExceptions.findIndex(
             e => e._id.toString() === req.params.exceptionId
         );
@@ -839,11 +704,16 @@ exports.calculatePrice = async (req, res, next) => {
 
         const duration = (new Date(endTime) - new Date(startTime)) / (1000 * 60); // in minutes
 
+        // Taxes and fees as they would be charged on a booking
+        const venue = await Venue.findById(court.venue).select('address settings.taxSettings');
+        const charges = ChargeRules.apply(price, await TaxRule.getCharges(venue));
+
         res.status(200).json({
             success: true,
             data: {
                 baseRate: court.baseHourlyRate,
                 totalPrice: price,
+                ...charges,
                 currency: court.currency,
                 duration,
                 startTime,
@@ -920,22 +790,9 @@ exports.updateStatus = async (req, res, next) => {
             });
         }
 
-        // Check authorization
         const venue = await Venue.findById(court.venue);
-        const isAuthorized =
-            court.owner.toString() === req.user._id.toString() ||
-            venue.owner.toString() === req.user._id.toString() ||
-            court.managers.some(m => m.toString() === req.user._id.toString()) ||
-            venue.managers.some(m => m.toString() === req.user._id.toString()) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to update court status'
-            });
-        }
 
+        const statusChanged = court.status !== status;
         court.status = status;
 
         // If setting to maintenance, add to maintenance schedule
@@ -948,6 +805,14 @@ exports.updateStatus = async (req, res, next) => {
 
         await court.save();
 
+        if (statusChanged) {
+            try {
+                await notifications.notifyCourtStatusChanged(court, venue, { reason, actor: req.user._id });
+            } catch (error) {
+                console.error('Failed to send court status notification:', error);
+            }
+        }
+
         res.status(200).json({
             success: true,
             message: 'Court status updated successfully',
@@ -0,0 +1,253 @@
+const Equipment = require('../models/Equipment');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Add equipment to a venue's rental inventory
+ * @route   POST /api/equipment
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.createEquipment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { reservations, reservationVersion, ...equipmentData } = req.body;
+
+        const equipment = await Equipment.create(equipmentData);
+
+        res.status(201).json({
+            success: true,
+            message: 'Equipment added successfully',
+            data: equipment
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get rental equipment, with availability when a time slot is given
+ * @route   GET /api/equipment
+ * @access  Public
+ */
+exports.getEquipment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { venue, category, sportType, startTime, endTime, includeInactive } = req.query;
+
+        const query = { venue };
+
+        if (category) query.category = category;
+
+        // Items without sport types go with any sport
+        if (sportType) {
+            query.$or = [{ sportTypes: sportType }, { sportTypes: { $size: 0 } }];
+        }
+
+        if (includeInactive !== 'true') {
+            query.isActive = true;
+        }
+
+        const equipment = await Equipment.find(query).sort('category name');
+
+        res.status(200).json({
+            success: true,
+            count: equipment.length,
+            data: equipment.map(item => withAvailability(item, startTime, endTime))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single equipment item
+ * @route   GET /api/equipment/:id
+ * @access  Public
+ */
+exports.getEquipmentItem = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const equipment = await Equipment.findById(req.params.id).populate('venue', 'name');
+
+        if (!equipment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Equipment not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: equipment
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Check how many units of an item are free for a time slot
+ * @route   GET /api/equipment/:id/availability
+ * @access  Public
+ */
+exports.getEquipmentAvailability = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { startTime, endTime, quantity = 1 } = req.query;
+
+        const equipment = await Equipment.findById(req.params.id);
+
+        if (!equipment || !equipment.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Equipment not found'
+            });
+        }
+
+        const availableQuantity = equipment.getAvailableQuantity(startTime, endTime);
+        const durationMinutes = (new Date(endTime) - new Date(startTime)) / (1000 * 60);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                equipment: equipment._id,
+                name: equipment.name,
+                totalStock: equipment.totalStock,
+                availableQuantity,
+                available: availableQuantity >= parseInt(quantity),
+                price: equipment.calculatePrice(parseInt(quantity), durationMinutes)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update equipment details or stock
+ * @route   PUT /api/equipment/:id
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.updateEquipment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const equipment = await Equipment.findById(req.params.id);
+
+        if (!equipment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Equipment not found'
+            });
+        }
+
+        // Reservations belong to bookings, and equipment cannot move between venues
+        const { reservations, reservationVersion, venue, ...updates } = req.body;
+
+        equipment.set(updates);
+        await equipment.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Equipment updated successfully',
+            data: equipment
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete equipment, or deactivate it while it is rented out
+ * @route   DELETE /api/equipment/:id
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.deleteEquipment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const equipment = await Equipment.findById(req.params.id);
+
+        if (!equipment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Equipment not found'
+            });
+        }
+
+        // Upcoming bookings still count on the units they reserved
+        const now = new Date();
+        if (equipment.reservations.some(r => r.endTime > now)) {
+            equipment.isActive = false;
+            await equipment.save();
+
+            return res.status(200).json({
+                success: true,
+                message: 'Equipment is reserved by upcoming bookings and was deactivated instead of deleted'
+            });
+        }
+
+        await equipment.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Equipment deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to add the free quantity for a time slot to an equipment item
+ */
+function withAvailability(equipment, startTime, endTime) {
+    const data = equipment.toJSON();
+
+    if (startTime && endTime) {
+        data.availableQuantity = equipment.getAvailableQuantity(startTime, endTime);
+    }
+
+    return data;
+}
@@ -0,0 +1,234 @@
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const Venue = require('../models/Venue');
+const VenueMembership = require('../models/VenueMembership');
+const InvoiceDocument = require('../utils/invoiceDocument');
+const { validationResult } = require('express-validator');
+
+// Response types of a downloaded document
+const CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    pdf: 'application/pdf',
+};
+
+/**
+ * @desc    Get the invoice and credit notes of a booking
+ * @route   GET /api/bookings/:id/invoices
+ * @access  Private (Booking owner/Venue staff/Admin)
+ */
+exports.getBookingInvoices = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const isOwner = booking.user.toString() === req.user._id.toString();
+        if (!isOwner && !await canViewBilling(req.user, booking.venue, booking.court)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view invoices for this booking'
+            });
+        }
+
+        // Bookings billed before invoicing existed get their documents on first request
+        const invoices = await Invoice.syncBooking(booking);
+
+        res.status(200).json({
+            success: true,
+            count: invoices.length,
+            data: invoices
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get or download an invoice or credit note
+ * @route   GET /api/invoices/:id?format=json|html|pdf
+ * @access  Private (Booking owner/Venue staff/Admin)
+ */
+exports.getInvoice = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        const booking = await Booking.findById(invoice.booking).populate('court venue');
+        const venue = booking ? booking.venue : await Venue.findById(invoice.venue);
+        const isOwner = invoice.user && invoice.user.toString() === req.user._id.toString();
+
+        if (!isOwner && !await canViewBilling(req.user, venue, booking && booking.court)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this invoice'
+            });
+        }
+
+        // Invoices double as receipts, showing what has been paid so far
+        const payment = booking && invoice.type === 'invoice' ? InvoiceDocument.getPaymentSummary(booking) : null;
+        const { format = 'json' } = req.query;
+
+        if (format === 'json') {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    ...invoice.toObject(),
+                    title: InvoiceDocument.getTitle(invoice, payment),
+                    payment
+                }
+            });
+        }
+
+        const body = format === 'pdf'
+            ? InvoiceDocument.toPdf(invoice, payment)
+            : InvoiceDocument.toHtml(invoice, payment);
+
+        res.set('Content-Type', CONTENT_TYPES[format]);
+        res.set('Content-Disposition', `${format === 'pdf' ? 'attachment' : 'inline'}; filename="${InvoiceDocument.getFilename(invoice, format)}"`);
+        res.status(200).send(body);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    List a venue's invoices and credit notes issued in a date range
+ * @route   GET /api/invoices/venue/:venueId
+ * @access  Private (Venue owner/manager/Admin)
+ */
+exports.getVenueInvoices = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const venue = await Venue.findById(req.params.venueId);
+
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const { from, to, type, page = 1, limit = 20 } = req.query;
+
+        const query = { venue: venue._id };
+        if (from || to) {
+            query.issuedAt = {};
+            if (from) {
+                query.issuedAt.$gte = new Date(from);
+            }
+            if (to) {
+                query.issuedAt.$lte = getRangeEnd(to);
+            }
+        }
+        if (type) {
+            query.type = type;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [invoices, total, totals] = await Promise.all([
+            Invoice.find(query)
+                .select('-seller -lines -discounts')
+                .sort('-issuedAt')
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Invoice.countDocuments(query),
+            Invoice.aggregate([
+                { $match: query },
+                { $group: { _id: { type: '$type', currency: '$currency' }, amount: { $sum: '$total' }, count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: invoices.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            summary: buildSummary(totals),
+            data: invoices
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to check if the user may see the billing of a venue, or of one of its courts
+ */
+async function canViewBilling(user, venue, court = null) {
+    return Boolean(venue) && (await VenueMembership.getAccess(user, venue, court)).can('billing.view');
+}
+
+/**
+ * Helper function to get the end of a date range. A plain date includes that whole day.
+ */
+function getRangeEnd(to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        end.setUTCHours(23, 59, 59, 999);
+    }
+    return end;
+}
+
+/**
+ * Helper function to total invoiced and credited amounts per currency
+ */
+function buildSummary(totals) {
+    const summary = {};
+
+    totals.forEach(({ _id, amount, count }) => {
+        const currency = summary[_id.currency] = summary[_id.currency] ||
+            { invoiced: 0, invoiceCount: 0, credited: 0, creditNoteCount: 0 };
+
+        if (_id.type === 'invoice') {
+            currency.invoiced = Math.round(amount * 100) / 100;
+            currency.invoiceCount = count;
+        } else {
+            currency.credited = Math.round(amount * 100) / 100;
+            currency.creditNoteCount = count;
+        }
+    });
+
+    Object.values(summary).forEach(currency => {
+        currency.net = Math.round((currency.invoiced - currency.credited) * 100) / 100;
+    });
+
+    return summary;
+}
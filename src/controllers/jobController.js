@@ -0,0 +1,81 @@
+const JobRun = require('../models/JobRun');
+const scheduler = require('../jobs');
+
+/**
+ * @desc    Run a scheduled job once
+ * @route   GET /api/jobs/:name/run (cron)
+ * @route   POST /api/jobs/:name/run (admin)
+ * @access  Private (Cron secret/Admin)
+ */
+exports.runJob = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+
+        if (!scheduler.has(name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const trigger = req.method === 'GET' ? 'cron' : 'manual';
+        const run = await scheduler.run(name, trigger);
+
+        if (!run) {
+            return res.status(409).json({
+                success: false,
+                message: 'Job is already running'
+            });
+        }
+
+        res.status(run.status === 'failed' ? 500 : 200).json({
+            success: run.status !== 'failed',
+            message: run.status === 'failed' ? 'Job failed' : 'Job completed successfully',
+            data: run
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get job run history
+ * @route   GET /api/jobs/runs
+ * @access  Private (Admin)
+ */
+exports.getJobRuns = async (req, res, next) => {
+    try {
+        const { job, status, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+
+        if (job) {
+            query.job = job;
+        }
+
+        if (status) {
+            query.status = status;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const runs = await JobRun.find(query)
+            .sort('-startedAt')
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await JobRun.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: runs.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: runs
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,555 @@
+const Membership = require('../models/Membership');
+const MembershipPlan = require('../models/MembershipPlan');
+const VenueMembership = require('../models/VenueMembership');
+const memberships = require('../services/memberships');
+const { PaymentError } = require('../services/payments');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Create a membership plan for a venue
+ * @route   POST /api/memberships/plans
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.createPlan = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const plan = await MembershipPlan.create({
+            ...req.body,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Membership plan created successfully',
+            data: plan
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a venue's membership plans
+ * @route   GET /api/memberships/plans
+ * @access  Public
+ */
+exports.getPlans = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { venue, includeInactive } = req.query;
+
+        const query = { venue };
+        if (includeInactive !== 'true') {
+            query.isActive = true;
+        }
+
+        const plans = await MembershipPlan.find(query).sort('price');
+
+        res.status(200).json({
+            success: true,
+            count: plans.length,
+            data: plans
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single membership plan
+ * @route   GET /api/memberships/plans/:id
+ * @access  Public
+ */
+exports.getPlan = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const plan = await MembershipPlan.findById(req.params.id).populate('venue', 'name');
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership plan not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update membership plan. Running memberships keep the terms they were bought on until renewed.
+ * @route   PUT /api/memberships/plans/:id
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.updatePlan = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const plan = await MembershipPlan.findById(req.params.id);
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership plan not found'
+            });
+        }
+
+        const { venue, createdBy, ...updates } = req.body;
+
+        plan.set(updates);
+        await plan.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Membership plan updated successfully',
+            data: plan
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete membership plan, or deactivate it if it has been sold
+ * @route   DELETE /api/memberships/plans/:id
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.deletePlan = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const plan = await MembershipPlan.findById(req.params.id);
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership plan not found'
+            });
+        }
+
+        // Keep sold plans so memberships can still refer to them
+        if (await Membership.exists({ plan: plan._id })) {
+            plan.isActive = false;
+            await plan.save();
+
+            return res.status(200).json({
+                success: true,
+                message: 'Membership plan has members and was deactivated instead of deleted'
+            });
+        }
+
+        await plan.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Membership plan deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Buy a membership plan
+ * @route   POST /api/memberships
+ * @access  Private
+ */
+exports.subscribe = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { plan: planId, autoRenew, paymentMethod, provider } = req.body;
+
+        const plan = await MembershipPlan.findById(planId);
+
+        if (!plan || !plan.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership plan not found'
+            });
+        }
+
+        if (await Membership.exists({ user: req.user._id, venue: plan.venue, status: 'active' })) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have a membership at this venue, renew it instead'
+            });
+        }
+
+        let membership;
+        try {
+            membership = await memberships.subscribe(req.user, plan, { provider, paymentMethod, autoRenew });
+        } catch (error) {
+            if (!(error instanceof PaymentError)) {
+                throw error;
+            }
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Membership purchased successfully',
+            data: membership
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get my memberships
+ * @route   GET /api/memberships
+ * @access  Private
+ */
+exports.getMyMemberships = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const query = { user: req.user._id };
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const results = await Membership.find(query)
+            .populate('plan', 'name price currency durationDays')
+            .populate('venue', 'name')
+            .sort('-endDate');
+
+        res.status(200).json({
+            success: true,
+            count: results.length,
+            data: results
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the members of a venue
+ * @route   GET /api/memberships/venue/:venueId
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.getVenueMemberships = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { status = 'active', page = 1, limit = 20 } = req.query;
+        const query = { venue: req.params.venueId, status };
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const results = await Membership.find(query)
+            .populate('user', 'firstName lastName email')
+            .populate('plan', 'name')
+            .sort('endDate')
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Membership.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: results.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: results
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single membership
+ * @route   GET /api/memberships/:id
+ * @access  Private (Member/Venue staff/Admin)
+ */
+exports.getMembership = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const membership = await Membership.findById(req.params.id)
+            .populate('plan')
+            .populate('venue', 'name owner managers')
+            .populate('user', 'firstName lastName email');
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership not found'
+            });
+        }
+
+        const isMember = membership.user._id.toString() === req.user._id.toString();
+        if (!isMember && !(await VenueMembership.getAccess(req.user, membership.venue)).can('memberships.manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this membership'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: membership
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Renew membership for another period
+ * @route   POST /api/memberships/:id/renew
+ * @access  Private (Member)
+ */
+exports.renewMembership = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const membership = await Membership.findById(req.params.id);
+
+        if (!membership || membership.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership not found'
+            });
+        }
+
+        if (membership.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancelled memberships cannot be renewed, buy a new one instead'
+            });
+        }
+
+        // An expired membership only comes back if no newer one has been bought at the venue
+        if (membership.status === 'expired' &&
+            await Membership.exists({ user: req.user._id, venue: membership.venue, status: 'active' })) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have an active membership at this venue'
+            });
+        }
+
+        const plan = await MembershipPlan.findById(membership.plan);
+
+        if (!plan || !plan.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'This membership plan is no longer offered'
+            });
+        }
+
+        try {
+            await memberships.renew(membership, plan, {
+                provider: req.body.provider,
+                paymentMethod: req.body.paymentMethod
+            });
+        } catch (error) {
+            if (!(error instanceof PaymentError)) {
+                throw error;
+            }
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Membership renewed successfully',
+            data: membership
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Turn automatic renewal on or off
+ * @route   PATCH /api/memberships/:id/auto-renew
+ * @access  Private (Member)
+ */
+exports.updateAutoRenew = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const membership = await Membership.findById(req.params.id).select('+paymentMethod');
+
+        if (!membership || membership.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership not found'
+            });
+        }
+
+        if (membership.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only active memberships renew automatically'
+            });
+        }
+
+        const { autoRenew, paymentMethod, provider } = req.body;
+
+        membership.autoRenew = autoRenew;
+        if (autoRenew) {
+            if (paymentMethod) {
+                membership.paymentMethod = paymentMethod;
+            }
+            if (provider) {
+                membership.provider = provider;
+            }
+            membership.lastRenewalError = undefined;
+        } else {
+            membership.paymentMethod = undefined;
+        }
+        await membership.save();
+
+        res.status(200).json({
+            success: true,
+            message: `Automatic renewal turned ${autoRenew ? 'on' : 'off'}`,
+            data: membership
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Cancel membership. Perks end immediately and nothing is refunded.
+ * @route   DELETE /api/memberships/:id
+ * @access  Private (Member/Admin)
+ */
+exports.cancelMembership = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const membership = await Membership.findById(req.params.id);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership not found'
+            });
+        }
+
+        if (membership.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this membership'
+            });
+        }
+
+        if (membership.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: `Membership is already ${membership.status}`
+            });
+        }
+
+        membership.status = 'cancelled';
+        membership.cancelledAt = new Date();
+        membership.autoRenew = false;
+        membership.paymentMethod = undefined;
+        await membership.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Membership cancelled successfully',
+            data: membership
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
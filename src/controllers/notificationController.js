@@ -0,0 +1,398 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { validationResult } = require('express-validator');
+
+const PREFERENCE_KEYS = ['email', 'sms', 'push', 'inApp'];
+
+/**
+ * @desc    List the current user's in-app notifications, newest first
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { unread, type, page = 1, limit = 20 } = req.query;
+
+        const query = { user: req.user._id };
+        if (unread === 'true') {
+            query.isRead = false;
+        }
+        if (type) {
+            query.type = type;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Notification.countDocuments(query),
+            Notification.getUnreadCount(req.user._id)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: notifications.length,
+            total,
+            unreadCount,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: notifications
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Count the current user's unread in-app notifications
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = async (req, res, next) => {
+    try {
+        const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                unreadCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark an in-app notification read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markRead = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        await notification.markRead();
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification marked as read',
+            data: notification
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark an in-app notification unread
+ * @route   PATCH /api/notifications/:id/unread
+ * @access  Private
+ */
+exports.markUnread = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        await notification.markUnread();
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification marked as unread',
+            data: notification
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark all of the current user's in-app notifications read
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllRead = async (req, res, next) => {
+    try {
+        const updated = await Notification.markAllRead(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'All notifications marked as read',
+            data: {
+                updated
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the channels the current user receives notifications on
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getPreferences = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                preferences: getPreferences(req.user),
+                pushSubscriptions: req.user.pushSubscriptions.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Turn notification channels on or off for the current user
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+exports.updatePreferences = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+
+        if (req.body.sms === true && !user.phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Add a phone number to your profile to receive SMS notifications'
+            });
+        }
+
+        PREFERENCE_KEYS.forEach(key => {
+            if (req.body[key] !== undefined) {
+                user.notificationPreferences[key] = req.body[key];
+            }
+        });
+
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated successfully',
+            data: {
+                preferences: getPreferences(user)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the public VAPID key browsers subscribe to push notifications with
+ * @route   GET /api/notifications/push/public-key
+ * @access  Public
+ */
+exports.getPushPublicKey = async (req, res, next) => {
+    try {
+        if (!process.env.VAPID_PUBLIC_KEY) {
+            return res.status(404).json({
+                success: false,
+                message: 'Push notifications are not available'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                publicKey: process.env.VAPID_PUBLIC_KEY
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Subscribe a browser of the current user to push notifications
+ * @route   POST /api/notifications/push-subscriptions
+ * @access  Private
+ */
+exports.addPushSubscription = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { endpoint, keys } = req.body;
+
+        const user = await User.findById(req.user._id);
+        user.addPushSubscription({
+            endpoint,
+            keys: { p256dh: keys.p256dh, auth: keys.auth },
+            userAgent: req.get('User-Agent')
+        });
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Push subscription saved successfully',
+            data: {
+                pushSubscriptions: user.pushSubscriptions.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Unsubscribe a browser of the current user from push notifications
+ * @route   DELETE /api/notifications/push-subscriptions
+ * @access  Private
+ */
+exports.removePushSubscription = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+        const count = user.pushSubscriptions.length;
+        user.removePushSubscription(req.body.endpoint);
+
+        if (user.pushSubscriptions.length === count) {
+            return res.status(404).json({
+                success: false,
+                message: 'Push subscription not found'
+            });
+        }
+
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Push subscription removed successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    List notification deliveries, newest first. Users see their own; admins can see
+ *          anyone's and filter by user.
+ * @route   GET /api/notifications/deliveries
+ * @access  Private
+ */
+exports.getDeliveries = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { user, type, channel, status, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (req.user.role !== 'admin') {
+            query.user = req.user._id;
+        } else if (user) {
+            query.user = user;
+        }
+        if (type) {
+            query.type = type;
+        }
+        if (channel) {
+            query.channel = channel;
+        }
+        if (status) {
+            query.status = status;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [deliveries, total] = await Promise.all([
+            NotificationDelivery.find(query)
+                .sort('-createdAt')
+                .skip(skip)
+                .limit(parseInt(limit)),
+            NotificationDelivery.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: deliveries.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: deliveries
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to get a user's notification preferences
+ */
+function getPreferences(user) {
+    const preferences = user.notificationPreferences || {};
+    return Object.fromEntries(PREFERENCE_KEYS.map(key => [key, preferences[key]]));
+}
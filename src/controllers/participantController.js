@@ -0,0 +1,610 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const payments = require('../services/payments');
+const { PaymentError } = require('../services/payments');
+const notifications = require('../services/notifications');
+const { validationResult } = require('express-validator');
+
+// Bookings that can still take on or change participants
+const OPEN_STATUSES = ['pending-confirmation', 'confirmed'];
+
+/**
+ * @desc    Invite a participant to a group booking
+ * @route   POST /api/bookings/:id/participants
+ * @access  Private (Group leader)
+ */
+exports.inviteParticipant = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).populate('court', 'name capacity');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!isGroupLeader(booking, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group leader can manage participants'
+            });
+        }
+
+        if (!isOpen(booking)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Participants can only be invited to upcoming bookings'
+            });
+        }
+
+        const { user: userId, name, phone, paymentShare } = req.body;
+        let { email } = req.body;
+        let invitee = null;
+
+        if (userId) {
+            invitee = await User.findById(userId);
+            if (!invitee) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+            email = invitee.email;
+        } else {
+            // Link invitations by email to an existing account
+            invitee = await User.findOne({ email });
+        }
+
+        if (invitee && invitee._id.toString() === booking.user.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot invite yourself'
+            });
+        }
+
+        const existing = booking.participants.find(p =>
+            (invitee && p.user && p.user.toString() === invitee._id.toString()) || p.email === email
+        );
+
+        if (existing && existing.status !== 'declined') {
+            return res.status(400).json({
+                success: false,
+                message: 'This person has already been invited'
+            });
+        }
+
+        // The leader counts as a player
+        const maxPlayers = booking.court.capacity.maxPlayers;
+        if (booking.getHeadcount() + 1 > maxPlayers) {
+            return res.status(400).json({
+                success: false,
+                message: `This court allows at most ${maxPlayers} players`
+            });
+        }
+
+        if (paymentShare !== undefined &&
+            getAssignedTotal(booking) + Number(paymentShare) > booking.pricing.totalAmount) {
+            return res.status(400).json({
+                success: false,
+                message: `Payment shares cannot exceed the booking total of ${booking.pricing.totalAmount}`
+            });
+        }
+
+        // A declined participant is invited again in place
+        let participant = existing;
+        if (!participant) {
+            booking.participants.push({});
+            participant = booking.participants[booking.participants.length - 1];
+        }
+
+        participant.user = invitee ? invitee._id : undefined;
+        participant.email = email;
+        participant.name = name || (invitee ? `${invitee.firstName} ${invitee.lastName}` : participant.name);
+        participant.phone = phone || (invitee ? invitee.phone : participant.phone);
+        participant.paymentShare = paymentShare !== undefined ? Number(paymentShare) : participant.paymentShare;
+
+        const token = booking.createParticipantInvitation(participant);
+        booking.isGroupBooking = true;
+        booking.groupLeader = booking.groupLeader || booking.user;
+        booking.groupSize = booking.getHeadcount();
+
+        await booking.save();
+
+        try {
+            await notifications.notifyParticipantInvitation(participant, booking, req.user, token);
+        } catch (error) {
+            console.error('Failed to send participant invitation email:', error);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Participant invited successfully',
+            data: {
+                participant: participant.toJSON(),
+                groupSize: booking.groupSize
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove an unpaid participant from a group booking
+ * @route   DELETE /api/bookings/:id/participants/:participantId
+ * @access  Private (Group leader)
+ */
+exports.removeParticipant = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!isGroupLeader(booking, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group leader can manage participants'
+            });
+        }
+
+        const participant = booking.participants.id(req.params.participantId);
+
+        if (!participant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Participant not found'
+            });
+        }
+
+        if (participant.paymentStatus === 'paid') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot remove a participant who has paid their share'
+            });
+        }
+
+        participant.deleteOne();
+        booking.groupSize = booking.getHeadcount();
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Participant removed successfully',
+            data: {
+                groupSize: booking.groupSize,
+                leaderShare: booking.getLeaderShare()
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Split the booking total between the participants
+ * @route   PUT /api/bookings/:id/participants/shares
+ * @access  Private (Group leader)
+ */
+exports.updateShares = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!isGroupLeader(booking, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group leader can manage participants'
+            });
+        }
+
+        if (!isOpen(booking) || booking.participants.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Shares can only be set on an upcoming group booking'
+            });
+        }
+
+        // Paid shares are settled, changing the split would leave them wrong
+        if (booking.participants.some(p => p.paymentStatus === 'paid')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Shares cannot be changed after a participant has paid'
+            });
+        }
+
+        const { mode, shares = [] } = req.body;
+
+        if (mode === 'equal') {
+            booking.splitPaymentEqually();
+        } else {
+            for (const share of shares) {
+                const participant = booking.participants.id(share.participantId);
+                if (!participant || participant.status === 'declined') {
+                    return res.status(400).json({
+                        success: false,
+                        message: `No active participant ${share.participantId} on this booking`
+                    });
+                }
+            }
+
+            const assigned = shares.reduce((sum, share) => sum + Number(share.amount), 0);
+            if (assigned > booking.pricing.totalAmount) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Payment shares cannot exceed the booking total of ${booking.pricing.totalAmount}`
+                });
+            }
+
+            booking.participants.forEach(participant => {
+                const share = shares.find(s => s.participantId === participant._id.toString());
+                participant.paymentShare = share ? Number(share.amount) : 0;
+            });
+        }
+
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment shares updated successfully',
+            data: {
+                totalAmount: booking.pricing.totalAmount,
+                leaderShare: booking.getLeaderShare(),
+                participants: booking.participants.map(p => ({
+                    _id: p._id,
+                    name: p.name,
+                    email: p.email,
+                    status: p.status,
+                    paymentShare: p.paymentShare
+                }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the booking an invitation is for
+ * @route   GET /api/bookings/invitations/:token
+ * @access  Public (invitation token)
+ */
+exports.getInvitation = async (req, res, next) => {
+    try {
+        const invitation = await findInvitation(req.params.token);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await getInvitationSummary(invitation)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Accept an invitation to a group booking
+ * @route   POST /api/bookings/invitations/:token/accept
+ * @access  Public (invitation token)
+ */
+exports.acceptInvitation = async (req, res, next) => {
+    try {
+        const invitation = await findInvitation(req.params.token);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        const { booking, participant } = invitation;
+
+        if (!canRespond(participant, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This invitation belongs to another user'
+            });
+        }
+
+        if (!isOpen(booking)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking no longer takes participants'
+            });
+        }
+
+        // Declined participants gave up their place, take it back only if there is still room
+        if (participant.status === 'declined') {
+            await booking.populate('court', 'capacity');
+            if (booking.getHeadcount() + 1 > booking.court.capacity.maxPlayers) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This booking is already full'
+                });
+            }
+        }
+
+        participant.status = 'confirmed';
+        participant.respondedAt = new Date();
+        if (req.user && !participant.user) {
+            participant.user = req.user._id;
+        }
+        booking.groupSize = booking.getHeadcount();
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation accepted',
+            data: await getInvitationSummary(invitation)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Decline an invitation to a group booking
+ * @route   POST /api/bookings/invitations/:token/decline
+ * @access  Public (invitation token)
+ */
+exports.declineInvitation = async (req, res, next) => {
+    try {
+        const invitation = await findInvitation(req.params.token);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        const { booking, participant } = invitation;
+
+        if (!canRespond(participant, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This invitation belongs to another user'
+            });
+        }
+
+        if (participant.paymentStatus === 'paid') {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already paid your share, ask the group leader to remove you'
+            });
+        }
+
+        // The leader covers a declined participant's share
+        participant.status = 'declined';
+        participant.paymentShare = 0;
+        participant.respondedAt = new Date();
+        if (req.user && !participant.user) {
+            participant.user = req.user._id;
+        }
+        booking.groupSize = booking.getHeadcount();
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation declined',
+            data: await getInvitationSummary(invitation)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Pay a participant's share of a group booking
+ * @route   POST /api/bookings/invitations/:token/pay
+ * @access  Public (invitation token)
+ */
+exports.payShare = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const invitation = await findInvitation(req.params.token);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        const { booking, participant } = invitation;
+
+        if (!canRespond(participant, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This invitation belongs to another user'
+            });
+        }
+
+        if (participant.status !== 'confirmed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Accept the invitation before paying your share'
+            });
+        }
+
+        if (participant.paymentStatus === 'paid') {
+            return res.status(400).json({
+                success: false,
+                message: 'Your share has already been paid'
+            });
+        }
+
+        if (!participant.paymentShare) {
+            return res.status(400).json({
+                success: false,
+                message: 'No payment share has been assigned to you'
+            });
+        }
+
+        if (!isOpen(booking) || participant.paymentShare > booking.getOutstandingAmount()) {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking does not expect a payment from you'
+            });
+        }
+
+        const { provider, paymentMethod, method } = req.body;
+
+        try {
+            await payments.payShare(booking, participant, { provider, paymentMethod, method });
+        } catch (error) {
+            if (!(error instanceof PaymentError)) {
+                throw error;
+            }
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Share paid successfully',
+            data: await getInvitationSummary(invitation)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to look up an invitation, tokens are hex strings
+ */
+async function findInvitation(token) {
+    if (!/^[a-f0-9]{64}$/.test(token)) {
+        return null;
+    }
+    return Booking.findByInvitationToken(token);
+}
+
+/**
+ * Helper function to check whether a user runs a group booking
+ */
+function isGroupLeader(booking, user) {
+    const userId = user._id.toString();
+    return user.role === 'admin' ||
+        booking.user.toString() === userId ||
+        (booking.groupLeader && booking.groupLeader.toString() === userId);
+}
+
+/**
+ * Helper function to check whether a booking is upcoming and still active
+ */
+function isOpen(booking) {
+    return OPEN_STATUSES.includes(booking.status) && booking.startTime > new Date();
+}
+
+/**
+ * Helper function to check that a logged-in user answers only their own invitation.
+ * Anonymous requests rely on the token alone.
+ */
+function canRespond(participant, user) {
+    return !user || !participant.user || participant.user.toString() === user._id.toString();
+}
+
+/**
+ * Helper function to sum the shares assigned to participants who have not declined
+ */
+function getAssignedTotal(booking) {
+    return booking.participants
+        .filter(p => p.status !== 'declined')
+        .reduce((sum, p) => sum + (p.paymentShare || 0), 0);
+}
+
+/**
+ * Helper function to describe an invitation without exposing the rest of the group
+ */
+async function getInvitationSummary({ booking, participant }) {
+    await booking.populate([
+        { path: 'court', select: 'name sportType' },
+        { path: 'venue', select: 'name address' },
+        { path: 'user', select: 'firstName lastName' }
+    ]);
+
+    return {
+        booking: {
+            _id: booking._id,
+            bookingNumber: booking.bookingNumber,
+            status: booking.status,
+            court: booking.court,
+            venue: booking.venue,
+            startTime: booking.startTime,
+            endTime: booking.endTime,
+            timezone: booking.timezone,
+            groupSize: booking.groupSize,
+            currency: booking.payment.currency
+        },
+        invitedBy: booking.user,
+        participant: {
+            _id: participant._id,
+            name: participant.name,
+            email: participant.email,
+            status: participant.status,
+            paymentShare: participant.paymentShare,
+            paymentStatus: participant.paymentStatus,
+            paidAt: participant.paidAt,
+            invitationExpires: participant.invitationExpires
+        }
+    };
+}
@@ -0,0 +1,415 @@
+const Booking = require('../models/Booking');
+const VenueMembership = require('../models/VenueMembership');
+const payments = require('../services/payments');
+const { PaymentError } = require('../services/payments');
+const { validationResult } = require('express-validator');
+
+// Bookings in these statuses no longer accept payments
+const UNPAYABLE_STATUSES = ['cancelled', 'expired', 'no-show'];
+
+// Payment statuses that still expect money
+const PAYABLE_PAYMENT_STATUSES = ['pending', 'partially-paid', 'failed'];
+
+/**
+ * @desc    Get payment details for a booking
+ * @route   GET /api/bookings/:id/payments
+ * @access  Private
+ */
+exports.getPayment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const { isOwner, can } = await VenueMembership.getBookingAccess(req.user, booking);
+        if (!isOwner && !can('bookings.view')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view payments for this booking'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookingNumber: booking.bookingNumber,
+                isPaid: booking.isPaid,
+                refundableAmount: booking.getRefundableAmount(),
+                outstandingAmount: booking.getOutstandingAmount(),
+                paymentSchedule: booking.paymentSchedule,
+                payment: booking.payment
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create a payment intent for a booking
+ * @route   POST /api/bookings/:id/payments
+ * @access  Private (Booking owner)
+ */
+exports.createPaymentIntent = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const { isOwner, isAdmin } = await VenueMembership.getBookingAccess(req.user, booking);
+        if (!isOwner && !isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to pay for this booking'
+            });
+        }
+
+        if (UNPAYABLE_STATUSES.includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot pay for a booking that is ${booking.status}`
+            });
+        }
+
+        if (booking.isCheckoutHold() && booking.tentativeExpiryTime <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The hold on this slot has expired, please book again'
+            });
+        }
+
+        if (booking.getOutstandingAmount() === 0 || !PAYABLE_PAYMENT_STATUSES.includes(booking.payment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking has already been paid'
+            });
+        }
+
+        // Without an amount the whole outstanding balance is charged; "deposit" charges what is left of the deposit
+        let amount = req.body.amount;
+        if (amount === 'deposit') {
+            const [deposit] = booking.paymentSchedule || [];
+            if (!deposit || deposit.outstanding === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Booking has no outstanding deposit'
+                });
+            }
+            amount = deposit.outstanding;
+        }
+
+        let intent;
+        try {
+            intent = await payments.createIntent(booking, { provider: req.body.provider, amount });
+        } catch (error) {
+            if (!(error instanceof PaymentError)) {
+                throw error;
+            }
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        await booking.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment intent created',
+            data: intent
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Capture the open payment intent of a booking
+ * @route   POST /api/bookings/:id/payments/capture
+ * @access  Private (Booking owner)
+ */
+exports.capturePayment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const { isOwner, isAdmin } = await VenueMembership.getBookingAccess(req.user, booking);
+        if (!isOwner && !isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to pay for this booking'
+            });
+        }
+
+        if (booking.payment.status === 'failed' || !PAYABLE_PAYMENT_STATUSES.includes(booking.payment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Payment is ${booking.payment.status}, create a new payment intent to retry`
+            });
+        }
+
+        if (booking.isCheckoutHold() && booking.tentativeExpiryTime <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The hold on this slot has expired, please book again'
+            });
+        }
+
+        const { paymentMethod, method } = req.body;
+
+        try {
+            await payments.capture(booking, { paymentMethod, method });
+        } catch (error) {
+            if (!(error instanceof PaymentError)) {
+                throw error;
+            }
+
+            // Persist the failed attempt before reporting it
+            await booking.save();
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment captured successfully',
+            data: booking.payment
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Pay for a booking, fully or partly, from the wallet balance
+ * @route   POST /api/bookings/:id/payments/wallet
+ * @access  Private (Booking owner)
+ */
+exports.payFromWallet = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        // Only the booking user's own wallet can pay
+        const { isOwner } = await VenueMembership.getBookingAccess(req.user, booking);
+        if (!isOwner) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to pay for this booking'
+            });
+        }
+
+        if (UNPAYABLE_STATUSES.includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot pay for a booking that is ${booking.status}`
+            });
+        }
+
+        if (booking.isCheckoutHold() && booking.tentativeExpiryTime <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The hold on this slot has expired, please book again'
+            });
+        }
+
+        if (booking.getOutstandingAmount() === 0 || !PAYABLE_PAYMENT_STATUSES.includes(booking.payment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking has already been paid'
+            });
+        }
+
+        let entry;
+        try {
+            entry = await payments.payFromWallet(booking, req.body.amount);
+        } catch (error) {
+            if (!(error instanceof PaymentError)) {
+                throw error;
+            }
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Wallet payment recorded successfully',
+            data: {
+                payment: booking.payment,
+                outstandingAmount: booking.getOutstandingAmount(),
+                walletBalance: entry.balanceAfter
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Refund a booking payment
+ * @route   POST /api/bookings/:id/payments/refund
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.refundPayment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const refundable = booking.getRefundableAmount();
+        if (refundable === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking has no refundable payment'
+            });
+        }
+
+        const amount = req.body.amount !== undefined ? Number(req.body.amount) : refundable;
+        if (amount > refundable) {
+            return res.status(400).json({
+                success: false,
+                message: `Refund cannot exceed ${refundable}`
+            });
+        }
+
+        let refund;
+        try {
+            refund = await payments.refund(booking, amount, req.body.reason);
+        } catch (error) {
+            if (!(error instanceof PaymentError)) {
+                throw error;
+            }
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment refunded successfully',
+            data: {
+                refund,
+                payment: booking.payment
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Receive payment provider webhooks
+ * @route   POST /api/bookings/payments/webhook/:provider
+ * @access  Public (signature verified)
+ */
+exports.handleWebhook = async (req, res, next) => {
+    try {
+        const { event, booking } = await payments.handleWebhook(
+            req.params.provider,
+            req.rawBody,
+            req.headers
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                eventId: event.id,
+                type: event.type,
+                bookingNumber: booking ? booking.bookingNumber : null
+            }
+        });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next(error);
+    }
+};
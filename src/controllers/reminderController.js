@@ -0,0 +1,237 @@
+const Booking = require('../models/Booking');
+const Reminder = require('../models/Reminder');
+const Venue = require('../models/Venue');
+const VenueMembership = require('../models/VenueMembership');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    List a venue's booking reminders by send time
+ * @route   GET /api/reminders/venue/:venueId
+ * @access  Private (Venue owner/manager/Admin)
+ */
+exports.getVenueReminders = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const venue = await Venue.findById(req.params.venueId);
+
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const { status, from, to, page = 1, limit = 20 } = req.query;
+
+        const query = { venue: venue._id };
+        if (status) {
+            query.status = status;
+        }
+        if (from || to) {
+            query.sendAt = {};
+            if (from) {
+                query.sendAt.$gte = new Date(from);
+            }
+            if (to) {
+                query.sendAt.$lte = new Date(to);
+            }
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [reminders, total] = await Promise.all([
+            Reminder.find(query)
+                .populate('booking', 'bookingNumber court startTime endTime status')
+                .populate('user', 'firstName lastName email')
+                .sort('sendAt')
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Reminder.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: reminders.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            settings: getReminderSettings(venue),
+            data: reminders
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a venue's reminder settings and reschedule the reminders of its upcoming bookings
+ * @route   PUT /api/reminders/venue/:venueId/settings
+ * @access  Private (Venue owner/manager/Admin)
+ */
+exports.updateVenueReminderSettings = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const venue = await Venue.findById(req.params.venueId);
+
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const { enabled, offsetsMinutes } = req.body;
+
+        if (enabled !== undefined) {
+            venue.settings.reminders.enabled = enabled;
+        }
+        if (offsetsMinutes !== undefined) {
+            // An empty list goes back to the default reminders
+            venue.settings.reminders.offsetsMinutes = offsetsMinutes.length > 0 ? offsetsMinutes : undefined;
+        }
+
+        await venue.save();
+
+        const rescheduled = await Reminder.syncUpcoming({ venue: venue._id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Reminder settings updated successfully',
+            data: {
+                settings: getReminderSettings(venue),
+                rescheduledBookings: rescheduled
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the reminders of a booking
+ * @route   GET /api/reminders/booking/:bookingId
+ * @access  Private (Booking owner/Venue staff/Admin)
+ */
+exports.getBookingReminders = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.bookingId).populate('court venue');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const { isOwner, can } = await VenueMembership.getBookingAccess(req.user, booking);
+        if (!isOwner && !can('bookings.view')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view reminders for this booking'
+            });
+        }
+
+        const reminders = await Reminder.find({ booking: booking._id }).sort('sendAt');
+
+        res.status(200).json({
+            success: true,
+            count: reminders.length,
+            data: reminders
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Cancel a scheduled reminder
+ * @route   PATCH /api/reminders/:id/cancel
+ * @access  Private (Booking owner/Venue staff/Admin)
+ */
+exports.cancelReminder = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const reminder = await Reminder.findById(req.params.id);
+
+        if (!reminder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reminder not found'
+            });
+        }
+
+        const booking = await Booking.findById(reminder.booking).populate('court venue');
+        const access = booking && await VenueMembership.getBookingAccess(req.user, booking);
+
+        if (!access || (!access.isOwner && !access.can('bookings.manage'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this reminder'
+            });
+        }
+
+        if (reminder.status !== 'scheduled') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a reminder that is ${reminder.status}`
+            });
+        }
+
+        await reminder.cancel('manual');
+
+        res.status(200).json({
+            success: true,
+            message: 'Reminder cancelled successfully',
+            data: reminder
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to get a venue's reminder settings with the defaults filled in
+ */
+function getReminderSettings(venue) {
+    const { reminders } = venue.settings;
+    const offsetsMinutes = reminders.offsetsMinutes && reminders.offsetsMinutes.length > 0
+        ? reminders.offsetsMinutes
+        : Reminder.DEFAULT_REMINDER_OFFSETS;
+
+    return {
+        enabled: reminders.enabled,
+        offsetsMinutes: [...offsetsMinutes].sort((a, b) => b - a)
+    };
+}
+
@@ -0,0 +1,527 @@
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const { validationResult } = require('express-validator');
+
+// Sort options for review listings
+const SORT_OPTIONS = {
+    newest: '-createdAt',
+    oldest: 'createdAt',
+    highest: '-rating -createdAt',
+    lowest: 'rating -createdAt'
+};
+
+/**
+ * @desc    Review a completed booking
+ * @route   POST /api/reviews
+ * @access  Private
+ */
+exports.createReview = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { booking: bookingId, rating, title, comment } = req.body;
+
+        const booking = await Booking.findById(bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only review your own bookings'
+            });
+        }
+
+        // Only played bookings can be reviewed, which keeps every review verified
+        if (booking.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only completed bookings can be reviewed'
+            });
+        }
+
+        if (booking.isReviewed || await Review.exists({ booking: booking._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking has already been reviewed'
+            });
+        }
+
+        const review = await Review.create({
+            booking: booking._id,
+            user: req.user._id,
+            court: booking.court,
+            venue: booking.venue,
+            rating,
+            title,
+            comment
+        });
+
+        booking.review = review._id;
+        booking.rating = rating;
+        booking.isReviewed = true;
+        await booking.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Review submitted successfully',
+            data: review
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get reviews with filtering
+ * @route   GET /api/reviews
+ * @access  Public
+ */
+exports.getReviews = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const {
+            court,
+            venue,
+            user,
+            rating,
+            status,
+            sort = 'newest',
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const query = {};
+
+        if (court) query.court = court;
+        if (venue) query.venue = venue;
+        if (user) query.user = user;
+        if (rating) query.rating = parseInt(rating);
+
+        // Hidden and flagged queues are for moderators only
+        if (req.user && req.user.role === 'admin' && status) {
+            query.status = status;
+        } else {
+            query.status = { $in: Review.VISIBLE_STATUSES };
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const reviews = await Review.find(query)
+            .populate('user', 'firstName lastName avatar')
+            .populate('court', 'name sportType')
+            .populate('venue', 'name')
+            .sort(SORT_OPTIONS[sort])
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Review.countDocuments(query);
+
+        const response = {
+            success: true,
+            count: reviews.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: reviews
+        };
+
+        if (court || venue) {
+            response.ratingBreakdown = await Review.getRatingBreakdown({ court, venue });
+        }
+
+        res.status(200).json(response);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single review
+ * @route   GET /api/reviews/:id
+ * @access  Public
+ */
+exports.getReview = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id)
+            .populate('user', 'firstName lastName avatar')
+            .populate('court', 'name sportType')
+            .populate('venue', 'name')
+            .populate('reply.repliedBy', 'firstName lastName');
+
+        const isAdmin = req.user && req.user.role === 'admin';
+        const isAuthor = req.user && review && review.user._id.toString() === req.user._id.toString();
+
+        if (!review || (!Review.VISIBLE_STATUSES.includes(review.status) && !isAdmin && !isAuthor)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: review
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update own review
+ * @route   PUT /api/reviews/:id
+ * @access  Private (Author)
+ */
+exports.updateReview = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        if (review.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this review'
+            });
+        }
+
+        if (review.status === 'hidden') {
+            return res.status(400).json({
+                success: false,
+                message: 'Hidden reviews cannot be edited'
+            });
+        }
+
+        ['rating', 'title', 'comment'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                review[field] = req.body[field];
+            }
+        });
+        review.editedAt = new Date();
+        await review.save();
+
+        if (req.body.rating !== undefined) {
+            await Booking.updateOne({ _id: review.booking }, { rating: review.rating });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Review updated successfully',
+            data: review
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete review
+ * @route   DELETE /api/reviews/:id
+ * @access  Private (Author/Admin)
+ */
+exports.deleteReview = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this review'
+            });
+        }
+
+        await review.deleteOne();
+
+        // The booking can be reviewed again
+        await Booking.updateOne(
+            { _id: review.booking },
+            { $unset: { review: 1, rating: 1 }, isReviewed: false }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Review deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reply to a review of your venue or court
+ * @route   POST /api/reviews/:id/reply
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.replyToReview = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id).populate('court venue');
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        review.reply = {
+            text: req.body.text,
+            repliedBy: req.user._id,
+            repliedAt: new Date()
+        };
+        await review.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Reply posted successfully',
+            data: review
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove the reply to a review
+ * @route   DELETE /api/reviews/:id/reply
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.deleteReply = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id).populate('court venue');
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        review.reply = undefined;
+        await review.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Reply removed successfully',
+            data: review
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Report a review for moderation
+ * @route   POST /api/reviews/:id/report
+ * @access  Private
+ */
+exports.reportReview = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id);
+
+        if (!review || !Review.VISIBLE_STATUSES.includes(review.status)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        if (review.user.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot report your own review'
+            });
+        }
+
+        const added = review.addReport({
+            userId: req.user._id,
+            reason: req.body.reason,
+            details: req.body.details
+        });
+
+        if (!added) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already reported this review'
+            });
+        }
+
+        await review.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Review reported, thank you'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get reviews waiting for moderation
+ * @route   GET /api/reviews/moderation
+ * @access  Private (Admin)
+ */
+exports.getModerationQueue = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { status = 'flagged', page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const reviews = await Review.find({ status })
+            .populate('user', 'firstName lastName email')
+            .populate('reports.user', 'firstName lastName email')
+            .sort('-updatedAt')
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Review.countDocuments({ status });
+
+        res.status(200).json({
+            success: true,
+            count: reviews.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            // Moderators need to see the reports
+            data: reviews.map(review => ({ ...review.toJSON(), reports: review.reports }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Publish or hide a review
+ * @route   PATCH /api/reviews/:id/moderate
+ * @access  Private (Admin)
+ */
+exports.moderateReview = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        const { status, note } = req.body;
+
+        review.status = status;
+        review.moderation = {
+            moderatedBy: req.user._id,
+            moderatedAt: new Date(),
+            note
+        };
+        // Reports have been dealt with once a review is approved
+        if (status === 'published') {
+            review.reports = [];
+        }
+        await review.save();
+
+        res.status(200).json({
+            success: true,
+            message: `Review ${status === 'hidden' ? 'hidden' : 'published'} successfully`,
+            data: review
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,313 @@
+const Service = require('../models/Service');
+const Court = require('../models/Court');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Add a service to a venue's catalog
+ * @route   POST /api/services
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.createService = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const referenceError = await checkReferences(req.body, req.body.venue);
+        if (referenceError) {
+            return res.status(400).json({
+                success: false,
+                message: referenceError
+            });
+        }
+
+        const { reservations, reservationVersion, ...serviceData } = req.body;
+
+        const service = await Service.create(serviceData);
+
+        res.status(201).json({
+            success: true,
+            message: 'Service added successfully',
+            data: service
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a venue's services, with availability when a time slot is given
+ * @route   GET /api/services
+ * @access  Public
+ */
+exports.getServices = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { venue, court, category, sportType, startTime, endTime, includeInactive } = req.query;
+
+        const query = { venue };
+
+        if (category) query.category = category;
+
+        // Services without sport types or courts are offered for any
+        const conditions = [];
+        if (sportType) {
+            conditions.push({ $or: [{ sportTypes: sportType }, { sportTypes: { $size: 0 } }] });
+        }
+        if (court) {
+            conditions.push({ $or: [{ courts: court }, { courts: { $size: 0 } }] });
+        }
+        if (conditions.length > 0) {
+            query.$and = conditions;
+        }
+
+        if (includeInactive !== 'true') {
+            query.isActive = true;
+        }
+
+        const services = await Service.find(query)
+            .populate('staff', 'firstName lastName')
+            .sort('category name');
+
+        res.status(200).json({
+            success: true,
+            count: services.length,
+            data: services.map(service => withAvailability(service, startTime, endTime))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single service
+ * @route   GET /api/services/:id
+ * @access  Public
+ */
+exports.getService = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const service = await Service.findById(req.params.id)
+            .populate('venue', 'name')
+            .populate('courts', 'name sportType')
+            .populate('staff', 'firstName lastName');
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: service
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Check whether a service can be booked for a time slot
+ * @route   GET /api/services/:id/availability
+ * @access  Public
+ */
+exports.getServiceAvailability = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { startTime, endTime, quantity = 1 } = req.query;
+
+        const service = await Service.findById(req.params.id);
+
+        if (!service || !service.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        const availableQuantity = service.getAvailableQuantity(startTime, endTime);
+        const durationMinutes = (new Date(endTime) - new Date(startTime)) / (1000 * 60);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                service: service._id,
+                name: service.name,
+                availableQuantity: formatQuantity(availableQuantity),
+                freeStaff: service.isStaffed ? service.getFreeStaff(startTime, endTime).length : undefined,
+                available: availableQuantity >= parseInt(quantity),
+                price: service.calculatePrice(parseInt(quantity), durationMinutes)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update service details, capacity or staff
+ * @route   PUT /api/services/:id
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.updateService = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const service = await Service.findById(req.params.id);
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        const referenceError = await checkReferences(req.body, service.venue);
+        if (referenceError) {
+            return res.status(400).json({
+                success: false,
+                message: referenceError
+            });
+        }
+
+        // Reservations belong to bookings, and services cannot move between venues
+        const { reservations, reservationVersion, venue, ...updates } = req.body;
+
+        service.set(updates);
+        await service.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Service updated successfully',
+            data: service
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete service, or deactivate it while upcoming bookings use it
+ * @route   DELETE /api/services/:id
+ * @access  Private (Owner/Manager/Admin)
+ */
+exports.deleteService = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const service = await Service.findById(req.params.id);
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        const now = new Date();
+        if (service.reservations.some(r => r.endTime > now)) {
+            service.isActive = false;
+            await service.save();
+
+            return res.status(200).json({
+                success: true,
+                message: 'Service is booked by upcoming bookings and was deactivated instead of deleted'
+            });
+        }
+
+        await service.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Service deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to make sure the courts belong to the venue and the staff members exist.
+ * Returns an error message, or null when the references are valid.
+ */
+async function checkReferences({ courts, staff }, venueId) {
+    if (courts && courts.length > 0) {
+        const courtIds = [...new Set(courts.map(String))];
+        const venueCourts = await Court.countDocuments({ _id: { $in: courtIds }, venue: venueId });
+        if (venueCourts !== courtIds.length) {
+            return 'Services can only be offered on courts of their venue';
+        }
+    }
+
+    if (staff && staff.length > 0) {
+        const staffIds = [...new Set(staff.map(String))];
+        const users = await User.countDocuments({ _id: { $in: staffIds } });
+        if (users !== staffIds.length) {
+            return 'One or more staff members do not exist';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Helper function to report unlimited availability as null, since JSON has no Infinity
+ */
+function formatQuantity(quantity) {
+    return Number.isFinite(quantity) ? quantity : null;
+}
+
+/**
+ * Helper function to add the bookable quantity for a time slot to a service
+ */
+function withAvailability(service, startTime, endTime) {
+    const data = service.toJSON();
+
+    if (startTime && endTime) {
+        data.availableQuantity = formatQuantity(service.getAvailableQuantity(startTime, endTime));
+    }
+
+    return data;
+}
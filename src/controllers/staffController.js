@@ -0,0 +1,373 @@
+const Venue = require('../models/Venue');
+const VenueMembership = require('../models/VenueMembership');
+const notifications = require('../services/notifications');
+const { validationResult } = require('express-validator');
+
+// Memberships shown in a venue's staff list unless filtered by status
+const CURRENT_STATUSES = ['invited', 'active'];
+
+/**
+ * @desc    List a venue's owner, staff and open invitations
+ * @route   GET /api/staff/venue/:venueId
+ * @access  Private (Venue owner/Manager/Admin)
+ */
+exports.getVenueStaff = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const venue = await Venue.findById(req.params.venueId).populate('owner', 'firstName lastName email');
+
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        await VenueMembership.syncManagers(venue);
+
+        const { status } = req.query;
+        const members = await VenueMembership.find({
+            venue: venue._id,
+            status: status || { $in: CURRENT_STATUSES }
+        })
+            .populate('user', 'firstName lastName email phone')
+            .populate('invitedBy', 'firstName lastName')
+            .sort('createdAt');
+
+        res.status(200).json({
+            success: true,
+            count: members.length,
+            data: {
+                owner: venue.owner,
+                members
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Invite someone to a venue's staff by email. Inviting someone with an open
+ *          invitation sends them a new one with the given role.
+ * @route   POST /api/staff/venue/:venueId/invitations
+ * @access  Private (Venue owner/Admin)
+ */
+exports.inviteStaff = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { email, role } = req.body;
+
+        const venue = await Venue.findById(req.params.venueId).populate('owner', 'email');
+
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        if (venue.owner.email === email) {
+            return res.status(400).json({
+                success: false,
+                message: 'The venue owner is already on its staff'
+            });
+        }
+
+        let membership = await VenueMembership.findOne({
+            venue: venue._id,
+            email,
+            status: { $in: CURRENT_STATUSES }
+        });
+
+        if (membership && membership.status === 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'This person is already on the venue\'s staff'
+            });
+        }
+
+        if (!membership) {
+            membership = new VenueMembership({ venue: venue._id, email });
+        }
+
+        membership.role = role;
+        membership.invitedBy = req.user._id;
+        const token = membership.createInvitation();
+        await membership.save();
+
+        try {
+            await notifications.notifyStaffInvitation(membership, venue, req.user, token);
+        } catch (error) {
+            console.error('Failed to send staff invitation email:', error);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Staff invitation sent successfully',
+            data: membership
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Change a staff member's role, or the role of an open invitation
+ * @route   PATCH /api/staff/:id
+ * @access  Private (Venue owner/Admin)
+ */
+exports.updateStaffMember = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const membership = await VenueMembership.findOne({
+            _id: req.params.id,
+            status: { $in: CURRENT_STATUSES }
+        });
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff member not found'
+            });
+        }
+
+        await membership.changeRole(req.body.role);
+
+        res.status(200).json({
+            success: true,
+            message: 'Staff member updated successfully',
+            data: membership
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove a staff member from a venue, or withdraw their invitation
+ * @route   DELETE /api/staff/:id
+ * @access  Private (Venue owner/Admin)
+ */
+exports.removeStaffMember = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const membership = await VenueMembership.findOne({
+            _id: req.params.id,
+            status: { $in: CURRENT_STATUSES }
+        });
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff member not found'
+            });
+        }
+
+        await membership.revoke();
+
+        res.status(200).json({
+            success: true,
+            message: membership.user ? 'Staff member removed successfully' : 'Staff invitation withdrawn'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    List the venues the current user is on the staff of, and their open invitations
+ * @route   GET /api/staff/me
+ * @access  Private
+ */
+exports.getMyMemberships = async (req, res, next) => {
+    try {
+        const [memberships, invitations] = await Promise.all([
+            VenueMembership.find({ user: req.user._id, status: 'active' })
+                .populate('venue', 'name address status')
+                .sort('-acceptedAt'),
+            VenueMembership.find({
+                email: req.user.email,
+                status: 'invited',
+                invitationExpires: { $gt: new Date() }
+            })
+                .populate('venue', 'name address')
+                .populate('invitedBy', 'firstName lastName')
+                .sort('-createdAt')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                memberships,
+                invitations
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the venue and role a staff invitation is for
+ * @route   GET /api/staff/invitations/:token
+ * @access  Public (invitation token)
+ */
+exports.getInvitation = async (req, res, next) => {
+    try {
+        const membership = await findInvitation(req.params.token);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await getInvitationSummary(membership)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Accept a staff invitation, joining the venue's staff
+ * @route   POST /api/staff/invitations/:token/accept
+ * @access  Private (invitee, with a verified email address)
+ */
+exports.acceptInvitation = async (req, res, next) => {
+    try {
+        const membership = await findInvitation(req.params.token);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        if (membership.email !== req.user.email) {
+            return res.status(403).json({
+                success: false,
+                message: 'This invitation was sent to another email address'
+            });
+        }
+
+        // Anyone can sign up with the invitee's address, only verifying it proves it is theirs
+        if (!req.user.isEmailVerified) {
+            return res.status(403).json({
+                success: false,
+                message: 'Email verification required',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        await membership.accept(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation accepted',
+            data: await getInvitationSummary(membership)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Decline a staff invitation
+ * @route   POST /api/staff/invitations/:token/decline
+ * @access  Public (invitation token)
+ */
+exports.declineInvitation = async (req, res, next) => {
+    try {
+        const membership = await findInvitation(req.params.token);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        if (req.user && membership.email !== req.user.email) {
+            return res.status(403).json({
+                success: false,
+                message: 'This invitation was sent to another email address'
+            });
+        }
+
+        await membership.decline();
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation declined',
+            data: await getInvitationSummary(membership)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to find an open staff invitation, ignoring malformed tokens
+ */
+async function findInvitation(token) {
+    if (!/^[a-f0-9]{64}$/.test(token)) {
+        return null;
+    }
+    return VenueMembership.findByInvitationToken(token);
+}
+
+/**
+ * Helper function to describe an invitation without exposing the rest of the staff
+ */
+async function getInvitationSummary(membership) {
+    await membership.populate([
+        { path: 'venue', select: 'name address' },
+        { path: 'invitedBy', select: 'firstName lastName' }
+    ]);
+
+    return {
+        venue: membership.venue,
+        invitedBy: membership.invitedBy,
+        email: membership.email,
+        role: membership.role,
+        permissions: membership.permissions,
+        status: membership.status,
+        invitationExpires: membership.invitationExpires
+    };
+}
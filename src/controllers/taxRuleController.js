@@ -0,0 +1,214 @@
+const TaxRule = require('../models/TaxRule');
+const Venue = require('../models/Venue');
+const ChargeRules = require('../utils/charges');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Create a tax rule for a country or region
+ * @route   POST /api/tax-rules
+ * @access  Private (Admin)
+ */
+exports.createTaxRule = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { country, region } = req.body;
+
+        if (await findExisting(country, region)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A tax rule already exists for this country and region'
+            });
+        }
+
+        const { createdBy, ...ruleData } = req.body;
+
+        const rule = await TaxRule.create({
+            ...ruleData,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax rule created successfully',
+            data: rule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get tax rules
+ * @route   GET /api/tax-rules
+ * @access  Private (Admin)
+ */
+exports.getTaxRules = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const query = {};
+        if (req.query.country) {
+            query.country = req.query.country.trim().toLowerCase();
+        }
+        if (req.query.isActive !== undefined) {
+            query.isActive = req.query.isActive === 'true';
+        }
+
+        const rules = await TaxRule.find(query).sort('country region');
+
+        res.status(200).json({
+            success: true,
+            count: rules.length,
+            data: rules
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a tax rule
+ * @route   PUT /api/tax-rules/:id
+ * @access  Private (Admin)
+ */
+exports.updateTaxRule = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const rule = await TaxRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rule not found'
+            });
+        }
+
+        const { createdBy, ...updates } = req.body;
+
+        const country = updates.country !== undefined ? updates.country : rule.country;
+        const region = updates.region !== undefined ? updates.region : rule.region;
+        const existing = await findExisting(country, region);
+        if (existing && existing._id.toString() !== rule._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A tax rule already exists for this country and region'
+            });
+        }
+
+        rule.set(updates);
+        await rule.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Tax rule updated successfully',
+            data: rule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a tax rule. Bookings keep the taxes and fees they were priced with.
+ * @route   DELETE /api/tax-rules/:id
+ * @access  Private (Admin)
+ */
+exports.deleteTaxRule = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const rule = await TaxRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rule not found'
+            });
+        }
+
+        await rule.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Tax rule deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the taxes and fees charged on bookings at a venue, and the tax rule they come from
+ * @route   GET /api/tax-rules/venue/:venueId
+ * @access  Private (Venue owner/manager/Admin)
+ */
+exports.getVenueCharges = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const venue = await Venue.findById(req.params.venueId);
+
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const rule = await TaxRule.findForVenue(venue);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...ChargeRules.resolve(venue, rule),
+                taxRule: rule
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to find the rule for a country and region, where no region means country-wide
+ */
+function findExisting(country, region) {
+    return TaxRule.findOne({
+        country: country.trim().toLowerCase(),
+        region: region ? region.trim().toLowerCase() : null
+    });
+}
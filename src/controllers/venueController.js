@@ -1,5 +1,7 @@
 const Venue = require('../models/Venue');
 const Court = require('../models/Court');
+const VenueMembership = require('../models/VenueMembership');
+const notifications = require('../services/notifications');
 const { validationResult } = require('express-validator');
 
 /**
@@ -237,27 +239,21 @@ exports.updateVenue = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isOwner = venue.owner.toString() === req.user._id.toString();
-        const isManager = venue.managers.some(m => m.toString() === req.user._id.toString());
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isOwner && !isManager && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to update this venue'
-            });
-        }
+        const access = await VenueMembership.getAccess(req.user, venue);
 
         // Prevent changing owner unless admin
-        if (req.body.owner && !isAdmin) {
+        if (req.body.owner && !access.isAdmin) {
             delete req.body.owner;
         }
 
-        // Prevent managers from changing certain fields
-        if (isManager && !isOwner && !isAdmin) {
+        // Prevent staff other than the owner from changing status and verification
+        if (!access.can('venue.manage')) {
             delete req.body.status;
             delete req.body.verification;
+        }
+
+        // Staff are managed through invitations, see /api/staff
+        if (!access.isAdmin) {
             delete req.body.managers;
         }
 
@@ -296,17 +292,6 @@ exports.deleteVenue = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isOwner = venue.owner.toString() === req.user._id.toString();
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isOwner && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to delete this venue'
-            });
-        }
-
         // Check if venue has courts
         const courtsCount = await Court.countDocuments({ venue: venue._id });
 
@@ -385,19 +370,6 @@ exports.addMedia = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isAuthorized =
-            venue.owner.toString() === req.user._id.toString() ||
-            (venue.managers && venue.managers.some(m => m.toString() === req.user._id.toString())) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to add media to this venue'
-            });
-        }
-
         // Support both single media object and array of media
         const mediaArray = Array.isArray(req.body) ? req.body : [req.body];
         
@@ -485,19 +457,6 @@ exports.deleteMedia = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isAuthorized =
-            venue.owner.toString() === req.user._id.toString() ||
-            (venue.managers && venue.managers.some(m => m.toString() === req.user._id.toString())) ||
-            req.user.role === 'admin';
-
-        if (!isAuthorized) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to delete media from this venue'
-            });
-        }
-
         if (!venue.media || !Array.isArray(venue.media)) {
             return res.status(404).json({
                 success: false,
@@ -571,20 +530,18 @@ exports.updateStatus = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isOwner = venue.owner.toString() === req.user._id.toString();
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isOwner && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to update venue status'
-            });
-        }
-
+        const statusChanged = venue.status !== status;
         venue.status = status;
         await venue.save();
 
+        if (statusChanged) {
+            try {
+                await notifications.notifyVenueStatusChanged(venue, { actor: req.user._id });
+            } catch (error) {
+                console.error('Failed to send venue status notification:', error);
+            }
+        }
+
         res.status(200).json({
             success: true,
             message: 'Venue status updated successfully',
@@ -629,6 +586,12 @@ exports.verifyVenue = async (req, res, next) => {
 
         await venue.save();
 
+        try {
+            await notifications.notifyVenueVerified(venue, { actor: req.user._id });
+        } catch (error) {
+            console.error('Failed to send venue verification notification:', error);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Venue verified successfully',
@@ -664,14 +627,6 @@ exports.addVerificationDocument = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        if (venue.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to add verification documents to this venue'
-            });
-        }
-
         venue.verification.documents.push({
             type,
             url,
@@ -806,17 +761,6 @@ exports.updateVenueStats = async (req, res, next) => {
             });
         }
 
-        // Check authorization
-        const isOwner = venue.owner.toString() === req.user._id.toString();
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isOwner && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to update venue statistics'
-            });
-        }
-
         await venue.updateStats();
 
         res.status(200).json({
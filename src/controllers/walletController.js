@@ -0,0 +1,200 @@
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const payments = require('../services/payments');
+const { PaymentError } = require('../services/payments');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Get wallet balance and latest transactions
+ * @route   GET /api/auth/profile/wallet
+ * @access  Private (admins may pass ?user=)
+ */
+exports.getWallet = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const userId = getWalletUserId(req);
+
+        const transactions = await WalletTransaction.find({ user: userId })
+            .sort('-sequence')
+            .limit(10);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                balance: transactions.length > 0 ? transactions[0].balanceAfter : 0,
+                currency: WalletTransaction.CURRENCY,
+                recentTransactions: transactions
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get wallet transaction history
+ * @route   GET /api/auth/profile/wallet/transactions
+ * @access  Private (admins may pass ?user=)
+ */
+exports.getTransactions = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { type, page = 1, limit = 20 } = req.query;
+
+        const query = { user: getWalletUserId(req) };
+        if (type) {
+            query.type = type;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const transactions = await WalletTransaction.find(query)
+            .populate('booking', 'bookingNumber')
+            .sort('-sequence')
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await WalletTransaction.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: transactions.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            data: transactions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add funds to the wallet with a card payment
+ * @route   POST /api/auth/profile/wallet/top-up
+ * @access  Private
+ */
+exports.topUp = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { amount, provider, paymentMethod } = req.body;
+
+        let charge;
+        try {
+            charge = await payments.charge({
+                amount,
+                currency: WalletTransaction.CURRENCY,
+                provider,
+                paymentMethod,
+                metadata: {
+                    userId: req.user._id.toString(),
+                    type: 'wallet-top-up'
+                }
+            });
+        } catch (error) {
+            if (!(error instanceof PaymentError)) {
+                throw error;
+            }
+
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        const entry = await WalletTransaction.append(req.user._id, {
+            type: 'top-up',
+            amount: charge.amount,
+            description: 'Wallet top-up',
+            provider: charge.provider,
+            transactionId: charge.transactionId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Wallet topped up successfully',
+            data: entry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Credit or debit a user's wallet by hand
+ * @route   POST /api/auth/profile/wallet/adjustments
+ * @access  Private (Admin)
+ */
+exports.adjustBalance = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { user: userId, amount, reason } = req.body;
+
+        if (!await User.exists({ _id: userId })) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const entry = await WalletTransaction.append(userId, {
+            type: 'adjustment',
+            amount,
+            description: reason,
+            createdBy: req.user._id
+        });
+
+        if (!entry) {
+            return res.status(400).json({
+                success: false,
+                message: 'Adjustment would take the wallet balance below zero'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Wallet balance adjusted successfully',
+            data: entry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
+
+/**
+ * Helper function to get whose wallet a request is about. Admins may look at any user's wallet.
+ */
+function getWalletUserId(req) {
+    return req.user.role === 'admin' && req.query.user ? req.query.user : req.user._id;
+}
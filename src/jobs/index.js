@@ -0,0 +1,43 @@
+const scheduler = require('./scheduler');
+const Booking = require('../models/Booking');
+const Equipment = require('../models/Equipment');
+const Service = require('../models/Service');
+const waitlist = require('../services/waitlist');
+const memberships = require('../services/memberships');
+const reminders = require('../services/reminders');
+const notifications = require('../services/notifications');
+
+// Transition tentative, confirmed and in-progress bookings based on the clock
+scheduler.register('booking-status-update', () => Booking.updateBookingStatuses(), {
+    intervalMs: parseInt(process.env.BOOKING_STATUS_JOB_INTERVAL_MS) || 5 * 60 * 1000,
+});
+
+// Expire stale waitlist entries and offer freed court time to the next users in line
+scheduler.register('waitlist-offers', () => waitlist.processWaitlists(), {
+    intervalMs: parseInt(process.env.WAITLIST_JOB_INTERVAL_MS) || 5 * 60 * 1000,
+});
+
+// Drop equipment and service reservations of time slots that are over
+scheduler.register('reservation-cleanup', () => Promise.all([
+    Equipment.pruneReservations(),
+    Service.pruneReservations(),
+]), {
+    intervalMs: parseInt(process.env.RESERVATION_CLEANUP_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+});
+
+// Charge auto-renewing memberships that are about to run out and expire the rest
+scheduler.register('membership-renewals', () => memberships.processRenewals(), {
+    intervalMs: parseInt(process.env.MEMBERSHIP_RENEWAL_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+});
+
+// Send reminders of upcoming bookings that have fallen due
+scheduler.register('booking-reminders', () => reminders.processDueReminders(), {
+    intervalMs: parseInt(process.env.REMINDER_JOB_INTERVAL_MS) || 5 * 60 * 1000,
+});
+
+// Try failed notification deliveries again once their retry is due
+scheduler.register('notification-retries', () => notifications.processRetries(), {
+    intervalMs: parseInt(process.env.NOTIFICATION_RETRY_JOB_INTERVAL_MS) || 5 * 60 * 1000,
+});
+
+module.exports = scheduler;
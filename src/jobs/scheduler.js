@@ -0,0 +1,85 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.timers = new Map();
+        this.runnerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    }
+
+    register(name, handler, options = {}) {
+        this.jobs.set(name, {
+            name,
+            handler,
+            intervalMs: options.intervalMs || 5 * 60 * 1000, // 5 minutes
+            lockTtlMs: options.lockTtlMs || 10 * 60 * 1000, // 10 minutes
+        });
+        return this;
+    }
+
+    has(name) {
+        return this.jobs.has(name);
+    }
+
+    // Run a job once. Returns the recorded JobRun, or null if another runner holds the lock.
+    async run(name, trigger = 'manual') {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        const lock = await JobLock.acquire(name, this.runnerId, job.lockTtlMs);
+        if (!lock) {
+            return null;
+        }
+
+        const run = await JobRun.create({
+            job: name,
+            trigger,
+            runner: this.runnerId
+        });
+
+        try {
+            run.results = await job.handler();
+            run.status = 'completed';
+        } catch (error) {
+            console.error(`Job ${name} failed:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+        } finally {
+            run.finishedAt = new Date();
+            run.durationMs = run.finishedAt - run.startedAt;
+            await run.save();
+            await JobLock.release(name, this.runnerId);
+        }
+
+        return run;
+    }
+
+    start() {
+        this.jobs.forEach((job) => {
+            if (this.timers.has(job.name)) return;
+
+            const tick = () => this.run(job.name, 'interval').catch((error) => {
+                console.error(`Job ${job.name} could not run:`, error.message);
+            });
+
+            const timer = setInterval(tick, job.intervalMs);
+            // Don't keep the process alive just for scheduled jobs
+            timer.unref();
+            this.timers.set(job.name, timer);
+
+            tick();
+        });
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers.clear();
+    }
+}
+
+module.exports = new JobScheduler();
@@ -1,6 +1,29 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const User = require('../models/User.js');
+const Venue = require('../models/Venue.js');
+const Court = require('../models/Court.js');
+const Booking = require('../models/Booking.js');
+const Review = require('../models/Review.js');
+const Equipment = require('../models/Equipment.js');
+const Service = require('../models/Service.js');
+const MembershipPlan = require('../models/MembershipPlan.js');
+const VenueMembership = require('../models/VenueMembership.js');
 const JWTUtils = require('../utils/jwt.js');
 
+// Resources a route can be authorized by, each of which belongs to a venue
+const VENUE_RESOURCES = {
+  venue: { model: Venue, name: 'Venue' },
+  court: { model: Court, name: 'Court' },
+  booking: { model: Booking, name: 'Booking', atCourt: true },
+  review: { model: Review, name: 'Review', atCourt: true },
+  membership: { model: VenueMembership, name: 'Staff member' },
+  equipment: { model: Equipment, name: 'Equipment' },
+  service: { model: Service, name: 'Service' },
+  plan: { model: MembershipPlan, name: 'Membership plan' }
+};
+
 const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
@@ -53,6 +76,68 @@ const authorize = (...roles) => {
   };
 };
 
+// Venue authorization - checks the user's role at the venue the request is about, rather than their
+// global role. The venue is found from the venue, court, booking, review, staff membership, equipment,
+// service or membership plan whose ID is in req[location][param]. Goes after the route's validation, whose errors it reports like the controllers.
+// Sets req.venueAccess to the user's access and the resources loaded. Routes that players share
+// with venue staff check VenueMembership.getAccess in the controller instead.
+const authorizeVenue = (permission, { from = 'venue', param = 'id', location = 'params' } = {}) => {
+  const { model, name, atCourt } = VENUE_RESOURCES[from];
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const id = req[location] && req[location][param];
+      const resource = mongoose.isValidObjectId(id) ? await model.findById(id) : null;
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${name} not found`
+        });
+      }
+
+      const venue = from === 'venue' ? resource : await Venue.findById(resource.venue);
+      const court = from === 'court' ? resource : (atCourt ? await Court.findById(resource.court) : null);
+
+      if (!venue) {
+        return res.status(404).json({
+          success: false,
+          message: 'Venue not found'
+        });
+      }
+
+      const access = await VenueMembership.getAccess(req.user, venue, court);
+
+      if (!access.can(permission)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized for this venue'
+        });
+      }
+
+      req.venueAccess = { ...access, venue, court, [from]: resource };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 const requireEmailVerification = (req, res, next) => {
   if (!req.user.isEmailVerified) {
     return res.status(403).json({
@@ -89,9 +174,36 @@ const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+// Scheduled job authentication - Vercel cron sends "Authorization: Bearer <CRON_SECRET>"
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const authHeader = req.header('Authorization') || '';
+
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: 'Cron endpoint is not configured'
+    });
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(authHeader);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticate,
   authorize,
+  authorizeVenue,
   requireEmailVerification,
-  optionalAuthenticate
+  optionalAuthenticate,
+  authenticateCron
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const RecurrenceRule = require('../utils/recurrence');
 
 // Create Booking Validation
 exports.createBookingValidation = [
@@ -81,6 +82,35 @@ exports.createBookingValidation = [
         .optional()
         .isLength({ max: 500 }).withMessage('Special requests cannot exceed 500 characters'),
 
+    body('couponCode')
+        .optional()
+        .isString().withMessage('Coupon code must be a string')
+        .trim()
+        .isLength({ min: 3, max: 30 }).withMessage('Coupon code must be between 3 and 30 characters'),
+
+    body('equipment')
+        .optional()
+        .isArray({ max: 20 }).withMessage('Equipment must be an array of at most 20 items'),
+
+    body('equipment.*.equipment')
+        .isMongoId().withMessage('Invalid equipment ID'),
+
+    body('equipment.*.quantity')
+        .isInt({ min: 1, max: 50 }).withMessage('Equipment quantity must be between 1 and 50')
+        .toInt(),
+
+    body('services')
+        .optional()
+        .isArray({ max: 10 }).withMessage('Services must be an array of at most 10 items'),
+
+    body('services.*.service')
+        .isMongoId().withMessage('Invalid service ID'),
+
+    body('services.*.quantity')
+        .optional()
+        .isInt({ min: 1, max: 10 }).withMessage('Service quantity must be between 1 and 10')
+        .toInt(),
+
     body('contactInfo.name')
         .optional()
         .isString(),
@@ -95,6 +125,37 @@ exports.createBookingValidation = [
         .isString(),
 ];
 
+// Join Waitlist Validation
+exports.joinWaitlistValidation = [
+    body('court')
+        .notEmpty().withMessage('Court is required')
+        .isMongoId().withMessage('Invalid court ID'),
+
+    body('startTime')
+        .notEmpty().withMessage('Start time is required')
+        .isISO8601().withMessage('Valid start time is required')
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error('Start time must be in the future');
+            }
+            return true;
+        }),
+
+    body('endTime')
+        .notEmpty().withMessage('End time is required')
+        .isISO8601().withMessage('Valid end time is required')
+        .custom((value, { req }) => {
+            if (new Date(value) <= new Date(req.body.startTime)) {
+                throw new Error('End time must be after start time');
+            }
+            return true;
+        }),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+];
+
 // Update Booking Validation
 exports.updateBookingValidation = [
     body('startTime')
@@ -145,6 +206,11 @@ exports.cancelBookingValidation = [
     body('reason')
         .notEmpty().withMessage('Cancellation reason is required')
         .isLength({ min: 10, max: 500 }).withMessage('Reason must be between 10 and 500 characters'),
+
+    body('refundToWallet')
+        .optional()
+        .isBoolean().withMessage('refundToWallet must be true or false')
+        .toBoolean(),
 ];
 
 // Check Availability Validation
@@ -197,8 +263,11 @@ exports.addParticipantValidation = [
         .optional()
         .isString(),
 
+    // Invitees are named by user ID or by email
     body('email')
-        .optional()
+        .if(body('user').not().exists())
+        .notEmpty().withMessage('Either a user or an email is required')
+        .bail()
         .isEmail().withMessage('Valid email is required')
         .normalizeEmail(),
 
@@ -215,6 +284,44 @@ exports.addParticipantValidation = [
         .isFloat({ min: 0 }).withMessage('Payment share must be a positive number'),
 ];
 
+// Remove Participant Validation
+exports.removeParticipantValidation = [
+    param('participantId')
+        .isMongoId().withMessage('Invalid participant ID'),
+];
+
+// Update Payment Shares Validation
+exports.updateSharesValidation = [
+    body('mode')
+        .notEmpty().withMessage('Split mode is required')
+        .isIn(['equal', 'custom']).withMessage('Split mode must be equal or custom'),
+
+    body('shares')
+        .if(body('mode').equals('custom'))
+        .isArray({ min: 1 }).withMessage('Shares are required for a custom split'),
+
+    body('shares.*.participantId')
+        .isMongoId().withMessage('Invalid participant ID'),
+
+    body('shares.*.amount')
+        .isFloat({ min: 0 }).withMessage('Share amount must be a positive number'),
+];
+
+// Pay Share Validation
+exports.payShareValidation = [
+    body('provider')
+        .optional()
+        .isString().withMessage('Provider must be a string'),
+
+    body('paymentMethod')
+        .optional()
+        .isString().withMessage('Payment method token must be a string'),
+
+    body('method')
+        .optional()
+        .isIn(['card', 'online', 'wallet', 'bank-transfer']).withMessage('Invalid payment method'),
+];
+
 // Query Parameters Validation
 exports.getBookingsQueryValidation = [
     query('page')
@@ -234,7 +341,8 @@ exports.getBookingsQueryValidation = [
             'completed',
             'cancelled',
             'no-show',
-            'expired'
+            'expired',
+            'waitlisted'
         ]).withMessage('Invalid status'),
 
     query('court')
@@ -266,6 +374,182 @@ exports.getBookingsQueryValidation = [
         .isISO8601().withMessage('Valid end date is required'),
 ];
 
+// Create Payment Intent Validation
+exports.createPaymentIntentValidation = [
+    body('provider')
+        .optional()
+        .isString().withMessage('Provider must be a string'),
+
+    body('amount')
+        .optional()
+        .custom((value) => {
+            if (value !== 'deposit' && !(Number(value) > 0)) {
+                throw new Error('Amount must be greater than 0 or "deposit"');
+            }
+            return true;
+        })
+        .customSanitizer((value) => value === 'deposit' ? value : Number(value)),
+];
+
+// Capture Payment Validation
+exports.capturePaymentValidation = [
+    body('paymentMethod')
+        .optional()
+        .isString().withMessage('Payment method token must be a string'),
+
+    body('method')
+        .optional()
+        .isIn(['card', 'online', 'wallet', 'bank-transfer']).withMessage('Invalid payment method'),
+];
+
+// Refund Payment Validation
+exports.refundPaymentValidation = [
+    body('amount')
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('Refund amount must be greater than 0'),
+
+    body('reason')
+        .notEmpty().withMessage('Refund reason is required')
+        .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+];
+
+// Wallet Payment Validation
+exports.walletPaymentValidation = [
+    body('amount')
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+        .toFloat(),
+];
+
+// Booking Series Validation, for previewing and booking a series
+exports.bookingSeriesValidation = [
+    body('court')
+        .notEmpty().withMessage('Court is required')
+        .isMongoId().withMessage('Invalid court ID'),
+
+    body('startTime')
+        .notEmpty().withMessage('Start time is required')
+        .isISO8601().withMessage('Valid start time is required')
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error('Start time must be in the future');
+            }
+            return true;
+        }),
+
+    body('endTime')
+        .notEmpty().withMessage('End time is required')
+        .isISO8601().withMessage('Valid end time is required')
+        .custom((value, { req }) => {
+            if (new Date(value) <= new Date(req.body.startTime)) {
+                throw new Error('End time must be after start time');
+            }
+            return true;
+        }),
+
+    body('rule')
+        .notEmpty().withMessage('Recurrence rule is required')
+        .isString().withMessage('Recurrence rule must be a string')
+        .custom((value) => {
+            RecurrenceRule.parse(value);
+            return true;
+        }),
+
+    body('skipConflicts')
+        .optional()
+        .isBoolean().withMessage('skipConflicts must be true or false')
+        .toBoolean(),
+
+    body('groupSize')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Group size must be at least 1')
+        .toInt(),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+
+    body('specialRequests')
+        .optional()
+        .isLength({ max: 500 }).withMessage('Special requests cannot exceed 500 characters'),
+];
+
+// Booking Series ID Validation
+exports.seriesIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid series ID'),
+];
+
+// Which occurrences of a series a change applies to
+const seriesScopeValidation = [
+    ...exports.seriesIdValidation,
+
+    body('scope')
+        .notEmpty().withMessage('Scope is required')
+        .isIn(['occurrence', 'following', 'all']).withMessage('Scope must be occurrence, following or all'),
+
+    body('occurrence')
+        .if(body('scope').isIn(['occurrence', 'following']))
+        .notEmpty().withMessage('Occurrence is required for this scope')
+        .bail()
+        .isMongoId().withMessage('Invalid occurrence ID'),
+
+    body('occurrence')
+        .if(body('scope').equals('all'))
+        .optional()
+        .isMongoId().withMessage('Invalid occurrence ID'),
+];
+
+// Cancel Booking Series Validation
+exports.cancelSeriesValidation = [
+    ...seriesScopeValidation,
+    ...exports.cancelBookingValidation,
+];
+
+// Reschedule Booking Series Validation
+exports.rescheduleSeriesValidation = [
+    ...seriesScopeValidation,
+
+    body('startTime')
+        .notEmpty().withMessage('Start time is required')
+        .isISO8601().withMessage('Valid start time is required')
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error('Start time must be in the future');
+            }
+            return true;
+        }),
+
+    body('endTime')
+        .optional()
+        .isISO8601().withMessage('Valid end time is required')
+        .custom((value, { req }) => {
+            if (new Date(value) <= new Date(req.body.startTime)) {
+                throw new Error('End time must be after start time');
+            }
+            return true;
+        }),
+
+    body('modificationReason')
+        .optional()
+        .isString(),
+];
+
+// Booking Series Query Validation
+exports.getSeriesQueryValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+    query('status')
+        .optional()
+        .isIn(['active', 'cancelled']).withMessage('Invalid status'),
+];
+
 // MongoDB ID Validation
 exports.mongoIdValidation = [
     param('id')
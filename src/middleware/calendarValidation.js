@@ -0,0 +1,24 @@
+const { param } = require('express-validator');
+
+// Calendar Feed Token Validation
+const feedTokenValidation = param('token')
+    .matches(/^[a-f0-9]{64}$/).withMessage('Invalid calendar feed token');
+
+// Court Calendar Feed Validation
+exports.courtFeedValidation = [
+    param('courtId')
+        .isMongoId().withMessage('Invalid court ID'),
+];
+
+// User Calendar Feed Validation
+exports.getUserFeedValidation = [
+    feedTokenValidation,
+];
+
+// Court Calendar Feed Download Validation
+exports.getCourtFeedValidation = [
+    ...exports.courtFeedValidation,
+    feedTokenValidation,
+];
+
+module.exports = exports;
@@ -0,0 +1,154 @@
+const { body, param, query } = require('express-validator');
+
+const SPORT_TYPES = ['tennis', 'badminton', 'squash', 'basketball', 'volleyball', 'pickleball', 'table-tennis', 'futsal', 'other'];
+
+// Fields shared by create and update; create additionally requires the core ones
+const couponFieldRules = [
+    body('description')
+        .optional()
+        .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+    body('discountValue')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Discount value must be a positive number')
+        .custom((value, { req }) => {
+            if (req.body.discountType === 'percentage' && Number(value) > 100) {
+                throw new Error('Percentage discount cannot exceed 100');
+            }
+            return true;
+        }),
+
+    body('maxDiscountAmount')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+
+    body('minSpend')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Minimum spend must be a positive number'),
+
+    body('scope.venues')
+        .optional()
+        .isArray().withMessage('Venues must be an array'),
+
+    body('scope.venues.*')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    body('scope.courts')
+        .optional()
+        .isArray().withMessage('Courts must be an array'),
+
+    body('scope.courts.*')
+        .isMongoId().withMessage('Invalid court ID'),
+
+    body('scope.sportTypes')
+        .optional()
+        .isArray().withMessage('Sport types must be an array'),
+
+    body('scope.sportTypes.*')
+        .isIn(SPORT_TYPES).withMessage('Invalid sport type'),
+
+    body('validFrom')
+        .optional()
+        .isISO8601().withMessage('Valid start date is required'),
+
+    body('validUntil')
+        .optional({ nullable: true })
+        .isISO8601().withMessage('Valid end date is required')
+        .custom((value, { req }) => {
+            if (req.body.validFrom && new Date(value) <= new Date(req.body.validFrom)) {
+                throw new Error('End date must be after start date');
+            }
+            return true;
+        }),
+
+    body('usageLimit')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+
+    body('perUserLimit')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+
+    body('isActive')
+        .optional()
+        .isBoolean(),
+];
+
+// Create Coupon Validation
+exports.createCouponValidation = [
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Coupon code is required')
+        .matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Coupon code must be 3-30 letters, digits, dashes or underscores'),
+
+    body('discountType')
+        .notEmpty().withMessage('Discount type is required')
+        .isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+
+    body('discountValue')
+        .notEmpty().withMessage('Discount value is required'),
+
+    ...couponFieldRules,
+];
+
+// Update Coupon Validation
+exports.updateCouponValidation = [
+    body('code')
+        .optional()
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Coupon code must be 3-30 letters, digits, dashes or underscores'),
+
+    body('discountType')
+        .optional()
+        .isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+
+    ...couponFieldRules,
+];
+
+// Validate Coupon Validation
+exports.validateCouponValidation = [
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Coupon code is required'),
+
+    body('court')
+        .notEmpty().withMessage('Court is required')
+        .isMongoId().withMessage('Invalid court ID'),
+
+    body('startTime')
+        .notEmpty().withMessage('Start time is required')
+        .isISO8601().withMessage('Valid start time is required'),
+
+    body('endTime')
+        .notEmpty().withMessage('End time is required')
+        .isISO8601().withMessage('Valid end time is required')
+        .custom((value, { req }) => {
+            if (new Date(value) <= new Date(req.body.startTime)) {
+                throw new Error('End time must be after start time');
+            }
+            return true;
+        }),
+];
+
+// Get Coupons Query Validation
+exports.getCouponsQueryValidation = [
+    query('isActive')
+        .optional()
+        .isBoolean().withMessage('isActive must be true or false'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// MongoDB ID Validation
+exports.mongoIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid coupon ID'),
+];
+
+module.exports = exports;
@@ -57,6 +57,12 @@ exports.createVenueValidation = [
     body('timezone')
         .optional()
         .isString(),
+
+    ...cancellationPolicyValidation('settings.cancellationPolicy'),
+
+    ...taxSettingsValidation('settings.taxSettings'),
+
+    ...brandingValidation('branding'),
 ];
 
 exports.updateVenueValidation = [
@@ -87,6 +93,12 @@ exports.updateVenueValidation = [
             }
             return true;
         }),
+
+    ...cancellationPolicyValidation('settings.cancellationPolicy'),
+
+    ...taxSettingsValidation('settings.taxSettings'),
+
+    ...brandingValidation('branding'),
 ];
 
 exports.venueMediaValidation = [
@@ -243,6 +255,10 @@ exports.createCourtValidation = [
         .optional()
         .isInt({ min: 0 }).withMessage('Advance booking days must be a positive number'),
 
+    body('bookingSettings.bufferTimeBetweenBookings')
+        .optional()
+        .isInt({ min: 0, max: 120 }).withMessage('Buffer time must be between 0 and 120 minutes'),
+
     body('operatingHours')
         .optional()
         .isArray().withMessage('Operating hours must be an array'),
@@ -258,6 +274,18 @@ exports.createCourtValidation = [
     body('operatingHours.*.closeTime')
         .optional()
         .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Close time must be in HH:MM format'),
+
+    body('operatingHours.*.breakTimes')
+        .optional()
+        .isArray().withMessage('Break times must be an array'),
+
+    body('operatingHours.*.breakTimes.*.startTime')
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Break start time must be in HH:MM format'),
+
+    body('operatingHours.*.breakTimes.*.endTime')
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Break end time must be in HH:MM format'),
+
+    ...cancellationPolicyValidation('cancellationPolicy'),
 ];
 
 exports.updateCourtValidation = [
@@ -287,6 +315,8 @@ exports.updateCourtValidation = [
     body('status')
         .optional()
         .isIn(['active', 'inactive', 'maintenance', 'temporarily-closed']).withMessage('Invalid status'),
+
+    ...cancellationPolicyValidation('cancellationPolicy'),
 ];
 
 exports.courtMediaValidation = [
@@ -571,4 +601,89 @@ exports.venueIdParamValidation = [
         .isMongoId().withMessage('Invalid venue ID format'),
 ];
 
-module.exports = exports;
\ No newline at end of file
+module.exports = exports;
+
+/**
+ * Helper function to validate a cancellation policy nested under the given body path
+ */
+function cancellationPolicyValidation(path) {
+    return [
+        body(`${path}.allowCancellation`)
+            .optional()
+            .isBoolean().withMessage('allowCancellation must be a boolean'),
+
+        body(`${path}.noCancelWindowHours`)
+            .optional()
+            .isFloat({ min: 0 }).withMessage('No-cancel window must be a positive number of hours'),
+
+        body(`${path}.fixedFee`)
+            .optional()
+            .isFloat({ min: 0 }).withMessage('Cancellation fee must be a positive number'),
+
+        body(`${path}.tiers`)
+            .optional()
+            .isArray().withMessage('Refund tiers must be an array'),
+
+        body(`${path}.tiers.*.hoursBefore`)
+            .isFloat({ min: 0 }).withMessage('Tier hours before start must be a positive number'),
+
+        body(`${path}.tiers.*.refundPercentage`)
+            .isFloat({ min: 0, max: 100 }).withMessage('Tier refund percentage must be between 0 and 100'),
+    ];
+}
+
+function taxSettingsValidation(path) {
+    return [
+        body(`${path}.pricesIncludeTax`)
+            .optional()
+            .isBoolean().withMessage('pricesIncludeTax must be a boolean'),
+
+        body(`${path}.taxes`)
+            .optional()
+            .isArray({ max: 5 }).withMessage('Taxes must be an array of at most 5 taxes'),
+
+        body(`${path}.taxes.*.name`)
+            .trim()
+            .notEmpty().withMessage('Tax name is required')
+            .isLength({ max: 50 }).withMessage('Tax name cannot exceed 50 characters'),
+
+        body(`${path}.taxes.*.rate`)
+            .isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+
+        body(`${path}.serviceFees`)
+            .optional()
+            .isArray({ max: 5 }).withMessage('Service fees must be an array of at most 5 fees'),
+
+        body(`${path}.serviceFees.*.name`)
+            .trim()
+            .notEmpty().withMessage('Fee name is required')
+            .isLength({ max: 50 }).withMessage('Fee name cannot exceed 50 characters'),
+
+        body(`${path}.serviceFees.*.feeType`)
+            .optional()
+            .isIn(['percentage', 'fixed']).withMessage('Fee type must be percentage or fixed'),
+
+        body(`${path}.serviceFees.*.value`)
+            .isFloat({ min: 0 }).withMessage('Fee value must be a positive number'),
+    ];
+}
+
+function brandingValidation(path) {
+    return [
+        body(`${path}.logoUrl`)
+            .optional()
+            .isURL().withMessage('Logo URL must be a valid URL'),
+
+        body(`${path}.primaryColor`)
+            .optional()
+            .matches(/^#[0-9a-fA-F]{6}$/).withMessage('Primary color must be a hex color such as #1a73e8'),
+
+        body(`${path}.emailSignature`)
+            .optional()
+            .isLength({ max: 300 }).withMessage('Email signature cannot exceed 300 characters'),
+
+        body(`${path}.replyTo`)
+            .optional()
+            .isEmail().withMessage('Reply-to must be a valid email'),
+    ];
+}
@@ -0,0 +1,125 @@
+const { body, param, query } = require('express-validator');
+
+const SPORT_TYPES = ['tennis', 'badminton', 'squash', 'basketball', 'volleyball', 'pickleball', 'table-tennis', 'futsal', 'other'];
+const CATEGORIES = ['racquet', 'ball', 'shoes', 'protective-gear', 'other'];
+
+// Fields shared by create and update; create additionally requires the core ones
+const equipmentFieldRules = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Equipment name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Equipment name cannot exceed 100 characters'),
+
+    body('description')
+        .optional()
+        .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+    body('category')
+        .optional()
+        .isIn(CATEGORIES).withMessage('Invalid equipment category'),
+
+    body('sportTypes')
+        .optional()
+        .isArray().withMessage('Sport types must be an array'),
+
+    body('sportTypes.*')
+        .isIn(SPORT_TYPES).withMessage('Invalid sport type'),
+
+    body('totalStock')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer')
+        .toInt(),
+
+    body('pricing.type')
+        .optional()
+        .isIn(['hourly', 'flat']).withMessage('Pricing type must be hourly or flat'),
+
+    body('pricing.amount')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Rental price must be a positive number')
+        .toFloat(),
+
+    body('isActive')
+        .optional()
+        .isBoolean(),
+];
+
+// Time slot checks shared by the availability queries
+const timeSlotRules = (required) => [
+    (required ? query('startTime').notEmpty().withMessage('Start time is required') : query('startTime').optional())
+        .isISO8601().withMessage('Valid start time is required'),
+
+    (required ? query('endTime').notEmpty().withMessage('End time is required') : query('endTime').optional())
+        .isISO8601().withMessage('Valid end time is required')
+        .custom((value, { req }) => {
+            if (!req.query.startTime || new Date(value) <= new Date(req.query.startTime)) {
+                throw new Error('End time must be after start time');
+            }
+            return true;
+        }),
+];
+
+// Create Equipment Validation
+exports.createEquipmentValidation = [
+    body('venue')
+        .notEmpty().withMessage('Venue is required')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    body('name')
+        .notEmpty().withMessage('Equipment name is required'),
+
+    body('category')
+        .notEmpty().withMessage('Category is required'),
+
+    body('totalStock')
+        .notEmpty().withMessage('Stock count is required'),
+
+    body('pricing.amount')
+        .notEmpty().withMessage('Rental price is required'),
+
+    ...equipmentFieldRules,
+];
+
+// Update Equipment Validation
+exports.updateEquipmentValidation = [
+    ...equipmentFieldRules,
+];
+
+// Get Equipment Query Validation
+exports.getEquipmentQueryValidation = [
+    query('venue')
+        .notEmpty().withMessage('Venue is required')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    query('category')
+        .optional()
+        .isIn(CATEGORIES).withMessage('Invalid equipment category'),
+
+    query('sportType')
+        .optional()
+        .isIn(SPORT_TYPES).withMessage('Invalid sport type'),
+
+    query('includeInactive')
+        .optional()
+        .isBoolean().withMessage('includeInactive must be true or false'),
+
+    ...timeSlotRules(false),
+];
+
+// Equipment Availability Validation
+exports.availabilityValidation = [
+    query('quantity')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+
+    ...timeSlotRules(true),
+];
+
+// MongoDB ID Validation
+exports.mongoIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid equipment ID'),
+];
+
+module.exports = exports;
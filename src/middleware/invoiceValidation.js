@@ -0,0 +1,45 @@
+const { param, query } = require('express-validator');
+
+// Get Invoice Validation
+exports.getInvoiceValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid invoice ID'),
+
+    query('format')
+        .optional()
+        .isIn(['json', 'html', 'pdf']).withMessage('Format must be json, html or pdf'),
+];
+
+// Venue Invoices Query Validation
+exports.getVenueInvoicesValidation = [
+    param('venueId')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    query('from')
+        .optional()
+        .isISO8601().withMessage('From must be a valid date'),
+
+    query('to')
+        .optional()
+        .isISO8601().withMessage('To must be a valid date')
+        .custom((to, { req }) => {
+            if (req.query.from && new Date(to) < new Date(req.query.from)) {
+                throw new Error('To must not be before from');
+            }
+            return true;
+        }),
+
+    query('type')
+        .optional()
+        .isIn(['invoice', 'credit-note']).withMessage('Type must be invoice or credit-note'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+module.exports = exports;
@@ -0,0 +1,159 @@
+const { body, param, query } = require('express-validator');
+
+// Plan fields shared by create and update; create additionally requires the core ones
+const planFieldRules = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Plan name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Plan name cannot exceed 100 characters'),
+
+    body('tier')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Membership tier cannot be empty')
+        .isLength({ max: 50 }).withMessage('Membership tier cannot exceed 50 characters'),
+
+    body('description')
+        .optional()
+        .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+
+    body('price')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Price must be a positive number')
+        .toFloat(),
+
+    body('currency')
+        .optional()
+        .isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3 letter code'),
+
+    body('durationDays')
+        .optional()
+        .isInt({ min: 1, max: 730 }).withMessage('Duration must be between 1 and 730 days')
+        .toInt(),
+
+    body('perks.discountPercentage')
+        .optional()
+        .isFloat({ min: 0, max: 100 }).withMessage('Discount percentage must be between 0 and 100')
+        .toFloat(),
+
+    body('perks.extraAdvanceBookingDays')
+        .optional()
+        .isInt({ min: 0, max: 365 }).withMessage('Extra advance booking days must be between 0 and 365')
+        .toInt(),
+
+    body('perks.freeHours')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Free hours must be a positive number')
+        .toFloat(),
+
+    body('isActive')
+        .optional()
+        .isBoolean(),
+];
+
+// Payment details shared by buying and renewing a membership
+const paymentRules = [
+    body('provider')
+        .optional()
+        .isString().withMessage('Provider must be a string'),
+
+    body('paymentMethod')
+        .optional()
+        .isString().withMessage('Payment method token must be a string'),
+];
+
+// Create Plan Validation
+exports.createPlanValidation = [
+    body('venue')
+        .notEmpty().withMessage('Venue is required')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    body('name')
+        .notEmpty().withMessage('Plan name is required'),
+
+    body('tier')
+        .notEmpty().withMessage('Membership tier is required'),
+
+    body('price')
+        .notEmpty().withMessage('Plan price is required'),
+
+    body('durationDays')
+        .notEmpty().withMessage('Plan duration is required'),
+
+    ...planFieldRules,
+];
+
+// Update Plan Validation
+exports.updatePlanValidation = [
+    ...planFieldRules,
+];
+
+// Get Plans Query Validation
+exports.getPlansQueryValidation = [
+    query('venue')
+        .notEmpty().withMessage('Venue is required')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    query('includeInactive')
+        .optional()
+        .isBoolean().withMessage('includeInactive must be true or false'),
+];
+
+// Subscribe Validation
+exports.subscribeValidation = [
+    body('plan')
+        .notEmpty().withMessage('Plan is required')
+        .isMongoId().withMessage('Invalid plan ID'),
+
+    body('autoRenew')
+        .optional()
+        .isBoolean().withMessage('autoRenew must be true or false')
+        .toBoolean(),
+
+    ...paymentRules,
+];
+
+// Renew Membership Validation
+exports.renewValidation = [
+    ...paymentRules,
+];
+
+// Auto Renew Validation
+exports.autoRenewValidation = [
+    body('autoRenew')
+        .notEmpty().withMessage('autoRenew is required')
+        .isBoolean().withMessage('autoRenew must be true or false')
+        .toBoolean(),
+
+    ...paymentRules,
+];
+
+// Get Memberships Query Validation
+exports.getMembershipsQueryValidation = [
+    query('status')
+        .optional()
+        .isIn(['active', 'cancelled', 'expired']).withMessage('Invalid status'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// Venue ID Validation
+exports.venueIdValidation = [
+    param('venueId')
+        .isMongoId().withMessage('Invalid venue ID'),
+];
+
+// MongoDB ID Validation
+exports.mongoIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid ID'),
+];
+
+module.exports = exports;
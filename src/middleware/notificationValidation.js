@@ -0,0 +1,74 @@
+const { param, query, body } = require('express-validator');
+const NotificationDelivery = require('../models/NotificationDelivery');
+
+// Notifications Query Validation
+exports.getNotificationsValidation = [
+    query('unread')
+        .optional()
+        .isBoolean().withMessage('Unread must be true or false'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// Notification ID Validation
+exports.notificationIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid notification ID'),
+];
+
+// Notification Preferences Validation
+exports.updatePreferencesValidation = [
+    body(['email', 'sms', 'push', 'inApp'])
+        .optional()
+        .isBoolean().withMessage('Preferences must be true or false')
+        .toBoolean(),
+];
+
+// Push Subscription Validation
+exports.addPushSubscriptionValidation = [
+    body('endpoint')
+        .isURL({ protocols: ['https'], require_protocol: true, require_tld: false }).withMessage('Endpoint must be an https URL'),
+
+    body('keys.p256dh')
+        .isBase64({ urlSafe: true }).withMessage('Subscription key must be base64url encoded'),
+
+    body('keys.auth')
+        .isBase64({ urlSafe: true }).withMessage('Subscription auth secret must be base64url encoded'),
+];
+
+// Remove Push Subscription Validation
+exports.removePushSubscriptionValidation = [
+    body('endpoint')
+        .notEmpty().withMessage('Endpoint is required'),
+];
+
+// Notification Deliveries Query Validation
+exports.getDeliveriesValidation = [
+    query('user')
+        .optional()
+        .isMongoId().withMessage('Invalid user ID'),
+
+    query('channel')
+        .optional()
+        .isIn(NotificationDelivery.NOTIFICATION_CHANNELS).withMessage('Invalid channel'),
+
+    query('status')
+        .optional()
+        .isIn(['pending', 'sent', 'failed']).withMessage('Invalid status'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+module.exports = exports;
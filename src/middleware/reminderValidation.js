@@ -0,0 +1,59 @@
+const { param, query, body } = require('express-validator');
+
+// Venue Reminders Query Validation
+exports.getVenueRemindersValidation = [
+    param('venueId')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    query('status')
+        .optional()
+        .isIn(['scheduled', 'sent', 'cancelled', 'failed']).withMessage('Invalid status'),
+
+    query('from')
+        .optional()
+        .isISO8601().withMessage('From must be a valid date'),
+
+    query('to')
+        .optional()
+        .isISO8601().withMessage('To must be a valid date'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// Venue Reminder Settings Validation
+exports.updateReminderSettingsValidation = [
+    param('venueId')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    body('enabled')
+        .optional()
+        .isBoolean().withMessage('Enabled must be true or false'),
+
+    body('offsetsMinutes')
+        .optional()
+        .isArray({ max: 5 }).withMessage('Offsets must be a list of at most 5 entries'),
+
+    body('offsetsMinutes.*')
+        .isInt({ min: 5, max: 10080 }).withMessage('Offsets must be between 5 minutes and 7 days')
+        .toInt(),
+];
+
+// Booking Reminders Validation
+exports.getBookingRemindersValidation = [
+    param('bookingId')
+        .isMongoId().withMessage('Invalid booking ID'),
+];
+
+// Cancel Reminder Validation
+exports.cancelReminderValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid reminder ID'),
+];
+
+module.exports = exports;
@@ -0,0 +1,114 @@
+const { body, param, query } = require('express-validator');
+
+// Create Review Validation
+exports.createReviewValidation = [
+    body('booking')
+        .notEmpty().withMessage('Booking is required')
+        .isMongoId().withMessage('Invalid booking ID'),
+
+    body('rating')
+        .notEmpty().withMessage('Rating is required')
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
+        .toInt(),
+
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+
+    body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+];
+
+// Update Review Validation
+exports.updateReviewValidation = [
+    body('rating')
+        .optional()
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
+        .toInt(),
+
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+
+    body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+];
+
+// Reply Validation
+exports.replyValidation = [
+    body('text')
+        .trim()
+        .notEmpty().withMessage('Reply text is required')
+        .isLength({ max: 1000 }).withMessage('Reply cannot exceed 1000 characters'),
+];
+
+// Report Review Validation
+exports.reportReviewValidation = [
+    body('reason')
+        .notEmpty().withMessage('Report reason is required')
+        .isIn(['spam', 'offensive', 'irrelevant', 'fake', 'other']).withMessage('Invalid report reason'),
+
+    body('details')
+        .optional()
+        .isLength({ max: 500 }).withMessage('Details cannot exceed 500 characters'),
+];
+
+// Moderate Review Validation
+exports.moderateReviewValidation = [
+    body('status')
+        .notEmpty().withMessage('Status is required')
+        .isIn(['published', 'hidden']).withMessage('Status must be published or hidden'),
+
+    body('note')
+        .optional()
+        .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+];
+
+// Get Reviews Query Validation
+exports.getReviewsQueryValidation = [
+    query('court')
+        .optional()
+        .isMongoId().withMessage('Invalid court ID'),
+
+    query('venue')
+        .optional()
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    query('user')
+        .optional()
+        .isMongoId().withMessage('Invalid user ID'),
+
+    query('rating')
+        .optional()
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+
+    query('status')
+        .optional()
+        .isIn(['published', 'flagged', 'hidden']).withMessage('Invalid status'),
+
+    query('sort')
+        .optional()
+        .isIn(['newest', 'oldest', 'highest', 'lowest']).withMessage('Invalid sort option'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// MongoDB ID Validation
+exports.mongoIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid review ID'),
+];
+
+module.exports = exports;
@@ -0,0 +1,140 @@
+const { body, param, query } = require('express-validator');
+
+const SPORT_TYPES = ['tennis', 'badminton', 'squash', 'basketball', 'volleyball', 'pickleball', 'table-tennis', 'futsal', 'other'];
+const CATEGORIES = ['coaching', 'ball-machine', 'refereeing', 'lighting', 'other'];
+
+// Fields shared by create and update; create additionally requires the core ones
+const serviceFieldRules = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Service name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Service name cannot exceed 100 characters'),
+
+    body('description')
+        .optional()
+        .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+    body('category')
+        .optional()
+        .isIn(CATEGORIES).withMessage('Invalid service category'),
+
+    body('sportTypes')
+        .optional()
+        .isArray().withMessage('Sport types must be an array'),
+
+    body('sportTypes.*')
+        .isIn(SPORT_TYPES).withMessage('Invalid sport type'),
+
+    body('courts')
+        .optional()
+        .isArray().withMessage('Courts must be an array'),
+
+    body('courts.*')
+        .isMongoId().withMessage('Invalid court ID'),
+
+    body('pricing.type')
+        .optional()
+        .isIn(['hourly', 'flat']).withMessage('Pricing type must be hourly or flat'),
+
+    body('pricing.amount')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Service price must be a positive number')
+        .toFloat(),
+
+    body('capacity')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Capacity must be at least 1')
+        .toInt(),
+
+    body('staff')
+        .optional()
+        .isArray().withMessage('Staff must be an array'),
+
+    body('staff.*')
+        .isMongoId().withMessage('Invalid staff member ID'),
+
+    body('isActive')
+        .optional()
+        .isBoolean(),
+];
+
+// Time slot checks shared by the availability queries
+const timeSlotRules = (required) => [
+    (required ? query('startTime').notEmpty().withMessage('Start time is required') : query('startTime').optional())
+        .isISO8601().withMessage('Valid start time is required'),
+
+    (required ? query('endTime').notEmpty().withMessage('End time is required') : query('endTime').optional())
+        .isISO8601().withMessage('Valid end time is required')
+        .custom((value, { req }) => {
+            if (!req.query.startTime || new Date(value) <= new Date(req.query.startTime)) {
+                throw new Error('End time must be after start time');
+            }
+            return true;
+        }),
+];
+
+// Create Service Validation
+exports.createServiceValidation = [
+    body('venue')
+        .notEmpty().withMessage('Venue is required')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    body('name')
+        .notEmpty().withMessage('Service name is required'),
+
+    body('category')
+        .notEmpty().withMessage('Category is required'),
+
+    body('pricing.amount')
+        .notEmpty().withMessage('Service price is required'),
+
+    ...serviceFieldRules,
+];
+
+// Update Service Validation
+exports.updateServiceValidation = [
+    ...serviceFieldRules,
+];
+
+// Get Services Query Validation
+exports.getServicesQueryValidation = [
+    query('venue')
+        .notEmpty().withMessage('Venue is required')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    query('court')
+        .optional()
+        .isMongoId().withMessage('Invalid court ID'),
+
+    query('category')
+        .optional()
+        .isIn(CATEGORIES).withMessage('Invalid service category'),
+
+    query('sportType')
+        .optional()
+        .isIn(SPORT_TYPES).withMessage('Invalid sport type'),
+
+    query('includeInactive')
+        .optional()
+        .isBoolean().withMessage('includeInactive must be true or false'),
+
+    ...timeSlotRules(false),
+];
+
+// Service Availability Validation
+exports.availabilityValidation = [
+    query('quantity')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+
+    ...timeSlotRules(true),
+];
+
+// MongoDB ID Validation
+exports.mongoIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid service ID'),
+];
+
+module.exports = exports;
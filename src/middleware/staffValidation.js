@@ -0,0 +1,46 @@
+const { param, query, body } = require('express-validator');
+const VenueMembership = require('../models/VenueMembership');
+
+// Venue Staff Query Validation
+exports.getVenueStaffValidation = [
+    param('venueId')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    query('status')
+        .optional()
+        .isIn(['invited', 'active', 'declined', 'revoked']).withMessage('Invalid status'),
+];
+
+// Invite Staff Validation
+exports.inviteStaffValidation = [
+    param('venueId')
+        .isMongoId().withMessage('Invalid venue ID'),
+
+    body('email')
+        .notEmpty().withMessage('Email is required')
+        .bail()
+        .isEmail().withMessage('Valid email is required')
+        .normalizeEmail(),
+
+    body('role')
+        .isIn(VenueMembership.STAFF_ROLES)
+        .withMessage(`Role must be one of: ${VenueMembership.STAFF_ROLES.join(', ')}`),
+];
+
+// Update Staff Member Validation
+exports.updateStaffMemberValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid staff member ID'),
+
+    body('role')
+        .isIn(VenueMembership.STAFF_ROLES)
+        .withMessage(`Role must be one of: ${VenueMembership.STAFF_ROLES.join(', ')}`),
+];
+
+// Staff Member ID Validation
+exports.staffMemberIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid staff member ID'),
+];
+
+module.exports = exports;
@@ -0,0 +1,94 @@
+const { body, param, query } = require('express-validator');
+
+// Tax rule fields shared by create and update; create additionally requires the country
+const taxRuleFieldRules = [
+    body('country')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Country cannot be empty')
+        .isLength({ max: 100 }).withMessage('Country cannot exceed 100 characters'),
+
+    body('region')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 100 }).withMessage('Region cannot exceed 100 characters'),
+
+    body('taxes')
+        .optional()
+        .isArray({ max: 5 }).withMessage('Taxes must be an array of at most 5 taxes'),
+
+    body('taxes.*.name')
+        .trim()
+        .notEmpty().withMessage('Tax name is required')
+        .isLength({ max: 50 }).withMessage('Tax name cannot exceed 50 characters'),
+
+    body('taxes.*.rate')
+        .isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+
+    body('pricesIncludeTax')
+        .optional()
+        .isBoolean().withMessage('pricesIncludeTax must be a boolean'),
+
+    body('platformFees')
+        .optional()
+        .isArray({ max: 5 }).withMessage('Platform fees must be an array of at most 5 fees'),
+
+    body('platformFees.*.name')
+        .trim()
+        .notEmpty().withMessage('Fee name is required')
+        .isLength({ max: 50 }).withMessage('Fee name cannot exceed 50 characters'),
+
+    body('platformFees.*.feeType')
+        .optional()
+        .isIn(['percentage', 'fixed']).withMessage('Fee type must be percentage or fixed'),
+
+    body('platformFees.*.value')
+        .isFloat({ min: 0 }).withMessage('Fee value must be a positive number'),
+
+    body('isActive')
+        .optional()
+        .isBoolean().withMessage('isActive must be a boolean'),
+];
+
+// Create Tax Rule Validation
+exports.createTaxRuleValidation = [
+    body('country')
+        .trim()
+        .notEmpty().withMessage('Country is required'),
+
+    ...taxRuleFieldRules,
+];
+
+// Update Tax Rule Validation
+exports.updateTaxRuleValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid tax rule ID'),
+
+    ...taxRuleFieldRules,
+];
+
+// Get Tax Rules Query Validation
+exports.getTaxRulesQueryValidation = [
+    query('country')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Country cannot be empty'),
+
+    query('isActive')
+        .optional()
+        .isIn(['true', 'false']).withMessage('isActive must be true or false'),
+];
+
+// Venue ID Validation
+exports.venueIdValidation = [
+    param('venueId')
+        .isMongoId().withMessage('Invalid venue ID'),
+];
+
+// MongoDB ID Validation
+exports.mongoIdValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid ID'),
+];
+
+module.exports = exports;
@@ -168,6 +168,25 @@ const updateProfileValidation = [
         .isIn(["male", "female", "other"])
         .withMessage("Gender must be either male, female, or other"),
 
+    body("language")
+        .optional()
+        .isIn(["en", "ur"])
+        .withMessage("Language must be either en or ur"),
+
+    body("reminderPreferences.enabled")
+        .optional()
+        .isBoolean()
+        .withMessage("Reminders enabled must be true or false"),
+
+    body("reminderPreferences.offsetsMinutes")
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage("Reminder offsets must be a list of at most 5 entries"),
+
+    body("reminderPreferences.offsetsMinutes.*")
+        .isInt({ min: 5, max: 10080 })
+        .withMessage("Reminder offsets must be between 5 minutes and 7 days"),
+
     body("profilePicture.url")
         .optional()
         .isURL()
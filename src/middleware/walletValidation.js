@@ -0,0 +1,67 @@
+const { body, query } = require('express-validator');
+
+// Get Wallet Validation
+exports.getWalletValidation = [
+    query('user')
+        .optional()
+        .isMongoId().withMessage('Invalid user ID'),
+];
+
+// Wallet Transactions Query Validation
+exports.getTransactionsQueryValidation = [
+    query('user')
+        .optional()
+        .isMongoId().withMessage('Invalid user ID'),
+
+    query('type')
+        .optional()
+        .isIn(['top-up', 'booking-payment', 'refund', 'adjustment']).withMessage('Invalid transaction type'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// Top Up Validation
+exports.topUpValidation = [
+    body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ gt: 0, max: 1000000 }).withMessage('Amount must be greater than 0 and at most 1000000')
+        .toFloat(),
+
+    body('provider')
+        .optional()
+        .isString().withMessage('Provider must be a string'),
+
+    body('paymentMethod')
+        .optional()
+        .isString().withMessage('Payment method token must be a string'),
+];
+
+// Balance Adjustment Validation
+exports.adjustmentValidation = [
+    body('user')
+        .notEmpty().withMessage('User is required')
+        .isMongoId().withMessage('Invalid user ID'),
+
+    body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat().withMessage('Amount must be a number')
+        .custom((value) => {
+            if (Number(value) === 0) {
+                throw new Error('Amount cannot be zero');
+            }
+            return true;
+        })
+        .toFloat(),
+
+    body('reason')
+        .notEmpty().withMessage('Reason is required')
+        .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+];
+
+module.exports = exports;
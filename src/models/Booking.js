@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const SlotLock = require('./SlotLock');
+const Coupon = require('./Coupon');
+const Equipment = require('./Equipment');
+const Service = require('./Service');
+const Membership = require('./Membership');
+const Invoice = require('./Invoice');
+const Reminder = require('./Reminder');
+const TimezoneUtils = require('../utils/timezone');
+const CancellationPolicy = require('../utils/cancellationPolicy');
+const { cancellationPolicySchema } = require('./schemas/cancellationPolicy');
+
+// Statuses that occupy the court
+const ACTIVE_BOOKING_STATUSES = ['pending-confirmation', 'confirmed', 'in-progress'];
+
+// Matches bookings occupying their slot at a point in time. Checkout holds and waitlist offers
+// stop occupying it when they run out, even before the status job marks them expired.
+const occupyingSlotQuery = (at = new Date()) => ({
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    $or: [{ isTentative: { $ne: true } }, { tentativeExpiryTime: { $gt: at } }],
+});
+
+// Statuses in which a booking never took place, so its coupon redemption and free member time are given back
+const UNFULFILLED_BOOKING_STATUSES = ['cancelled', 'expired'];
 
 // Payment Information Sub-Schema
 const paymentInfoSchema = new mongoose.Schema({
@@ -14,15 +38,55 @@ const paymentInfoSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'completed', 'failed', 'refunded', 'partially-refunded'],
+        enum: ['pending', 'partially-paid', 'completed', 'failed', 'refunded', 'partially-refunded'],
         default: 'pending',
     },
     method: {
         type: String,
         enum: ['cash', 'card', 'online', 'wallet', 'bank-transfer'],
     },
+    // Gateway that processed the payment and its payment intent
+    provider: String,
+    intentId: String,
     transactionId: String,
     paidAt: Date,
+    failureReason: String,
+    // Sum of all captured transactions; split and partial payments add up to amount
+    paidAmount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    transactions: [{
+        _id: false,
+        transactionId: String,
+        provider: String,
+        method: String,
+        amount: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        refundedAmount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Set when a group participant paid their share
+        participant: mongoose.Schema.Types.ObjectId,
+        paidAt: {
+            type: Date,
+            default: Date.now,
+        },
+    }],
+    // Set at venues that take a deposit: the deposit is due within the venue's hold,
+    // otherwise the booking expires, and the balance by the start time
+    depositAmount: {
+        type: Number,
+        min: 0,
+    },
+    depositDueAt: Date,
+    balanceDueAt: Date,
     refundAmount: {
         type: Number,
         default: 0,
@@ -30,8 +94,38 @@ const paymentInfoSchema = new mongoose.Schema({
     },
     refundedAt: Date,
     refundReason: String,
+    refunds: [{
+        _id: false,
+        refundId: String,
+        transactionId: String,
+        amount: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        reason: String,
+        refundedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    }],
 }, { _id: false });
 
+// Payment statuses in which the booking has been (at least partly) paid for
+const PAID_PAYMENT_STATUSES = ['completed', 'partially-refunded'];
+
+// Payment statuses that hold money which can be refunded
+const REFUNDABLE_PAYMENT_STATUSES = ['partially-paid', 'completed', 'partially-refunded'];
+
+// Round currency amounts to two decimals
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Longest a participant invitation stays open; it never outlives the booking's start
+const PARTICIPANT_INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Invitation tokens are stored hashed, like password reset tokens
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Cancellation Information Sub-Schema
 const cancellationInfoSchema = new mongoose.Schema({
     cancelledAt: {
@@ -87,6 +181,12 @@ const participantSchema = new mongoose.Schema({
         enum: ['pending', 'paid'],
         default: 'pending',
     },
+    paidAt: Date,
+    // sha256 of the token in the participant's invitation link
+    invitationToken: String,
+    invitationExpires: Date,
+    invitedAt: Date,
+    respondedAt: Date,
 }, { _id: true });
 
 // Main Booking Schema
@@ -154,37 +254,12 @@ const bookingSchema = new mongoose.Schema({
         default: 'single',
     },
 
-    // Recurring Booking Information
-    recurringPattern: {
-        frequency: {
-            type: String,
-            enum: ['daily', 'weekly', 'monthly'],
-        },
-        interval: {
-            type: Number,
-            min: 1,
-        },
-        daysOfWeek: [{
-            type: Number,
-            min: 0,
-            max: 6,
-        }],
-        endDate: Date,
-        occurrences: Number,
-    },
-
-    parentBooking: {
+    // Recurring series this booking is an occurrence of
+    series: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Booking',
-        // Reference to parent if this is part of recurring series
+        ref: 'BookingSeries',
     },
 
-    recurringBookings: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Booking',
-        // References to all bookings in recurring series
-    }],
-
     // Status Management
     status: {
         type: String,
@@ -196,6 +271,7 @@ const bookingSchema = new mongoose.Schema({
             'cancelled',            // Cancelled by user/admin
             'no-show',              // User didn't show up
             'expired',              // Tentative booking expired
+            'waitlisted',           // Waiting for the slot to free up
         ],
         default: 'pending-confirmation',
         index: true,
@@ -211,7 +287,7 @@ const bookingSchema = new mongoose.Schema({
         discounts: [{
             type: {
                 type: String,
-                enum: ['membership', 'promotional', 'group', 'early-bird', 'coupon'],
+                enum: ['membership', 'promotional', 'group', 'early-bird', 'coupon', 'bulk'],
             },
             name: String,
             amount: Number,
@@ -222,21 +298,58 @@ const bookingSchema = new mongoose.Schema({
             default: 0,
             min: 0,
         },
+        equipmentCost: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        servicesCost: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Price after discounts, net of tax where prices include it
         subtotal: {
             type: Number,
             required: true,
             min: 0,
         },
+        // Whether the prices above already included the taxes
+        taxInclusive: {
+            type: Boolean,
+            default: false,
+        },
+        taxes: [{
+            _id: false,
+            name: String,
+            rate: Number,
+            amount: Number,
+        }],
         tax: {
             type: Number,
             default: 0,
             min: 0,
         },
+        // Venue service fees and platform fees, each totalled below
+        fees: [{
+            _id: false,
+            name: String,
+            type: {
+                type: String,
+                enum: ['service', 'platform'],
+            },
+            amount: Number,
+        }],
         serviceFee: {
             type: Number,
             default: 0,
             min: 0,
         },
+        platformFee: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
         totalAmount: {
             type: Number,
             required: true,
@@ -249,6 +362,28 @@ const bookingSchema = new mongoose.Schema({
         },
     },
 
+    // Coupon redeemed for this booking
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+    },
+    couponCode: {
+        type: String,
+        uppercase: true,
+        trim: true,
+    },
+
+    // Membership whose perks priced this booking, and the free member time it used
+    membership: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Membership',
+    },
+    membershipFreeMinutes: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+
     // Payment Information
     payment: paymentInfoSchema,
 
@@ -284,6 +419,11 @@ const bookingSchema = new mongoose.Schema({
             min: 1,
         },
         price: Number,
+        // Staff member assigned to a staffed service such as coaching
+        staff: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
     }],
 
     equipmentRental: [{
@@ -353,15 +493,20 @@ const bookingSchema = new mongoose.Schema({
     // Cancellation
     cancellation: cancellationInfoSchema,
 
+    // Cancellation policy in effect when the booking was made
+    cancellationPolicy: cancellationPolicySchema,
+
     // Tentative Booking
     isTentative: {
         type: Boolean,
         default: false,
     },
 
+    // Set on checkout holds, which keep the slot while the user pays, and on waitlist offers
     tentativeExpiryTime: Date,
 
-    // Waitlist
+    // Waitlist. An entry waits in 'waitlisted'; when offered the slot it becomes a tentative
+    // pending-confirmation booking that the user accepts before tentativeExpiryTime
     isWaitlisted: {
         type: Boolean,
         default: false,
@@ -448,7 +593,15 @@ const bookingSchema = new mongoose.Schema({
 
 }, {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+        virtuals: true,
+        transform: function (doc, ret) {
+            if (ret.participants) {
+                ret.participants.forEach(participant => delete participant.invitationToken);
+            }
+            return ret;
+        },
+    },
     toObject: { virtuals: true },
 });
 
@@ -459,6 +612,7 @@ bookingSchema.index({ venue: 1, status: 1 });
 bookingSchema.index({ bookingNumber: 1 });
 bookingSchema.index({ status: 1, startTime: 1 });
 bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ 'participants.invitationToken': 1 }, { sparse: true });
 
 // Compound index for conflict detection
 bookingSchema.index({
@@ -468,8 +622,8 @@ bookingSchema.index({
     status: 1
 });
 
-// Index for recurring bookings
-bookingSchema.index({ parentBooking: 1 });
+// Index for the occurrences of a recurring series
+bookingSchema.index({ series: 1, startTime: 1 });
 
 // Pre-save middleware to auto-calculate duration and generate booking number
 bookingSchema.pre('save', async function (next) {
@@ -520,41 +674,77 @@ bookingSchema.pre('save', async function (next) {
         }
     }
 
-    // Set isPaid flag based on payment status
-    if (this.payment && this.payment.status === 'completed') {
-        this.isPaid = true;
+    // Snapshot the cancellation policy so later policy changes don't affect this booking. It always
+    // comes from the court and venue, never from whoever created the booking.
+    if (this.isNew) {
+        const [court, venue] = await Promise.all([
+            mongoose.model('Court').findById(this.court).select('venue cancellationPolicy'),
+            this.venue ? mongoose.model('Venue').findById(this.venue).select('settings.cancellationPolicy') : null
+        ]);
+        const policyVenue = venue || (court && court.venue
+            ? await mongoose.model('Venue').findById(court.venue).select('settings.cancellationPolicy')
+            : null);
+        this.cancellationPolicy = CancellationPolicy.resolve(policyVenue, court);
     }
 
+    // Keep isPaid in step with the payment status
+    if (this.payment && this.isModified('payment.status')) {
+        this.isPaid = PAID_PAYMENT_STATUSES.includes(this.payment.status);
+    }
+
+    this.$locals.statusChanged = this.isModified('status');
+    this.$locals.remindersChanged = this.isNew || this.$locals.statusChanged || this.isModified('startTime');
+    this.$locals.billingChanged = this.$locals.statusChanged ||
+        this.isModified('payment.status') || this.isModified('payment.refunds');
+
     next();
 });
 
+// Post-save middleware to free the court, rented equipment and services once a booking stops occupying it,
+// and to keep its invoice, credit notes and reminders up to date
+bookingSchema.post('save', async function (doc) {
+    if (doc.$locals.statusChanged && !ACTIVE_BOOKING_STATUSES.includes(doc.status)) {
+        await SlotLock.release(doc._id);
+
+        if (doc.equipmentRental && doc.equipmentRental.length > 0) {
+            await Equipment.release(doc._id);
+        }
+
+        if (doc.additionalServices && doc.additionalServices.length > 0) {
+            await Service.release(doc._id);
+        }
+    }
+
+    if (doc.$locals.statusChanged && doc.coupon && UNFULFILLED_BOOKING_STATUSES.includes(doc.status)) {
+        await Coupon.release(doc._id);
+    }
+
+    if (doc.$locals.statusChanged && doc.membershipFreeMinutes > 0 && UNFULFILLED_BOOKING_STATUSES.includes(doc.status)) {
+        await Membership.returnFreeMinutes(doc.membership, doc.membershipFreeMinutes);
+    }
+
+    if (doc.$locals.billingChanged) {
+        await Invoice.syncBooking(doc);
+    }
+
+    if (doc.$locals.remindersChanged) {
+        await Reminder.syncBooking(doc);
+    }
+});
+
 // Static method to check for conflicts
+// Existing bookings must be at least the court's buffer time away from the requested slot
 bookingSchema.statics.checkConflicts = async function (courtId, startTime, endTime, excludeBookingId = null) {
+    const Court = mongoose.model('Court');
+    const court = await Court.findById(courtId).select('bookingSettings.bufferTimeBetweenBookings');
+    const bufferMs = ((court && court.bookingSettings.bufferTimeBetweenBookings) || 0) * 60000;
+
     const query = {
         court: courtId,
-        status: { $in: ['pending-confirmation', 'confirmed', 'in-progress'] },
-        $or: [
-            // New booking starts during existing booking
-            {
-                startTime: { $lte: startTime },
-                endTime: { $gt: startTime }
-            },
-            // New booking ends during existing booking
-            {
-                startTime: { $lt: endTime },
-                endTime: { $gte: endTime }
-            },
-            // New booking completely contains existing booking
-            {
-                startTime: { $gte: startTime },
-                endTime: { $lte: endTime }
-            },
-            // Existing booking completely contains new booking
-            {
-                startTime: { $lte: startTime },
-                endTime: { $gte: endTime }
-            }
-        ]
+        ...occupyingSlotQuery(),
+        // Overlap test with both ranges padded by the buffer
+        startTime: { $lt: new Date(new Date(endTime).getTime() + bufferMs) },
+        endTime: { $gt: new Date(new Date(startTime).getTime() - bufferMs) }
     };
 
     if (excludeBookingId) {
@@ -568,6 +758,89 @@ bookingSchema.statics.checkConflicts = async function (courtId, startTime, endTi
     return conflicts;
 };
 
+// Static method to offer freed court time to waitlisted entries, in waitlist order.
+// Without a time range every upcoming waitlisted entry for the court is considered.
+// Each offer holds the slot with the entry's own slot lock until the offer expires.
+bookingSchema.statics.offerWaitlistedSlots = async function (courtId, startTime = null, endTime = null) {
+    const Court = mongoose.model('Court');
+    const court = await Court.findById(courtId);
+    if (!court) {
+        return [];
+    }
+
+    const now = new Date();
+    const holdMs = (parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30) * 60000;
+
+    const query = {
+        court: courtId,
+        status: 'waitlisted',
+        startTime: { $gt: now }
+    };
+
+    if (startTime && endTime) {
+        const bufferMs = (court.bookingSettings.bufferTimeBetweenBookings || 0) * 60000;
+        query.startTime.$lt = new Date(new Date(endTime).getTime() + bufferMs);
+        query.endTime = { $gt: new Date(new Date(startTime).getTime() - bufferMs) };
+    }
+
+    const candidates = await this.find(query).sort({ waitlistPosition: 1, createdAt: 1 });
+    const offered = [];
+
+    for (const candidate of candidates) {
+        const conflicts = await this.checkConflicts(courtId, candidate.startTime, candidate.endTime, candidate._id);
+        if (conflicts.length > 0) {
+            continue;
+        }
+
+        if (!await SlotLock.reserve(courtId, candidate.startTime, court.getBlockedUntil(candidate.endTime), candidate._id)) {
+            continue;
+        }
+
+        // Conditional update so an entry that left the waitlist meanwhile is not offered
+        const offer = await this.findOneAndUpdate(
+            { _id: candidate._id, status: 'waitlisted' },
+            {
+                status: 'pending-confirmation',
+                isTentative: true,
+                tentativeExpiryTime: new Date(Math.min(now.getTime() + holdMs, candidate.startTime.getTime()))
+            },
+            { new: true }
+        );
+
+        if (!offer) {
+            const current = await this.findById(candidate._id).select('status');
+            if (!current || !ACTIVE_BOOKING_STATUSES.includes(current.status)) {
+                await SlotLock.release(candidate._id);
+            }
+            continue;
+        }
+
+        offered.push(offer);
+    }
+
+    return offered;
+};
+
+// Static method to find an open invitation by its raw token
+bookingSchema.statics.findByInvitationToken = async function (token) {
+    const invitationToken = hashInvitationToken(token);
+
+    const booking = await this.findOne({
+        participants: {
+            $elemMatch: { invitationToken, invitationExpires: { $gt: new Date() } }
+        }
+    });
+
+    if (!booking) {
+        return null;
+    }
+
+    return {
+        booking,
+        participant: booking.participants.find(p => p.invitationToken === invitationToken)
+    };
+};
+
 // Static method to find available slots
 bookingSchema.statics.findAvailableSlots = async function (courtId, date, interval = 30) {
     const Court = mongoose.model('Court');
@@ -577,50 +850,56 @@ bookingSchema.statics.findAvailableSlots = async function (courtId, date, interv
         throw new Error('Court not found');
     }
 
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    const endDate = new Date(date);
-    endDate.setHours(23, 59, 59, 999);
+    // Resolve the requested calendar day in the court's timezone
+    const timezone = court.timezone;
+    const dateStr = /^\d{4}-\d{2}-\d{2}$/.test(date)
+        ? date
+        : TimezoneUtils.formatDate(date, timezone);
+    const atTime = (timeStr) => TimezoneUtils.toDate(dateStr, timeStr, timezone);
+
+    const startDate = atTime('00:00');
+    const endDate = TimezoneUtils.toDate(TimezoneUtils.addDays(dateStr, 1), '00:00', timezone);
+
+    const bufferMs = (court.bookingSettings.bufferTimeBetweenBookings || 0) * 60000;
 
-    // Get all bookings for the day
+    // Get all bookings touching the day, including ones whose buffer spills into it
     const bookings = await this.find({
         court: courtId,
-        status: { $in: ['pending-confirmation', 'confirmed', 'in-progress'] },
-        startTime: { $gte: startDate },
-        endTime: { $lte: endDate }
+        ...occupyingSlotQuery(),
+        startTime: { $lt: new Date(endDate.getTime() + bufferMs) },
+        endTime: { $gt: new Date(startDate.getTime() - bufferMs) }
     }).sort({ startTime: 1 });
 
     // Get operating hours for the day
-    const dayOfWeek = startDate.getDay();
+    const dayOfWeek = TimezoneUtils.getDayOfWeekForDate(dateStr);
     const operatingHour = court.operatingHours.find(oh => oh.dayOfWeek === dayOfWeek);
 
     if (!operatingHour || operatingHour.isClosed) {
         return [];
     }
 
+    // Time blocked by bookings (padded with buffer) and break windows
+    const blocked = [
+        ...bookings.map(booking => ({
+            start: new Date(booking.startTime.getTime() - bufferMs),
+            end: new Date(booking.endTime.getTime() + bufferMs),
+        })),
+        ...court.getBreakTimes(operatingHour).map(bt => ({
+            start: atTime(bt.startTime),
+            end: atTime(bt.endTime),
+        })),
+    ];
+
     // Generate all possible slots
     const slots = [];
-    const [openHour, openMinute] = operatingHour.openTime.split(':').map(Number);
-    const [closeHour, closeMinute] = operatingHour.closeTime.split(':').map(Number);
-
-    let currentSlot = new Date(startDate);
-    currentSlot.setHours(openHour, openMinute, 0, 0);
-
-    const closeTime = new Date(startDate);
-    closeTime.setHours(closeHour, closeMinute, 0, 0);
+    let currentSlot = atTime(operatingHour.openTime);
+    const closeTime = atTime(operatingHour.closeTime);
 
     while (currentSlot < closeTime) {
         const slotEnd = new Date(currentSlot.getTime() + interval * 60000);
 
         if (slotEnd <= closeTime) {
-            // Check if slot conflicts with any booking
-            const hasConflict = bookings.some(booking => {
-                return (
-                    (currentSlot >= booking.startTime && currentSlot < booking.endTime) ||
-                    (slotEnd > booking.startTime && slotEnd <= booking.endTime) ||
-                    (currentSlot <= booking.startTime && slotEnd >= booking.endTime)
-                );
-            });
+            const hasConflict = blocked.some(range => currentSlot < range.end && slotEnd > range.start);
 
             slots.push({
                 startTime: new Date(currentSlot),
@@ -635,38 +914,17 @@ bookingSchema.statics.findAvailableSlots = async function (courtId, date, interv
     return slots;
 };
 
-// Instance method to calculate cancellation refund
-bookingSchema.methods.calculateCancellationRefund = function () {
-    const now = new Date();
-    const hoursUntilBooking = (this.startTime - now) / (1000 * 60 * 60);
-
-    const Court = mongoose.model('Court');
-    const Venue = mongoose.model('Venue');
-
-    // Default cancellation policy (can be overridden by venue/court settings)
-    let refundPercentage = 0;
-    let cancellationFee = 0;
-
-    if (hoursUntilBooking >= 24) {
-        refundPercentage = 100;
-    } else if (hoursUntilBooking >= 12) {
-        refundPercentage = 75;
-    } else if (hoursUntilBooking >= 6) {
-        refundPercentage = 50;
-    } else if (hoursUntilBooking >= 2) {
-        refundPercentage = 25;
-    }
-
-    const refundAmount = (this.pricing.totalAmount * refundPercentage) / 100;
-    cancellationFee = this.pricing.totalAmount - refundAmount;
-
-    return {
-        refundEligible: refundPercentage > 0,
-        refundPercentage,
-        refundAmount,
-        cancellationFee,
-        hoursUntilBooking: Math.round(hoursUntilBooking * 10) / 10,
-    };
+// Instance method to calculate cancellation refund from the booking's policy snapshot.
+// Bookings made before policies were snapshotted use the default schedule.
+bookingSchema.methods.calculateCancellationRefund = function (at = new Date()) {
+    const { refundEligible, refundPercentage, refundAmount, cancellationFee, hoursUntilBooking } =
+        CancellationPolicy.evaluate(this.cancellationPolicy, {
+            startTime: this.startTime,
+            totalAmount: this.pricing.totalAmount,
+            at
+        });
+
+    return { refundEligible, refundPercentage, refundAmount, cancellationFee, hoursUntilBooking };
 };
 
 // Instance method to check if booking can be modified
@@ -685,8 +943,9 @@ bookingSchema.methods.canBeModified = function () {
     return { allowed: true };
 };
 
-// Instance method to check if booking can be cancelled
-bookingSchema.methods.canBeCancelled = function () {
+// Instance method to check if booking can be cancelled. Staff cancelling on the venue's
+// behalf are not bound by the cancellation policy.
+bookingSchema.methods.canBeCancelled = function ({ enforcePolicy = true } = {}) {
     if (this.status === 'cancelled' || this.status === 'completed' || this.status === 'no-show') {
         return { allowed: false, reason: `Booking is already ${this.status}` };
     }
@@ -696,9 +955,173 @@ bookingSchema.methods.canBeCancelled = function () {
         return { allowed: false, reason: 'Cannot cancel a booking that has already started or passed' };
     }
 
+    if (enforcePolicy) {
+        const { allowed, reason } = CancellationPolicy.evaluate(this.cancellationPolicy, {
+            startTime: this.startTime,
+            totalAmount: this.pricing.totalAmount,
+            at: now
+        });
+        if (!allowed) {
+            return { allowed, reason };
+        }
+    }
+
     return { allowed: true };
 };
 
+// Instance method to get how much has been paid. Payments recorded before paidAmount
+// existed count as the full amount.
+bookingSchema.methods.getPaidAmount = function () {
+    if (!this.payment) {
+        return 0;
+    }
+    if (this.payment.paidAmount > 0) {
+        return this.payment.paidAmount;
+    }
+    return ['completed', 'refunded', 'partially-refunded'].includes(this.payment.status) ? this.payment.amount : 0;
+};
+
+// Instance method to get the amount still to be paid
+bookingSchema.methods.getOutstandingAmount = function () {
+    if (!this.payment) {
+        return 0;
+    }
+    return Math.max(0, roundAmount(this.payment.amount - this.getPaidAmount()));
+};
+
+// Instance method to split the payment into a deposit, due within the hold but never after the
+// start time, and the balance, due by the start time
+bookingSchema.methods.scheduleDeposit = function (percentage, holdMinutes, now = new Date()) {
+    this.payment.depositAmount = roundAmount(this.payment.amount * percentage / 100);
+    this.payment.depositDueAt = new Date(Math.min(now.getTime() + holdMinutes * 60000, this.startTime.getTime()));
+    this.payment.balanceDueAt = this.startTime;
+};
+
+// Instance method to check whether the deposit, if any, has been paid
+bookingSchema.methods.isDepositPaid = function () {
+    return !this.payment || !this.payment.depositAmount || this.getPaidAmount() >= this.payment.depositAmount;
+};
+
+// Instance method to record a successful capture. Without an amount the outstanding balance is paid.
+bookingSchema.methods.recordPayment = function ({ provider, transactionId, method, amount, participant, paidAt = new Date() }) {
+    const paid = amount !== undefined ? amount : this.getOutstandingAmount();
+
+    this.payment.transactions.push({ transactionId, provider, method, amount: paid, participant, paidAt });
+    this.payment.paidAmount = roundAmount(this.getPaidAmount() + paid);
+    this.payment.status = this.payment.paidAmount >= this.payment.amount ? 'completed' : 'partially-paid';
+    this.payment.provider = provider;
+    this.payment.paidAt = paidAt;
+    this.payment.failureReason = undefined;
+    if (transactionId) {
+        this.payment.transactionId = transactionId;
+    }
+    if (method) {
+        this.payment.method = method;
+    }
+
+    // A checkout hold becomes a regular booking once paid for, or once its deposit is
+    if (this.isCheckoutHold() && (this.payment.depositAmount ? this.isDepositPaid() : this.getOutstandingAmount() === 0)) {
+        this.confirmHold();
+    }
+};
+
+// Instance method to check whether the booking is a checkout hold still waiting for payment.
+// Waitlist offers are tentative too but are accepted rather than paid for.
+bookingSchema.methods.isCheckoutHold = function () {
+    return this.isTentative && !this.isWaitlisted && this.status === 'pending-confirmation';
+};
+
+// Instance method to turn a checkout hold into a regular booking, awaiting approval where the court requires it
+bookingSchema.methods.confirmHold = function () {
+    this.isTentative = false;
+    this.tentativeExpiryTime = undefined;
+    this.status = this.requiresApproval ? 'pending-confirmation' : 'confirmed';
+};
+
+// Instance method to record a failed payment attempt. Money already received keeps its status.
+bookingSchema.methods.recordPaymentFailure = function (reason) {
+    if (this.getPaidAmount() === 0) {
+        this.payment.status = 'failed';
+    }
+    this.payment.failureReason = reason;
+};
+
+// Instance method to get the amount that can still be refunded
+bookingSchema.methods.getRefundableAmount = function () {
+    if (!this.payment || !REFUNDABLE_PAYMENT_STATUSES.includes(this.payment.status)) {
+        return 0;
+    }
+    return Math.max(0, roundAmount(this.getPaidAmount() - (this.payment.refundAmount || 0)));
+};
+
+// Instance method to record a refund, moving the payment to refunded or partially-refunded.
+// transactionId ties the refund to the captured transaction it was paid back to.
+bookingSchema.methods.recordRefund = function ({ refundId, transactionId, amount, reason, refundedAt = new Date() }) {
+    const refundable = this.getRefundableAmount();
+    if (amount <= 0 || amount > refundable) {
+        throw new Error(`Refund amount must be between 0 and ${refundable}`);
+    }
+
+    const paidAmount = this.getPaidAmount();
+
+    if (transactionId) {
+        const transaction = this.payment.transactions.find(t => t.transactionId === transactionId);
+        if (transaction) {
+            transaction.refundedAmount = roundAmount(transaction.refundedAmount + amount);
+        }
+    }
+
+    this.payment.paidAmount = paidAmount;
+    this.payment.refunds.push({ refundId, transactionId, amount, reason, refundedAt });
+    this.payment.refundAmount = roundAmount((this.payment.refundAmount || 0) + amount);
+    this.payment.refundedAt = refundedAt;
+    this.payment.refundReason = reason;
+    if (this.payment.refundAmount >= paidAmount) {
+        this.payment.status = 'refunded';
+    } else {
+        this.payment.status = paidAmount >= this.payment.amount ? 'partially-refunded' : 'partially-paid';
+    }
+};
+
+// Instance method to count the players of a group booking: the leader plus everyone who has not declined
+bookingSchema.methods.getHeadcount = function () {
+    return 1 + this.participants.filter(p => p.status !== 'declined').length;
+};
+
+// Instance method to (re)issue a participant's invitation. Only the token's hash is stored,
+// the raw token is returned for the invitation link.
+bookingSchema.methods.createParticipantInvitation = function (participant) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    participant.invitationToken = hashInvitationToken(token);
+    participant.invitationExpires = new Date(Math.min(this.startTime.getTime(), now + PARTICIPANT_INVITATION_TTL));
+    participant.invitedAt = new Date(now);
+    participant.respondedAt = undefined;
+    participant.status = 'invited';
+
+    return token;
+};
+
+// Instance method to split the total equally between the leader and everyone who has not declined.
+// Shares are rounded down to the cent and the leader covers the remainder.
+bookingSchema.methods.splitPaymentEqually = function () {
+    const share = Math.floor((this.pricing.totalAmount / this.getHeadcount()) * 100) / 100;
+
+    this.participants.forEach(participant => {
+        participant.paymentShare = participant.status === 'declined' ? 0 : share;
+    });
+};
+
+// Instance method to get the part of the total not assigned to a participant
+bookingSchema.methods.getLeaderShare = function () {
+    const assigned = this.participants
+        .filter(p => p.status !== 'declined')
+        .reduce((sum, p) => sum + (p.paymentShare || 0), 0);
+
+    return Math.max(0, roundAmount(this.pricing.totalAmount - assigned));
+};
+
 // Virtual for booking status color (for UI)
 bookingSchema.virtual('statusColor').get(function () {
     const colors = {
@@ -713,6 +1136,32 @@ bookingSchema.virtual('statusColor').get(function () {
     return colors[this.status] || 'gray';
 });
 
+// Virtual for the deposit and balance instalments with what is still owed on each
+bookingSchema.virtual('paymentSchedule').get(function () {
+    if (!this.payment || !this.payment.depositAmount) {
+        return undefined;
+    }
+
+    const paid = this.getPaidAmount();
+    const deposit = this.payment.depositAmount;
+    const balance = roundAmount(this.payment.amount - deposit);
+
+    return [
+        {
+            type: 'deposit',
+            amount: deposit,
+            dueAt: this.payment.depositDueAt,
+            outstanding: Math.max(0, roundAmount(deposit - paid)),
+        },
+        {
+            type: 'balance',
+            amount: balance,
+            dueAt: this.payment.balanceDueAt,
+            outstanding: Math.max(0, roundAmount(balance - Math.max(0, paid - deposit))),
+        },
+    ];
+});
+
 // Virtual for time until booking
 bookingSchema.virtual('timeUntilBooking').get(function () {
     const now = new Date();
@@ -761,19 +1210,49 @@ bookingSchema.statics.updateBookingStatuses = async function () {
     const now = new Date();
 
     // Mark expired tentative bookings
-    await this.updateMany(
-        {
-            isTentative: true,
-            tentativeExpiryTime: { $lte: now },
-            status: 'pending-confirmation'
-        },
+    const expired = await this.expireTentativeHolds();
+
+    // Expire bookings with nothing paid by the end of the venue's deposit hold. Part of the deposit
+    // keeps the booking, as expiring it would leave the money collected unrefunded.
+    const unpaidDepositIds = await this.distinct('_id', {
+        status: { $in: ['pending-confirmation', 'confirmed'] },
+        'payment.depositDueAt': { $lte: now },
+        'payment.depositAmount': { $gt: 0 },
+        'payment.paidAmount': 0
+    });
+
+    const depositExpired = await this.updateMany(
+        { _id: { $in: unpaidDepositIds }, status: { $in: ['pending-confirmation', 'confirmed'] } },
         { status: 'expired' }
     );
 
-    // Mark bookings as in-progress
-    await this.updateMany(
+    // At venues tracking no-shows, mark confirmed bookings as no-show if not checked in
+    const noShowVenueIds = await mongoose.model('Venue').distinct('_id', { 'settings.trackNoShows': true });
+    const noShowThreshold = new Date(now.getTime() - 30 * 60000); // 30 minutes after start
+    const noShowIds = await this.distinct('_id', {
+        status: 'confirmed',
+        venue: { $in: noShowVenueIds },
+        startTime: { $lte: noShowThreshold },
+        checkIn: { $exists: false }
+    });
+
+    const noShow = await this.updateMany(
+        { _id: { $in: noShowIds }, status: 'confirmed' },
+        {
+            status: 'no-show',
+            isNoShow: true
+        }
+    );
+
+    // Mark bookings as in-progress. At venues tracking no-shows only checked-in ones, the others
+    // stay confirmed until the no-show threshold so late arrivals can still check in.
+    const inProgress = await this.updateMany(
         {
             status: 'confirmed',
+            $or: [
+                { 'checkIn.time': { $exists: true } },
+                { venue: { $nin: noShowVenueIds } }
+            ],
             startTime: { $lte: now },
             endTime: { $gte: now }
         },
@@ -781,7 +1260,7 @@ bookingSchema.statics.updateBookingStatuses = async function () {
     );
 
     // Mark bookings as completed
-    await this.updateMany(
+    const completed = await this.updateMany(
         {
             status: 'in-progress',
             endTime: { $lt: now }
@@ -789,21 +1268,85 @@ bookingSchema.statics.updateBookingStatuses = async function () {
         { status: 'completed' }
     );
 
-    // Mark confirmed bookings as no-show if not checked in
-    const noShowThreshold = new Date(now.getTime() - 30 * 60000); // 30 minutes after start
-    await this.updateMany(
-        {
-            status: 'confirmed',
-            startTime: { $lte: noShowThreshold },
-            checkIn: { $exists: false }
-        },
-        {
-            status: 'no-show',
-            isNoShow: true
-        }
+    await releaseBookings(this, unpaidDepositIds, { unfulfilled: true });
+    await releaseBookings(this, noShowIds);
+
+    return {
+        expired: expired + depositExpired.modifiedCount,
+        inProgress: inProgress.modifiedCount,
+        completed: completed.modifiedCount,
+        noShow: noShow.modifiedCount,
+    };
+};
+
+// Static method to expire checkout holds and waitlist offers that have run out, optionally only
+// those matching a filter, and free what they held. Returns how many were expired.
+bookingSchema.statics.expireTentativeHolds = async function (filter = {}) {
+    const expiredIds = await this.distinct('_id', {
+        ...filter,
+        isTentative: true,
+        tentativeExpiryTime: { $lte: new Date() },
+        status: 'pending-confirmation'
+    });
+
+    if (expiredIds.length === 0) {
+        return 0;
+    }
+
+    const expired = await this.updateMany(
+        { _id: { $in: expiredIds }, status: 'pending-confirmation' },
+        { status: 'expired' }
     );
+
+    await releaseBookings(this, expiredIds, { unfulfilled: true });
+
+    return expired.modifiedCount;
 };
 
+// Free the court and add-ons, and cancel the reminders, of bookings moved out of an active status
+// with updateMany, which skips the post-save hook. Unfulfilled bookings also give back their coupon and free member time.
+async function releaseBookings(Booking, bookingIds, { unfulfilled = false } = {}) {
+    if (bookingIds.length === 0) {
+        return;
+    }
+
+    await SlotLock.deleteMany({ booking: { $in: bookingIds } });
+    await Reminder.cancelForBookings(bookingIds);
+
+    const withAddOns = await Booking.find({
+        _id: { $in: bookingIds },
+        $or: [{ 'equipmentRental.0': { $exists: true } }, { 'additionalServices.0': { $exists: true } }]
+    }).select('equipmentRental additionalServices');
+    for (const booking of withAddOns) {
+        if (booking.equipmentRental.length > 0) {
+            await Equipment.release(booking._id);
+        }
+        if (booking.additionalServices.length > 0) {
+            await Service.release(booking._id);
+        }
+    }
+
+    if (!unfulfilled) {
+        return;
+    }
+
+    const withPerks = await Booking.find({
+        _id: { $in: bookingIds },
+        $or: [{ coupon: { $exists: true } }, { membershipFreeMinutes: { $gt: 0 } }]
+    }).select('coupon membership membershipFreeMinutes');
+    for (const booking of withPerks) {
+        if (booking.coupon) {
+            await Coupon.release(booking._id);
+        }
+        if (booking.membershipFreeMinutes > 0) {
+            await Membership.returnFreeMinutes(booking.membership, booking.membershipFreeMinutes);
+        }
+    }
+}
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
+Booking.ACTIVE_STATUSES = ACTIVE_BOOKING_STATUSES;
+Booking.PAID_PAYMENT_STATUSES = PAID_PAYMENT_STATUSES;
+
 module.exports = Booking;
\ No newline at end of file
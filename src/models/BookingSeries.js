@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const RecurrenceRule = require('../utils/recurrence');
+
+// Statuses of occurrences that are not going ahead and so drop out of the series totals
+const DROPPED_OCCURRENCE_STATUSES = ['cancelled', 'expired'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Series Pricing Sub-Schema: totals over the occurrences that are going ahead
+const seriesPricingSchema = new mongoose.Schema({
+    occurrences: {
+        type: Number,
+        default: 0,
+    },
+    basePrice: {
+        type: Number,
+        default: 0,
+    },
+    totalDiscount: {
+        type: Number,
+        default: 0,
+    },
+    subtotal: {
+        type: Number,
+        default: 0,
+    },
+    tax: {
+        type: Number,
+        default: 0,
+    },
+    serviceFee: {
+        type: Number,
+        default: 0,
+    },
+    platformFee: {
+        type: Number,
+        default: 0,
+    },
+    totalAmount: {
+        type: Number,
+        default: 0,
+    },
+    currency: {
+        type: String,
+        default: 'PKR',
+    },
+}, { _id: false });
+
+// Main Booking Series Schema: a recurring booking. Each occurrence is a booking of its own
+// pointing back at the series; the rule and first slot describe when they take place.
+const bookingSeriesSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    court: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Court',
+        required: true,
+    },
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+        required: true,
+    },
+    // RRULE, e.g. "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10"
+    rule: {
+        type: String,
+        required: [true, 'Recurrence rule is required'],
+        validate: {
+            validator: (value) => {
+                try {
+                    RecurrenceRule.parse(value);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            },
+            message: 'Invalid recurrence rule',
+        },
+    },
+    // First occurrence; later ones start at the same wall-clock time in the timezone
+    startTime: {
+        type: Date,
+        required: true,
+    },
+    // Minutes each occurrence lasts
+    duration: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    timezone: {
+        type: String,
+        default: 'Asia/Karachi',
+    },
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active',
+    },
+    // Occurrences the rule produces that were not booked, because the court was taken or closed
+    skippedOccurrences: [{
+        startTime: Date,
+        endTime: Date,
+        reason: String,
+        _id: false,
+    }],
+    // Series that this one was split off from when "this and following" occurrences were rescheduled
+    splitFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookingSeries',
+    },
+    pricing: {
+        type: seriesPricingSchema,
+        default: () => ({}),
+    },
+    cancellation: {
+        cancelledAt: Date,
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reason: String,
+    },
+}, {
+    timestamps: true,
+});
+
+// Instance method to get the end of the first occurrence
+bookingSeriesSchema.methods.getEndTime = function () {
+    return new Date(this.startTime.getTime() + this.duration * 60000);
+};
+
+// Instance method to get the slots the rule produces, booked or not
+bookingSeriesSchema.methods.getOccurrences = function () {
+    return RecurrenceRule.getOccurrences(this.rule, {
+        startTime: this.startTime,
+        endTime: this.getEndTime(),
+        timezone: this.timezone,
+    });
+};
+
+// Instance method to recalculate the series totals from its bookings
+bookingSeriesSchema.methods.refreshPricing = async function () {
+    const Booking = mongoose.model('Booking');
+    const bookings = await Booking.find({
+        series: this._id,
+        status: { $nin: DROPPED_OCCURRENCE_STATUSES },
+    }).select('pricing');
+
+    this.pricing = this.constructor.sumPricing(bookings.map(b => b.pricing), this.pricing.currency);
+    return this.pricing;
+};
+
+// Static method to add up the pricing of a series' occurrences
+bookingSeriesSchema.statics.sumPricing = function (pricings, currency) {
+    const sum = (field) => roundAmount(pricings.reduce((total, pricing) => total + (pricing[field] || 0), 0));
+
+    return {
+        occurrences: pricings.length,
+        basePrice: sum('basePrice'),
+        totalDiscount: sum('totalDiscount'),
+        subtotal: sum('subtotal'),
+        tax: sum('tax'),
+        serviceFee: sum('serviceFee'),
+        platformFee: sum('platformFee'),
+        totalAmount: sum('totalAmount'),
+        currency: pricings.length > 0 ? pricings[0].currency : currency,
+    };
+};
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+BookingSeries.DROPPED_OCCURRENCE_STATUSES = DROPPED_OCCURRENCE_STATUSES;
+
+module.exports = BookingSeries;
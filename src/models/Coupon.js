@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+
+// Redemption Sub-Schema, one per booking that used the coupon
+const redemptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+    },
+    discountAmount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    redeemedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// Main Coupon Schema
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    // Discount
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: true,
+    },
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0,
+        validate: {
+            validator: function (value) {
+                return this.discountType !== 'percentage' || value <= 100;
+            },
+            message: 'Percentage discount cannot exceed 100',
+        },
+    },
+    maxDiscountAmount: {
+        type: Number,
+        min: 0,
+        // Cap for percentage discounts
+    },
+    minSpend: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+
+    // Scope, an empty list means no restriction on that dimension
+    scope: {
+        venues: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Venue',
+        }],
+        courts: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Court',
+        }],
+        sportTypes: [{
+            type: String,
+            enum: ['tennis', 'badminton', 'squash', 'basketball', 'volleyball', 'pickleball', 'table-tennis', 'futsal', 'other'],
+        }],
+    },
+
+    // Validity window
+    validFrom: {
+        type: Date,
+        default: Date.now,
+    },
+    validUntil: Date,
+
+    // Usage caps, null means unlimited
+    usageLimit: {
+        type: Number,
+        min: 1,
+        default: null,
+    },
+    perUserLimit: {
+        type: Number,
+        min: 1,
+        default: 1,
+    },
+    usageCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    redemptions: [redemptionSchema],
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+couponSchema.index({ createdBy: 1, isActive: 1 });
+couponSchema.index({ 'redemptions.booking': 1 });
+
+// Static method to find a coupon by its code, case-insensitively
+couponSchema.statics.findByCode = function (code) {
+    return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Instance method to get how many times a user has redeemed the coupon
+couponSchema.methods.getUserRedemptionCount = function (userId) {
+    return this.redemptions.filter(r => r.user.toString() === userId.toString()).length;
+};
+
+// Instance method to calculate the discount on an amount
+couponSchema.methods.calculateDiscount = function (amount) {
+    let discount = this.discountType === 'percentage'
+        ? (amount * this.discountValue) / 100
+        : this.discountValue;
+
+    if (this.maxDiscountAmount !== undefined && this.maxDiscountAmount !== null) {
+        discount = Math.min(discount, this.maxDiscountAmount);
+    }
+
+    return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+// Instance method to check whether the coupon applies to a booking.
+// court must have venue and sportType; amount is the price before discounts.
+couponSchema.methods.checkEligibility = function ({ userId, court, amount, at = new Date() }) {
+    if (!this.isActive) {
+        return { valid: false, reason: 'Coupon is not active' };
+    }
+
+    if (this.validFrom && at < this.validFrom) {
+        return { valid: false, reason: 'Coupon is not valid yet' };
+    }
+
+    if (this.validUntil && at > this.validUntil) {
+        return { valid: false, reason: 'Coupon has expired' };
+    }
+
+    const venueId = (court.venue._id || court.venue).toString();
+    if (this.scope.venues.length > 0 && !this.scope.venues.some(v => v.toString() === venueId)) {
+        return { valid: false, reason: 'Coupon is not valid for this venue' };
+    }
+
+    if (this.scope.courts.length > 0 && !this.scope.courts.some(c => c.toString() === court._id.toString())) {
+        return { valid: false, reason: 'Coupon is not valid for this court' };
+    }
+
+    if (this.scope.sportTypes.length > 0 && !this.scope.sportTypes.includes(court.sportType)) {
+        return { valid: false, reason: `Coupon is not valid for ${court.sportType}` };
+    }
+
+    if (amount < this.minSpend) {
+        return { valid: false, reason: `Minimum spend of ${this.minSpend} is required for this coupon` };
+    }
+
+    if (this.usageLimit !== null && this.usageCount >= this.usageLimit) {
+        return { valid: false, reason: 'Coupon usage limit has been reached' };
+    }
+
+    if (userId && this.getUserRedemptionCount(userId) >= this.perUserLimit) {
+        return { valid: false, reason: 'You have already used this coupon the maximum number of times' };
+    }
+
+    return { valid: true, discount: this.calculateDiscount(amount) };
+};
+
+// Static method to record a redemption atomically.
+// The usage caps are re-checked inside the update, so concurrent bookings cannot overshoot them.
+// Returns null when a cap was reached in the meantime.
+couponSchema.statics.redeem = function (couponId, { userId, bookingId, discountAmount }) {
+    const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+
+    return this.findOneAndUpdate(
+        {
+            _id: couponId,
+            isActive: true,
+            $expr: {
+                $and: [
+                    { $lt: ['$usageCount', { $ifNull: ['$usageLimit', Number.MAX_SAFE_INTEGER] }] },
+                    {
+                        $lt: [
+                            {
+                                $size: {
+                                    $filter: {
+                                        input: '$redemptions',
+                                        cond: { $eq: ['$$this.user', userObjectId] },
+                                    },
+                                },
+                            },
+                            '$perUserLimit',
+                        ],
+                    },
+                ],
+            },
+        },
+        {
+            $inc: { usageCount: 1 },
+            $push: {
+                redemptions: {
+                    user: userObjectId,
+                    booking: bookingId,
+                    discountAmount,
+                    redeemedAt: new Date(),
+                },
+            },
+        },
+        { new: true }
+    );
+};
+
+// Static method to give back the redemption made by a booking, if any
+couponSchema.statics.release = function (bookingId) {
+    return this.updateOne(
+        { 'redemptions.booking': bookingId },
+        {
+            $pull: { redemptions: { booking: bookingId } },
+            $inc: { usageCount: -1 },
+        }
+    );
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const TimezoneUtils = require('../utils/timezone');
+const { cancellationPolicySchema } = require('./schemas/cancellationPolicy');
 
 // Operating Hours Sub-Schema
 const operatingHoursSchema = new mongoose.Schema({
@@ -98,6 +101,8 @@ const discountRuleSchema = new mongoose.Schema({
     },
     minBookingDuration: Number, // in minutes
     minGroupSize: Number,
+    // Bulk discounts apply to recurring series of at least this many occurrences
+    minOccurrences: Number,
     advanceBookingHours: Number,
     membershipTier: String,
     isActive: {
@@ -400,11 +405,19 @@ const courtSchema = new mongoose.Schema({
         },
     },
 
+    // Overrides the venue's cancellation policy
+    cancellationPolicy: cancellationPolicySchema,
+
     // Operating Hours
     operatingHours: [operatingHoursSchema],
     timezone: {
         type: String,
         default: 'Asia/Karachi',
+        validate: {
+            validator: TimezoneUtils.isValidTimezone,
+            message: 'Invalid IANA timezone'
+        },
+        // Operating hours, break times and pricing rule times are wall-clock times in this zone
     },
 
     // Availability Exceptions
@@ -444,6 +457,11 @@ const courtSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
     }],
+    // Hash of the secret in the court's calendar feed URL
+    calendarFeedToken: {
+        type: String,
+        select: false,
+    },
 
     // Statistics & Metrics
     stats: {
@@ -517,6 +535,7 @@ courtSchema.index({ 'stats.averageRating': -1 });
 courtSchema.index({ tags: 1 });
 courtSchema.index({ owner: 1 });
 courtSchema.index({ createdAt: -1 });
+courtSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Compound index for search and filtering
 courtSchema.index({
@@ -564,8 +583,8 @@ courtSchema.virtual('primaryImage').get(function () {
 // Virtual for checking if court is currently open
 courtSchema.virtual('isCurrentlyOpen').get(function () {
     const now = new Date();
-    const dayOfWeek = now.getDay();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    const dayOfWeek = TimezoneUtils.getDayOfWeek(now, this.timezone);
+    const currentTime = TimezoneUtils.formatTime(now, this.timezone);
 
     const todayHours = this.operatingHours.find(oh => oh.dayOfWeek === dayOfWeek);
 
@@ -580,8 +599,8 @@ courtSchema.virtual('isCurrentlyOpen').get(function () {
 // Instance method to calculate price for a time slot
 courtSchema.methods.calculatePrice = function (startTime, endTime, options = {}) {
     const duration = (new Date(endTime) - new Date(startTime)) / (1000 * 60 * 60); // in hours
-    const dayOfWeek = new Date(startTime).getDay();
-    const timeStr = `${String(new Date(startTime).getHours()).padStart(2, '0')}:${String(new Date(startTime).getMinutes()).padStart(2, '0')}`;
+    const dayOfWeek = TimezoneUtils.getDayOfWeek(startTime, this.timezone);
+    const timeStr = TimezoneUtils.formatTime(startTime, this.timezone);
 
     // Find applicable pricing rule (highest priority)
     const applicableRules = this.pricingRules
@@ -630,11 +649,47 @@ courtSchema.methods.calculatePrice = function (startTime, endTime, options = {})
     return Math.max(0, totalPrice);
 };
 
+// Instance method to get the discount on each occurrence of a recurring series, from the
+// best active bulk discount rule a series of this many occurrences qualifies for
+courtSchema.methods.getSeriesDiscount = function (price, occurrences) {
+    const best = this.discountRules
+        .filter(rule => rule.isActive && rule.type === 'bulk' && occurrences >= (rule.minOccurrences || 2))
+        .map(rule => ({
+            rule,
+            amount: Math.min(price, rule.discountType === 'percentage' ? price * rule.value / 100 : rule.value),
+        }))
+        .sort((a, b) => b.amount - a.amount)[0];
+
+    if (!best || best.amount <= 0) {
+        return null;
+    }
+
+    return {
+        type: 'bulk',
+        name: 'Recurring series discount',
+        amount: Math.round(best.amount * 100) / 100,
+        percentage: best.rule.discountType === 'percentage' ? best.rule.value : undefined,
+    };
+};
+
+// Instance method to generate the calendar feed token, replacing any earlier one so old feed URLs stop working
+courtSchema.methods.createCalendarFeedToken = function () {
+    const feedToken = crypto.randomBytes(32).toString('hex');
+    this.calendarFeedToken = crypto.createHash('sha256').update(feedToken).digest('hex');
+    return feedToken;
+};
+
 // Instance method to check availability for a time slot
 courtSchema.methods.isAvailableForSlot = async function (startTime, endTime) {
     const startDate = new Date(startTime);
-    const dayOfWeek = startDate.getDay();
-    const timeStr = `${String(startDate.getHours()).padStart(2, '0')}:${String(startDate.getMinutes()).padStart(2, '0')}`;
+    const endDate = new Date(endTime);
+    const dayOfWeek = TimezoneUtils.getDayOfWeek(startDate, this.timezone);
+    const timeStr = TimezoneUtils.formatTime(startDate, this.timezone);
+    const dateStr = TimezoneUtils.formatDate(startDate, this.timezone);
+    // A slot running past midnight blocks the rest of the day
+    const endTimeStr = TimezoneUtils.formatDate(endDate, this.timezone) === dateStr
+        ? TimezoneUtils.formatTime(endDate, this.timezone)
+        : '24:00';
 
     // Check court status
     if (this.status !== 'active') {
@@ -651,8 +706,20 @@ courtSchema.methods.isAvailableForSlot = async function (startTime, endTime) {
         return { available: false, reason: 'Outside operating hours' };
     }
 
-    // Check availability exceptions
-    const dateStr = startDate.toISOString().split('T')[0];
+    // Check break times
+    const breakTime = this.getBreakTimes(operatingHour)
+        .find(bt => timeStr < bt.endTime && endTimeStr > bt.startTime);
+
+    if (breakTime) {
+        return {
+            available: false,
+            reason: breakTime.reason
+                ? `Court is closed for ${breakTime.reason} (${breakTime.startTime}-${breakTime.endTime})`
+                : `Court is closed for a break (${breakTime.startTime}-${breakTime.endTime})`
+        };
+    }
+
+    // Check availability exceptions (exception dates are calendar dates stored at UTC midnight)
     const exception = this.availabilityExceptions.find(exc =>
         new Date(exc.date).toISOString().split('T')[0] === dateStr
     );
@@ -661,12 +728,23 @@ courtSchema.methods.isAvailableForSlot = async function (startTime, endTime) {
         return { available: false, reason: exception.reason || 'Court is unavailable on this date' };
     }
 
-    // Check for existing bookings (will be implemented with Booking model)
-    // This is a placeholder - actual booking conflict check will be in booking controller
+    // Booking conflicts (including buffer time) are checked by Booking.checkConflicts
 
     return { available: true };
 };
 
+// Instance method to get the valid break windows of an operating-hours entry
+courtSchema.methods.getBreakTimes = function (operatingHour) {
+    return (operatingHour.breakTimes || [])
+        .filter(bt => bt.startTime && bt.endTime && bt.startTime < bt.endTime);
+};
+
+// Instance method to get the time a booking keeps the court blocked until, including turnover buffer
+courtSchema.methods.getBlockedUntil = function (endTime) {
+    const bufferMinutes = this.bookingSettings.bufferTimeBetweenBookings || 0;
+    return new Date(new Date(endTime).getTime() + bufferMinutes * 60000);
+};
+
 // Static method to get courts by venue
 courtSchema.statics.getByVenue = function (venueId, filters = {}) {
     const query = { venue: venueId, status: 'active', ...filters };
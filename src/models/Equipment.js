@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { reservationSchema, getPeakQuantity } = require('./schemas/reservation');
+
+// Attempts at a reservation before giving up on a heavily contended item
+const MAX_RESERVE_ATTEMPTS = 5;
+
+// Main Equipment Schema
+const equipmentSchema = new mongoose.Schema({
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+        required: [true, 'Venue is required'],
+        index: true,
+    },
+    name: {
+        type: String,
+        required: [true, 'Equipment name is required'],
+        trim: true,
+        maxlength: [100, 'Equipment name cannot exceed 100 characters'],
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    category: {
+        type: String,
+        enum: ['racquet', 'ball', 'shoes', 'protective-gear', 'other'],
+        required: [true, 'Category is required'],
+    },
+    // Sports the item is for, empty means any
+    sportTypes: [{
+        type: String,
+        enum: ['tennis', 'badminton', 'squash', 'basketball', 'volleyball', 'pickleball', 'table-tennis', 'futsal', 'other'],
+    }],
+
+    // Units owned by the venue
+    totalStock: {
+        type: Number,
+        required: [true, 'Stock count is required'],
+        min: 0,
+    },
+
+    pricing: {
+        type: {
+            type: String,
+            enum: ['hourly', 'flat'],
+            default: 'flat',
+        },
+        // Per unit, per hour for hourly pricing
+        amount: {
+            type: Number,
+            required: [true, 'Rental price is required'],
+            min: 0,
+        },
+    },
+
+    // Units rented out by bookings. reservationVersion changes with every change to
+    // reservations, which lets a reservation check stock and write in one atomic step.
+    reservations: [reservationSchema],
+    reservationVersion: {
+        type: Number,
+        default: 0,
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function (doc, ret) {
+            delete ret.reservations;
+            delete ret.reservationVersion;
+            return ret;
+        },
+    },
+    toObject: { virtuals: true },
+});
+
+equipmentSchema.index({ 'reservations.booking': 1 });
+
+// Instance method to get the largest number of units rented at once during [startTime, endTime)
+equipmentSchema.methods.getReservedQuantity = function (startTime, endTime, excludeBookingId = null) {
+    return getPeakQuantity(this.reservations, startTime, endTime, excludeBookingId);
+};
+
+// Instance method to get how many units are free for the whole of [startTime, endTime)
+equipmentSchema.methods.getAvailableQuantity = function (startTime, endTime, excludeBookingId = null) {
+    return Math.max(0, this.totalStock - this.getReservedQuantity(startTime, endTime, excludeBookingId));
+};
+
+// Instance method to calculate the rental price for a quantity over a duration in minutes
+equipmentSchema.methods.calculatePrice = function (quantity, durationMinutes) {
+    const units = this.pricing.type === 'hourly' ? quantity * (durationMinutes / 60) : quantity;
+    return Math.round(this.pricing.amount * units * 100) / 100;
+};
+
+// Static method to reserve units of one item for a booking, replacing any earlier reservation by it.
+// The write only succeeds if no other reservation changed the item since its stock was checked,
+// otherwise the check is repeated. Returns false when there is not enough stock.
+equipmentSchema.statics.reserveItem = async function (equipmentId, { bookingId, quantity, startTime, endTime }) {
+    for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+        const equipment = await this.findById(equipmentId).select('totalStock reservations reservationVersion isActive');
+        if (!equipment || !equipment.isActive) {
+            return false;
+        }
+
+        if (equipment.getAvailableQuantity(startTime, endTime, bookingId) < quantity) {
+            return false;
+        }
+
+        const reservations = equipment.reservations
+            .filter(r => r.booking.toString() !== bookingId.toString())
+            .map(r => r.toObject());
+        reservations.push({ booking: bookingId, quantity, startTime, endTime });
+
+        const result = await this.updateOne(
+            { _id: equipmentId, reservationVersion: equipment.reservationVersion },
+            {
+                $set: { reservations },
+                $inc: { reservationVersion: 1 },
+            }
+        );
+
+        if (result.modifiedCount === 1) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+// Static method to reserve several items for a booking, all or nothing.
+// Returns the first item that could not be reserved, or null on success.
+equipmentSchema.statics.reserve = async function (items, { bookingId, startTime, endTime }) {
+    for (const item of items) {
+        const reserved = await this.reserveItem(item.equipment, {
+            bookingId,
+            quantity: item.quantity,
+            startTime,
+            endTime,
+        });
+
+        if (!reserved) {
+            await this.release(bookingId);
+            return item;
+        }
+    }
+
+    return null;
+};
+
+// Static method to give back every unit reserved by a booking
+equipmentSchema.statics.release = function (bookingId) {
+    return this.updateMany(
+        { 'reservations.booking': bookingId },
+        {
+            $pull: { reservations: { booking: bookingId } },
+            $inc: { reservationVersion: 1 },
+        }
+    );
+};
+
+// Static method to drop reservations that have ended, keeping the documents small
+equipmentSchema.statics.pruneReservations = function (before = new Date()) {
+    return this.updateMany(
+        { 'reservations.endTime': { $lt: before } },
+        {
+            $pull: { reservations: { endTime: { $lt: before } } },
+            $inc: { reservationVersion: 1 },
+        }
+    );
+};
+
+const Equipment = mongoose.model('Equipment', equipmentSchema);
+
+module.exports = Equipment;
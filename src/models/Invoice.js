@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+
+// Number prefix of each document type; numbers run per venue and type
+const NUMBER_PREFIXES = {
+    'invoice': 'INV',
+    'credit-note': 'CN',
+};
+
+// Booking statuses in which the booking is billed even before anything is paid
+const BILLED_BOOKING_STATUSES = ['confirmed', 'in-progress', 'completed', 'no-show'];
+
+// Attempts at taking the next number before giving up on a venue issuing many documents at once
+const MAX_ISSUE_ATTEMPTS = 5;
+
+// Round currency amounts to two decimals
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sumAmounts = (items) => roundAmount(items.reduce((total, item) => total + item.amount, 0));
+
+// Invoice Line Sub-Schema
+const invoiceLineSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true,
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+    },
+    unitPrice: Number,
+    amount: {
+        type: Number,
+        required: true,
+    },
+}, { _id: false });
+
+// Main Invoice Schema. Invoices and credit notes are snapshots taken when they are issued,
+// so later changes to the venue, customer or prices never alter an issued document.
+const invoiceSchema = new mongoose.Schema({
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+        required: [true, 'Venue is required'],
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required'],
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    type: {
+        type: String,
+        enum: Object.keys(NUMBER_PREFIXES),
+        default: 'invoice',
+    },
+    // Position in the venue's series for the type; unique so concurrent issuers cannot share a number
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    number: {
+        type: String,
+        required: true,
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+    // Credit notes: the invoice they correct and the booking refund they document
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+    },
+    refundIndex: Number,
+    refundId: String,
+    reason: String,
+
+    seller: {
+        name: String,
+        address: String,
+        email: String,
+        phone: String,
+    },
+    customer: {
+        name: String,
+        email: String,
+        phone: String,
+    },
+    bookingNumber: String,
+    serviceStart: Date,
+    serviceEnd: Date,
+    timezone: String,
+
+    lines: [invoiceLineSchema],
+    discounts: [{
+        _id: false,
+        name: String,
+        amount: Number,
+    }],
+    subtotal: {
+        type: Number,
+        required: true,
+    },
+    // Taxes and fees itemized as the booking was priced
+    taxInclusive: {
+        type: Boolean,
+        default: false,
+    },
+    taxes: [{
+        _id: false,
+        name: String,
+        rate: Number,
+        amount: Number,
+    }],
+    tax: {
+        type: Number,
+        default: 0,
+    },
+    fees: [{
+        _id: false,
+        name: String,
+        type: {
+            type: String,
+            enum: ['service', 'platform'],
+        },
+        amount: Number,
+    }],
+    serviceFee: {
+        type: Number,
+        default: 0,
+    },
+    platformFee: {
+        type: Number,
+        default: 0,
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    currency: {
+        type: String,
+        default: 'PKR',
+        uppercase: true,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+invoiceSchema.index({ venue: 1, type: 1, sequence: -1 }, { unique: true });
+invoiceSchema.index({ venue: 1, issuedAt: -1 });
+// One invoice per booking and one credit note per refund
+invoiceSchema.index({ booking: 1, type: 1, refundIndex: 1 }, { unique: true });
+
+// Issued documents are never changed or removed
+invoiceSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error('Issued invoices cannot be modified');
+    }
+});
+
+invoiceSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function () {
+        throw new Error('Issued invoices cannot be modified');
+    }
+);
+
+// Static method to format a document number, e.g. INV-000042
+invoiceSchema.statics.formatNumber = function (type, sequence) {
+    return `${NUMBER_PREFIXES[type]}-${String(sequence).padStart(6, '0')}`;
+};
+
+// Static method to check whether a booking should have an invoice: it is billed once confirmed,
+// or as soon as money is taken for it. Free bookings are never invoiced.
+invoiceSchema.statics.isBillable = function (booking) {
+    if (!booking.pricing || !(booking.pricing.totalAmount > 0)) {
+        return false;
+    }
+    return BILLED_BOOKING_STATUSES.includes(booking.status) || booking.getPaidAmount() > 0;
+};
+
+// Static method to issue a document with the venue's next number for its type.
+// A concurrent issuer taking the same number fails on the unique index and the next number is tried.
+// When the same document was issued concurrently, that document is returned instead.
+invoiceSchema.statics.issue = async function (data) {
+    for (let attempt = 0; attempt < MAX_ISSUE_ATTEMPTS; attempt++) {
+        const last = await this.findOne({ venue: data.venue, type: data.type }).sort('-sequence').select('sequence');
+        const sequence = last ? last.sequence + 1 : 1;
+
+        try {
+            return await this.create({ ...data, sequence, number: this.formatNumber(data.type, sequence) });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+
+            if (!error.keyPattern || !error.keyPattern.sequence) {
+                return this.findOne({ booking: data.booking, type: data.type, refundIndex: data.refundIndex ?? null });
+            }
+        }
+    }
+
+    throw new Error('Invoice numbering is busy, please try again');
+};
+
+// Static method to bring a booking's documents up to date: its invoice once it is billable,
+// and a credit note for every refund. Returns the invoice followed by its credit notes.
+invoiceSchema.statics.syncBooking = async function (booking) {
+    let invoice = await this.findOne({ booking: booking._id, type: 'invoice' });
+
+    if (!invoice) {
+        if (!this.isBillable(booking)) {
+            return [];
+        }
+
+        const data = await buildInvoice(booking);
+        if (!data) {
+            return [];
+        }
+        invoice = await this.issue(data);
+    }
+
+    const creditNotes = await this.find({ booking: booking._id, type: 'credit-note' }).sort('refundIndex');
+    const credited = new Set(creditNotes.map(note => note.refundIndex));
+    const refunds = (booking.payment && booking.payment.refunds) || [];
+
+    for (const [index, refund] of refunds.entries()) {
+        if (!credited.has(index)) {
+            creditNotes.push(await this.issue(buildCreditNote(invoice, refund, index)));
+        }
+    }
+
+    return [invoice, ...creditNotes];
+};
+
+/**
+ * Helper function to snapshot a booking's venue, customer and pricing into invoice data.
+ * Returns null when the booking's venue no longer exists.
+ */
+async function buildInvoice(booking) {
+    const [court, user] = await Promise.all([
+        mongoose.model('Court').findById(booking.court._id || booking.court).select('name venue'),
+        booking.user ? mongoose.model('User').findById(booking.user._id || booking.user).select('firstName lastName email phone') : null,
+    ]);
+
+    const venueId = booking.venue ? booking.venue._id || booking.venue : court && court.venue;
+    const venue = venueId ? await mongoose.model('Venue').findById(venueId).select('name address contact') : null;
+    if (!venue) {
+        return null;
+    }
+
+    const { pricing } = booking;
+    const hours = booking.duration ? roundAmount(booking.duration / 60) : 1;
+    const lines = [{
+        description: `Court rental - ${court ? court.name : 'Court'} (${booking.duration || 0} min)`,
+        quantity: hours,
+        unitPrice: roundAmount(pricing.basePrice / hours),
+        amount: pricing.basePrice,
+    }];
+
+    (booking.equipmentRental || []).forEach(item => lines.push({
+        description: `Equipment - ${item.equipmentName || 'Rental'}`,
+        quantity: item.quantity,
+        unitPrice: roundAmount((item.price || 0) / item.quantity),
+        amount: item.price || 0,
+    }));
+
+    (booking.additionalServices || []).forEach(item => lines.push({
+        description: `Service - ${item.serviceName || 'Add-on'}`,
+        quantity: item.quantity,
+        unitPrice: roundAmount((item.price || 0) / item.quantity),
+        amount: item.price || 0,
+    }));
+
+    const { address, contact } = venue;
+    const contactInfo = booking.contactInfo || {};
+
+    return {
+        venue: venue._id,
+        booking: booking._id,
+        user: user ? user._id : undefined,
+        type: 'invoice',
+        seller: {
+            name: venue.name,
+            address: address
+                ? [address.street, address.city, address.state, address.postalCode, address.country].filter(Boolean).join(', ')
+                : undefined,
+            email: contact && contact.email,
+            phone: contact && contact.primaryPhone,
+        },
+        customer: {
+            name: contactInfo.name || (user ? `${user.firstName} ${user.lastName}` : undefined),
+            email: contactInfo.email || (user ? user.email : undefined),
+            phone: contactInfo.phone || (user ? user.phone : undefined),
+        },
+        bookingNumber: booking.bookingNumber,
+        serviceStart: booking.startTime,
+        serviceEnd: booking.endTime,
+        timezone: booking.timezone,
+        lines,
+        discounts: (pricing.discounts || []).map(({ name, type, amount }) => ({ name: name || type, amount })),
+        subtotal: pricing.subtotal,
+        taxInclusive: pricing.taxInclusive,
+        taxes: (pricing.taxes || []).map(({ name, rate, amount }) => ({ name, rate, amount })),
+        tax: pricing.tax || 0,
+        fees: (pricing.fees || []).map(({ name, type, amount }) => ({ name, type, amount })),
+        serviceFee: pricing.serviceFee || 0,
+        platformFee: pricing.platformFee || 0,
+        total: pricing.totalAmount,
+        currency: pricing.currency,
+    };
+}
+
+/**
+ * Helper function to build the credit note for a refund. Tax and fees are credited
+ * in proportion to the refunded share of the invoice total.
+ */
+function buildCreditNote(invoice, refund, refundIndex) {
+    const share = invoice.total > 0 ? refund.amount / invoice.total : 0;
+    const taxes = invoice.taxes.map(({ name, rate, amount }) => ({ name, rate, amount: roundAmount(amount * share) }));
+    const fees = invoice.fees.map(({ name, type, amount }) => ({ name, type, amount: roundAmount(amount * share) }));
+    const tax = invoice.taxes.length > 0 ? sumAmounts(taxes) : roundAmount(invoice.tax * share);
+    const serviceFee = roundAmount(invoice.serviceFee * share);
+    const platformFee = roundAmount(invoice.platformFee * share);
+    const subtotal = roundAmount(refund.amount - tax - serviceFee - platformFee);
+
+    return {
+        venue: invoice.venue,
+        booking: invoice.booking,
+        user: invoice.user,
+        type: 'credit-note',
+        issuedAt: refund.refundedAt,
+        invoice: invoice._id,
+        refundIndex,
+        refundId: refund.refundId,
+        reason: refund.reason,
+        seller: invoice.seller,
+        customer: invoice.customer,
+        bookingNumber: invoice.bookingNumber,
+        serviceStart: invoice.serviceStart,
+        serviceEnd: invoice.serviceEnd,
+        timezone: invoice.timezone,
+        lines: [{
+            description: `Refund against invoice ${invoice.number}`,
+            quantity: 1,
+            unitPrice: subtotal,
+            amount: subtotal,
+        }],
+        subtotal,
+        taxInclusive: invoice.taxInclusive,
+        taxes,
+        tax,
+        fees,
+        serviceFee,
+        platformFee,
+        total: refund.amount,
+        currency: invoice.currency,
+    };
+}
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+Invoice.NUMBER_PREFIXES = NUMBER_PREFIXES;
+Invoice.BILLED_BOOKING_STATUSES = BILLED_BOOKING_STATUSES;
+
+module.exports = Invoice;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One document per job name. A runner owns the lock while lockedUntil is in
+// the future; expired locks can be taken over by any other runner.
+const jobLockSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        // Job name
+    },
+    lockedBy: String,
+    lockedAt: Date,
+    lockedUntil: {
+        type: Date,
+        required: true,
+    },
+}, {
+    versionKey: false,
+});
+
+// Static method to acquire a lock, returns null if another runner holds it
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+    const now = new Date();
+
+    try {
+        return await this.findOneAndUpdate(
+            { _id: name, lockedUntil: { $lte: now } },
+            {
+                $set: {
+                    lockedBy: owner,
+                    lockedAt: now,
+                    lockedUntil: new Date(now.getTime() + ttlMs),
+                }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Upsert collides with the existing, still-held lock document
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+// Static method to release a lock held by the given owner
+jobLockSchema.statics.release = function (name, owner) {
+    return this.updateOne(
+        { _id: name, lockedBy: owner },
+        { $set: { lockedUntil: new Date(0) } }
+    );
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+    job: {
+        type: String,
+        required: [true, 'Job name is required'],
+    },
+
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running',
+    },
+
+    trigger: {
+        type: String,
+        enum: ['interval', 'cron', 'manual'],
+        default: 'manual',
+    },
+
+    runner: String,
+
+    startedAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+    finishedAt: Date,
+
+    durationMs: Number,
+
+    // Counts returned by the job handler, e.g. { expired: 2, completed: 5 }
+    results: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+
+    error: String,
+
+}, {
+    timestamps: true,
+});
+
+// Indexes for Performance
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Keep run history for 30 days
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Membership Payment Sub-Schema
+const membershipPaymentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['purchase', 'renewal'],
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    currency: String,
+    provider: String,
+    transactionId: String,
+    periodEnd: Date,
+    paidAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// Main Membership Schema: a user's subscription to a venue's plan
+const membershipSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MembershipPlan',
+        required: true,
+    },
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+        required: true,
+    },
+    // Copied from the plan so later plan edits do not change a running membership
+    tier: {
+        type: String,
+        required: true,
+    },
+    perks: {
+        discountPercentage: {
+            type: Number,
+            default: 0,
+        },
+        extraAdvanceBookingDays: {
+            type: Number,
+            default: 0,
+        },
+        // Free court time earned so far, grows with each renewal
+        freeMinutes: {
+            type: Number,
+            default: 0,
+        },
+    },
+    freeMinutesUsed: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'cancelled', 'expired'],
+        default: 'active',
+    },
+    startDate: {
+        type: Date,
+        required: true,
+    },
+    endDate: {
+        type: Date,
+        required: true,
+    },
+
+    // Renewal
+    autoRenew: {
+        type: Boolean,
+        default: false,
+    },
+    // Saved payment method token used for automatic renewals
+    paymentMethod: {
+        type: String,
+        select: false,
+    },
+    provider: String,
+    lastRenewalError: String,
+
+    payments: [membershipPaymentSchema],
+    cancelledAt: Date,
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function (doc, ret) {
+            delete ret.paymentMethod;
+            return ret;
+        },
+    },
+    toObject: { virtuals: true },
+});
+
+// One running membership per user and venue
+membershipSchema.index({ user: 1, venue: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+membershipSchema.index({ status: 1, endDate: 1 });
+
+// Virtual for the free court time left
+membershipSchema.virtual('remainingFreeMinutes').get(function () {
+    return Math.max(0, (this.perks.freeMinutes || 0) - (this.freeMinutesUsed || 0));
+});
+
+// Instance method to check whether the membership gives its perks at a point in time
+membershipSchema.methods.isCurrent = function (at = new Date()) {
+    return this.status === 'active' && this.startDate <= at && this.endDate > at;
+};
+
+// Instance method to start the membership on a plan
+membershipSchema.methods.applyPlan = function (plan, startDate = new Date()) {
+    this.plan = plan._id;
+    this.venue = plan.venue;
+    this.tier = plan.tier;
+    this.perks = {
+        discountPercentage: plan.perks.discountPercentage,
+        extraAdvanceBookingDays: plan.perks.extraAdvanceBookingDays,
+        freeMinutes: Math.round(plan.perks.freeHours * 60),
+    };
+    this.freeMinutesUsed = 0;
+    this.startDate = startDate;
+    this.endDate = new Date(startDate.getTime() + plan.durationDays * DAY_MS);
+};
+
+// Instance method to extend the membership by another period of its plan.
+// Renewing before expiry adds the period to the current end date, and unused free time carries over.
+membershipSchema.methods.extend = function (plan, at = new Date()) {
+    const from = this.endDate > at ? this.endDate : at;
+
+    this.tier = plan.tier;
+    this.perks.discountPercentage = plan.perks.discountPercentage;
+    this.perks.extraAdvanceBookingDays = plan.perks.extraAdvanceBookingDays;
+    this.perks.freeMinutes = (this.perks.freeMinutes || 0) + Math.round(plan.perks.freeHours * 60);
+    this.endDate = new Date(from.getTime() + plan.durationDays * DAY_MS);
+    this.status = 'active';
+    this.lastRenewalError = undefined;
+};
+
+// Instance method to work out the membership discounts on a court price.
+// Free time is only used when useFreeTime is set; returns the discount lines and the free minutes used.
+membershipSchema.methods.getBookingDiscounts = function (price, durationMinutes, { useFreeTime = true } = {}) {
+    const discounts = [];
+    let remaining = price;
+
+    const freeMinutes = useFreeTime ? Math.min(durationMinutes, this.remainingFreeMinutes) : 0;
+    if (freeMinutes > 0) {
+        const amount = Math.round(price * (freeMinutes / durationMinutes) * 100) / 100;
+        discounts.push({ type: 'membership', name: 'Free member hours', amount });
+        remaining -= amount;
+    }
+
+    if (this.perks.discountPercentage > 0 && remaining > 0) {
+        discounts.push({
+            type: 'membership',
+            name: `${this.tier} member discount`,
+            amount: Math.round(remaining * this.perks.discountPercentage) / 100,
+            percentage: this.perks.discountPercentage,
+        });
+    }
+
+    return { discounts, freeMinutes };
+};
+
+// Static method to find the membership giving a user perks at a venue
+membershipSchema.statics.findActive = function (userId, venueId, at = new Date()) {
+    return this.findOne({
+        user: userId,
+        venue: venueId,
+        status: 'active',
+        startDate: { $lte: at },
+        endDate: { $gt: at },
+    });
+};
+
+// Static method to take free time from a membership. Fails if not enough is left,
+// so two bookings racing for the last free hour cannot both get it.
+membershipSchema.statics.useFreeMinutes = async function (membershipId, minutes) {
+    const result = await this.updateOne(
+        {
+            _id: membershipId,
+            status: 'active',
+            $expr: { $lte: [{ $add: ['$freeMinutesUsed', minutes] }, '$perks.freeMinutes'] },
+        },
+        { $inc: { freeMinutesUsed: minutes } }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+// Static method to give back free time taken by a booking that did not go ahead
+membershipSchema.statics.returnFreeMinutes = function (membershipId, minutes) {
+    return this.updateOne(
+        { _id: membershipId, freeMinutesUsed: { $gte: minutes } },
+        { $inc: { freeMinutesUsed: -minutes } }
+    );
+};
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+module.exports = Membership;
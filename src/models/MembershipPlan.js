@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Main Membership Plan Schema
+const membershipPlanSchema = new mongoose.Schema({
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+        required: [true, 'Venue is required'],
+        index: true,
+    },
+    name: {
+        type: String,
+        required: [true, 'Plan name is required'],
+        trim: true,
+        maxlength: [100, 'Plan name cannot exceed 100 characters'],
+    },
+    // Matched against the membershipTier of court discount rules
+    tier: {
+        type: String,
+        required: [true, 'Membership tier is required'],
+        trim: true,
+        lowercase: true,
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+
+    price: {
+        type: Number,
+        required: [true, 'Plan price is required'],
+        min: 0,
+    },
+    currency: {
+        type: String,
+        default: 'PKR',
+        uppercase: true,
+    },
+    // Length of one membership period
+    durationDays: {
+        type: Number,
+        required: [true, 'Plan duration is required'],
+        min: 1,
+    },
+
+    perks: {
+        // Off the court price of every booking at the venue
+        discountPercentage: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 100,
+        },
+        // Added to each court's advanceBookingDays
+        extraAdvanceBookingDays: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Free court time per membership period
+        freeHours: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+membershipPlanSchema.index({ venue: 1, tier: 1 });
+
+const MembershipPlan = mongoose.model('MembershipPlan', membershipPlanSchema);
+
+module.exports = MembershipPlan;
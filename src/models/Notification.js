@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Most notifications kept in a user's inbox, the oldest are dropped beyond it
+const MAX_NOTIFICATIONS_PER_USER = 200;
+
+// How long notifications stay in the inbox, read or not
+const RETENTION_DAYS = 90;
+
+// A notification in a user's in-app inbox, written by the in-app notification channel
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Notification type, e.g. booking-approved
+    type: {
+        type: String,
+        required: true,
+    },
+    title: {
+        type: String,
+        required: true,
+    },
+    body: String,
+    // Page of the app the notification is about
+    url: String,
+    isRead: {
+        type: Boolean,
+        default: false,
+    },
+    readAt: Date,
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    },
+}, {
+    timestamps: true,
+});
+
+// Indexes for Performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to add a notification to a user's inbox, dropping the oldest beyond the limit
+notificationSchema.statics.add = async function (user, { type, title, body, url }) {
+    const notification = await this.create({ user, type, title, body, url });
+    await this.prune(user);
+    return notification;
+};
+
+// Static method to drop a user's oldest notifications beyond the inbox limit
+notificationSchema.statics.prune = async function (user) {
+    const oldest = await this.find({ user })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(MAX_NOTIFICATIONS_PER_USER)
+        .select('_id');
+
+    if (oldest.length === 0) {
+        return 0;
+    }
+
+    const result = await this.deleteMany({ _id: { $in: oldest.map(notification => notification._id) } });
+    return result.deletedCount;
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.getUnreadCount = function (user) {
+    return this.countDocuments({ user, isRead: false });
+};
+
+// Static method to mark all of a user's notifications read
+notificationSchema.statics.markAllRead = async function (user) {
+    const result = await this.updateMany({ user, isRead: false }, { isRead: true, readAt: new Date() });
+    return result.modifiedCount;
+};
+
+// Instance method to mark notification read
+notificationSchema.methods.markRead = function () {
+    if (!this.isRead) {
+        this.isRead = true;
+        this.readAt = new Date();
+    }
+    return this.save();
+};
+
+// Instance method to mark notification unread
+notificationSchema.methods.markUnread = function () {
+    this.isRead = false;
+    this.readAt = undefined;
+    return this.save();
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.MAX_NOTIFICATIONS_PER_USER = MAX_NOTIFICATIONS_PER_USER;
+Notification.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = Notification;
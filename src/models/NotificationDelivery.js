@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'push', 'in-app'];
+
+// One document per notification per channel and address, tracking its delivery. Failed
+// deliveries that can be retried wait in "pending" until nextAttemptAt.
+const notificationDeliverySchema = new mongoose.Schema({
+    // Recipient's account; invitations may go to people without one
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    // Template name, e.g. booking-created
+    type: {
+        type: String,
+        required: true,
+    },
+    channel: {
+        type: String,
+        enum: NOTIFICATION_CHANNELS,
+        required: true,
+    },
+    provider: String,
+    // Email address, phone number, push subscription endpoint or user ID
+    to: {
+        type: String,
+        required: true,
+    },
+    locale: String,
+    // What was sent, kept for retries. Left out for messages carrying secrets such as
+    // password reset links, which are then not retried.
+    content: {
+        subject: String,
+        title: String,
+        text: String,
+        html: String,
+        url: String,
+        replyTo: String,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed'],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    lastAttemptAt: Date,
+    nextAttemptAt: Date,
+    sentAt: Date,
+    providerMessageId: String,
+    error: String,
+    errorCode: String,
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function (doc, ret) {
+            // Message bodies can be long, listings show the plain text
+            if (ret.content) {
+                delete ret.content.html;
+            }
+            return ret;
+        },
+    },
+});
+
+// Indexes for Performance
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+
+// Keep delivery history for 90 days
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+NotificationDelivery.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+// Reminders sent before a booking starts, in minutes, unless the venue or the user chooses others
+const DEFAULT_REMINDER_OFFSETS = [24 * 60, 60];
+
+// Only confirmed bookings are reminded; pending ones are once they are approved
+const REMINDED_BOOKING_STATUSES = ['confirmed'];
+
+// One document per reminder of a booking. The unique index on (booking, offsetMinutes, startTime)
+// keeps a booking from being reminded twice for the same slot; a rescheduled booking has a new
+// start time and so gets reminders of its own.
+const reminderSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+    },
+    // How long before the start the reminder goes out
+    offsetMinutes: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // Start of the booking the reminder was scheduled for
+    startTime: {
+        type: Date,
+        required: true,
+    },
+    sendAt: {
+        type: Date,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'sent', 'cancelled', 'failed'],
+        default: 'scheduled',
+    },
+    sentAt: Date,
+    cancelledAt: Date,
+    cancelReason: {
+        type: String,
+        enum: [
+            'booking-inactive',     // Booking cancelled, rejected, expired or already started
+            'rescheduled',          // Booking moved to another time
+            'settings',             // Reminder turned off or its offset removed by the user or venue
+            'superseded',           // A later reminder of the same booking was due at the same time
+            'manual',               // Cancelled by venue staff or the user
+        ],
+    },
+    error: String,
+}, {
+    timestamps: true,
+});
+
+// Indexes for Performance
+reminderSchema.index({ booking: 1, offsetMinutes: 1, startTime: 1 }, { unique: true });
+reminderSchema.index({ status: 1, sendAt: 1 });
+reminderSchema.index({ venue: 1, sendAt: -1 });
+
+// Static method to get the reminder offsets for a booking's user at a venue, latest reminder last.
+// A venue that turns reminders off overrides its users; otherwise the user's own offsets win
+// over the venue's.
+reminderSchema.statics.getOffsets = function (user, venue) {
+    const venueSettings = venue && venue.settings && venue.settings.reminders;
+    const preferences = user && user.reminderPreferences;
+
+    if ((venueSettings && venueSettings.enabled === false) || (preferences && preferences.enabled === false)) {
+        return [];
+    }
+
+    const offsets = [preferences && preferences.offsetsMinutes, venueSettings && venueSettings.offsetsMinutes]
+        .find(list => list && list.length > 0) || DEFAULT_REMINDER_OFFSETS;
+
+    return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+// Static method to bring a booking's reminders in line with its status, start time and the
+// reminder settings. Reminders for another start time or an offset no longer wanted are
+// cancelled, missing ones are scheduled. Offsets whose time has already passed, e.g. the 24 hour
+// reminder of a booking made this morning, are skipped.
+reminderSchema.statics.syncBooking = async function (booking) {
+    const now = new Date();
+    const bookingId = booking._id;
+    const startTime = new Date(booking.startTime);
+
+    const isActive = REMINDED_BOOKING_STATUSES.includes(booking.status) && startTime > now;
+
+    let offsets = [];
+    if (isActive) {
+        const [user, venue] = await Promise.all([
+            mongoose.model('User').findById(booking.user._id || booking.user).select('reminderPreferences'),
+            booking.venue ? mongoose.model('Venue').findById(booking.venue._id || booking.venue).select('settings.reminders') : null,
+        ]);
+        offsets = this.getOffsets(user, venue)
+            .filter(offset => startTime.getTime() - offset * 60000 > now.getTime());
+    }
+
+    const existing = await this.find({ booking: bookingId });
+
+    for (const reminder of existing) {
+        if (reminder.status !== 'scheduled') continue;
+
+        if (reminder.startTime.getTime() !== startTime.getTime()) {
+            await reminder.cancel('rescheduled');
+        } else if (!offsets.includes(reminder.offsetMinutes)) {
+            await reminder.cancel(isActive ? 'settings' : 'booking-inactive');
+        }
+    }
+
+    for (const offset of offsets) {
+        const reminder = existing.find(r => r.offsetMinutes === offset && r.startTime.getTime() === startTime.getTime());
+
+        if (!reminder) {
+            try {
+                await this.create({
+                    booking: bookingId,
+                    user: booking.user._id || booking.user,
+                    venue: booking.venue ? booking.venue._id || booking.venue : undefined,
+                    offsetMinutes: offset,
+                    startTime,
+                    sendAt: new Date(startTime.getTime() - offset * 60000),
+                });
+            } catch (error) {
+                // Scheduled concurrently by another save of the same booking
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+        } else if (reminder.status === 'cancelled' && reminder.cancelReason !== 'manual') {
+            // Moved back to a time, or an offset turned back on, that was reminded of before.
+            // Reminders someone cancelled by hand stay cancelled.
+            reminder.status = 'scheduled';
+            reminder.cancelledAt = undefined;
+            reminder.cancelReason = undefined;
+            await reminder.save();
+        }
+    }
+
+    return this.find({ booking: bookingId, status: 'scheduled' }).sort('sendAt');
+};
+
+// Static method to resync the reminders of upcoming bookings matching a filter, after the
+// reminder settings of their user or venue changed. Returns how many bookings were synced.
+reminderSchema.statics.syncUpcoming = async function (filter) {
+    const bookings = await mongoose.model('Booking')
+        .find({ ...filter, status: { $in: REMINDED_BOOKING_STATUSES }, startTime: { $gt: new Date() } })
+        .select('user venue status startTime');
+
+    for (const booking of bookings) {
+        await this.syncBooking(booking);
+    }
+
+    return bookings.length;
+};
+
+// Static method to cancel the scheduled reminders of bookings, for status changes made with
+// updateMany that skip the booking's post-save hook
+reminderSchema.statics.cancelForBookings = async function (bookingIds, reason = 'booking-inactive') {
+    const result = await this.updateMany(
+        { booking: { $in: bookingIds }, status: 'scheduled' },
+        { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+// Instance method to cancel a scheduled reminder
+reminderSchema.methods.cancel = async function (reason) {
+    this.status = 'cancelled';
+    this.cancelledAt = new Date();
+    this.cancelReason = reason;
+    return this.save();
+};
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+Reminder.DEFAULT_REMINDER_OFFSETS = DEFAULT_REMINDER_OFFSETS;
+Reminder.REMINDED_BOOKING_STATUSES = REMINDED_BOOKING_STATUSES;
+
+module.exports = Reminder;
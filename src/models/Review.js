@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+
+// Reviews in these statuses are shown publicly and count towards rating stats
+const VISIBLE_REVIEW_STATUSES = ['published', 'flagged'];
+
+// Reports after which a review is flagged for moderation
+const REPORT_THRESHOLD = 3;
+
+// Report Sub-Schema
+const reportSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    reason: {
+        type: String,
+        enum: ['spam', 'offensive', 'irrelevant', 'fake', 'other'],
+        required: true,
+    },
+    details: {
+        type: String,
+        maxlength: [500, 'Report details cannot exceed 500 characters'],
+    },
+    reportedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// Main Review Schema
+const reviewSchema = new mongoose.Schema({
+    // One review per completed booking
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+        unique: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    court: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Court',
+        required: true,
+    },
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+        required: true,
+    },
+
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: 1,
+        max: 5,
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters'],
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    },
+    editedAt: Date,
+
+    // Owner Reply
+    reply: {
+        text: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Reply cannot exceed 1000 characters'],
+        },
+        repliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        repliedAt: Date,
+    },
+
+    // Moderation
+    status: {
+        type: String,
+        enum: ['published', 'flagged', 'hidden'],
+        default: 'published',
+    },
+    reports: [reportSchema],
+    moderation: {
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        moderatedAt: Date,
+        note: String,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function (doc, ret) {
+            // Reporters stay anonymous
+            delete ret.reports;
+            return ret;
+        },
+    },
+    toObject: { virtuals: true },
+});
+
+reviewSchema.index({ court: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ venue: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, updatedAt: -1 });
+
+// Virtual for the number of reports
+reviewSchema.virtual('reportCount').get(function () {
+    return this.reports ? this.reports.length : 0;
+});
+
+reviewSchema.pre('save', function (next) {
+    this.$locals.ratingChanged = this.isNew || this.isModified('rating') || this.isModified('status');
+    next();
+});
+
+// Recalculate the court and venue ratings whenever a review's rating or visibility changes
+reviewSchema.post('save', async function (doc) {
+    if (doc.$locals.ratingChanged) {
+        await doc.constructor.updateRatingStats(doc.court, doc.venue);
+    }
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function (doc) {
+    await doc.constructor.updateRatingStats(doc.court, doc.venue);
+});
+
+// Static method to recompute averageRating and totalReviews of a court and its venue from visible reviews
+reviewSchema.statics.updateRatingStats = async function (court, venue) {
+    const courtId = court._id || court;
+    const venueId = venue._id || venue;
+
+    const summarize = async (match) => {
+        const [result] = await this.aggregate([
+            { $match: { ...match, status: { $in: VISIBLE_REVIEW_STATUSES } } },
+            { $group: { _id: null, averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } },
+        ]);
+
+        return {
+            'stats.averageRating': result ? Math.round(result.averageRating * 10) / 10 : 0,
+            'stats.totalReviews': result ? result.totalReviews : 0,
+        };
+    };
+
+    const [courtStats, venueStats] = await Promise.all([
+        summarize({ court: courtId }),
+        summarize({ venue: venueId }),
+    ]);
+
+    await Promise.all([
+        mongoose.model('Court').updateOne({ _id: courtId }, { $set: courtStats }),
+        mongoose.model('Venue').updateOne({ _id: venueId }, { $set: venueStats }),
+    ]);
+};
+
+// Static method to count visible reviews of a court or venue per star rating
+reviewSchema.statics.getRatingBreakdown = async function ({ court, venue }) {
+    const match = court
+        ? { court: new mongoose.Types.ObjectId(String(court)) }
+        : { venue: new mongoose.Types.ObjectId(String(venue)) };
+
+    const groups = await this.aggregate([
+        { $match: { ...match, status: { $in: VISIBLE_REVIEW_STATUSES } } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } },
+    ]);
+
+    const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    groups.forEach(group => {
+        breakdown[group._id] = group.count;
+    });
+
+    return breakdown;
+};
+
+// Instance method to record a report. Returns false if the user has already reported the review.
+reviewSchema.methods.addReport = function ({ userId, reason, details }) {
+    if (this.reports.some(report => report.user.toString() === userId.toString())) {
+        return false;
+    }
+
+    this.reports.push({ user: userId, reason, details });
+
+    if (this.status === 'published' && this.reports.length >= REPORT_THRESHOLD) {
+        this.status = 'flagged';
+    }
+
+    return true;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+Review.VISIBLE_STATUSES = VISIBLE_REVIEW_STATUSES;
+Review.REPORT_THRESHOLD = REPORT_THRESHOLD;
+
+module.exports = Review;
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const { reservationSchema, getPeakQuantity } = require('./schemas/reservation');
+
+// Attempts at a reservation before giving up on a heavily contended service
+const MAX_RESERVE_ATTEMPTS = 5;
+
+// Service reservations also record the staff member assigned to the booking
+const serviceReservationSchema = reservationSchema.clone().add({
+    staff: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+});
+
+// Main Service Schema
+const serviceSchema = new mongoose.Schema({
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+        required: [true, 'Venue is required'],
+        index: true,
+    },
+    name: {
+        type: String,
+        required: [true, 'Service name is required'],
+        trim: true,
+        maxlength: [100, 'Service name cannot exceed 100 characters'],
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    category: {
+        type: String,
+        enum: ['coaching', 'ball-machine', 'refereeing', 'lighting', 'other'],
+        required: [true, 'Category is required'],
+    },
+    // Sports the service is offered for, empty means any
+    sportTypes: [{
+        type: String,
+        enum: ['tennis', 'badminton', 'squash', 'basketball', 'volleyball', 'pickleball', 'table-tennis', 'futsal', 'other'],
+    }],
+    // Courts the service is offered on, empty means every court of the venue
+    courts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Court',
+    }],
+
+    pricing: {
+        type: {
+            type: String,
+            enum: ['hourly', 'flat'],
+            default: 'flat',
+        },
+        // Per unit, per hour for hourly pricing
+        amount: {
+            type: Number,
+            required: [true, 'Service price is required'],
+            min: 0,
+        },
+    },
+
+    // Units that can be booked at the same time, unlimited when not set
+    capacity: {
+        type: Number,
+        min: 1,
+    },
+    // Coaches, referees etc. When set, every booking of the service is assigned one free staff member
+    staff: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    }],
+
+    // Bookings using the service. reservationVersion changes with every change to
+    // reservations, which lets a reservation check capacity and write in one atomic step.
+    reservations: [serviceReservationSchema],
+    reservationVersion: {
+        type: Number,
+        default: 0,
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function (doc, ret) {
+            delete ret.reservations;
+            delete ret.reservationVersion;
+            return ret;
+        },
+    },
+    toObject: { virtuals: true },
+});
+
+serviceSchema.index({ 'reservations.booking': 1 });
+
+// Virtual for whether bookings are assigned a staff member
+serviceSchema.virtual('isStaffed').get(function () {
+    return Boolean(this.staff && this.staff.length > 0);
+});
+
+// Instance method to check whether the service is offered on a court
+serviceSchema.methods.isOfferedOn = function (court) {
+    if (!this.isActive || this.venue.toString() !== (court.venue._id || court.venue).toString()) {
+        return false;
+    }
+
+    if (this.sportTypes.length > 0 && !this.sportTypes.includes(court.sportType)) {
+        return false;
+    }
+
+    return this.courts.length === 0 || this.courts.some(c => c.toString() === court._id.toString());
+};
+
+// Instance method to get the staff members not assigned to any booking during [startTime, endTime)
+serviceSchema.methods.getFreeStaff = function (startTime, endTime, excludeBookingId = null) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    const busy = this.reservations
+        .filter(r =>
+            r.staff && r.startTime < end && r.endTime > start &&
+            (!excludeBookingId || r.booking.toString() !== excludeBookingId.toString())
+        )
+        .map(r => r.staff.toString());
+
+    // Staff may be populated
+    return this.staff.filter(member => !busy.includes((member._id || member).toString()));
+};
+
+// Instance method to get how many units can still be booked for the whole of [startTime, endTime).
+// Returns Infinity for services without capacity or staff limits.
+serviceSchema.methods.getAvailableQuantity = function (startTime, endTime, excludeBookingId = null) {
+    let available = Infinity;
+
+    if (this.capacity) {
+        available = Math.max(0, this.capacity - getPeakQuantity(this.reservations, startTime, endTime, excludeBookingId));
+    }
+
+    if (this.isStaffed) {
+        available = Math.min(available, this.getFreeStaff(startTime, endTime, excludeBookingId).length);
+    }
+
+    return available;
+};
+
+// Instance method to calculate the price for a quantity over a duration in minutes
+serviceSchema.methods.calculatePrice = function (quantity, durationMinutes) {
+    const units = this.pricing.type === 'hourly' ? quantity * (durationMinutes / 60) : quantity;
+    return Math.round(this.pricing.amount * units * 100) / 100;
+};
+
+// Static method to reserve a service for a booking, replacing any earlier reservation by it.
+// The write only succeeds if no other reservation changed the service since it was checked,
+// otherwise the check is repeated. Returns the reservation, with the assigned staff member
+// for staffed services, or null when the service is fully booked.
+// The preferred staff member is kept when free, so a rescheduled booking keeps its coach where possible.
+serviceSchema.statics.reserveItem = async function (serviceId, { bookingId, quantity, startTime, endTime, preferredStaff }) {
+    for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+        const service = await this.findById(serviceId).select('capacity staff reservations reservationVersion isActive');
+        if (!service || !service.isActive) {
+            return null;
+        }
+
+        if (service.getAvailableQuantity(startTime, endTime, bookingId) < quantity) {
+            return null;
+        }
+
+        const reservation = { booking: bookingId, quantity, startTime, endTime };
+        if (service.isStaffed) {
+            const freeStaff = service.getFreeStaff(startTime, endTime, bookingId);
+            reservation.staff = freeStaff.find(member => preferredStaff && member.toString() === preferredStaff.toString()) ||
+                freeStaff[0];
+        }
+
+        const reservations = service.reservations
+            .filter(r => r.booking.toString() !== bookingId.toString())
+            .map(r => r.toObject());
+        reservations.push(reservation);
+
+        const result = await this.updateOne(
+            { _id: serviceId, reservationVersion: service.reservationVersion },
+            {
+                $set: { reservations },
+                $inc: { reservationVersion: 1 },
+            }
+        );
+
+        if (result.modifiedCount === 1) {
+            return reservation;
+        }
+    }
+
+    return null;
+};
+
+// Static method to reserve several services for a booking, all or nothing.
+// Returns the first item that could not be reserved, or the staff assigned to each item on success.
+serviceSchema.statics.reserve = async function (items, { bookingId, startTime, endTime }) {
+    const staff = [];
+
+    for (const item of items) {
+        const reservation = await this.reserveItem(item.service, {
+            bookingId,
+            quantity: item.quantity,
+            startTime,
+            endTime,
+            preferredStaff: item.staff,
+        });
+
+        if (!reservation) {
+            await this.release(bookingId);
+            return { unavailable: item };
+        }
+
+        staff.push(reservation.staff);
+    }
+
+    return { unavailable: null, staff };
+};
+
+// Static method to free every service reserved by a booking
+serviceSchema.statics.release = function (bookingId) {
+    return this.updateMany(
+        { 'reservations.booking': bookingId },
+        {
+            $pull: { reservations: { booking: bookingId } },
+            $inc: { reservationVersion: 1 },
+        }
+    );
+};
+
+// Static method to drop reservations that have ended, keeping the documents small
+serviceSchema.statics.pruneReservations = function (before = new Date()) {
+    return this.updateMany(
+        { 'reservations.endTime': { $lt: before } },
+        {
+            $pull: { reservations: { endTime: { $lt: before } } },
+            $inc: { reservationVersion: 1 },
+        }
+    );
+};
+
+const Service = mongoose.model('Service', serviceSchema);
+
+module.exports = Service;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Size of one reservable time bucket in minutes
+const SLOT_LOCK_MINUTES = 5;
+const SLOT_LOCK_MS = SLOT_LOCK_MINUTES * 60 * 1000;
+
+// One document per court per time bucket held by a booking. The unique index on
+// (court, slotStart) is what makes a reservation atomic: only one booking can
+// insert a given bucket.
+const slotLockSchema = new mongoose.Schema({
+    court: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Court',
+        required: true,
+    },
+    slotStart: {
+        type: Date,
+        required: true,
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+        index: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        // End of the bucket, past buckets are removed by the TTL index
+    },
+}, {
+    versionKey: false,
+});
+
+slotLockSchema.index({ court: 1, slotStart: 1 }, { unique: true });
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Get bucket start times covering [startTime, endTime)
+slotLockSchema.statics.getBuckets = function (startTime, endTime) {
+    const first = Math.floor(new Date(startTime).getTime() / SLOT_LOCK_MS) * SLOT_LOCK_MS;
+    const last = Math.ceil(new Date(endTime).getTime() / SLOT_LOCK_MS) * SLOT_LOCK_MS;
+
+    const buckets = [];
+    for (let time = first; time < last; time += SLOT_LOCK_MS) {
+        buckets.push(new Date(time));
+    }
+    return buckets;
+};
+
+// Static method to reserve a time range for a booking.
+// Returns false if any bucket is held by another booking; nothing is left reserved in that case.
+// Buckets are inserted in ascending order and the insert stops at the first duplicate, so two
+// overlapping requests always contend on the same first bucket and exactly one of them wins.
+slotLockSchema.statics.reserve = async function (courtId, startTime, endTime, bookingId) {
+    const held = await this.find({ booking: bookingId, court: courtId }).select('slotStart').lean();
+    const heldTimes = new Set(held.map(lock => lock.slotStart.getTime()));
+
+    const buckets = this.getBuckets(startTime, endTime)
+        .filter(bucket => !heldTimes.has(bucket.getTime()));
+
+    if (buckets.length === 0) {
+        return true;
+    }
+
+    try {
+        await this.insertMany(
+            buckets.map(bucket => ({
+                court: courtId,
+                slotStart: bucket,
+                booking: bookingId,
+                expiresAt: new Date(bucket.getTime() + SLOT_LOCK_MS),
+            })),
+            { ordered: true }
+        );
+        return true;
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+
+        // Roll back whatever this attempt managed to insert
+        await this.deleteMany({ booking: bookingId, slotStart: { $in: buckets } });
+        return false;
+    }
+};
+
+// Static method to drop a booking's buckets outside [startTime, endTime), used after rescheduling
+slotLockSchema.statics.trim = function (bookingId, startTime, endTime) {
+    const keep = this.getBuckets(startTime, endTime);
+    return this.deleteMany({ booking: bookingId, slotStart: { $nin: keep } });
+};
+
+// Static method to release every bucket held by a booking
+slotLockSchema.statics.release = function (bookingId) {
+    return this.deleteMany({ booking: bookingId });
+};
+
+const SlotLock = mongoose.model('SlotLock', slotLockSchema);
+
+module.exports = SlotLock;
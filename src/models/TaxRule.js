@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const ChargeRules = require('../utils/charges');
+const { taxRateSchema, feeRuleSchema } = require('./schemas/charges');
+
+// Main Tax Rule Schema. Admin-managed taxes and platform fees for every venue in a country,
+// or in one region (state/province) of it. A regional rule wins over the country-wide one.
+const taxRuleSchema = new mongoose.Schema({
+    // Matched against the venue address case-insensitively
+    country: {
+        type: String,
+        required: [true, 'Country is required'],
+        trim: true,
+        lowercase: true,
+    },
+    // Matched against the venue's state; the rule covers the whole country when not set
+    region: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        set: (value) => value || undefined,
+    },
+    // Replace the venue's own taxes when set; an empty list exempts the region from tax
+    taxes: {
+        type: [taxRateSchema],
+        default: undefined,
+    },
+    // Overrides the venue's setting when set
+    pricesIncludeTax: Boolean,
+    platformFees: {
+        type: [feeRuleSchema],
+        default: [],
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+taxRuleSchema.index({ country: 1, region: 1 }, { unique: true });
+
+// Static method to find the active rule for a venue's address, the regional rule before the country-wide one
+taxRuleSchema.statics.findForVenue = async function (venue) {
+    const address = venue && venue.address;
+    if (!address || !address.country) {
+        return null;
+    }
+
+    const rules = await this.find({
+        country: address.country.trim().toLowerCase(),
+        region: { $in: [address.state ? address.state.trim().toLowerCase() : null, null] },
+        isActive: true,
+    });
+
+    return rules.find(rule => rule.region) || rules[0] || null;
+};
+
+// Static method to get the taxes and fees charged on bookings at a venue
+taxRuleSchema.statics.getCharges = async function (venue) {
+    return ChargeRules.resolve(venue, await this.findForVenue(venue));
+};
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+module.exports = TaxRule;
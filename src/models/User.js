@@ -62,6 +62,69 @@ const userSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Language of the emails the user receives
+        language: {
+            type: String,
+            enum: ["en", "ur"],
+            default: "en",
+        },
+        // Channels the user receives notifications on. Account emails such as password
+        // resets are always sent.
+        notificationPreferences: {
+            email: {
+                type: Boolean,
+                default: true,
+            },
+            sms: {
+                type: Boolean,
+                default: false,
+            },
+            push: {
+                type: Boolean,
+                default: true,
+            },
+            inApp: {
+                type: Boolean,
+                default: true,
+            },
+        },
+        // Browsers subscribed to web push notifications
+        pushSubscriptions: [
+            {
+                _id: false,
+                endpoint: {
+                    type: String,
+                    required: true,
+                },
+                keys: {
+                    p256dh: {
+                        type: String,
+                        required: true,
+                    },
+                    auth: {
+                        type: String,
+                        required: true,
+                    },
+                },
+                userAgent: String,
+                createdAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+        // Reminders before upcoming bookings, unless the venue turned them off
+        reminderPreferences: {
+            enabled: {
+                type: Boolean,
+                default: true,
+            },
+            // Minutes before the start; the venue's reminders while not set
+            offsetsMinutes: {
+                type: [{ type: Number, min: 5, max: 7 * 24 * 60 }],
+                default: undefined,
+            },
+        },
         role: {
             type: String,
             enum: ['user', 'owner', 'manager', 'admin'],
@@ -85,6 +148,8 @@ const userSchema = new mongoose.Schema(
         passwordResetExpires: Date,
         emailVerificationToken: String,
         emailVerificationExpires: Date,
+        // Hash of the secret in the user's calendar feed URL
+        calendarFeedToken: String,
         refreshTokens: [
             {
                 token: String,
@@ -105,6 +170,8 @@ const userSchema = new mongoose.Schema(
                 delete ret.passwordResetExpires;
                 delete ret.emailVerificationToken;
                 delete ret.emailVerificationExpires;
+                delete ret.calendarFeedToken;
+                delete ret.pushSubscriptions;
                 delete ret.refreshTokens;
                 return ret;
             },
@@ -115,6 +182,7 @@ const userSchema = new mongoose.Schema(
 // Index for performance
 userSchema.index({ passwordResetToken: 1 });
 userSchema.index({ emailVerificationToken: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -160,6 +228,18 @@ userSchema.methods.createEmailVerificationToken = function () {
     return verificationToken;
 };
 
+// Generate calendar feed token, replacing any earlier one so old feed URLs stop working
+userSchema.methods.createCalendarFeedToken = function () {
+    const feedToken = crypto.randomBytes(32).toString("hex");
+
+    this.calendarFeedToken = crypto
+        .createHash("sha256")
+        .update(feedToken)
+        .digest("hex");
+
+    return feedToken;
+};
+
 // Add refresh token
 userSchema.methods.addRefreshToken = function (token) {
     this.refreshTokens.push({ token });
@@ -175,4 +255,20 @@ userSchema.methods.removeRefreshToken = function (token) {
     this.refreshTokens = this.refreshTokens.filter((rt) => rt.token !== token);
 };
 
+// Add or refresh a browser's push subscription
+userSchema.methods.addPushSubscription = function (subscription) {
+    this.removePushSubscription(subscription.endpoint);
+    this.pushSubscriptions.push(subscription);
+
+    // Keep only the 10 most recent browsers
+    if (this.pushSubscriptions.length > 10) {
+        this.pushSubscriptions = this.pushSubscriptions.slice(-10);
+    }
+};
+
+// Remove push subscription
+userSchema.methods.removePushSubscription = function (endpoint) {
+    this.pushSubscriptions = this.pushSubscriptions.filter((s) => s.endpoint !== endpoint);
+};
+
 module.exports = mongoose.model("User", userSchema);
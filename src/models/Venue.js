@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const TimezoneUtils = require('../utils/timezone');
+const { refundTierSchema } = require('./schemas/cancellationPolicy');
+const { taxRateSchema, feeRuleSchema } = require('./schemas/charges');
 
 // Address Sub-Schema
 const addressSchema = new mongoose.Schema({
@@ -147,6 +150,10 @@ const venueSchema = new mongoose.Schema({
     timezone: {
         type: String,
         default: 'Asia/Karachi',
+        validate: {
+            validator: TimezoneUtils.isValidTimezone,
+            message: 'Invalid IANA timezone'
+        },
     },
 
     // Venue Amenities (general venue facilities)
@@ -210,6 +217,26 @@ const venueSchema = new mongoose.Schema({
         },
     }],
 
+    // Branding of the emails sent about bookings at the venue
+    branding: {
+        logoUrl: String,
+        primaryColor: {
+            type: String,
+            match: [/^#[0-9a-fA-F]{6}$/, 'Primary color must be a hex color such as #1a73e8'],
+        },
+        // Shown under the sign-off, e.g. opening hours or a tagline
+        emailSignature: {
+            type: String,
+            maxlength: 300,
+        },
+        // Replies go here instead of the contact email
+        replyTo: {
+            type: String,
+            lowercase: true,
+            trim: true,
+        },
+    },
+
     // Ownership & Management
     owner: {
         type: mongoose.Schema.Types.ObjectId,
@@ -236,6 +263,12 @@ const venueSchema = new mongoose.Schema({
             type: Boolean,
             default: true,
         },
+        // Bookings nobody has checked in for are marked no-shows 30 minutes after they start.
+        // At venues that don't check players in, bookings go in progress and complete on the clock.
+        trackNoShows: {
+            type: Boolean,
+            default: false,
+        },
         maxAdvanceBookingDays: {
             type: Number,
             default: 30,
@@ -255,6 +288,23 @@ const venueSchema = new mongoose.Schema({
                 max: 100,
                 default: 100,
             },
+            // Customers cannot cancel within this many hours of the start
+            noCancelWindowHours: {
+                type: Number,
+                min: 0,
+                default: 0,
+            },
+            // Flat fee kept from every refund
+            fixedFee: {
+                type: Number,
+                min: 0,
+                default: 0,
+            },
+            // Tiered refund schedule, replaces cancellationWindowHours and refundPercentage when set
+            tiers: {
+                type: [refundTierSchema],
+                default: undefined,
+            },
         },
         paymentSettings: {
             acceptCash: {
@@ -279,6 +329,42 @@ const venueSchema = new mongoose.Schema({
                 max: 100,
                 default: 0,
             },
+            // How long a new booking is held for its deposit before it expires
+            depositHoldMinutes: {
+                type: Number,
+                min: 5,
+                default: 60,
+            },
+        },
+        // Taxes and service fees added to bookings. Admin tax rules for the venue's
+        // country or region take precedence over the taxes set here.
+        taxSettings: {
+            // Prices already include the taxes, which are then shown as part of the price
+            pricesIncludeTax: {
+                type: Boolean,
+                default: false,
+            },
+            // The default 5% tax applies while not set; an empty list charges no tax
+            taxes: {
+                type: [taxRateSchema],
+                default: undefined,
+            },
+            serviceFees: {
+                type: [feeRuleSchema],
+                default: undefined,
+            },
+        },
+        // Reminders sent to players before their bookings start
+        reminders: {
+            enabled: {
+                type: Boolean,
+                default: true,
+            },
+            // Minutes before the start, 24 hours and 1 hour while not set. Users may choose their own.
+            offsetsMinutes: {
+                type: [{ type: Number, min: 5, max: 7 * 24 * 60 }],
+                default: undefined,
+            },
         },
     },
 
@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Roles a user can hold at a venue. The venue's owner is always its owner and never a member;
+// the other roles are given through invitations.
+const VENUE_ROLES = ['owner', 'manager', 'front-desk', 'coach'];
+const STAFF_ROLES = VENUE_ROLES.filter(role => role !== 'owner');
+
+// What each role can do at its venue
+const ROLE_PERMISSIONS = {
+    'owner': [
+        'venue.update',
+        'venue.manage',
+        'venue.delete',
+        'courts.manage',
+        'courts.status',
+        'courts.delete',
+        'bookings.view',
+        'bookings.manage',
+        'bookings.check-in',
+        'payments.refund',
+        'billing.view',
+        'inventory.manage',
+        'memberships.manage',
+        'coupons.manage',
+        'staff.view',
+        'staff.manage',
+    ],
+    'manager': [
+        'venue.update',
+        'courts.manage',
+        'courts.status',
+        'bookings.view',
+        'bookings.manage',
+        'bookings.check-in',
+        'payments.refund',
+        'billing.view',
+        'inventory.manage',
+        'memberships.manage',
+        'staff.view',
+    ],
+    'front-desk': [
+        'bookings.view',
+        'bookings.manage',
+        'bookings.check-in',
+    ],
+    'coach': [
+        'bookings.view',
+    ],
+};
+
+// How long staff invitations stay open
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Invitation tokens are stored hashed, like password reset tokens
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const idOf = (ref) => ref && (ref._id || ref).toString();
+
+// A user's role on a venue's staff, from their invitation until they leave
+const venueMembershipSchema = new mongoose.Schema({
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+        required: true,
+    },
+    // Set when the invitation is accepted
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    // Address the invitation was sent to
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    role: {
+        type: String,
+        enum: STAFF_ROLES,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['invited', 'active', 'declined', 'revoked'],
+        default: 'invited',
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    invitationToken: {
+        type: String,
+        select: false,
+    },
+    invitationExpires: Date,
+    acceptedAt: Date,
+    respondedAt: Date,
+    revokedAt: Date,
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function (doc, ret) {
+            delete ret.invitationToken;
+            return ret;
+        },
+    },
+    toObject: { virtuals: true },
+});
+
+// Indexes for Performance
+venueMembershipSchema.index({ venue: 1, status: 1 });
+venueMembershipSchema.index({ user: 1, status: 1 });
+venueMembershipSchema.index({ venue: 1, email: 1 });
+venueMembershipSchema.index({ invitationToken: 1 }, { sparse: true });
+
+// Virtual for the permissions of the member's role
+venueMembershipSchema.virtual('permissions').get(function () {
+    return ROLE_PERMISSIONS[this.role] || [];
+});
+
+// Static method to find an open invitation by its raw token
+venueMembershipSchema.statics.findByInvitationToken = function (token) {
+    return this.findOne({
+        invitationToken: hashInvitationToken(token),
+        status: 'invited',
+        invitationExpires: { $gt: new Date() }
+    });
+};
+
+// Static method to get a user's role at a venue, and at one of its courts when given.
+// Venue owners are owners, active members have their membership's role, and users listed
+// in the venue's or court's managers before memberships existed are managers.
+venueMembershipSchema.statics.getRole = async function (user, venue, court = null) {
+    const userId = idOf(user);
+
+    if (idOf(venue.owner) === userId || (court && idOf(court.owner) === userId)) {
+        return 'owner';
+    }
+
+    const membership = await this.findOne({ venue: venue._id, user: userId, status: 'active' });
+    if (membership) {
+        return membership.role;
+    }
+
+    const managers = [...(venue.managers || []), ...((court && court.managers) || [])];
+    if (managers.some(manager => idOf(manager) === userId)) {
+        return 'manager';
+    }
+
+    return null;
+};
+
+// Static method to get what a user can do at a venue. Admins can do everything.
+venueMembershipSchema.statics.getAccess = async function (user, venue, court = null) {
+    const isAdmin = user.role === 'admin';
+    const role = await this.getRole(user, venue, court);
+    const permissions = ROLE_PERMISSIONS[role] || [];
+
+    return {
+        role,
+        isAdmin,
+        can: (permission) => isAdmin || permissions.includes(permission),
+    };
+};
+
+// Static method to get a user's access to a booking, or recurring series: whether they are its
+// booking user, and what their role at its venue lets them do. The venue and court are loaded
+// unless they are populated. Without a venue only admins have access besides the booking user.
+venueMembershipSchema.statics.getBookingAccess = async function (user, booking) {
+    const [venue, court] = await Promise.all([
+        booking.venue && booking.venue.owner ? booking.venue : mongoose.model('Venue').findById(booking.venue),
+        booking.court && booking.court.owner ? booking.court : mongoose.model('Court').findById(booking.court)
+    ]);
+    const isAdmin = user.role === 'admin';
+    const access = venue
+        ? await this.getAccess(user, venue, court)
+        : { role: null, isAdmin, can: () => isAdmin };
+
+    return {
+        ...access,
+        isOwner: idOf(booking.user) === idOf(user)
+    };
+};
+
+// Static method to give users listed in a venue's managers, from before memberships existed,
+// an active manager membership so they can be managed like other staff
+venueMembershipSchema.statics.syncManagers = async function (venue) {
+    const User = mongoose.model('User');
+
+    const members = await this.find({ venue: venue._id, status: 'active' }).select('user');
+    const memberIds = new Set(members.map(member => idOf(member.user)));
+    const missing = (venue.managers || []).map(idOf).filter(id => !memberIds.has(id));
+
+    if (missing.length === 0) {
+        return [];
+    }
+
+    const users = await User.find({ _id: { $in: missing } }).select('email');
+    return this.insertMany(users.map(user => ({
+        venue: venue._id,
+        user: user._id,
+        email: user.email,
+        role: 'manager',
+        status: 'active',
+        acceptedAt: new Date(),
+    })));
+};
+
+// Instance method to create a new invitation token, returning the raw token to send
+venueMembershipSchema.methods.createInvitation = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    this.invitationToken = hashInvitationToken(token);
+    this.invitationExpires = new Date(Date.now() + INVITATION_TTL);
+    this.status = 'invited';
+    this.respondedAt = undefined;
+
+    return token;
+};
+
+// Instance method to accept the invitation. Managers are also listed in the venue's managers,
+// which the other venue features check.
+venueMembershipSchema.methods.accept = async function (user) {
+    this.user = user._id;
+    this.status = 'active';
+    this.acceptedAt = new Date();
+    this.respondedAt = this.acceptedAt;
+    this.invitationToken = undefined;
+    this.invitationExpires = undefined;
+
+    await this.save();
+    await this.syncVenueManagers();
+    return this;
+};
+
+// Instance method to decline the invitation
+venueMembershipSchema.methods.decline = function () {
+    this.status = 'declined';
+    this.respondedAt = new Date();
+    this.invitationToken = undefined;
+    this.invitationExpires = undefined;
+    return this.save();
+};
+
+// Instance method to change the member's role
+venueMembershipSchema.methods.changeRole = async function (role) {
+    this.role = role;
+
+    await this.save();
+    await this.syncVenueManagers();
+    return this;
+};
+
+// Instance method to take the member off the venue's staff, or withdraw their invitation
+venueMembershipSchema.methods.revoke = async function () {
+    this.status = 'revoked';
+    this.revokedAt = new Date();
+    this.invitationToken = undefined;
+    this.invitationExpires = undefined;
+
+    await this.save();
+    await this.syncVenueManagers();
+    return this;
+};
+
+// Instance method to list the member in the venue's managers exactly while they are an active manager
+venueMembershipSchema.methods.syncVenueManagers = async function () {
+    if (!this.user) {
+        return;
+    }
+
+    const Venue = mongoose.model('Venue');
+    const update = this.status === 'active' && this.role === 'manager'
+        ? { $addToSet: { managers: this.user } }
+        : { $pull: { managers: this.user } };
+
+    await Venue.updateOne({ _id: this.venue }, update);
+};
+
+const VenueMembership = mongoose.model('VenueMembership', venueMembershipSchema);
+
+VenueMembership.VENUE_ROLES = VENUE_ROLES;
+VenueMembership.STAFF_ROLES = STAFF_ROLES;
+VenueMembership.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+VenueMembership.INVITATION_TTL = INVITATION_TTL;
+
+module.exports = VenueMembership;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Currency wallet balances are kept in
+const WALLET_CURRENCY = 'PKR';
+
+// Attempts at appending an entry before giving up on a heavily used wallet
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Round currency amounts to two decimals
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Main Wallet Transaction Schema. Entries form an append-only ledger per user:
+// credits are positive, debits negative, and every entry carries the balance after it.
+const walletTransactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+    },
+    // Position in the user's ledger; unique per user so concurrent writers cannot both append
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    type: {
+        type: String,
+        enum: ['top-up', 'booking-payment', 'refund', 'adjustment'],
+        required: [true, 'Transaction type is required'],
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        validate: {
+            validator: (value) => value !== 0,
+            message: 'Amount cannot be zero',
+        },
+    },
+    balanceAfter: {
+        type: Number,
+        required: true,
+        min: [0, 'Wallet balance cannot go below zero'],
+    },
+    currency: {
+        type: String,
+        default: WALLET_CURRENCY,
+        uppercase: true,
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+    },
+    // Gateway charge that funded a top-up
+    provider: String,
+    transactionId: String,
+    // Admin who made an adjustment
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+walletTransactionSchema.index({ user: 1, sequence: -1 }, { unique: true });
+walletTransactionSchema.index({ booking: 1 });
+
+// Ledger entries are never changed or removed once written
+walletTransactionSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error('Wallet transactions cannot be modified');
+    }
+});
+
+walletTransactionSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function () {
+        throw new Error('Wallet transactions cannot be modified');
+    }
+);
+
+// Static method to get a user's current balance, the balance after their latest entry
+walletTransactionSchema.statics.getBalance = async function (userId) {
+    const last = await this.findOne({ user: userId }).sort('-sequence').select('balanceAfter');
+    return last ? last.balanceAfter : 0;
+};
+
+// Static method to append an entry to a user's ledger. A concurrent append taking the same
+// sequence number fails on the unique index and the entry is recalculated on the new balance.
+// Returns the entry, or null when a debit exceeds the balance.
+walletTransactionSchema.statics.append = async function (userId, entry) {
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+        const last = await this.findOne({ user: userId }).sort('-sequence').select('sequence balanceAfter');
+        const balanceAfter = roundAmount((last ? last.balanceAfter : 0) + entry.amount);
+
+        if (balanceAfter < 0) {
+            return null;
+        }
+
+        try {
+            return await this.create({
+                ...entry,
+                user: userId,
+                sequence: last ? last.sequence + 1 : 1,
+                balanceAfter,
+                currency: WALLET_CURRENCY,
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+
+    throw new Error('Wallet is busy, please try again');
+};
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+WalletTransaction.CURRENCY = WALLET_CURRENCY;
+
+module.exports = WalletTransaction;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Refund Tier Sub-Schema: cancelling at least hoursBefore the start refunds refundPercentage
+const refundTierSchema = new mongoose.Schema({
+    hoursBefore: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    refundPercentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100,
+    },
+}, { _id: false });
+
+// Cancellation Policy Sub-Schema, used for court overrides and booking snapshots.
+// Unset fields on a court fall back to the venue's policy.
+const cancellationPolicySchema = new mongoose.Schema({
+    allowCancellation: Boolean,
+    // Customers cannot cancel within this many hours of the start
+    noCancelWindowHours: {
+        type: Number,
+        min: 0,
+    },
+    // Flat fee kept from every refund
+    fixedFee: {
+        type: Number,
+        min: 0,
+    },
+    tiers: {
+        type: [refundTierSchema],
+        default: undefined,
+    },
+}, { _id: false });
+
+module.exports = {
+    refundTierSchema,
+    cancellationPolicySchema,
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Tax Rate Sub-Schema: one named tax line, e.g. GST at 17%
+const taxRateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50,
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100,
+    },
+}, { _id: false });
+
+// Fee Rule Sub-Schema: a percentage of the booking price or a fixed amount per booking
+const feeRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50,
+    },
+    feeType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        default: 'percentage',
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, { _id: false });
+
+module.exports = {
+    taxRateSchema,
+    feeRuleSchema,
+};
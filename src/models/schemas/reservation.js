@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Reservation Sub-Schema: units of a stocked item or service taken by a booking for its time slot
+const reservationSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    startTime: {
+        type: Date,
+        required: true,
+    },
+    endTime: {
+        type: Date,
+        required: true,
+    },
+}, { _id: false });
+
+/**
+ * Get the largest number of units reserved at once during [startTime, endTime).
+ * Reservations of excludeBookingId are ignored, so a booking can be moved without counting against itself.
+ */
+function getPeakQuantity(reservations, startTime, endTime, excludeBookingId = null) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    const overlapping = reservations.filter(r =>
+        r.startTime < end && r.endTime > start &&
+        (!excludeBookingId || r.booking.toString() !== excludeBookingId.toString())
+    );
+
+    // Sweep over reservation boundaries; ends sort before starts at the same instant
+    const events = [];
+    overlapping.forEach(r => {
+        events.push({ time: Math.max(r.startTime.getTime(), start.getTime()), change: r.quantity });
+        events.push({ time: Math.min(r.endTime.getTime(), end.getTime()), change: -r.quantity });
+    });
+    events.sort((a, b) => a.time - b.time || a.change - b.change);
+
+    let current = 0;
+    let peak = 0;
+    events.forEach(event => {
+        current += event.change;
+        peak = Math.max(peak, current);
+    });
+
+    return peak;
+}
+
+module.exports = {
+    reservationSchema,
+    getPeakQuantity,
+};
@@ -1,8 +1,15 @@
 const express = require("express");
 const rateLimit = require("express-rate-limit");
 const AuthController = require("../controllers/authController.js");
-const { authenticate } = require("../middleware/auth.js");
+const walletController = require("../controllers/walletController.js");
+const { authenticate, authorize } = require("../middleware/auth.js");
 const Validation = require("../middleware/validation");
+const {
+    getWalletValidation,
+    getTransactionsQueryValidation,
+    topUpValidation,
+    adjustmentValidation,
+} = require("../middleware/walletValidation");
 const passport = require("passport");
 const JWTUtils = require("../utils/jwt.js");
 
@@ -110,6 +117,15 @@ const generalLimiter = isDevelopment ? bypassLimiter : rateLimit({
  *           type: string
  *           enum: [male, female, other]
  *           example: "male"
+ *         language:
+ *           type: string
+ *           enum: [en, ur]
+ *           default: en
+ *           description: Language of the emails the user receives
+ *         reminderPreferences:
+ *           $ref: '#/components/schemas/ReminderSettings'
+ *         notificationPreferences:
+ *           $ref: '#/components/schemas/NotificationPreferences'
  *         provider:
  *           type: string
  *           enum: [manual, google]
@@ -508,6 +524,12 @@ router.get("/profile", authenticate, getProfile);
  *                 type: string
  *                 enum: [male, female, other]
  *                 example: "male"
+ *               language:
+ *                 type: string
+ *                 enum: [en, ur]
+ *                 description: Language of the emails the user receives
+ *               reminderPreferences:
+ *                 $ref: '#/components/schemas/ReminderSettings'
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -530,6 +552,142 @@ router.get("/profile", authenticate, getProfile);
  */
 router.put("/profile", authenticate, updateProfileValidation, updateProfile);
 
+/**
+ * @swagger
+ * /api/auth/profile/wallet:
+ *   get:
+ *     summary: Get wallet balance and latest transactions
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         description: Another user's wallet (admin only)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wallet balance retrieved successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/profile/wallet", authenticate, getWalletValidation, walletController.getWallet);
+
+/**
+ * @swagger
+ * /api/auth/profile/wallet/transactions:
+ *   get:
+ *     summary: Get wallet transaction history, newest first
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [top-up, booking-payment, refund, adjustment]
+ *       - in: query
+ *         name: user
+ *         description: Another user's wallet (admin only)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of wallet transactions
+ */
+router.get(
+    "/profile/wallet/transactions",
+    authenticate,
+    getTransactionsQueryValidation,
+    walletController.getTransactions
+);
+
+/**
+ * @swagger
+ * /api/auth/profile/wallet/top-up:
+ *   post:
+ *     summary: Add funds to the wallet with a card payment
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 5000
+ *               provider:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Provider payment method token
+ *     responses:
+ *       201:
+ *         description: Wallet topped up successfully
+ *       402:
+ *         description: Payment declined
+ */
+router.post("/profile/wallet/top-up", authenticate, topUpValidation, walletController.topUp);
+
+/**
+ * @swagger
+ * /api/auth/profile/wallet/adjustments:
+ *   post:
+ *     summary: Credit or debit a user's wallet by hand
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user
+ *               - amount
+ *               - reason
+ *             properties:
+ *               user:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 description: Positive to credit, negative to debit
+ *                 example: -500
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Wallet balance adjusted successfully
+ *       400:
+ *         description: Adjustment would take the balance below zero
+ *       403:
+ *         description: Admin access required
+ */
+router.post(
+    "/profile/wallet/adjustments",
+    authenticate,
+    authorize("admin"),
+    adjustmentValidation,
+    walletController.adjustBalance
+);
+
 /**
  * @swagger
  * /api/auth/change-password:
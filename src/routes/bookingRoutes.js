@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
-const { authenticate: protect, authorize } = require('../middleware/auth');
+const paymentController = require('../controllers/paymentController');
+const participantController = require('../controllers/participantController');
+const invoiceController = require('../controllers/invoiceController');
+const calendarController = require('../controllers/calendarController');
+const { authenticate: protect, authorizeVenue, optionalAuthenticate } = require('../middleware/auth');
 const {
     createBookingValidation,
     updateBookingValidation,
@@ -10,7 +14,21 @@ const {
     getAvailableSlotsValidation,
     rejectBookingValidation,
     getBookingsQueryValidation,
+    createPaymentIntentValidation,
+    capturePaymentValidation,
+    refundPaymentValidation,
+    joinWaitlistValidation,
+    addParticipantValidation,
+    removeParticipantValidation,
+    updateSharesValidation,
+    payShareValidation,
+    walletPaymentValidation,
+    bookingSeriesValidation,
+    cancelSeriesValidation,
+    rescheduleSeriesValidation,
+    getSeriesQueryValidation,
     mongoIdValidation,
+    seriesIdValidation,
 } = require('../middleware/bookingValidation');
 
 /**
@@ -42,7 +60,7 @@ const {
  *           default: single
  *         status:
  *           type: string
- *           enum: [pending-confirmation, confirmed, in-progress, completed, cancelled, no-show, expired]
+ *           enum: [pending-confirmation, confirmed, in-progress, completed, cancelled, no-show, expired, waitlisted]
  *         pricing:
  *           type: object
  *           properties:
@@ -92,6 +110,7 @@ const {
  *                 enum: [single, recurring]
  *               recurringPattern:
  *                 type: object
+ *                 description: Books a series like POST /api/bookings/series, with occurrences counting the whole series
  *                 properties:
  *                   frequency:
  *                     type: string
@@ -115,13 +134,37 @@ const {
  *                 type: string
  *               specialRequests:
  *                 type: string
+ *               couponCode:
+ *                 type: string
+ *                 description: Not supported for recurring bookings
+ *               equipment:
+ *                 type: array
+ *                 description: Equipment to rent from the venue, added to the price. Not supported for recurring bookings
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     equipment:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               services:
+ *                 type: array
+ *                 description: Add-on services such as coaching or lighting, added to the price. Not supported for recurring bookings
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     service:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
  *     responses:
  *       201:
  *         description: Booking created successfully
  *       400:
  *         description: Validation error or court not available
  *       409:
- *         description: Time slot conflict
+ *         description: Time slot conflict, not enough equipment in stock or a service fully booked
  */
 router.post(
     '/',
@@ -130,6 +173,47 @@ router.post(
     bookingController.createBooking
 );
 
+/**
+ * @swagger
+ * /api/bookings/hold:
+ *   post:
+ *     summary: Hold a slot while paying for it
+ *     description: Takes the same body as creating a booking. The slot is kept for BOOKING_HOLD_MINUTES (10 by default) and the hold becomes a booking once paid, or once its deposit is paid at venues that take one. Unpaid holds expire and free the slot.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - court
+ *               - startTime
+ *               - endTime
+ *             properties:
+ *               court:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Slot held, with the hold's expiry in tentativeExpiryTime
+ *       409:
+ *         description: Time slot is already booked or held
+ */
+router.post(
+    '/hold',
+    protect,
+    createBookingValidation,
+    bookingController.holdBooking
+);
+
 /**
  * @swagger
  * /api/bookings:
@@ -234,125 +318,26 @@ router.post(
 
 /**
  * @swagger
- * /api/bookings/available-slots/{courtId}:
- *   get:
- *     summary: Get available time slots for a court on a specific date
- *     tags: [Bookings]
- *     parameters:
- *       - in: path
- *         name: courtId
- *         required: true
- *         schema:
- *           type: string
- *       - in: query
- *         name: date
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *       - in: query
- *         name: interval
- *         schema:
- *           type: integer
- *           default: 30
- *         description: Time slot interval in minutes
- *     responses:
- *       200:
- *         description: List of available slots
- */
-router.get(
-    '/available-slots/:courtId',
-    getAvailableSlotsValidation,
-    bookingController.getAvailableSlots
-);
-
-/**
- * @swagger
- * /api/bookings/my-bookings:
- *   get:
- *     summary: Get current user's bookings
- *     tags: [Bookings]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *         description: Filter by status
- *       - in: query
- *         name: upcoming
- *         schema:
- *           type: boolean
- *         description: Get only upcoming bookings
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *     responses:
- *       200:
- *         description: User's bookings with statistics
- */
-router.get(
-    '/my-bookings',
-    protect,
-    bookingController.getMyBookings
-);
-
-/**
- * @swagger
- * /api/bookings/{id}:
- *   get:
- *     summary: Get single booking by ID or booking number
- *     tags: [Bookings]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Booking ID or booking number
- *     responses:
- *       200:
- *         description: Booking details
- *       404:
- *         description: Booking not found
- */
-router.get(
-    '/:id',
-    protect,
-    bookingController.getBooking
-);
-
-/**
- * @swagger
- * /api/bookings/{id}:
- *   put:
- *     summary: Update/reschedule booking
+ * /api/bookings/waitlist:
+ *   post:
+ *     summary: Join the waitlist for a booked time slot
+ *     description: When the slot frees up it is held for waitlisted users in order, and the user is emailed an offer to accept
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - court
+ *               - startTime
+ *               - endTime
  *             properties:
+ *               court:
+ *                 type: string
  *               startTime:
  *                 type: string
  *                 format: date-time
@@ -361,39 +346,29 @@ router.get(
  *                 format: date-time
  *               notes:
  *                 type: string
- *               specialRequests:
- *                 type: string
- *               groupSize:
- *                 type: integer
- *               modificationReason:
- *                 type: string
  *     responses:
- *       200:
- *         description: Booking updated successfully
+ *       201:
+ *         description: Added to the waitlist
  *       400:
- *         description: Booking cannot be modified
- *       409:
- *         description: New time slot conflict
+ *         description: Slot is free, outside operating hours, or already waitlisted by the user
  */
-router.put(
-    '/:id',
+router.post(
+    '/waitlist',
     protect,
-    mongoIdValidation,
-    updateBookingValidation,
-    bookingController.updateBooking
+    joinWaitlistValidation,
+    bookingController.joinWaitlist
 );
 
 /**
  * @swagger
- * /api/bookings/{id}:
- *   delete:
- *     summary: Cancel booking
+ * /api/bookings/payments/webhook/{provider}:
+ *   post:
+ *     summary: Receive payment provider webhook events
+ *     description: The request is authenticated by the provider's signature header (x-mock-signature for the mock provider)
  *     tags: [Bookings]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: provider
  *         required: true
  *         schema:
  *           type: string
@@ -403,143 +378,1179 @@ router.put(
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - reason
  *             properties:
- *               reason:
+ *               id:
+ *                 type: string
+ *               type:
  *                 type: string
+ *                 enum: [payment.succeeded, payment.failed, refund.succeeded]
+ *               data:
+ *                 type: object
  *     responses:
  *       200:
- *         description: Booking cancelled successfully with refund info
+ *         description: Event processed
  *       400:
- *         description: Booking cannot be cancelled
+ *         description: Invalid signature or unknown provider
  */
-router.delete(
-    '/:id',
-    protect,
-    mongoIdValidation,
-    cancelBookingValidation,
-    bookingController.cancelBooking
+router.post(
+    '/payments/webhook/:provider',
+    paymentController.handleWebhook
 );
 
 /**
  * @swagger
- * /api/bookings/{id}/approve:
- *   post:
- *     summary: Approve pending booking
+ * /api/bookings/invitations/{token}:
+ *   get:
+ *     summary: Get the group booking an invitation is for
+ *     description: The token from the invitation link is the credential, no login is needed
  *     tags: [Bookings]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: token
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Booking approved successfully
- *       403:
- *         description: Not authorized to approve bookings
+ *         description: Booking summary and the participant's invitation
+ *       404:
+ *         description: Invitation is invalid or has expired
  */
-router.post(
-    '/:id/approve',
-    protect,
-    authorize('owner', 'manager', 'admin'),
-    mongoIdValidation,
-    bookingController.approveBooking
+router.get(
+    '/invitations/:token',
+    participantController.getInvitation
 );
 
 /**
  * @swagger
- * /api/bookings/{id}/reject:
+ * /api/bookings/invitations/{token}/accept:
  *   post:
- *     summary: Reject pending booking
+ *     summary: Accept an invitation to a group booking
+ *     description: A logged-in user is linked to the participant
  *     tags: [Bookings]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: token
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - reason
- *             properties:
- *               reason:
- *                 type: string
  *     responses:
  *       200:
- *         description: Booking rejected successfully
+ *         description: Invitation accepted
+ *       400:
+ *         description: Booking is full or no longer takes participants
+ *       404:
+ *         description: Invitation is invalid or has expired
  */
 router.post(
-    '/:id/reject',
-    protect,
-    authorize('owner', 'manager', 'admin'),
-    mongoIdValidation,
-    rejectBookingValidation,
-    bookingController.rejectBooking
+    '/invitations/:token/accept',
+    optionalAuthenticate,
+    participantController.acceptInvitation
 );
 
 /**
  * @swagger
- * /api/bookings/{id}/check-in:
+ * /api/bookings/invitations/{token}/decline:
  *   post:
- *     summary: Check-in to booking
+ *     summary: Decline an invitation to a group booking
+ *     description: The group leader covers a declined participant's share
  *     tags: [Bookings]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: token
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Checked in successfully
- *       400:
- *         description: Check-in not allowed at this time
+ *         description: Invitation declined
+ *       404:
+ *         description: Invitation is invalid or has expired
  */
 router.post(
-    '/:id/check-in',
-    protect,
-    mongoIdValidation,
-    bookingController.checkIn
+    '/invitations/:token/decline',
+    optionalAuthenticate,
+    participantController.declineInvitation
 );
 
 /**
  * @swagger
- * /api/bookings/{id}/check-out:
+ * /api/bookings/invitations/{token}/pay:
  *   post:
- *     summary: Check-out from booking
+ *     summary: Pay the participant's share of a group booking
  *     tags: [Bookings]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: token
  *         required: true
  *         schema:
  *           type: string
- *     responses:
- *       200:
- *         description: Checked out successfully
- *       400:
- *         description: Check-out not allowed
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 example: mock
+ *               paymentMethod:
+ *                 type: string
+ *                 example: pm_card_visa
+ *               method:
+ *                 type: string
+ *                 enum: [card, online, wallet, bank-transfer]
+ *     responses:
+ *       200:
+ *         description: Share paid
+ *       400:
+ *         description: Invitation not accepted, no share assigned or already paid
+ *       402:
+ *         description: Payment declined
+ */
+router.post(
+    '/invitations/:token/pay',
+    optionalAuthenticate,
+    payShareValidation,
+    participantController.payShare
+);
+
+/**
+ * @swagger
+ * /api/bookings/available-slots/{courtId}:
+ *   get:
+ *     summary: Get available time slots for a court on a specific date
+ *     tags: [Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: courtId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Time slot interval in minutes
+ *     responses:
+ *       200:
+ *         description: List of available slots
+ */
+router.get(
+    '/available-slots/:courtId',
+    getAvailableSlotsValidation,
+    bookingController.getAvailableSlots
+);
+
+/**
+ * @swagger
+ * /api/bookings/my-bookings:
+ *   get:
+ *     summary: Get current user's bookings
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Get only upcoming bookings
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: User's bookings with statistics
+ */
+router.get(
+    '/my-bookings',
+    protect,
+    bookingController.getMyBookings
+);
+
+/**
+ * @swagger
+ * /api/bookings/series/preview:
+ *   post:
+ *     summary: Preview a recurring series before booking it
+ *     description: Lists every occurrence of the rule with whether it can be booked, why not, and its price, along with the series totals.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookingSeriesRequest'
+ *     responses:
+ *       200:
+ *         description: Occurrences with availability and pricing, and the series pricing
+ *       400:
+ *         description: Invalid recurrence rule or court does not take recurring bookings
+ */
+router.post(
+    '/series/preview',
+    protect,
+    bookingSeriesValidation,
+    bookingController.previewSeries
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookingSeriesRequest:
+ *       type: object
+ *       required:
+ *         - court
+ *         - startTime
+ *         - endTime
+ *         - rule
+ *       properties:
+ *         court:
+ *           type: string
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the first occurrence; later ones start at the same local time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *         rule:
+ *           type: string
+ *           description: RRULE with FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY and either COUNT or UNTIL, at most 52 occurrences
+ *           example: FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10
+ *         skipConflicts:
+ *           type: boolean
+ *           default: false
+ *           description: Book the available occurrences and skip the rest instead of failing
+ *         groupSize:
+ *           type: integer
+ *         notes:
+ *           type: string
+ *         specialRequests:
+ *           type: string
+ *
+ * /api/bookings/series:
+ *   post:
+ *     summary: Book a recurring series
+ *     description: Each occurrence becomes a booking of its own, priced with the member discount and the court's bulk discount for series.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookingSeriesRequest'
+ *     responses:
+ *       201:
+ *         description: Series booked, with its occurrences and any skipped ones
+ *       400:
+ *         description: Validation error or court does not take recurring bookings
+ *       409:
+ *         description: Some occurrences are not available, listed in conflicts
+ *   get:
+ *     summary: Get current user's recurring series
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: User's series
+ */
+router.post(
+    '/series',
+    protect,
+    bookingSeriesValidation,
+    bookingController.createSeries
+);
+
+router.get(
+    '/series',
+    protect,
+    getSeriesQueryValidation,
+    bookingController.getMySeries
+);
+
+/**
+ * @swagger
+ * /api/bookings/series/{id}:
+ *   get:
+ *     summary: Get a recurring series with its occurrences
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series and its occurrences
+ *       404:
+ *         description: Series not found
+ */
+router.get(
+    '/series/:id',
+    protect,
+    seriesIdValidation,
+    bookingController.getSeries
+);
+
+/**
+ * @swagger
+ * /api/bookings/series/{id}/cancel:
+ *   post:
+ *     summary: Cancel an occurrence, an occurrence and the following ones, or the whole series
+ *     description: Each occurrence is refunded as if it was cancelled on its own. Occurrences that can no longer be cancelled are reported in notCancelled.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *               - reason
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [occurrence, following, all]
+ *               occurrence:
+ *                 type: string
+ *                 description: Booking ID of the occurrence, required unless the scope is all
+ *               reason:
+ *                 type: string
+ *               refundToWallet:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Cancelled occurrences with the total refund
+ *       400:
+ *         description: Occurrence cannot be cancelled
+ *       404:
+ *         description: Series or occurrence not found
+ */
+router.post(
+    '/series/:id/cancel',
+    protect,
+    cancelSeriesValidation,
+    bookingController.cancelSeries
+);
+
+/**
+ * @swagger
+ * /api/bookings/series/{id}/reschedule:
+ *   put:
+ *     summary: Reschedule an occurrence, an occurrence and the following ones, or the whole series
+ *     description: |
+ *       A single occurrence can move to any time. Several occurrences keep their dates and move to the
+ *       time of day and duration given for the selected occurrence (the first upcoming one for the whole series),
+ *       only if all of them can. When earlier occurrences keep the old time the moved ones become a new series.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *               - startTime
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [occurrence, following, all]
+ *               occurrence:
+ *                 type: string
+ *                 description: Booking ID of the occurrence, required unless the scope is all
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New start of the selected occurrence
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to keeping the occurrence's duration
+ *               modificationReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rescheduled occurrences, with the new series when the series was split
+ *       400:
+ *         description: Validation error or occurrence cannot be modified
+ *       409:
+ *         description: Some occurrences cannot move, listed in conflicts
+ */
+router.put(
+    '/series/:id/reschedule',
+    protect,
+    rescheduleSeriesValidation,
+    bookingController.rescheduleSeries
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}:
+ *   get:
+ *     summary: Get single booking by ID or booking number
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID or booking number
+ *     responses:
+ *       200:
+ *         description: Booking details
+ *       404:
+ *         description: Booking not found
+ */
+router.get(
+    '/:id',
+    protect,
+    bookingController.getBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}:
+ *   put:
+ *     summary: Update/reschedule booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *               specialRequests:
+ *                 type: string
+ *               groupSize:
+ *                 type: integer
+ *               modificationReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking updated successfully
+ *       400:
+ *         description: Booking cannot be modified
+ *       409:
+ *         description: New time slot conflict
+ */
+router.put(
+    '/:id',
+    protect,
+    mongoIdValidation,
+    updateBookingValidation,
+    bookingController.updateBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}:
+ *   delete:
+ *     summary: Cancel booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               refundToWallet:
+ *                 type: boolean
+ *                 description: Take the refund as wallet credit instead of back to the original payment (booking owner only)
+ *     responses:
+ *       200:
+ *         description: Booking cancelled successfully with refund info
+ *       400:
+ *         description: Booking cannot be cancelled
+ */
+router.delete(
+    '/:id',
+    protect,
+    mongoIdValidation,
+    cancelBookingValidation,
+    bookingController.cancelBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/cancellation-preview:
+ *   get:
+ *     summary: Preview the refund for cancelling a booking now
+ *     description: Customers get the refund from the cancellation policy the booking was made under. Venue staff cancellations refund in full.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Whether the booking can be cancelled and what it would refund
+ *       403:
+ *         description: Not authorized to cancel this booking
+ */
+router.get(
+    '/:id/cancellation-preview',
+    protect,
+    mongoIdValidation,
+    bookingController.getCancellationPreview
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/approve:
+ *   post:
+ *     summary: Approve pending booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking approved successfully
+ *       403:
+ *         description: Not authorized to approve bookings
+ */
+router.post(
+    '/:id/approve',
+    protect,
+    mongoIdValidation,
+    authorizeVenue('bookings.manage', { from: 'booking' }),
+    bookingController.approveBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/reject:
+ *   post:
+ *     summary: Reject pending booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking rejected successfully
+ */
+router.post(
+    '/:id/reject',
+    protect,
+    mongoIdValidation,
+    rejectBookingValidation,
+    authorizeVenue('bookings.manage', { from: 'booking' }),
+    bookingController.rejectBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/check-in:
+ *   post:
+ *     summary: Check-in to booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checked in successfully
+ *       400:
+ *         description: Check-in not allowed at this time
+ */
+router.post(
+    '/:id/check-in',
+    protect,
+    mongoIdValidation,
+    bookingController.checkIn
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/check-out:
+ *   post:
+ *     summary: Check-out from booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checked out successfully
+ *       400:
+ *         description: Check-out not allowed
+ */
+router.post(
+    '/:id/check-out',
+    protect,
+    mongoIdValidation,
+    bookingController.checkOut
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/payments:
+ *   get:
+ *     summary: Get payment details for a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment details
+ *       403:
+ *         description: Not authorized to view payments for this booking
+ *   post:
+ *     summary: Create a payment intent for a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 example: mock
+ *               amount:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                     enum: [deposit]
+ *                 description: Part of the outstanding amount to charge, or "deposit" for what is left of the deposit. Defaults to the full outstanding amount.
+ *     responses:
+ *       201:
+ *         description: Payment intent created
+ *       400:
+ *         description: Booking cannot be paid
+ */
+router.get(
+    '/:id/payments',
+    protect,
+    mongoIdValidation,
+    paymentController.getPayment
+);
+
+router.post(
+    '/:id/payments',
+    protect,
+    mongoIdValidation,
+    createPaymentIntentValidation,
+    paymentController.createPaymentIntent
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/payments/capture:
+ *   post:
+ *     summary: Capture the booking's payment intent
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Provider payment method token (pm_card_declined simulates a decline on the mock provider)
+ *               method:
+ *                 type: string
+ *                 enum: [card, online, wallet, bank-transfer]
+ *     responses:
+ *       200:
+ *         description: Payment captured successfully
+ *       402:
+ *         description: Payment declined
  */
 router.post(
-    '/:id/check-out',
+    '/:id/payments/capture',
     protect,
     mongoIdValidation,
-    bookingController.checkOut
+    capturePaymentValidation,
+    paymentController.capturePayment
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/payments/wallet:
+ *   post:
+ *     summary: Pay for a booking from the wallet balance
+ *     description: Pays the whole outstanding amount, or part of it with the rest paid through a new payment intent.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the full outstanding amount
+ *     responses:
+ *       200:
+ *         description: Wallet payment recorded
+ *       402:
+ *         description: Insufficient wallet balance
+ */
+router.post(
+    '/:id/payments/wallet',
+    protect,
+    mongoIdValidation,
+    walletPaymentValidation,
+    paymentController.payFromWallet
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/payments/refund:
+ *   post:
+ *     summary: Refund a booking payment
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the full refundable amount
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment refunded successfully
+ *       403:
+ *         description: Not authorized to refund this booking
+ */
+router.post(
+    '/:id/payments/refund',
+    protect,
+    mongoIdValidation,
+    refundPaymentValidation,
+    authorizeVenue('payments.refund', { from: 'booking' }),
+    paymentController.refundPayment
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/invoices:
+ *   get:
+ *     summary: Get the invoice and credit notes of a booking
+ *     description: A booking is invoiced once confirmed or paid for, and every refund is documented by a credit note. Download them from /api/invoices/{id}.
+ *     tags: [Bookings, Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The invoice followed by its credit notes, empty while the booking is not billed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Invoice'
+ *       403:
+ *         description: Not authorized to view invoices for this booking
+ */
+router.get(
+    '/:id/invoices',
+    protect,
+    mongoIdValidation,
+    invoiceController.getBookingInvoices
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/calendar:
+ *   get:
+ *     summary: Download a booking as an iCalendar (.ics) file
+ *     description: Import into Google Calendar, Outlook or Apple Calendar. Subscribe to /api/calendar/feed to keep every booking in sync instead.
+ *     tags: [Bookings, Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The booking as a calendar event
+ *         content:
+ *           text/calendar: {}
+ *       403:
+ *         description: Not authorized to view this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get(
+    '/:id/calendar',
+    protect,
+    mongoIdValidation,
+    calendarController.getBookingCalendar
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/waitlist/accept:
+ *   post:
+ *     summary: Accept a waitlist offer before it expires
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer accepted, booking confirmed or awaiting approval
+ *       400:
+ *         description: No open offer for this booking
+ */
+router.post(
+    '/:id/waitlist/accept',
+    protect,
+    mongoIdValidation,
+    bookingController.acceptWaitlistOffer
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/waitlist:
+ *   delete:
+ *     summary: Leave the waitlist or decline an offer
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from the waitlist
+ */
+router.delete(
+    '/:id/waitlist',
+    protect,
+    mongoIdValidation,
+    bookingController.leaveWaitlist
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/participants:
+ *   post:
+ *     summary: Invite a participant to a group booking
+ *     description: Invitees are emailed a link to accept or decline. The leader and everyone who has not declined count towards the court's maximum players.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *                 description: User ID, required without an email
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               paymentShare:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Participant invited
+ *       400:
+ *         description: Already invited, court is full, or shares exceed the total
+ *       403:
+ *         description: Only the group leader can manage participants
+ */
+router.post(
+    '/:id/participants',
+    protect,
+    mongoIdValidation,
+    addParticipantValidation,
+    participantController.inviteParticipant
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/participants/shares:
+ *   put:
+ *     summary: Split the booking total between the participants
+ *     description: An equal split divides the total between the leader and everyone who has not declined. The leader pays whatever is not assigned through the booking's own payment intent.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mode
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [equal, custom]
+ *               shares:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     participantId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Shares updated
+ *       400:
+ *         description: Shares exceed the total or a participant has already paid
+ */
+router.put(
+    '/:id/participants/shares',
+    protect,
+    mongoIdValidation,
+    updateSharesValidation,
+    participantController.updateShares
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/participants/{participantId}:
+ *   delete:
+ *     summary: Remove a participant who has not paid
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: participantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Participant removed
+ *       400:
+ *         description: Participant has already paid
+ */
+router.delete(
+    '/:id/participants/:participantId',
+    protect,
+    mongoIdValidation,
+    removeParticipantValidation,
+    participantController.removeParticipant
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { authenticate, authorizeVenue } = require('../middleware/auth');
+const {
+    courtFeedValidation,
+    getUserFeedValidation,
+    getCourtFeedValidation,
+} = require('../middleware/calendarValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: iCalendar feed to subscribe to. Anyone with the link can read it, so keep it private.
+ *         webcalUrl:
+ *           type: string
+ *           description: The same feed as a webcal:// link, which calendar apps open as a subscription
+ */
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   post:
+ *     summary: Create my calendar feed
+ *     description: Returns a secret link to an iCalendar feed of my bookings for Google Calendar, Outlook or Apple Calendar. Creating a new feed turns off the previous link.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeed'
+ *   delete:
+ *     summary: Turn off my calendar feed
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed turned off
+ */
+router.post(
+    '/feed',
+    authenticate,
+    calendarController.createUserFeed
+);
+
+router.delete(
+    '/feed',
+    authenticate,
+    calendarController.deleteUserFeed
+);
+
+/**
+ * @swagger
+ * /api/calendar/feed/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of a user's bookings
+ *     description: Bookings from the last 30 days on. Cancelled and expired bookings stay in the feed as cancelled events so subscribed calendars remove them.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The feed
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Calendar feed not found
+ */
+router.get(
+    '/feed/:token.ics',
+    getUserFeedValidation,
+    calendarController.getUserFeed
+);
+
+/**
+ * @swagger
+ * /api/calendar/courts/{courtId}/feed:
+ *   post:
+ *     summary: Create a court's calendar feed
+ *     description: Returns a secret link to an iCalendar feed of the court's confirmed bookings and availability exceptions for venue staff. Creating a new feed turns off the previous link.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courtId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Feed created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeed'
+ *       403:
+ *         description: Not authorized to manage this court's calendar
+ *   delete:
+ *     summary: Turn off a court's calendar feed
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courtId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Feed turned off
+ *       403:
+ *         description: Not authorized to manage this court's calendar
+ */
+router.post(
+    '/courts/:courtId/feed',
+    authenticate,
+    courtFeedValidation,
+    authorizeVenue('courts.manage', { from: 'court', param: 'courtId' }),
+    calendarController.createCourtFeed
+);
+
+router.delete(
+    '/courts/:courtId/feed',
+    authenticate,
+    courtFeedValidation,
+    authorizeVenue('courts.manage', { from: 'court', param: 'courtId' }),
+    calendarController.deleteCourtFeed
+);
+
+/**
+ * @swagger
+ * /api/calendar/courts/{courtId}/feed/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of a court's bookings and availability exceptions
+ *     description: Confirmed, in-progress and completed bookings from the last 30 days on, with who booked them. Cancelled bookings are listed as cancelled events so subscribed calendars remove them. Closures and special hours are all-day events.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: courtId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The feed
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Calendar feed not found
+ */
+router.get(
+    '/courts/:courtId/feed/:token.ics',
+    getCourtFeedValidation,
+    calendarController.getCourtFeed
+);
+
+module.exports = router;
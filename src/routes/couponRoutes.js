@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { authenticate } = require('../middleware/auth');
+const {
+    createCouponValidation,
+    updateCouponValidation,
+    validateCouponValidation,
+    getCouponsQueryValidation,
+    mongoIdValidation,
+} = require('../middleware/couponValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - discountType
+ *         - discountValue
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: SUMMER20
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         discountValue:
+ *           type: number
+ *           example: 20
+ *         maxDiscountAmount:
+ *           type: number
+ *           description: Cap for percentage discounts
+ *         minSpend:
+ *           type: number
+ *         scope:
+ *           type: object
+ *           description: Empty lists apply to everything. Owners must name at least one of their venues or courts.
+ *           properties:
+ *             venues:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             courts:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             sportTypes:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         usageLimit:
+ *           type: integer
+ *           description: Total redemptions allowed, unlimited when omitted
+ *         perUserLimit:
+ *           type: integer
+ *           default: 1
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *       403:
+ *         description: Scope includes venues or courts the user does not own
+ *   get:
+ *     summary: Get coupons
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: venue
+ *         schema:
+ *           type: string
+ *         description: List the venue's coupons instead of your own, if you may manage its coupons
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of coupons
+ *       403:
+ *         description: Not authorized to view the venue's coupons
+ */
+router.post(
+    '/',
+    authenticate,
+    createCouponValidation,
+    couponController.createCoupon
+);
+
+router.get(
+    '/',
+    authenticate,
+    getCouponsQueryValidation,
+    couponController.getCoupons
+);
+
+/**
+ * @swagger
+ * /api/coupons/validate:
+ *   post:
+ *     summary: Check a coupon code against a prospective booking
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - court
+ *               - startTime
+ *               - endTime
+ *             properties:
+ *               code:
+ *                 type: string
+ *               court:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Coupon is valid, with the discount it would give
+ *       400:
+ *         description: Coupon does not apply to this booking
+ *       404:
+ *         description: Invalid coupon code
+ */
+router.post(
+    '/validate',
+    authenticate,
+    validateCouponValidation,
+    couponController.validateCoupon
+);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get coupon with its redemptions
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon details
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Update coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *   delete:
+ *     summary: Delete coupon (redeemed coupons are deactivated instead)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted or deactivated
+ */
+router.get(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    couponController.getCoupon
+);
+
+router.put(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    updateCouponValidation,
+    couponController.updateCoupon
+);
+
+router.delete(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    couponController.deleteCoupon
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const courtController = require('../controllers/courtController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorizeVenue } = require('../middleware/auth');
 const {
     createCourtValidation,
     updateCourtValidation,
@@ -91,8 +91,8 @@ const {
 router.post(
     '/',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     createCourtValidation,
+    authorizeVenue('courts.manage', { param: 'venue', location: 'body' }),
     courtController.createCourt
 );
 
@@ -213,9 +213,9 @@ router.get(
 router.put(
     '/:id',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdValidation,
     updateCourtValidation,
+    authorizeVenue('courts.manage', { from: 'court' }),
     courtController.updateCourt
 );
 
@@ -244,8 +244,8 @@ router.put(
 router.delete(
     '/:id',
     authenticate,
-    authorize('owner', 'admin'),
     mongoIdValidation,
+    authorizeVenue('courts.delete', { from: 'court' }),
     courtController.deleteCourt
 );
 
@@ -291,9 +291,9 @@ router.delete(
 router.post(
     '/:id/media',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdValidation,
     courtMediaBulkValidation,
+    authorizeVenue('courts.manage', { from: 'court' }),
     courtController.addMedia
 );
 
@@ -323,8 +323,8 @@ router.post(
 router.delete(
     '/:id/media/:mediaId',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdAndMediaIdValidation,
+    authorizeVenue('courts.manage', { from: 'court' }),
     courtController.deleteMedia
 );
 
@@ -375,9 +375,9 @@ router.delete(
 router.post(
     '/:id/pricing-rules',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdValidation,
     pricingRuleValidation,
+    authorizeVenue('courts.manage', { from: 'court' }),
     courtController.addPricingRule
 );
 
@@ -396,8 +396,8 @@ router.post(
 router.put(
     '/:id/pricing-rules/:ruleId',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdAndRuleIdValidation,
+    authorizeVenue('courts.manage', { from: 'court' }),
     courtController.updatePricingRule
 );
 
@@ -416,8 +416,8 @@ router.put(
 router.delete(
     '/:id/pricing-rules/:ruleId',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdAndRuleIdValidation,
+    authorizeVenue('courts.manage', { from: 'court' }),
     courtController.deletePricingRule
 );
 
@@ -456,9 +456,9 @@ router.delete(
 router.post(
     '/:id/availability-exceptions',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdValidation,
     availabilityExceptionValidation,
+    authorizeVenue('courts.manage', { from: 'court' }),
     courtController.addAvailabilityException
 );
 
@@ -477,8 +477,8 @@ router.post(
 router.delete(
     '/:id/availability-exceptions/:exceptionId',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdAndExceptionIdValidation,
+    authorizeVenue('courts.manage', { from: 'court' }),
     courtController.deleteAvailabilityException
 );
 
@@ -518,7 +518,55 @@ router.delete(
  *                 type: boolean
  *     responses:
  *       200:
- *         description: Price calculated successfully
+ *         description: Price calculated successfully, with the venue's taxes and fees
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     totalPrice:
+ *                       type: number
+ *                       description: Court price before taxes and fees
+ *                     subtotal:
+ *                       type: number
+ *                       description: Price net of tax
+ *                     taxInclusive:
+ *                       type: boolean
+ *                     taxes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           rate:
+ *                             type: number
+ *                           amount:
+ *                             type: number
+ *                     tax:
+ *                       type: number
+ *                     fees:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             enum: [service, platform]
+ *                           amount:
+ *                             type: number
+ *                     serviceFee:
+ *                       type: number
+ *                     platformFee:
+ *                       type: number
+ *                     totalAmount:
+ *                       type: number
+ *                       description: What a booking of the slot would cost
  */
 router.post(
     '/:id/calculate-price',
@@ -601,9 +649,9 @@ router.post(
 router.patch(
     '/:id/status',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdValidation,
     courtStatusValidation,
+    authorizeVenue('courts.status', { from: 'court' }),
     courtController.updateStatus
 );
 
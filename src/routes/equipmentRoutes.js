@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const equipmentController = require('../controllers/equipmentController');
+const { authenticate, authorizeVenue } = require('../middleware/auth');
+const {
+    createEquipmentValidation,
+    updateEquipmentValidation,
+    getEquipmentQueryValidation,
+    availabilityValidation,
+    mongoIdValidation,
+} = require('../middleware/equipmentValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Equipment:
+ *       type: object
+ *       required:
+ *         - venue
+ *         - name
+ *         - category
+ *         - totalStock
+ *         - pricing
+ *       properties:
+ *         venue:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Tennis racquet
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [racquet, ball, shoes, protective-gear, other]
+ *         sportTypes:
+ *           type: array
+ *           description: Sports the item can be rented for, empty for any
+ *           items:
+ *             type: string
+ *         totalStock:
+ *           type: integer
+ *           example: 10
+ *         pricing:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [hourly, flat]
+ *               default: flat
+ *             amount:
+ *               type: number
+ *               description: Price per unit, per hour for hourly pricing
+ *               example: 200
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/equipment:
+ *   post:
+ *     summary: Add equipment to a venue's rental inventory
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Equipment'
+ *     responses:
+ *       201:
+ *         description: Equipment added successfully
+ *       403:
+ *         description: Not authorized to manage this venue
+ *   get:
+ *     summary: Get a venue's rental equipment
+ *     tags: [Equipment]
+ *     parameters:
+ *       - in: query
+ *         name: venue
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sportType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startTime
+ *         description: With endTime, adds the available quantity for that slot
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of equipment
+ */
+router.post(
+    '/',
+    authenticate,
+    createEquipmentValidation,
+    authorizeVenue('inventory.manage', { param: 'venue', location: 'body' }),
+    equipmentController.createEquipment
+);
+
+router.get(
+    '/',
+    getEquipmentQueryValidation,
+    equipmentController.getEquipment
+);
+
+/**
+ * @swagger
+ * /api/equipment/{id}/availability:
+ *   get:
+ *     summary: Check how many units are free for a time slot
+ *     tags: [Equipment]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: quantity
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Available quantity and rental price
+ *       404:
+ *         description: Equipment not found
+ */
+router.get(
+    '/:id/availability',
+    mongoIdValidation,
+    availabilityValidation,
+    equipmentController.getEquipmentAvailability
+);
+
+/**
+ * @swagger
+ * /api/equipment/{id}:
+ *   get:
+ *     summary: Get equipment item
+ *     tags: [Equipment]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Equipment details
+ *       404:
+ *         description: Equipment not found
+ *   put:
+ *     summary: Update equipment details or stock
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Equipment'
+ *     responses:
+ *       200:
+ *         description: Equipment updated successfully
+ *   delete:
+ *     summary: Delete equipment (items reserved by upcoming bookings are deactivated instead)
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Equipment deleted or deactivated
+ */
+router.get(
+    '/:id',
+    mongoIdValidation,
+    equipmentController.getEquipmentItem
+);
+
+router.put(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    updateEquipmentValidation,
+    authorizeVenue('inventory.manage', { from: 'equipment' }),
+    equipmentController.updateEquipment
+);
+
+router.delete(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    authorizeVenue('inventory.manage', { from: 'equipment' }),
+    equipmentController.deleteEquipment
+);
+
+module.exports = router;
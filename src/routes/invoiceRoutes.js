@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { authenticate, authorizeVenue } = require('../middleware/auth');
+const {
+    getInvoiceValidation,
+    getVenueInvoicesValidation,
+} = require('../middleware/invoiceValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         venue:
+ *           type: string
+ *         booking:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [invoice, credit-note]
+ *         number:
+ *           type: string
+ *           description: Sequential per venue and type, e.g. INV-000042 or CN-000007
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         invoice:
+ *           type: string
+ *           description: Credit notes only, the invoice being credited
+ *         reason:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unitPrice:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         subtotal:
+ *           type: number
+ *         tax:
+ *           type: number
+ *         serviceFee:
+ *           type: number
+ *         total:
+ *           type: number
+ *         currency:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/invoices/venue/{venueId}:
+ *   get:
+ *     summary: List a venue's invoices and credit notes by issue date
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Inclusive; a plain date covers the whole day (UTC)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [invoice, credit-note]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoices in the range with invoiced, credited and net totals per currency
+ *       403:
+ *         description: Not authorized to view this venue's invoices
+ */
+router.get(
+    '/venue/:venueId',
+    authenticate,
+    getVenueInvoicesValidation,
+    authorizeVenue('billing.view', { param: 'venueId' }),
+    invoiceController.getVenueInvoices
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Get or download an invoice, receipt or credit note
+ *     description: An invoice is titled a receipt once the booking is paid in full.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The document as JSON, an HTML page or a PDF file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *           text/html: {}
+ *           application/pdf: {}
+ *       403:
+ *         description: Not authorized to view this invoice
+ *       404:
+ *         description: Invoice not found
+ */
+router.get(
+    '/:id',
+    authenticate,
+    getInvoiceValidation,
+    invoiceController.getInvoice
+);
+
+module.exports = router;
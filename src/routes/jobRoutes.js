@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { authenticate, authorize, authenticateCron } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/jobs/runs:
+ *   get:
+ *     summary: Get scheduled job run history
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *         description: Filter by job name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of job runs with their result counts
+ */
+router.get(
+    '/runs',
+    authenticate,
+    authorize('admin'),
+    jobController.getJobRuns
+);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/run:
+ *   get:
+ *     summary: Run a scheduled job (Vercel cron)
+ *     description: Requires "Authorization Bearer CRON_SECRET". Only one runner executes a job at a time.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: booking-status-update
+ *     responses:
+ *       200:
+ *         description: Job completed with result counts
+ *       401:
+ *         description: Invalid cron secret
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+router.get(
+    '/:name/run',
+    authenticateCron,
+    jobController.runJob
+);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/run:
+ *   post:
+ *     summary: Run a scheduled job manually
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job completed with result counts
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+router.post(
+    '/:name/run',
+    authenticate,
+    authorize('admin'),
+    jobController.runJob
+);
+
+module.exports = router;
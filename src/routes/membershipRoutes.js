@@ -0,0 +1,427 @@
+const express = require('express');
+const router = express.Router();
+const membershipController = require('../controllers/membershipController');
+const { authenticate, authorizeVenue } = require('../middleware/auth');
+const {
+    createPlanValidation,
+    updatePlanValidation,
+    getPlansQueryValidation,
+    subscribeValidation,
+    renewValidation,
+    autoRenewValidation,
+    getMembershipsQueryValidation,
+    venueIdValidation,
+    mongoIdValidation,
+} = require('../middleware/membershipValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MembershipPlan:
+ *       type: object
+ *       required:
+ *         - venue
+ *         - name
+ *         - tier
+ *         - price
+ *         - durationDays
+ *       properties:
+ *         venue:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Gold monthly
+ *         tier:
+ *           type: string
+ *           description: Matched against the membershipTier of court discount rules
+ *           example: gold
+ *         description:
+ *           type: string
+ *         price:
+ *           type: number
+ *           example: 5000
+ *         currency:
+ *           type: string
+ *           default: PKR
+ *         durationDays:
+ *           type: integer
+ *           example: 30
+ *         perks:
+ *           type: object
+ *           properties:
+ *             discountPercentage:
+ *               type: number
+ *               description: Off the court price of every booking at the venue
+ *               example: 10
+ *             extraAdvanceBookingDays:
+ *               type: integer
+ *               description: Added to each court's advance booking window
+ *               example: 7
+ *             freeHours:
+ *               type: number
+ *               description: Free court time per membership period
+ *               example: 2
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/memberships/plans:
+ *   post:
+ *     summary: Create a membership plan for a venue
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MembershipPlan'
+ *     responses:
+ *       201:
+ *         description: Membership plan created successfully
+ *       403:
+ *         description: Not authorized to manage this venue
+ *   get:
+ *     summary: Get a venue's membership plans
+ *     tags: [Memberships]
+ *     parameters:
+ *       - in: query
+ *         name: venue
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of membership plans
+ */
+router.post(
+    '/plans',
+    authenticate,
+    createPlanValidation,
+    authorizeVenue('memberships.manage', { param: 'venue', location: 'body' }),
+    membershipController.createPlan
+);
+
+router.get(
+    '/plans',
+    getPlansQueryValidation,
+    membershipController.getPlans
+);
+
+/**
+ * @swagger
+ * /api/memberships/plans/{id}:
+ *   get:
+ *     summary: Get membership plan
+ *     tags: [Memberships]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Membership plan details
+ *       404:
+ *         description: Membership plan not found
+ *   put:
+ *     summary: Update membership plan (current members keep their terms until renewal)
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MembershipPlan'
+ *     responses:
+ *       200:
+ *         description: Membership plan updated successfully
+ *   delete:
+ *     summary: Delete membership plan (plans that have been sold are deactivated instead)
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Membership plan deleted or deactivated
+ */
+router.get(
+    '/plans/:id',
+    mongoIdValidation,
+    membershipController.getPlan
+);
+
+router.put(
+    '/plans/:id',
+    authenticate,
+    mongoIdValidation,
+    updatePlanValidation,
+    authorizeVenue('memberships.manage', { from: 'plan' }),
+    membershipController.updatePlan
+);
+
+router.delete(
+    '/plans/:id',
+    authenticate,
+    mongoIdValidation,
+    authorizeVenue('memberships.manage', { from: 'plan' }),
+    membershipController.deletePlan
+);
+
+/**
+ * @swagger
+ * /api/memberships/venue/{venueId}:
+ *   get:
+ *     summary: Get the members of a venue
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled, expired]
+ *           default: active
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of memberships
+ *       403:
+ *         description: Not authorized to view this venue's members
+ */
+router.get(
+    '/venue/:venueId',
+    authenticate,
+    venueIdValidation,
+    getMembershipsQueryValidation,
+    authorizeVenue('memberships.manage', { param: 'venueId' }),
+    membershipController.getVenueMemberships
+);
+
+/**
+ * @swagger
+ * /api/memberships:
+ *   post:
+ *     summary: Buy a membership plan
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plan
+ *             properties:
+ *               plan:
+ *                 type: string
+ *               autoRenew:
+ *                 type: boolean
+ *                 description: Charge the same payment method again at the end of each period
+ *               provider:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Provider payment method token
+ *     responses:
+ *       201:
+ *         description: Membership purchased successfully
+ *       400:
+ *         description: Already a member of the venue
+ *       402:
+ *         description: Payment declined
+ *   get:
+ *     summary: Get my memberships
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled, expired]
+ *     responses:
+ *       200:
+ *         description: List of memberships
+ */
+router.post(
+    '/',
+    authenticate,
+    subscribeValidation,
+    membershipController.subscribe
+);
+
+router.get(
+    '/',
+    authenticate,
+    getMembershipsQueryValidation,
+    membershipController.getMyMemberships
+);
+
+/**
+ * @swagger
+ * /api/memberships/{id}/renew:
+ *   post:
+ *     summary: Renew a membership for another period
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Membership renewed successfully
+ *       402:
+ *         description: Payment declined
+ */
+router.post(
+    '/:id/renew',
+    authenticate,
+    mongoIdValidation,
+    renewValidation,
+    membershipController.renewMembership
+);
+
+/**
+ * @swagger
+ * /api/memberships/{id}/auto-renew:
+ *   patch:
+ *     summary: Turn automatic renewal on or off
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - autoRenew
+ *             properties:
+ *               autoRenew:
+ *                 type: boolean
+ *               provider:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Automatic renewal updated
+ */
+router.patch(
+    '/:id/auto-renew',
+    authenticate,
+    mongoIdValidation,
+    autoRenewValidation,
+    membershipController.updateAutoRenew
+);
+
+/**
+ * @swagger
+ * /api/memberships/{id}:
+ *   get:
+ *     summary: Get membership
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Membership details
+ *       404:
+ *         description: Membership not found
+ *   delete:
+ *     summary: Cancel membership (perks end immediately, nothing is refunded)
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Membership cancelled successfully
+ */
+router.get(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    membershipController.getMembership
+);
+
+router.delete(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    membershipController.cancelMembership
+);
+
+module.exports = router;
@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const {
+    getNotificationsValidation,
+    notificationIdValidation,
+    updatePreferencesValidation,
+    addPushSubscriptionValidation,
+    removePushSubscriptionValidation,
+    getDeliveriesValidation,
+} = require('../middleware/notificationValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       description: A notification in the user's in-app inbox. Inboxes keep the 200 most recent notifications for up to 90 days.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           example: booking-approved
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: Page of the app the notification is about
+ *         isRead:
+ *           type: boolean
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     NotificationPreferences:
+ *       type: object
+ *       description: Channels the user receives notifications on. Account emails such as password resets are always sent.
+ *       properties:
+ *         email:
+ *           type: boolean
+ *           default: true
+ *         sms:
+ *           type: boolean
+ *           default: false
+ *           description: Needs a phone number on the profile
+ *         push:
+ *           type: boolean
+ *           default: true
+ *           description: Sent to the browsers subscribed to push notifications
+ *         inApp:
+ *           type: boolean
+ *           default: true
+ *     PushSubscription:
+ *       type: object
+ *       description: A browser's PushSubscription, as returned by its toJSON()
+ *       required:
+ *         - endpoint
+ *         - keys
+ *       properties:
+ *         endpoint:
+ *           type: string
+ *           format: uri
+ *         keys:
+ *           type: object
+ *           properties:
+ *             p256dh:
+ *               type: string
+ *             auth:
+ *               type: string
+ *     NotificationDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         type:
+ *           type: string
+ *           example: booking-created
+ *         channel:
+ *           type: string
+ *           enum: [email, sms, push, in-app]
+ *         provider:
+ *           type: string
+ *           example: smtp
+ *         to:
+ *           type: string
+ *           description: Email address, phone number, push subscription endpoint or user ID
+ *         status:
+ *           type: string
+ *           enum: [pending, sent, failed]
+ *           description: Pending deliveries are waiting to be retried
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         error:
+ *           type: string
+ *         errorCode:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the current user's in-app notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only list unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notifications and the number of unread ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unreadCount:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ */
+router.get('/', authenticate, getNotificationsValidation, notificationController.getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Count the current user's unread in-app notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of unread notifications
+ */
+router.get('/unread-count', authenticate, notificationController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all of the current user's in-app notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked read
+ */
+router.patch('/read-all', authenticate, notificationController.markAllRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark an in-app notification read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked read
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id/read', authenticate, notificationIdValidation, notificationController.markRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/unread:
+ *   patch:
+ *     summary: Mark an in-app notification unread
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked unread
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id/unread', authenticate, notificationIdValidation, notificationController.markUnread);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the channels the current user receives notifications on
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences and the number of subscribed browsers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     preferences:
+ *                       $ref: '#/components/schemas/NotificationPreferences'
+ *                     pushSubscriptions:
+ *                       type: integer
+ */
+router.get('/preferences', authenticate, notificationController.getPreferences);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   put:
+ *     summary: Turn notification channels on or off for the current user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated
+ *       400:
+ *         description: Validation error, or SMS turned on without a phone number
+ */
+router.put(
+    '/preferences',
+    authenticate,
+    updatePreferencesValidation,
+    notificationController.updatePreferences
+);
+
+/**
+ * @swagger
+ * /api/notifications/push/public-key:
+ *   get:
+ *     summary: Get the VAPID public key to subscribe browsers to push notifications with
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: The applicationServerKey for PushManager.subscribe(), base64url encoded
+ *       404:
+ *         description: Push notifications are not configured
+ */
+router.get('/push/public-key', notificationController.getPushPublicKey);
+
+/**
+ * @swagger
+ * /api/notifications/push-subscriptions:
+ *   post:
+ *     summary: Subscribe a browser of the current user to push notifications
+ *     description: Subscribing the same endpoint again refreshes its keys. The 10 most recently subscribed browsers are kept.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PushSubscription'
+ *     responses:
+ *       201:
+ *         description: Push subscription saved
+ *       400:
+ *         description: Validation error
+ *   delete:
+ *     summary: Unsubscribe a browser of the current user from push notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Push subscription removed
+ *       404:
+ *         description: Push subscription not found
+ */
+router.post(
+    '/push-subscriptions',
+    authenticate,
+    addPushSubscriptionValidation,
+    notificationController.addPushSubscription
+);
+
+router.delete(
+    '/push-subscriptions',
+    authenticate,
+    removePushSubscriptionValidation,
+    notificationController.removePushSubscription
+);
+
+/**
+ * @swagger
+ * /api/notifications/deliveries:
+ *   get:
+ *     summary: List notification deliveries, newest first
+ *     description: Users see the deliveries of their own notifications; admins see everyone's and can filter by user.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Admin only
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, push, in-app]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationDelivery'
+ */
+router.get(
+    '/deliveries',
+    authenticate,
+    getDeliveriesValidation,
+    notificationController.getDeliveries
+);
+
+module.exports = router;
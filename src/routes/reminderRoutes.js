@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const reminderController = require('../controllers/reminderController');
+const { authenticate, authorizeVenue } = require('../middleware/auth');
+const {
+    getVenueRemindersValidation,
+    updateReminderSettingsValidation,
+    getBookingRemindersValidation,
+    cancelReminderValidation,
+} = require('../middleware/reminderValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReminderSettings:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         offsetsMinutes:
+ *           type: array
+ *           description: Minutes before the start of a booking to send reminders, 24 hours and 1 hour by default
+ *           items:
+ *             type: integer
+ *             minimum: 5
+ *             maximum: 10080
+ *           example: [1440, 60]
+ *     Reminder:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         booking:
+ *           type: string
+ *         user:
+ *           type: string
+ *         venue:
+ *           type: string
+ *         offsetMinutes:
+ *           type: integer
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the booking when the reminder was scheduled
+ *         sendAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [scheduled, sent, cancelled, failed]
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         cancelReason:
+ *           type: string
+ *           enum: [booking-inactive, rescheduled, settings, superseded, manual]
+ *         error:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/reminders/venue/{venueId}:
+ *   get:
+ *     summary: List a venue's booking reminders by send time
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, sent, cancelled, failed]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reminders and the venue's reminder settings
+ *       403:
+ *         description: Not authorized to view this venue's reminders
+ */
+router.get(
+    '/venue/:venueId',
+    authenticate,
+    getVenueRemindersValidation,
+    authorizeVenue('bookings.view', { param: 'venueId' }),
+    reminderController.getVenueReminders
+);
+
+/**
+ * @swagger
+ * /api/reminders/venue/{venueId}/settings:
+ *   put:
+ *     summary: Update a venue's reminder settings
+ *     description: |
+ *       Reminders of the venue's upcoming bookings are rescheduled with the new settings. Turning
+ *       reminders off cancels them for every user; otherwise users' own reminder preferences take
+ *       precedence over the venue's offsets. An empty offsets list restores the defaults.
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderSettings'
+ *     responses:
+ *       200:
+ *         description: Reminder settings updated
+ *       403:
+ *         description: Not authorized to manage this venue's reminders
+ */
+router.put(
+    '/venue/:venueId/settings',
+    authenticate,
+    updateReminderSettingsValidation,
+    authorizeVenue('venue.update', { param: 'venueId' }),
+    reminderController.updateVenueReminderSettings
+);
+
+/**
+ * @swagger
+ * /api/reminders/booking/{bookingId}:
+ *   get:
+ *     summary: Get the reminders of a booking
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The booking's reminders by send time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Reminder'
+ *       403:
+ *         description: Not authorized to view reminders for this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get(
+    '/booking/:bookingId',
+    authenticate,
+    getBookingRemindersValidation,
+    reminderController.getBookingReminders
+);
+
+/**
+ * @swagger
+ * /api/reminders/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a scheduled reminder
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reminder cancelled
+ *       400:
+ *         description: The reminder was already sent or cancelled
+ *       403:
+ *         description: Not authorized to cancel this reminder
+ *       404:
+ *         description: Reminder not found
+ */
+router.patch(
+    '/:id/cancel',
+    authenticate,
+    cancelReminderValidation,
+    reminderController.cancelReminder
+);
+
+module.exports = router;
@@ -0,0 +1,396 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { authenticate, authorize, authorizeVenue, optionalAuthenticate } = require('../middleware/auth');
+const {
+    createReviewValidation,
+    updateReviewValidation,
+    replyValidation,
+    reportReviewValidation,
+    moderateReviewValidation,
+    getReviewsQueryValidation,
+    mongoIdValidation,
+} = require('../middleware/reviewValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         booking:
+ *           type: string
+ *           description: Completed booking the review is for
+ *         court:
+ *           type: string
+ *         venue:
+ *           type: string
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         title:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         reply:
+ *           type: object
+ *           properties:
+ *             text:
+ *               type: string
+ *             repliedAt:
+ *               type: string
+ *               format: date-time
+ *         status:
+ *           type: string
+ *           enum: [published, flagged, hidden]
+ *         reportCount:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   post:
+ *     summary: Review a completed booking
+ *     description: Each completed booking can be reviewed once by the user who made it. Court and venue ratings are recalculated.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - booking
+ *               - rating
+ *             properties:
+ *               booking:
+ *                 type: string
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Review submitted
+ *       400:
+ *         description: Booking is not completed or already reviewed
+ *   get:
+ *     summary: Get reviews
+ *     description: Filtering by court or venue also returns a breakdown of ratings per star
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: query
+ *         name: court
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: venue
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, highest, lowest]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of reviews
+ */
+router.post(
+    '/',
+    authenticate,
+    createReviewValidation,
+    reviewController.createReview
+);
+
+router.get(
+    '/',
+    optionalAuthenticate,
+    getReviewsQueryValidation,
+    reviewController.getReviews
+);
+
+/**
+ * @swagger
+ * /api/reviews/moderation:
+ *   get:
+ *     summary: Get reviews waiting for moderation
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [published, flagged, hidden]
+ *           default: flagged
+ *     responses:
+ *       200:
+ *         description: Reviews with their reports
+ */
+router.get(
+    '/moderation',
+    authenticate,
+    authorize('admin'),
+    getReviewsQueryValidation,
+    reviewController.getModerationQueue
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}:
+ *   get:
+ *     summary: Get single review
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review details
+ *       404:
+ *         description: Review not found
+ *   put:
+ *     summary: Update own review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *   delete:
+ *     summary: Delete review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ */
+router.get(
+    '/:id',
+    optionalAuthenticate,
+    mongoIdValidation,
+    reviewController.getReview
+);
+
+router.put(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    updateReviewValidation,
+    reviewController.updateReview
+);
+
+router.delete(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    reviewController.deleteReview
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/reply:
+ *   post:
+ *     summary: Reply to a review of your venue or court
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reply posted, replacing any earlier reply
+ *       403:
+ *         description: Not the owner or a manager of the venue or court
+ *   delete:
+ *     summary: Remove the reply to a review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reply removed
+ */
+router.post(
+    '/:id/reply',
+    authenticate,
+    mongoIdValidation,
+    replyValidation,
+    authorizeVenue('venue.update', { from: 'review' }),
+    reviewController.replyToReview
+);
+
+router.delete(
+    '/:id/reply',
+    authenticate,
+    mongoIdValidation,
+    authorizeVenue('venue.update', { from: 'review' }),
+    reviewController.deleteReply
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/report:
+ *   post:
+ *     summary: Report a review
+ *     description: Reviews reported by several users are flagged for moderation
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, offensive, irrelevant, fake, other]
+ *               details:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review reported
+ *       400:
+ *         description: Already reported, or reporting your own review
+ */
+router.post(
+    '/:id/report',
+    authenticate,
+    mongoIdValidation,
+    reportReviewValidation,
+    reviewController.reportReview
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/moderate:
+ *   patch:
+ *     summary: Publish or hide a review
+ *     description: Hidden reviews no longer count towards court and venue ratings
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [published, hidden]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review moderated
+ */
+router.patch(
+    '/:id/moderate',
+    authenticate,
+    authorize('admin'),
+    mongoIdValidation,
+    moderateReviewValidation,
+    reviewController.moderateReview
+);
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const serviceController = require('../controllers/serviceController');
+const { authenticate, authorizeVenue } = require('../middleware/auth');
+const {
+    createServiceValidation,
+    updateServiceValidation,
+    getServicesQueryValidation,
+    availabilityValidation,
+    mongoIdValidation,
+} = require('../middleware/serviceValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Service:
+ *       type: object
+ *       required:
+ *         - venue
+ *         - name
+ *         - category
+ *         - pricing
+ *       properties:
+ *         venue:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Private coaching
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [coaching, ball-machine, refereeing, lighting, other]
+ *         sportTypes:
+ *           type: array
+ *           description: Sports the service is offered for, empty for any
+ *           items:
+ *             type: string
+ *         courts:
+ *           type: array
+ *           description: Courts the service is offered on, empty for every court of the venue
+ *           items:
+ *             type: string
+ *         pricing:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [hourly, flat]
+ *               default: flat
+ *             amount:
+ *               type: number
+ *               description: Price per unit, per hour for hourly pricing
+ *               example: 1500
+ *         capacity:
+ *           type: integer
+ *           description: Bookings that can use the service at the same time, unlimited when omitted
+ *         staff:
+ *           type: array
+ *           description: Staff members; each booking of the service is assigned a free one
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/services:
+ *   post:
+ *     summary: Add a service to a venue's catalog
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Service'
+ *     responses:
+ *       201:
+ *         description: Service added successfully
+ *       403:
+ *         description: Not authorized to manage this venue
+ *   get:
+ *     summary: Get a venue's services
+ *     tags: [Services]
+ *     parameters:
+ *       - in: query
+ *         name: venue
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: court
+ *         description: Only services offered on this court
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sportType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startTime
+ *         description: With endTime, adds the bookable quantity for that slot (null when unlimited)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of services
+ */
+router.post(
+    '/',
+    authenticate,
+    createServiceValidation,
+    authorizeVenue('inventory.manage', { param: 'venue', location: 'body' }),
+    serviceController.createService
+);
+
+router.get(
+    '/',
+    getServicesQueryValidation,
+    serviceController.getServices
+);
+
+/**
+ * @swagger
+ * /api/services/{id}/availability:
+ *   get:
+ *     summary: Check whether a service can be booked for a time slot
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: quantity
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Bookable quantity and price
+ *       404:
+ *         description: Service not found
+ */
+router.get(
+    '/:id/availability',
+    mongoIdValidation,
+    availabilityValidation,
+    serviceController.getServiceAvailability
+);
+
+/**
+ * @swagger
+ * /api/services/{id}:
+ *   get:
+ *     summary: Get service
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Service details
+ *       404:
+ *         description: Service not found
+ *   put:
+ *     summary: Update service details, capacity or staff
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Service'
+ *     responses:
+ *       200:
+ *         description: Service updated successfully
+ *   delete:
+ *     summary: Delete service (services booked by upcoming bookings are deactivated instead)
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Service deleted or deactivated
+ */
+router.get(
+    '/:id',
+    mongoIdValidation,
+    serviceController.getService
+);
+
+router.put(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    updateServiceValidation,
+    authorizeVenue('inventory.manage', { from: 'service' }),
+    serviceController.updateService
+);
+
+router.delete(
+    '/:id',
+    authenticate,
+    mongoIdValidation,
+    authorizeVenue('inventory.manage', { from: 'service' }),
+    serviceController.deleteService
+);
+
+module.exports = router;
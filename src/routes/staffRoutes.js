@@ -0,0 +1,319 @@
+const express = require('express');
+const router = express.Router();
+const staffController = require('../controllers/staffController');
+const { authenticate, authorizeVenue, optionalAuthenticate } = require('../middleware/auth');
+const {
+    getVenueStaffValidation,
+    inviteStaffValidation,
+    updateStaffMemberValidation,
+    staffMemberIdValidation,
+} = require('../middleware/staffValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VenueMembership:
+ *       type: object
+ *       description: |
+ *         A user's role on a venue's staff. Roles grant these permissions at the venue:
+ *         - owner: everything, including the venue's status, verification, deletion, coupons and staff
+ *         - manager: venue details, courts, bookings, check-ins and refunds, invoices and charges,
+ *           equipment and services, membership plans, and viewing the staff
+ *         - front-desk: bookings and check-ins
+ *         - coach: viewing bookings
+ *
+ *         The venue's owner is its owner by owning the venue, not through a membership. Managers are
+ *         also listed in the venue's managers.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         venue:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: Set when the invitation is accepted
+ *         email:
+ *           type: string
+ *           description: Address the invitation was sent to
+ *         role:
+ *           type: string
+ *           enum: [manager, front-desk, coach]
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: bookings.check-in
+ *         status:
+ *           type: string
+ *           enum: [invited, active, declined, revoked]
+ *         invitedBy:
+ *           type: string
+ *         invitationExpires:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/staff/me:
+ *   get:
+ *     summary: List the venues the current user is on the staff of, and their open invitations
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active memberships and open invitations
+ */
+router.get('/me', authenticate, staffController.getMyMemberships);
+
+/**
+ * @swagger
+ * /api/staff/invitations/{token}:
+ *   get:
+ *     summary: Get the venue and role a staff invitation is for
+ *     description: The token from the invitation link is the credential, no login is needed
+ *     tags: [Staff]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Venue, role and permissions of the invitation
+ *       404:
+ *         description: Invitation is invalid or has expired
+ */
+router.get('/invitations/:token', staffController.getInvitation);
+
+/**
+ * @swagger
+ * /api/staff/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept a staff invitation, joining the venue's staff
+ *     description: The current user's email address must be the one the invitation was sent to, and verified
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       403:
+ *         description: The invitation was sent to another email address, or it is not verified
+ *       404:
+ *         description: Invitation is invalid or has expired
+ */
+router.post('/invitations/:token/accept', authenticate, staffController.acceptInvitation);
+
+/**
+ * @swagger
+ * /api/staff/invitations/{token}/decline:
+ *   post:
+ *     summary: Decline a staff invitation
+ *     tags: [Staff]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       403:
+ *         description: The invitation was sent to another email address than the logged-in user's
+ *       404:
+ *         description: Invitation is invalid or has expired
+ */
+router.post('/invitations/:token/decline', optionalAuthenticate, staffController.declineInvitation);
+
+/**
+ * @swagger
+ * /api/staff/venue/{venueId}:
+ *   get:
+ *     summary: List a venue's owner, staff and open invitations
+ *     description: Users listed in the venue's managers before staff memberships existed are listed as managers.
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [invited, active, declined, revoked]
+ *         description: Defaults to active staff and open invitations
+ *     responses:
+ *       200:
+ *         description: The venue's owner and staff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     owner:
+ *                       type: object
+ *                     members:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/VenueMembership'
+ *       403:
+ *         description: Not authorized to view this venue's staff
+ *       404:
+ *         description: Venue not found
+ */
+router.get(
+    '/venue/:venueId',
+    authenticate,
+    getVenueStaffValidation,
+    authorizeVenue('staff.view', { param: 'venueId' }),
+    staffController.getVenueStaff
+);
+
+/**
+ * @swagger
+ * /api/staff/venue/{venueId}/invitations:
+ *   post:
+ *     summary: Invite someone to a venue's staff by email
+ *     description: |
+ *       The invitation link is emailed and expires after 7 days. Inviting someone with an open
+ *       invitation sends them a new one with the given role. Only the venue's owner can invite staff.
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [manager, front-desk, coach]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/VenueMembership'
+ *       400:
+ *         description: Validation error, or the person is already on the venue's staff
+ *       403:
+ *         description: Not authorized to manage this venue's staff
+ *       404:
+ *         description: Venue not found
+ */
+router.post(
+    '/venue/:venueId/invitations',
+    authenticate,
+    inviteStaffValidation,
+    authorizeVenue('staff.manage', { param: 'venueId' }),
+    staffController.inviteStaff
+);
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   patch:
+ *     summary: Change a staff member's role, or the role of an open invitation
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [manager, front-desk, coach]
+ *     responses:
+ *       200:
+ *         description: Staff member updated
+ *       403:
+ *         description: Not authorized to manage this venue's staff
+ *       404:
+ *         description: Staff member not found
+ *   delete:
+ *     summary: Remove a staff member from a venue, or withdraw their invitation
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff member removed
+ *       403:
+ *         description: Not authorized to manage this venue's staff
+ *       404:
+ *         description: Staff member not found
+ */
+router.patch(
+    '/:id',
+    authenticate,
+    updateStaffMemberValidation,
+    authorizeVenue('staff.manage', { from: 'membership' }),
+    staffController.updateStaffMember
+);
+
+router.delete(
+    '/:id',
+    authenticate,
+    staffMemberIdValidation,
+    authorizeVenue('staff.manage', { from: 'membership' }),
+    staffController.removeStaffMember
+);
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const taxRuleController = require('../controllers/taxRuleController');
+const { authenticate, authorize, authorizeVenue } = require('../middleware/auth');
+const {
+    createTaxRuleValidation,
+    updateTaxRuleValidation,
+    getTaxRulesQueryValidation,
+    venueIdValidation,
+    mongoIdValidation,
+} = require('../middleware/taxRuleValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       properties:
+ *         country:
+ *           type: string
+ *           description: Matched against venue addresses case-insensitively
+ *         region:
+ *           type: string
+ *           description: State or province; the rule covers the whole country when not set
+ *         taxes:
+ *           type: array
+ *           description: Replace the venue's own taxes when set; an empty list charges no tax
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *         pricesIncludeTax:
+ *           type: boolean
+ *           description: Overrides the venue's setting when set
+ *         platformFees:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               feeType:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/tax-rules:
+ *   get:
+ *     summary: Get tax rules
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of tax rules
+ *   post:
+ *     summary: Create a tax rule for a country or region
+ *     description: Venues in the country or region are charged the rule's taxes and platform fees. A regional rule wins over the country-wide one.
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       201:
+ *         description: Tax rule created successfully
+ *       400:
+ *         description: A tax rule already exists for this country and region
+ */
+router.get(
+    '/',
+    authenticate,
+    authorize('admin'),
+    getTaxRulesQueryValidation,
+    taxRuleController.getTaxRules
+);
+
+router.post(
+    '/',
+    authenticate,
+    authorize('admin'),
+    createTaxRuleValidation,
+    taxRuleController.createTaxRule
+);
+
+/**
+ * @swagger
+ * /api/tax-rules/venue/{venueId}:
+ *   get:
+ *     summary: Get the taxes and fees charged on bookings at a venue
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The charges in effect and the tax rule they come from, if any
+ *       403:
+ *         description: Not authorized to view this venue's charges
+ */
+router.get(
+    '/venue/:venueId',
+    authenticate,
+    venueIdValidation,
+    authorizeVenue('billing.view', { param: 'venueId' }),
+    taxRuleController.getVenueCharges
+);
+
+/**
+ * @swagger
+ * /api/tax-rules/{id}:
+ *   put:
+ *     summary: Update a tax rule
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule updated successfully
+ *       404:
+ *         description: Tax rule not found
+ *   delete:
+ *     summary: Delete a tax rule
+ *     description: Existing bookings keep the taxes and fees they were priced with.
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted successfully
+ *       404:
+ *         description: Tax rule not found
+ */
+router.put(
+    '/:id',
+    authenticate,
+    authorize('admin'),
+    updateTaxRuleValidation,
+    taxRuleController.updateTaxRule
+);
+
+router.delete(
+    '/:id',
+    authenticate,
+    authorize('admin'),
+    mongoIdValidation,
+    taxRuleController.deleteTaxRule
+);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const venueController = require('../controllers/venueController');
 const courtController = require('../controllers/courtController');
-const { authenticate, authorize, optionalAuthenticate } = require('../middleware/auth');
+const { authenticate, authorize, authorizeVenue, optionalAuthenticate } = require('../middleware/auth');
 const {
     createVenueValidation,
     updateVenueValidation,
@@ -84,6 +84,22 @@ const {
  *               type: boolean
  *             cafeteria:
  *               type: boolean
+ *         branding:
+ *           type: object
+ *           description: Branding of the booking emails sent for the venue
+ *           properties:
+ *             logoUrl:
+ *               type: string
+ *               description: Defaults to the venue's primary image
+ *             primaryColor:
+ *               type: string
+ *               example: "#1a73e8"
+ *             emailSignature:
+ *               type: string
+ *               description: Shown under the sign-off
+ *             replyTo:
+ *               type: string
+ *               description: Where replies go; defaults to the contact email
  */
 
 /**
@@ -305,6 +321,7 @@ router.put(
     authenticate,
     mongoIdValidation,
     updateVenueValidation,
+    authorizeVenue('venue.update'),
     venueController.updateVenue
 );
 
@@ -333,8 +350,8 @@ router.put(
 router.delete(
     '/:id',
     authenticate,
-    authorize('owner', 'admin'),
     mongoIdValidation,
+    authorizeVenue('venue.delete'),
     venueController.deleteVenue
 );
 
@@ -380,9 +397,9 @@ router.delete(
 router.post(
     '/:id/media',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdValidation,
     venueMediaBulkValidation,
+    authorizeVenue('venue.update'),
     venueController.addMedia
 );
 
@@ -412,8 +429,8 @@ router.post(
 router.delete(
     '/:id/media/:mediaId',
     authenticate,
-    authorize('owner', 'manager', 'admin'),
     mongoIdAndMediaIdValidation,
+    authorizeVenue('venue.update'),
     venueController.deleteMedia
 );
 
@@ -450,9 +467,9 @@ router.delete(
 router.patch(
     '/:id/status',
     authenticate,
-    authorize('owner', 'admin'),
     mongoIdValidation,
     venueStatusValidation,
+    authorizeVenue('venue.manage'),
     venueController.updateStatus
 );
 
@@ -523,6 +540,7 @@ router.post(
     '/:id/verification-documents',
     authenticate,
     mongoIdValidation,
+    authorizeVenue('venue.manage'),
     venueController.addVerificationDocument
 );
 
@@ -589,8 +607,8 @@ router.patch(
 router.post(
     '/:id/update-stats',
     authenticate,
-    authorize('owner', 'admin'),
     mongoIdValidation,
+    authorizeVenue('venue.update'),
     venueController.updateVenueStats
 );
 
@@ -0,0 +1,117 @@
+const Membership = require('../models/Membership');
+const MembershipPlan = require('../models/MembershipPlan');
+const payments = require('./payments');
+
+// Automatic renewals are attempted this long before a membership ends
+const RENEWAL_LEAD_MS = 24 * 60 * 60 * 1000;
+
+// Sells, renews and expires venue memberships
+class MembershipService {
+  // Buy a plan for a user. The membership is saved before charging so the one-per-venue
+  // index settles concurrent purchases, and removed again if the payment fails.
+  async subscribe(user, plan, { provider, paymentMethod, autoRenew = false } = {}) {
+    const membership = new Membership({
+      user: user._id,
+      autoRenew,
+      paymentMethod: autoRenew ? paymentMethod : undefined
+    });
+    membership.applyPlan(plan);
+    await membership.save();
+
+    if (plan.price > 0) {
+      try {
+        await this.chargeFor(membership, plan, 'purchase', { provider, paymentMethod });
+      } catch (error) {
+        await membership.deleteOne();
+        throw error;
+      }
+    }
+
+    await membership.save();
+    return membership;
+  }
+
+  // Pay for another period of the membership's plan and extend it
+  async renew(membership, plan, { provider, paymentMethod } = {}) {
+    const renewed = new Date(Math.max(membership.endDate.getTime(), Date.now()) + plan.durationDays * 24 * 60 * 60 * 1000);
+
+    if (plan.price > 0) {
+      await this.chargeFor(membership, plan, 'renewal', { provider, paymentMethod, periodEnd: renewed });
+    }
+
+    membership.extend(plan);
+    await membership.save();
+    return membership;
+  }
+
+  // Renew memberships set to renew automatically that end within a day, then expire the
+  // ones whose time has run out. A failed renewal switches automatic renewal off so the
+  // card is not retried every run; the member can still renew by hand.
+  async processRenewals() {
+    const now = new Date();
+    let renewed = 0;
+    let failed = 0;
+
+    const due = await Membership.find({
+      status: 'active',
+      autoRenew: true,
+      endDate: { $lte: new Date(now.getTime() + RENEWAL_LEAD_MS) }
+    }).select('+paymentMethod');
+
+    for (const membership of due) {
+      try {
+        const plan = await MembershipPlan.findById(membership.plan);
+        if (!plan || !plan.isActive) {
+          throw new Error('The membership plan is no longer offered');
+        }
+
+        await this.renew(membership, plan, {
+          provider: membership.provider,
+          paymentMethod: membership.paymentMethod
+        });
+        renewed++;
+      } catch (error) {
+        membership.autoRenew = false;
+        membership.lastRenewalError = error.message;
+        await membership.save();
+        failed++;
+      }
+    }
+
+    const expired = await Membership.updateMany(
+      { status: 'active', endDate: { $lte: now } },
+      { status: 'expired' }
+    );
+
+    return { renewed, failed, expired: expired.modifiedCount };
+  }
+
+  // Charge the plan price and record it on the membership
+  async chargeFor(membership, plan, type, { provider, paymentMethod, periodEnd = membership.endDate }) {
+    const charge = await payments.charge({
+      amount: plan.price,
+      currency: plan.currency,
+      provider,
+      paymentMethod,
+      metadata: {
+        membershipId: membership._id.toString(),
+        planId: plan._id.toString(),
+        type
+      }
+    });
+
+    membership.provider = charge.provider;
+    membership.payments.push({
+      type,
+      amount: charge.amount,
+      currency: plan.currency,
+      provider: charge.provider,
+      transactionId: charge.transactionId,
+      periodEnd
+    });
+
+    return charge;
+  }
+}
+
+module.exports = new MembershipService();
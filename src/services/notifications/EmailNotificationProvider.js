@@ -0,0 +1,32 @@
+const EmailService = require('../../utils/email');
+const { NotificationProvider, NotificationError } = require('./NotificationProvider');
+
+// Sends email through nodemailer. Outside production the transport is the email outbox, see
+// EmailService.usesOutbox.
+class EmailNotificationProvider extends NotificationProvider {
+  constructor() {
+    super('email', 'smtp');
+  }
+
+  async send({ to, content, type, locale }) {
+    let info;
+    try {
+      info = await EmailService.sendEmail({
+        email: to,
+        replyTo: content.replyTo,
+        subject: content.subject,
+        html: content.html,
+        text: content.text,
+        template: type,
+        locale
+      });
+    } catch (error) {
+      // SMTP failures are mostly temporary: connection problems, greylisting, rate limits
+      throw new NotificationError(error.message, 'smtp_error', { retryable: true });
+    }
+
+    return { messageId: info && info.messageId };
+  }
+}
+
+module.exports = EmailNotificationProvider;
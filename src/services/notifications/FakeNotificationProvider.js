@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { NotificationProvider, NotificationError } = require('./NotificationProvider');
+
+// Most messages a fake provider keeps, oldest dropped first
+const SENT_LIMIT = 100;
+
+// Local provider for development and tests. Messages are kept in memory in sent instead of
+// leaving the machine; failNext makes the next sends fail.
+class FakeNotificationProvider extends NotificationProvider {
+  constructor(channel) {
+    super(channel, 'fake');
+    this.sent = [];
+    this.failures = [];
+  }
+
+  // Fail the next send with a NotificationError, e.g. failNext({ retryable: true })
+  failNext({ message = 'Fake delivery failure', code = 'fake_failure', retryable = false } = {}) {
+    this.failures.push(new NotificationError(message, code, { retryable }));
+  }
+
+  clear() {
+    this.sent = [];
+    this.failures = [];
+  }
+
+  async send({ to, content, type, locale }) {
+    const failure = this.failures.shift();
+    if (failure) {
+      throw failure;
+    }
+
+    const messageId = `${this.channel}_fake_${crypto.randomBytes(8).toString('hex')}`;
+    this.sent.push({ messageId, to, content, type, locale, sentAt: new Date() });
+    if (this.sent.length > SENT_LIMIT) {
+      this.sent.shift();
+    }
+
+    return { messageId };
+  }
+}
+
+module.exports = FakeNotificationProvider;
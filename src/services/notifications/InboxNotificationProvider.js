@@ -0,0 +1,23 @@
+const Notification = require('../../models/Notification');
+const { NotificationProvider } = require('./NotificationProvider');
+
+// Delivers in-app notifications to the user's inbox, see GET /api/notifications
+class InboxNotificationProvider extends NotificationProvider {
+  constructor() {
+    super('in-app', 'inbox');
+  }
+
+  // to is the user's ID
+  async send({ to, content, type }) {
+    const notification = await Notification.add(to, {
+      type,
+      title: content.title,
+      body: content.text,
+      url: content.url
+    });
+
+    return { messageId: notification._id.toString() };
+  }
+}
+
+module.exports = InboxNotificationProvider;
@@ -0,0 +1,30 @@
+// Error raised by notification providers. Retryable errors, e.g. a gateway timeout or rate
+// limit, are tried again later; others, e.g. an invalid phone number, fail the delivery.
+class NotificationError extends Error {
+  constructor(message, code = 'delivery_failed', { retryable = false, statusCode = 502 } = {}) {
+    super(message);
+    this.name = 'NotificationError';
+    this.code = code;
+    this.retryable = retryable;
+    this.statusCode = statusCode;
+  }
+}
+
+// Interface every notification provider implements. A provider delivers one channel:
+// email, sms, push or in-app.
+class NotificationProvider {
+  constructor(channel, name) {
+    this.channel = channel;
+    this.name = name;
+  }
+
+  // Deliver a message to an address of the channel (an email address, phone number, push
+  // subscription or user ID). content holds what the channel shows:
+  // { subject, html, text, replyTo } for email, { text } for SMS and { title, text, url } for
+  // push and in-app. Returns { messageId }.
+  async send({ to, content, type, locale }) {
+    throw new Error(`${this.name} provider does not implement send`);
+  }
+}
+
+module.exports = { NotificationProvider, NotificationError };
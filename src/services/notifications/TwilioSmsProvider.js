@@ -0,0 +1,62 @@
+const { NotificationProvider, NotificationError } = require('./NotificationProvider');
+
+const API_URL = 'https://api.twilio.com/2010-04-01';
+
+// How long to wait for Twilio before trying again later
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Sends SMS through the Twilio Messages API. Configured with TWILIO_ACCOUNT_SID,
+// TWILIO_AUTH_TOKEN and either TWILIO_FROM_NUMBER or TWILIO_MESSAGING_SERVICE_SID.
+class TwilioSmsProvider extends NotificationProvider {
+  constructor(options = {}) {
+    super('sms', 'twilio');
+    this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    this.from = options.from || process.env.TWILIO_FROM_NUMBER;
+    this.messagingServiceSid = options.messagingServiceSid || process.env.TWILIO_MESSAGING_SERVICE_SID;
+  }
+
+  async send({ to, content }) {
+    if (!this.accountSid || !this.authToken || (!this.from && !this.messagingServiceSid)) {
+      throw new NotificationError('Twilio is not configured', 'provider_not_configured');
+    }
+
+    const body = new URLSearchParams({ To: to, Body: content.text });
+    if (this.messagingServiceSid) {
+      body.set('MessagingServiceSid', this.messagingServiceSid);
+    } else {
+      body.set('From', this.from);
+    }
+
+    let response;
+    try {
+      response = await fetch(`${API_URL}/Accounts/${this.accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new NotificationError(`Twilio request failed: ${error.message}`, 'provider_unreachable', { retryable: true });
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // Rate limits and server errors are temporary; anything else, such as an invalid
+      // number, fails the same way every time
+      throw new NotificationError(
+        result.message || `Twilio responded with ${response.status}`,
+        result.code ? `twilio_${result.code}` : 'provider_error',
+        { retryable: response.status === 429 || response.status >= 500 }
+      );
+    }
+
+    return { messageId: result.sid };
+  }
+}
+
+module.exports = TwilioSmsProvider;
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { NotificationProvider, NotificationError } = require('./NotificationProvider');
+
+// How long push services keep a message for an offline browser, in seconds
+const MESSAGE_TTL_SECONDS = 24 * 60 * 60;
+
+// Lifetime of the VAPID token sent with each message, at most 24 hours by the spec
+const VAPID_TOKEN_SECONDS = 12 * 60 * 60;
+
+const RECORD_SIZE = 4096;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const hkdf = (salt, ikm, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// Sends Web Push messages (RFC 8030) to browser push subscriptions, with the payload encrypted
+// for the subscription (RFC 8291) and the sender identified by VAPID (RFC 8292). Configured with
+// VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY, a P-256 key pair in base64url as generated by most
+// web push libraries, and VAPID_SUBJECT, a mailto: or https: contact for the push services.
+class WebPushProvider extends NotificationProvider {
+  constructor(options = {}) {
+    super('push', 'web-push');
+    this.publicKey = options.publicKey || process.env.VAPID_PUBLIC_KEY;
+    this.privateKey = options.privateKey || process.env.VAPID_PRIVATE_KEY;
+    this.subject = options.subject || process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_FROM}`;
+  }
+
+  // to is the browser's push subscription: { endpoint, keys: { p256dh, auth } }
+  async send({ to, content, type }) {
+    if (!this.publicKey || !this.privateKey) {
+      throw new NotificationError('Web push is not configured', 'provider_not_configured');
+    }
+
+    const payload = JSON.stringify({ type, title: content.title, body: content.text, url: content.url });
+
+    let response;
+    try {
+      response = await fetch(to.endpoint, {
+        method: 'POST',
+        headers: {
+          Authorization: `vapid t=${this.getVapidToken(to.endpoint)}, k=${this.publicKey}`,
+          'Content-Encoding': 'aes128gcm',
+          'Content-Type': 'application/octet-stream',
+          TTL: String(MESSAGE_TTL_SECONDS),
+          Urgency: 'normal'
+        },
+        body: this.encrypt(payload, to.keys),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new NotificationError(`Push service request failed: ${error.message}`, 'provider_unreachable', { retryable: true });
+    }
+
+    // The browser unsubscribed or the subscription ran out
+    if (response.status === 404 || response.status === 410) {
+      throw new NotificationError('Push subscription has expired', 'subscription_expired');
+    }
+
+    if (!response.ok) {
+      throw new NotificationError(
+        `Push service responded with ${response.status}`,
+        'provider_error',
+        { retryable: response.status === 429 || response.status >= 500 }
+      );
+    }
+
+    return { messageId: response.headers.get('location') || undefined };
+  }
+
+  // Encrypt a payload for a subscription as a single aes128gcm record
+  encrypt(payload, keys) {
+    const receiverKey = Buffer.from(keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const senderKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(receiverKey);
+
+    const ikm = hkdf(authSecret, sharedSecret, Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]), 32);
+    const salt = crypto.randomBytes(16);
+    const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    // 0x02 marks the last (and only) record
+    const encrypted = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(senderKey.length, 20);
+
+    return Buffer.concat([header, senderKey, encrypted]);
+  }
+
+  // Signed JWT identifying this server to the push service of the endpoint
+  getVapidToken(endpoint) {
+    const publicKey = Buffer.from(this.publicKey, 'base64url');
+    const key = crypto.createPrivateKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        x: base64url(publicKey.subarray(1, 33)),
+        y: base64url(publicKey.subarray(33, 65)),
+        d: this.privateKey
+      },
+      format: 'jwk'
+    });
+
+    const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64url(JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_SECONDS,
+      sub: this.subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+    return `${header}.${claims}.${base64url(signature)}`;
+  }
+}
+
+module.exports = WebPushProvider;
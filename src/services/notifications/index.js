@@ -0,0 +1,622 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Booking = require('../../models/Booking');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const VenueMembership = require('../../models/VenueMembership');
+const EmailTemplates = require('../../utils/emailTemplates');
+const { NotificationProvider, NotificationError } = require('./NotificationProvider');
+const FakeNotificationProvider = require('./FakeNotificationProvider');
+const EmailNotificationProvider = require('./EmailNotificationProvider');
+const InboxNotificationProvider = require('./InboxNotificationProvider');
+const TwilioSmsProvider = require('./TwilioSmsProvider');
+const WebPushProvider = require('./WebPushProvider');
+
+const { NOTIFICATION_CHANNELS } = NotificationDelivery;
+
+// User.notificationPreferences key of each channel, and whether it is on while the user has not chosen
+const CHANNEL_PREFERENCES = {
+  'email': { key: 'email', default: true },
+  'sms': { key: 'sms', default: false },
+  'push': { key: 'push', default: true },
+  'in-app': { key: 'inApp', default: true },
+};
+
+// Provider used for a channel unless NOTIFICATION_<CHANNEL>_PROVIDER names another
+const DEFAULT_PROVIDERS = {
+  'email': 'smtp',
+  'sms': 'fake',
+  'push': 'fake',
+  'in-app': 'inbox',
+};
+
+// Channels of each notification. Required notifications go out whatever the user's preferences;
+// sensitive ones carry secrets and are neither stored nor retried. Notifications that are not
+// emailed only need localized strings, no message templates.
+const NOTIFICATION_TYPES = {
+  'welcome': { channels: ['email'], required: true, sensitive: true },
+  'password-reset': { channels: ['email'], required: true, sensitive: true },
+  // Invitees may not have an account
+  'participant-invitation': { channels: ['email'], sensitive: true },
+  'staff-invitation': { channels: ['email'], sensitive: true },
+  'waitlist-offer': { channels: NOTIFICATION_CHANNELS },
+  'booking-created': { channels: NOTIFICATION_CHANNELS },
+  'booking-approved': { channels: NOTIFICATION_CHANNELS },
+  'booking-rejected': { channels: NOTIFICATION_CHANNELS },
+  'booking-rescheduled': { channels: NOTIFICATION_CHANNELS },
+  'booking-cancelled': { channels: NOTIFICATION_CHANNELS },
+  'check-in-receipt': { channels: ['email', 'in-app'] },
+  'booking-reminder': { channels: ['email', 'sms', 'push'] },
+  // Venue staff
+  'venue-booking-created': { channels: ['push', 'in-app'] },
+  'venue-booking-cancelled': { channels: ['push', 'in-app'] },
+  'venue-verified': { channels: ['push', 'in-app'] },
+  'venue-status-changed': { channels: ['push', 'in-app'] },
+  'court-status-changed': { channels: ['push', 'in-app'] },
+  // Players with upcoming bookings at a court that closed
+  'court-unavailable': { channels: ['push', 'in-app'] },
+};
+
+// Bookings whose players are told when their court closes
+const UPCOMING_BOOKING_STATUSES = ['confirmed', 'pending-confirmation'];
+
+// Failed deliveries are tried again after these delays in minutes, then given up
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// Most retries made in one run, the next run picks up the rest
+const RETRY_BATCH_SIZE = 200;
+
+const DEFAULT_TIMEZONE = 'Asia/Karachi';
+
+// Document a booking refers to, populated or loaded
+const loadRelated = async (booking, field, modelName) => {
+  const value = booking[field];
+  if (!value || !(value instanceof mongoose.Types.ObjectId)) {
+    return value || null;
+  }
+  return mongoose.model(modelName).findById(value);
+};
+
+// Formatting of dates and amounts in the notification's language and the booking's timezone
+const getFormatter = (locale, timeZone, currency) => ({
+  locale,
+  amount: (amount) => `${currency} ${Number(amount || 0).toFixed(2)}`,
+  date: (date) => new Date(date).toLocaleDateString(locale, { timeZone, dateStyle: 'full' }),
+  time: (date) => new Date(date).toLocaleTimeString(locale, { timeZone, timeStyle: 'short' }),
+  dateTime: (date) => new Date(date).toLocaleString(locale, { timeZone, dateStyle: 'medium', timeStyle: 'short' }),
+  // A time from now, e.g. "in 2 days", "in 24 hours" or "in 30 minutes"
+  startsIn: (minutes) => {
+    const relative = new Intl.RelativeTimeFormat(locale, { numeric: 'always' });
+    if (minutes >= 2 * 24 * 60 && minutes % (24 * 60) === 0) {
+      return relative.format(minutes / (24 * 60), 'day');
+    }
+    return minutes % 60 === 0 ? relative.format(minutes / 60, 'hour') : relative.format(minutes, 'minute');
+  }
+});
+
+// Receipt lines of a booking's taxes; bookings priced before itemized taxes have a single total.
+// Taxes already in the price are marked as included.
+const getTaxLines = (pricing) => {
+  const taxes = pricing.taxes && pricing.taxes.length > 0
+    ? pricing.taxes.map(t => ({ name: `${t.name} ${t.rate}%`, amount: t.amount }))
+    : (pricing.tax > 0 ? [{ name: 'Tax', amount: pricing.tax }] : []);
+  return pricing.taxInclusive ? taxes.map(t => ({ ...t, name: `${t.name} (included)` })) : taxes;
+};
+
+const getFeeLines = (pricing) => {
+  if (pricing.fees && pricing.fees.length > 0) {
+    return pricing.fees;
+  }
+  return pricing.serviceFee > 0 ? [{ name: 'Service fee', amount: pricing.serviceFee }] : [];
+};
+
+// Sends notifications on every channel the recipient can and wants to receive them on,
+// through the provider configured for each channel, and retries failed deliveries.
+// Only required notifications throw when they could not be delivered; failures of the
+// others are tracked on their NotificationDelivery and never fail the caller.
+class NotificationService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  // Make a provider available for its channel by its name
+  register(provider) {
+    if (!(provider instanceof NotificationProvider)) {
+      throw new Error('Notification providers must extend NotificationProvider');
+    }
+    this.providers.set(`${provider.channel}:${provider.name}`, provider);
+  }
+
+  // Get a channel's provider by name, defaulting to NOTIFICATION_<CHANNEL>_PROVIDER
+  getProvider(channel, name) {
+    const variable = `NOTIFICATION_${channel.replace('-', '_').toUpperCase()}_PROVIDER`;
+    const providerName = name || process.env[variable] || DEFAULT_PROVIDERS[channel];
+    const provider = this.providers.get(`${channel}:${providerName}`);
+
+    if (!provider) {
+      throw new NotificationError(`Unknown ${channel} provider: ${providerName}`, 'unknown_provider');
+    }
+
+    return provider;
+  }
+
+  // Send a notification. recipient is the user, or { email, firstName, language } for
+  // people without an account; venue brands the message. Returns the deliveries.
+  async notify(type, { recipient, locale, venue = null, data = {} }) {
+    const definition = NOTIFICATION_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const brand = EmailTemplates.getBrand(venue);
+    const options = { locale: locale || recipient.language, brand, data };
+    const message = definition.channels.includes('email')
+      ? EmailTemplates.render(type, options)
+      : EmailTemplates.localize(type, options);
+    const url = data.action && data.action.url;
+    const user = recipient instanceof User ? recipient : null;
+
+    const deliveries = [];
+    for (const { channel, to } of this.getAddresses(definition, recipient, user)) {
+      const content = this.getContent(channel, message, { brand, url });
+      if (!content) continue;
+
+      const delivery = new NotificationDelivery({
+        user: user ? user._id : undefined,
+        type,
+        channel,
+        to,
+        locale: message.locale,
+        content: definition.sensitive ? undefined : content
+      });
+
+      await this.deliver(delivery, content);
+      deliveries.push(delivery);
+    }
+
+    if (definition.required && !deliveries.some(delivery => delivery.status === 'sent')) {
+      throw new NotificationError(`The ${type} notification could not be sent`, 'not_delivered');
+    }
+
+    return deliveries;
+  }
+
+  // Addresses of the channels a notification goes out on: the type's channels the user has
+  // not turned off, for which the recipient has an address
+  getAddresses(definition, recipient, user) {
+    const preferences = (user && user.notificationPreferences) || {};
+    const channels = definition.channels.filter(channel => {
+      const { key, default: enabled } = CHANNEL_PREFERENCES[channel];
+      return definition.required || (typeof preferences[key] === 'boolean' ? preferences[key] : enabled);
+    });
+
+    return channels.flatMap(channel => {
+      switch (channel) {
+        case 'email':
+          return recipient.email ? [{ channel, to: recipient.email }] : [];
+        case 'sms':
+          return recipient.phone ? [{ channel, to: recipient.phone }] : [];
+        case 'push':
+          return user ? (user.pushSubscriptions || []).map(subscription => ({ channel, to: subscription.endpoint })) : [];
+        case 'in-app':
+          return user ? [{ channel, to: user._id.toString() }] : [];
+        default:
+          return [];
+      }
+    });
+  }
+
+  // What a channel shows of a rendered message. Short channels need the message's summary
+  // and are skipped for messages without one.
+  getContent(channel, message, { brand, url }) {
+    if (channel === 'email') {
+      return { subject: message.subject, html: message.html, text: message.text, replyTo: brand.replyTo };
+    }
+    if (!message.summary) {
+      return null;
+    }
+    if (channel === 'sms') {
+      return { text: [`${brand.name}: ${message.summary}`, url].filter(Boolean).join(' ') };
+    }
+    return { title: message.subject, text: message.summary, url };
+  }
+
+  // Make one attempt at a delivery and save its outcome. Retryable failures are scheduled
+  // for another attempt while the delivery has content to retry with and attempts left.
+  async deliver(delivery, content = delivery.content) {
+    const now = new Date();
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+
+    try {
+      const provider = this.getProvider(delivery.channel);
+      delivery.provider = provider.name;
+
+      const to = delivery.channel === 'push' ? await this.getPushSubscription(delivery) : delivery.to;
+      const result = await provider.send({ to, content, type: delivery.type, locale: delivery.locale });
+
+      delivery.status = 'sent';
+      delivery.sentAt = now;
+      delivery.providerMessageId = result && result.messageId;
+      delivery.nextAttemptAt = undefined;
+      delivery.error = undefined;
+      delivery.errorCode = undefined;
+    } catch (error) {
+      console.error(`Failed to send ${delivery.type} ${delivery.channel} notification:`, error.message);
+
+      const retryable = error instanceof NotificationError && error.retryable &&
+        Boolean(delivery.content && delivery.content.text) && delivery.attempts < MAX_ATTEMPTS;
+
+      delivery.status = retryable ? 'pending' : 'failed';
+      delivery.nextAttemptAt = retryable
+        ? new Date(now.getTime() + RETRY_DELAYS_MINUTES[delivery.attempts - 1] * 60000)
+        : undefined;
+      delivery.error = error.message;
+      delivery.errorCode = error.code;
+
+      // Stop pushing to browsers that unsubscribed
+      if (error.code === 'subscription_expired' && delivery.user) {
+        await User.updateOne({ _id: delivery.user }, { $pull: { pushSubscriptions: { endpoint: delivery.to } } });
+      }
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  // The user's push subscription a delivery goes to
+  async getPushSubscription(delivery) {
+    const user = await User.findById(delivery.user).select('pushSubscriptions');
+    const subscription = user && user.pushSubscriptions.find(s => s.endpoint === delivery.to);
+
+    if (!subscription) {
+      throw new NotificationError('Push subscription has been removed', 'subscription_removed');
+    }
+
+    return { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } };
+  }
+
+  // Retry failed deliveries that are due again
+  async processRetries() {
+    const results = { sent: 0, pending: 0, failed: 0 };
+
+    const due = await NotificationDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort('nextAttemptAt')
+      .limit(RETRY_BATCH_SIZE);
+
+    for (const delivery of due) {
+      await this.deliver(delivery);
+      results[delivery.status]++;
+    }
+
+    return results;
+  }
+
+  // Recipient, venue, formatting and template data shared by booking notifications. The
+  // booking's user is the recipient unless another one is given; it is loaded even when
+  // populated, as bookings are populated without the preferences and push subscriptions.
+  async getBookingContext(booking, recipient = null) {
+    const [user, court, venue] = await Promise.all([
+      recipient || User.findById(booking.user._id || booking.user),
+      loadRelated(booking, 'court', 'Court'),
+      loadRelated(booking, 'venue', 'Venue')
+    ]);
+
+    const locale = EmailTemplates.resolveLocale(user.language);
+    const timezone = booking.timezone || (court && court.timezone) || DEFAULT_TIMEZONE;
+    const currency = (booking.pricing && booking.pricing.currency) || (booking.payment && booking.payment.currency) || 'PKR';
+    const format = getFormatter(locale, timezone, currency);
+    const address = venue && venue.address
+      ? [venue.address.street, venue.address.city].filter(Boolean).join(', ')
+      : undefined;
+
+    return {
+      user,
+      venue,
+      format,
+      data: {
+        recipient: { name: user.firstName },
+        booking: {
+          number: booking.bookingNumber,
+          court: court ? court.name : undefined,
+          venue: venue ? venue.name : undefined,
+          address,
+          date: format.date(booking.startTime),
+          time: `${format.time(booking.startTime)} - ${format.time(booking.endTime)}`,
+          total: booking.pricing ? format.amount(booking.pricing.totalAmount) : undefined
+        },
+        action: { url: `${process.env.FRONTEND_URL}/bookings/${booking._id}` }
+      }
+    };
+  }
+
+  // Active owners, managers and other staff of a venue, and owners and managers of a court when
+  // given, except the user who acted
+  async getVenueStaff(venue, { court = null, exclude = null } = {}) {
+    const members = await VenueMembership.find({ venue: venue._id, status: 'active' }).select('user');
+    const ids = [venue.owner, ...(venue.managers || []), ...members.map(member => member.user)];
+    if (court) {
+      ids.push(court.owner, ...(court.managers || []));
+    }
+
+    const staff = new Set(ids.filter(Boolean).map(id => (id._id || id).toString()));
+    if (exclude) {
+      staff.delete(exclude.toString());
+    }
+
+    return User.find({ _id: { $in: [...staff] }, isActive: true });
+  }
+
+  // Send a booking notification to the booking's user. getData adds message-specific data, given the formatter.
+  async notifyBooking(type, booking, getData = () => ({}), recipient = null) {
+    const { user, venue, format, data } = await this.getBookingContext(booking, recipient);
+
+    return this.notify(type, {
+      recipient: user,
+      locale: format.locale,
+      venue,
+      data: { ...data, ...getData(format) }
+    });
+  }
+
+  async notifyWelcome(user, verificationToken) {
+    return this.notify('welcome', {
+      recipient: user,
+      data: {
+        recipient: { name: user.firstName },
+        action: { url: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}` }
+      }
+    });
+  }
+
+  async notifyPasswordReset(user, resetToken) {
+    return this.notify('password-reset', {
+      recipient: user,
+      data: {
+        recipient: { name: user.firstName },
+        action: { url: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}` }
+      }
+    });
+  }
+
+  async notifyWaitlistOffer(user, booking) {
+    return this.notifyBooking('waitlist-offer', booking, (format) => ({
+      expiresAt: format.dateTime(booking.tentativeExpiryTime)
+    }), user);
+  }
+
+  // Invitees may not have an account, so the invitation is in the inviter's language
+  async notifyParticipantInvitation(participant, booking, inviter, token) {
+    const recipient = { email: participant.email, firstName: participant.name, language: inviter.language };
+
+    return this.notifyBooking('participant-invitation', booking, (format) => ({
+      inviter: inviter.firstName,
+      share: participant.paymentShare ? format.amount(participant.paymentShare) : undefined,
+      expiresAt: format.dateTime(participant.invitationExpires),
+      action: { url: `${process.env.FRONTEND_URL}/invitations/${token}` }
+    }), recipient);
+  }
+
+  // Invitation to join a venue's staff. Invitees may not have an account yet; the invitation is
+  // emailed whatever their preferences, in their language or else the inviter's.
+  async notifyStaffInvitation(membership, venue, inviter, token) {
+    const user = await User.findOne({ email: membership.email }).select('firstName language');
+    const recipient = {
+      email: membership.email,
+      firstName: user ? user.firstName : undefined,
+      language: user ? user.language : inviter.language
+    };
+    const locale = EmailTemplates.resolveLocale(recipient.language);
+    const format = getFormatter(locale, venue.timezone || DEFAULT_TIMEZONE, 'PKR');
+
+    return this.notify('staff-invitation', {
+      recipient,
+      locale,
+      venue,
+      data: {
+        recipient: { name: recipient.firstName },
+        inviter: inviter.firstName,
+        venue: venue.name,
+        role: { [membership.role]: true },
+        expiresAt: format.dateTime(membership.invitationExpires),
+        action: { url: `${process.env.FRONTEND_URL}/staff-invitations/${token}` }
+      }
+    });
+  }
+
+  // Confirmation of a new booking, or of the request when the venue has to approve it. For a
+  // recurring series this is sent for its first booking with the number of occurrences.
+  async notifyBookingCreated(booking, { occurrences } = {}) {
+    return this.notifyBooking('booking-created', booking, () => ({
+      pending: booking.status === 'pending-confirmation',
+      occurrences: occurrences > 1 ? occurrences : undefined
+    }));
+  }
+
+  async notifyBookingApproved(booking) {
+    return this.notifyBooking('booking-approved', booking);
+  }
+
+  async notifyBookingRejected(booking) {
+    const refunded = booking.payment ? booking.payment.refundAmount : 0;
+
+    return this.notifyBooking('booking-rejected', booking, (format) => ({
+      reason: booking.rejectionReason,
+      refund: refunded > 0 ? { amount: format.amount(refunded) } : undefined
+    }));
+  }
+
+  async notifyBookingRescheduled(booking, { previousStartTime, previousEndTime, occurrences } = {}) {
+    return this.notifyBooking('booking-rescheduled', booking, (format) => ({
+      previous: {
+        date: format.date(previousStartTime),
+        time: `${format.time(previousStartTime)} - ${format.time(previousEndTime)}`
+      },
+      occurrences: occurrences > 1 ? occurrences : undefined
+    }));
+  }
+
+  // refund is what was paid back: { amount, fee, toWallet }. Cancellations by the venue say so.
+  async notifyBookingCancelled(booking, refund = {}, { byVenue = false, occurrences } = {}) {
+    return this.notifyBooking('booking-cancelled', booking, (format) => ({
+      reason: booking.cancellation ? booking.cancellation.reason : undefined,
+      byVenue,
+      occurrences: occurrences > 1 ? occurrences : undefined,
+      refund: refund.amount > 0
+        ? {
+          amount: format.amount(refund.amount),
+          fee: refund.fee > 0 ? format.amount(refund.fee) : undefined,
+          toWallet: refund.toWallet === true
+        }
+        : undefined
+    }));
+  }
+
+  // Receipt sent on check-in, with what was charged, paid and is still due at the desk
+  async notifyCheckInReceipt(booking) {
+    const { pricing } = booking;
+    const outstanding = booking.getOutstandingAmount();
+
+    return this.notifyBooking('check-in-receipt', booking, (format) => ({
+      receipt: {
+        checkedInAt: format.dateTime(booking.checkIn.time),
+        basePrice: format.amount(pricing.basePrice),
+        discounts: (pricing.discounts || []).map(d => ({ name: d.name || d.type, amount: format.amount(d.amount) })),
+        equipment: pricing.equipmentCost > 0 ? format.amount(pricing.equipmentCost) : undefined,
+        services: pricing.servicesCost > 0 ? format.amount(pricing.servicesCost) : undefined,
+        taxes: getTaxLines(pricing).map(t => ({ name: t.name, amount: format.amount(t.amount) })),
+        fees: getFeeLines(pricing).map(f => ({ name: f.name, amount: format.amount(f.amount) })),
+        total: format.amount(pricing.totalAmount),
+        paid: format.amount(booking.getPaidAmount()),
+        outstanding: outstanding > 0 ? format.amount(outstanding) : undefined
+      }
+    }));
+  }
+
+  // Reminder of an upcoming booking, saying how long before the start it was meant to go out
+  async notifyBookingReminder(booking, reminder) {
+    return this.notifyBooking('booking-reminder', booking, (format) => ({
+      startsIn: format.startsIn(reminder.offsetMinutes)
+    }));
+  }
+
+  // Send a booking notification to the staff of the booking's venue and court, e.g. of a new
+  // booking or one the player cancelled. Bookings staff make for themselves are not notified.
+  async notifyVenueStaffOfBooking(type, booking, getData = () => ({})) {
+    const userId = booking.user._id || booking.user;
+    const [player, court, venue] = await Promise.all([
+      User.findById(userId).select('firstName lastName'),
+      loadRelated(booking, 'court', 'Court'),
+      loadRelated(booking, 'venue', 'Venue')
+    ]);
+    if (!venue) {
+      return [];
+    }
+
+    const staff = await this.getVenueStaff(venue, { court, exclude: userId });
+    const name = player ? `${player.firstName} ${player.lastName}` : undefined;
+
+    const deliveries = [];
+    for (const member of staff) {
+      deliveries.push(...await this.notifyBooking(type, booking, (format) => ({ player: name, ...getData(format) }), member));
+    }
+    return deliveries;
+  }
+
+  async notifyVenueBookingCreated(booking, { occurrences } = {}) {
+    return this.notifyVenueStaffOfBooking('venue-booking-created', booking, () => ({
+      pending: booking.status === 'pending-confirmation',
+      occurrences: occurrences > 1 ? occurrences : undefined
+    }));
+  }
+
+  async notifyVenueBookingCancelled(booking, { occurrences } = {}) {
+    return this.notifyVenueStaffOfBooking('venue-booking-cancelled', booking, () => ({
+      reason: booking.cancellation ? booking.cancellation.reason : undefined,
+      occurrences: occurrences > 1 ? occurrences : undefined
+    }));
+  }
+
+  // Send a venue notification to each of its staff
+  async notifyVenueStaff(type, venue, { court = null, actor = null, data = {} } = {}) {
+    const staff = await this.getVenueStaff(venue, { court, exclude: actor });
+
+    const deliveries = [];
+    for (const member of staff) {
+      deliveries.push(...await this.notify(type, {
+        recipient: member,
+        venue,
+        data: { recipient: { name: member.firstName }, venue: venue.name, ...data }
+      }));
+    }
+    return deliveries;
+  }
+
+  async notifyVenueVerified(venue, { actor = null } = {}) {
+    return this.notifyVenueStaff('venue-verified', venue, {
+      actor,
+      data: {
+        active: venue.status === 'active',
+        action: { url: `${process.env.FRONTEND_URL}/venues/${venue._id}` }
+      }
+    });
+  }
+
+  async notifyVenueStatusChanged(venue, { actor = null } = {}) {
+    return this.notifyVenueStaff('venue-status-changed', venue, {
+      actor,
+      data: {
+        status: { [venue.status]: true },
+        action: { url: `${process.env.FRONTEND_URL}/venues/${venue._id}` }
+      }
+    });
+  }
+
+  // Tell the court's staff that its status changed and, when it closed, the players with
+  // upcoming bookings at it, once each about their next booking
+  async notifyCourtStatusChanged(court, venue, { reason, actor = null } = {}) {
+    const status = { [court.status]: true };
+    const deliveries = await this.notifyVenueStaff('court-status-changed', venue, {
+      court,
+      actor,
+      data: {
+        court: court.name,
+        status,
+        reason,
+        action: { url: `${process.env.FRONTEND_URL}/courts/${court._id}` }
+      }
+    });
+
+    if (court.status === 'active') {
+      return deliveries;
+    }
+
+    const bookings = await Booking.find({
+      court: court._id,
+      status: { $in: UPCOMING_BOOKING_STATUSES },
+      startTime: { $gt: new Date() }
+    }).sort('startTime');
+
+    const notified = new Set();
+    for (const booking of bookings) {
+      if (notified.has(booking.user.toString())) continue;
+      notified.add(booking.user.toString());
+
+      deliveries.push(...await this.notifyBooking('court-unavailable', booking, () => ({ status, reason })));
+    }
+    return deliveries;
+  }
+}
+
+const notificationService = new NotificationService();
+notificationService.register(new EmailNotificationProvider());
+notificationService.register(new InboxNotificationProvider());
+notificationService.register(new TwilioSmsProvider());
+notificationService.register(new WebPushProvider());
+NOTIFICATION_CHANNELS.forEach(channel => notificationService.register(new FakeNotificationProvider(channel)));
+
+module.exports = notificationService;
+module.exports.NotificationService = NotificationService;
+module.exports.NotificationProvider = NotificationProvider;
+module.exports.NotificationError = NotificationError;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
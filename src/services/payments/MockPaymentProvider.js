@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { PaymentProvider, PaymentError } = require('./PaymentProvider');
+
+// Payment method tokens understood by the mock gateway
+const DECLINED_PAYMENT_METHOD = 'pm_card_declined';
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+// In-memory gateway for development and tests. Webhooks are signed with an
+// HMAC-SHA256 of the raw body in the "x-mock-signature" header, keyed with
+// MOCK_PAYMENT_WEBHOOK_SECRET; without a secret no webhook is accepted.
+class MockPaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('mock');
+    this.webhookSecret = options.webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    this.intents = new Map();
+    this.charges = new Map();
+  }
+
+  async createIntent({ amount, currency, metadata = {} }) {
+    if (!(amount > 0)) {
+      throw new PaymentError('Payment amount must be greater than zero', 'invalid_amount', 400);
+    }
+
+    const intentId = randomId('pi');
+    const intent = {
+      intentId,
+      clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment_method',
+      amount,
+      currency,
+      metadata,
+    };
+
+    this.intents.set(intentId, intent);
+    return { ...intent };
+  }
+
+  async capture(intentId, { paymentMethod = 'pm_card_visa' } = {}) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new PaymentError('Payment intent not found', 'intent_not_found', 404);
+    }
+
+    // Capturing twice returns the original charge
+    if (intent.status === 'succeeded') {
+      return { transactionId: intent.transactionId, status: 'succeeded', amount: intent.amount };
+    }
+
+    if (paymentMethod === DECLINED_PAYMENT_METHOD) {
+      intent.status = 'failed';
+      throw new PaymentError('Card was declined', 'card_declined');
+    }
+
+    const transactionId = randomId('ch');
+    intent.status = 'succeeded';
+    intent.transactionId = transactionId;
+    this.charges.set(transactionId, { amount: intent.amount, refunded: 0 });
+
+    return { transactionId, status: 'succeeded', amount: intent.amount };
+  }
+
+  async refund(transactionId, { amount }) {
+    const charge = this.charges.get(transactionId);
+    if (!charge) {
+      throw new PaymentError('Transaction not found', 'transaction_not_found', 404);
+    }
+
+    if (amount > charge.amount - charge.refunded) {
+      throw new PaymentError('Refund exceeds captured amount', 'refund_exceeds_charge', 400);
+    }
+
+    charge.refunded += amount;
+
+    return { refundId: randomId('re'), status: 'succeeded', amount };
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhook(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw new PaymentError('Webhook secret is not configured', 'webhook_not_configured', 500);
+    }
+
+    if (!rawBody) {
+      throw new PaymentError('Missing webhook payload', 'invalid_payload', 400);
+    }
+
+    const signature = headers['x-mock-signature'] || '';
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new PaymentError('Invalid webhook signature', 'invalid_signature', 400);
+    }
+
+    return JSON.parse(rawBody);
+  }
+}
+
+MockPaymentProvider.DECLINED_PAYMENT_METHOD = DECLINED_PAYMENT_METHOD;
+
+module.exports = MockPaymentProvider;
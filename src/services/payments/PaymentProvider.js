@@ -0,0 +1,39 @@
+// Error raised by payment providers, surfaced through the global error handler
+class PaymentError extends Error {
+  constructor(message, code = 'payment_failed', statusCode = 402) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Interface every payment gateway adapter implements. Amounts are in major
+// currency units (e.g. 1500 PKR), matching Booking.pricing.
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Start a payment: returns { intentId, clientSecret, status, amount, currency }
+  async createIntent({ amount, currency, metadata }) {
+    throw new Error(`${this.name} provider does not implement createIntent`);
+  }
+
+  // Collect funds for an intent: returns { transactionId, status, amount }
+  async capture(intentId, options) {
+    throw new Error(`${this.name} provider does not implement capture`);
+  }
+
+  // Return funds for a captured transaction: returns { refundId, status, amount }
+  async refund(transactionId, { amount, reason }) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  // Authenticate a webhook call and return the parsed event { id, type, data }
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`${this.name} provider does not implement verifyWebhook`);
+  }
+}
+
+module.exports = { PaymentProvider, PaymentError };
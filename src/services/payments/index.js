@@ -0,0 +1,310 @@
+const Booking = require('../../models/Booking');
+const WalletTransaction = require('../../models/WalletTransaction');
+const { PaymentProvider, PaymentError } = require('./PaymentProvider');
+const MockPaymentProvider = require('./MockPaymentProvider');
+
+// Provider name recorded on booking transactions paid from the user's wallet
+const WALLET_PROVIDER = 'wallet';
+
+// Coordinates payment providers and keeps Booking.payment in step with them.
+// Methods that take a booking mutate it in memory; the caller saves it. The one exception
+// is a refund that fails part way, which saves the refunds already paid out.
+class PaymentService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  // Make a provider available by its name
+  register(provider) {
+    if (!(provider instanceof PaymentProvider)) {
+      throw new Error('Payment providers must extend PaymentProvider');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  // Get a provider by name, defaulting to PAYMENT_PROVIDER
+  getProvider(name) {
+    const providerName = name || process.env.PAYMENT_PROVIDER;
+    if (!providerName) {
+      throw new PaymentError('No payment provider is configured', 'provider_not_configured', 500);
+    }
+
+    const provider = this.providers.get(providerName);
+
+    if (!provider) {
+      throw new PaymentError(`Unknown payment provider: ${providerName}`, 'unknown_provider', 400);
+    }
+
+    return provider;
+  }
+
+  // Open a payment intent for the booking's outstanding amount, or part of it such as the deposit
+  async createIntent(booking, { provider: providerName, amount } = {}) {
+    const outstanding = booking.getOutstandingAmount();
+    if (amount !== undefined && (!(amount > 0) || amount > outstanding)) {
+      throw new PaymentError(`Payment amount must be between 0 and ${outstanding}`, 'invalid_amount', 400);
+    }
+
+    const provider = this.getProvider(providerName);
+
+    const intent = await provider.createIntent({
+      amount: amount !== undefined ? amount : outstanding,
+      currency: booking.payment.currency,
+      metadata: {
+        bookingId: booking._id.toString(),
+        bookingNumber: booking.bookingNumber
+      }
+    });
+
+    booking.payment.provider = provider.name;
+    booking.payment.intentId = intent.intentId;
+
+    // A new attempt after a decline starts from pending again
+    if (booking.payment.status === 'failed') {
+      booking.payment.status = 'pending';
+      booking.payment.failureReason = undefined;
+    }
+
+    return intent;
+  }
+
+  // Capture the booking's open intent. A declined payment is recorded on the booking before rethrowing.
+  async capture(booking, { paymentMethod, method = 'card' } = {}) {
+    if (!booking.payment.intentId) {
+      throw new PaymentError('No payment intent has been created for this booking', 'intent_missing', 400);
+    }
+
+    const provider = this.getProvider(booking.payment.provider);
+
+    let result;
+    try {
+      result = await provider.capture(booking.payment.intentId, { paymentMethod });
+    } catch (error) {
+      if (error instanceof PaymentError && error.statusCode === 402) {
+        booking.recordPaymentFailure(error.message);
+      }
+      throw error;
+    }
+
+    booking.recordPayment({
+      provider: provider.name,
+      transactionId: result.transactionId,
+      amount: result.amount,
+      method
+    });
+
+    return result;
+  }
+
+  // Charge a group participant for their share in one step. A declined card leaves the
+  // booking's own payment state untouched.
+  async payShare(booking, participant, { provider: providerName, paymentMethod, method = 'card' } = {}) {
+    const provider = this.getProvider(providerName);
+
+    const intent = await provider.createIntent({
+      amount: participant.paymentShare,
+      currency: booking.payment.currency,
+      metadata: {
+        bookingId: booking._id.toString(),
+        participantId: participant._id.toString()
+      }
+    });
+
+    const result = await provider.capture(intent.intentId, { paymentMethod });
+
+    participant.paymentStatus = 'paid';
+    participant.paidAt = new Date();
+    booking.recordPayment({
+      provider: provider.name,
+      transactionId: result.transactionId,
+      amount: result.amount,
+      participant: participant._id,
+      method
+    });
+
+    return result;
+  }
+
+  // Pay part or all of the booking's outstanding amount from the booking user's wallet.
+  // Any open intent is dropped so the rest is paid through a new intent for the reduced amount.
+  async payFromWallet(booking, amount = booking.getOutstandingAmount()) {
+    const outstanding = booking.getOutstandingAmount();
+    if (!(amount > 0) || amount > outstanding) {
+      throw new PaymentError(`Wallet payment must be between 0 and ${outstanding}`, 'invalid_amount', 400);
+    }
+
+    if (booking.payment.currency !== WalletTransaction.CURRENCY) {
+      throw new PaymentError(`Wallet balances are kept in ${WalletTransaction.CURRENCY}`, 'currency_mismatch', 400);
+    }
+
+    const entry = await WalletTransaction.append(booking.user._id || booking.user, {
+      type: 'booking-payment',
+      amount: -amount,
+      booking: booking._id,
+      description: `Payment for booking ${booking.bookingNumber}`
+    });
+
+    if (!entry) {
+      throw new PaymentError('Insufficient wallet balance', 'insufficient_funds');
+    }
+
+    booking.recordPayment({
+      provider: WALLET_PROVIDER,
+      transactionId: entry._id.toString(),
+      amount,
+      method: 'wallet'
+    });
+    booking.payment.intentId = undefined;
+
+    return entry;
+  }
+
+  // Charge an amount in one step for a purchase outside a booking, such as a membership.
+  // Returns the captured transaction with the provider that took it.
+  async charge({ amount, currency, metadata, provider: providerName, paymentMethod }) {
+    const provider = this.getProvider(providerName);
+
+    const intent = await provider.createIntent({ amount, currency, metadata });
+    const result = await provider.capture(intent.intentId, { paymentMethod });
+
+    return { ...result, provider: provider.name };
+  }
+
+  // Refund part or all of a payment. Wallet payments go back to the wallet. Whatever was taken
+  // outside a gateway (e.g. cash at the desk) is only recorded, the venue settles it directly.
+  // With toWallet the captured transactions are credited to the user's wallet instead of paid
+  // back through their gateway, unless the booking isn't in the wallet's currency. When a gateway
+  // fails part way the refunds paid out so far are saved, so a retry doesn't pay them again.
+  async refund(booking, amount, reason, { toWallet = false } = {}) {
+    const refundable = booking.getRefundableAmount();
+    if (amount <= 0 || amount > refundable) {
+      throw new PaymentError(`Refund amount must be between 0 and ${refundable}`, 'invalid_refund_amount', 400);
+    }
+
+    const creditsWallet = toWallet && booking.payment.currency === WalletTransaction.CURRENCY;
+
+    // Pay back captured transactions, most recent first, until the amount is covered
+    const refunds = [];
+    let remaining = amount;
+
+    const charges = booking.payment.transactions
+      .filter(t => t.provider && t.transactionId && t.amount > t.refundedAmount)
+      .reverse();
+
+    for (const charge of charges) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const part = Math.min(remaining, Math.round((charge.amount - charge.refundedAmount) * 100) / 100);
+
+      let result;
+      try {
+        result = creditsWallet || charge.provider === WALLET_PROVIDER
+          ? await this.creditWallet(booking, part)
+          : await this.getProvider(charge.provider).refund(charge.transactionId, { amount: part, reason });
+      } catch (error) {
+        if (refunds.length > 0) {
+          await booking.save();
+        }
+        throw error;
+      }
+
+      booking.recordRefund({ refundId: result.refundId, transactionId: charge.transactionId, amount: part, reason });
+      refunds.push({ refundId: result.refundId, transactionId: charge.transactionId, amount: part });
+      remaining = Math.round((remaining - part) * 100) / 100;
+    }
+
+    if (remaining > 0) {
+      booking.recordRefund({ amount: remaining, reason });
+      refunds.push({ amount: remaining });
+    }
+
+    return { amount, refunds, toWallet: creditsWallet };
+  }
+
+  // Credit a refund to the booking user's wallet. The reason stays with the booking's refund record.
+  async creditWallet(booking, amount) {
+    if (booking.payment.currency !== WalletTransaction.CURRENCY) {
+      throw new PaymentError(`Wallet balances are kept in ${WalletTransaction.CURRENCY}`, 'currency_mismatch', 400);
+    }
+
+    const entry = await WalletTransaction.append(booking.user._id || booking.user, {
+      type: 'refund',
+      amount,
+      booking: booking._id,
+      description: `Refund for booking ${booking.bookingNumber}`
+    });
+
+    return { refundId: entry._id.toString(), status: 'succeeded', amount };
+  }
+
+  // Verify and apply a provider webhook. Events are idempotent so redeliveries are harmless.
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+    const event = provider.verifyWebhook(rawBody, headers);
+    const data = event.data || {};
+
+    if (!data.intentId) {
+      return { event, booking: null };
+    }
+
+    const booking = await Booking.findOne({
+      'payment.provider': provider.name,
+      'payment.intentId': data.intentId
+    });
+
+    if (!booking) {
+      return { event, booking: null };
+    }
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        if (booking.getOutstandingAmount() > 0 &&
+          !booking.payment.transactions.some(t => t.transactionId === data.transactionId)) {
+          booking.recordPayment({
+            provider: provider.name,
+            transactionId: data.transactionId,
+            amount: data.amount ? Math.min(data.amount, booking.getOutstandingAmount()) : undefined,
+            method: data.method
+          });
+        }
+        break;
+      case 'payment.failed':
+        if (booking.payment.status === 'pending') {
+          booking.recordPaymentFailure(data.reason || 'Payment failed');
+        }
+        break;
+      case 'refund.succeeded':
+        if (booking.getRefundableAmount() > 0 &&
+          !booking.payment.refunds.some(refund => refund.refundId === data.refundId)) {
+          booking.recordRefund({
+            refundId: data.refundId,
+            amount: Math.min(data.amount, booking.getRefundableAmount()),
+            reason: data.reason
+          });
+        }
+        break;
+      default:
+        return { event, booking };
+    }
+
+    await booking.save();
+
+    return { event, booking };
+  }
+}
+
+const paymentService = new PaymentService();
+
+// The mock gateway takes no money, so it is only offered in development and tests
+// unless ENABLE_MOCK_PAYMENTS is set
+if (['development', 'test'].includes(process.env.NODE_ENV) || process.env.ENABLE_MOCK_PAYMENTS === 'true') {
+  paymentService.register(new MockPaymentProvider());
+}
+
+module.exports = paymentService;
+module.exports.PaymentService = PaymentService;
+module.exports.PaymentProvider = PaymentProvider;
+module.exports.PaymentError = PaymentError;
+module.exports.WALLET_PROVIDER = WALLET_PROVIDER;
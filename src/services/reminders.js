@@ -0,0 +1,75 @@
+const Booking = require('../models/Booking');
+const Reminder = require('../models/Reminder');
+const notifications = require('./notifications');
+
+// Most reminders sent in one run, the next run picks up the rest
+const BATCH_SIZE = 200;
+
+// Sends the reminders of upcoming bookings when they fall due
+class ReminderService {
+  // Send the reminders that are due, oldest first. A reminder whose booking is no longer
+  // confirmed, was moved or has started is cancelled instead. When several reminders of a
+  // booking are due at once, e.g. after downtime, only the latest one is sent.
+  // Reminders are marked sent before the notification goes out so that a retried or overlapping
+  // run never sends one twice. Deliveries that fail are retried by the notification service; a
+  // reminder only fails when its notification could not be sent at all.
+  async processDueReminders() {
+    const now = new Date();
+    const results = { sent: 0, cancelled: 0, failed: 0 };
+
+    const due = await Reminder.find({ status: 'scheduled', sendAt: { $lte: now } })
+      .sort('sendAt')
+      .limit(BATCH_SIZE);
+
+    // Latest due reminder per booking
+    const latest = new Map();
+    due.forEach(reminder => latest.set(reminder.booking.toString(), reminder));
+
+    for (const reminder of due) {
+      const booking = await Booking.findById(reminder.booking);
+      const reason = this.getCancelReason(reminder, booking, latest.get(reminder.booking.toString()), now);
+
+      if (reason) {
+        await reminder.cancel(reason);
+        results.cancelled++;
+        continue;
+      }
+
+      const claimed = await Reminder.findOneAndUpdate(
+        { _id: reminder._id, status: 'scheduled' },
+        { status: 'sent', sentAt: now },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        await notifications.notifyBookingReminder(booking, claimed);
+        results.sent++;
+      } catch (error) {
+        console.error('Failed to send booking reminder:', error);
+        claimed.status = 'failed';
+        claimed.error = error.message;
+        await claimed.save();
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  // Why a due reminder should not be sent, or null when it should
+  getCancelReason(reminder, booking, latest, now) {
+    if (!booking || !Reminder.REMINDED_BOOKING_STATUSES.includes(booking.status) || booking.startTime <= now) {
+      return 'booking-inactive';
+    }
+    if (booking.startTime.getTime() !== reminder.startTime.getTime()) {
+      return 'rescheduled';
+    }
+    if (latest !== reminder) {
+      return 'superseded';
+    }
+    return null;
+  }
+}
+
+module.exports = new ReminderService();
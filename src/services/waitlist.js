@@ -0,0 +1,61 @@
+const Booking = require('../models/Booking');
+const notifications = require('./notifications');
+
+// Promotes waitlisted entries when court time frees up and tells the users about it
+class WaitlistService {
+  // Offer a booking's freed time to the waitlist, after it was cancelled, rejected or expired.
+  // Failures are only logged: the caller's change has already been saved and the
+  // periodic sweep picks the slot up again.
+  async offerFreedSlot(booking) {
+    try {
+      const offers = await Booking.offerWaitlistedSlots(booking.court._id || booking.court, booking.startTime, booking.endTime);
+      await this.notifyOffers(offers);
+      return offers;
+    } catch (error) {
+      console.error('Failed to offer freed slot to the waitlist:', error);
+      return [];
+    }
+  }
+
+  // Sweep every court with a waitlist: drop entries whose slot has started and offer
+  // any time that has freed up without a direct trigger (expired holds, lapsed offers)
+  async processWaitlists() {
+    const now = new Date();
+
+    const stale = await Booking.updateMany(
+      { status: 'waitlisted', startTime: { $lte: now } },
+      { status: 'expired' }
+    );
+
+    const courtIds = await Booking.distinct('court', {
+      status: 'waitlisted',
+      startTime: { $gt: now }
+    });
+
+    let offered = 0;
+    for (const courtId of courtIds) {
+      const offers = await Booking.offerWaitlistedSlots(courtId);
+      await this.notifyOffers(offers);
+      offered += offers.length;
+    }
+
+    return { expired: stale.modifiedCount, offered };
+  }
+
+  // Notify each offered user; a failed notification never undoes the offer
+  async notifyOffers(offers) {
+    for (const offer of offers) {
+      try {
+        await offer.populate([
+          { path: 'user', select: 'firstName email phone language notificationPreferences pushSubscriptions' },
+          { path: 'court', select: 'name' }
+        ]);
+        await notifications.notifyWaitlistOffer(offer.user, offer);
+      } catch (error) {
+        console.error('Failed to send waitlist offer notification:', error);
+      }
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,129 @@
+const ICalendar = require('./icalendar');
+const TimezoneUtils = require('./timezone');
+
+// Event status of each booking status; bookings that will not take place are CANCELLED so
+// subscribed calendars remove them
+const EVENT_STATUSES = {
+  'pending-confirmation': 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  'in-progress': 'CONFIRMED',
+  completed: 'CONFIRMED',
+  'no-show': 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  expired: 'CANCELLED',
+};
+
+// Minutes between refreshes asked of calendar apps subscribed to a feed
+const FEED_REFRESH_MINUTES = 60;
+
+// Keeps event UIDs unique across calendars that also hold events from elsewhere
+const UID_DOMAIN = 'sportsnest';
+
+const formatAddress = (address) => (address
+  ? [address.street, address.city, address.state, address.country].filter(Boolean).join(', ')
+  : '');
+
+const getName = (doc) => (doc && doc.firstName ? `${doc.firstName} ${doc.lastName || ''}`.trim() : '');
+
+// Calendar events for bookings and court availability exceptions. Bookings are expected with
+// their court and venue populated, and with the booking user for court feeds.
+class BookingCalendar {
+  static getFilename(booking) {
+    return `${booking.bookingNumber || booking._id}.ics`;
+  }
+
+  static getEventStatus(booking) {
+    return EVENT_STATUSES[booking.status] || 'TENTATIVE';
+  }
+
+  // Event of a booking. Players see the court they booked; venue staff (forStaff) see who booked it.
+  static getBookingEvent(booking, { forStaff = false } = {}) {
+    const court = booking.court || {};
+    const venue = booking.venue || {};
+    const status = this.getEventStatus(booking);
+    const courtName = court.name || 'Court';
+
+    const summary = forStaff
+      ? `${courtName}: ${getName(booking.user) || (booking.contactInfo && booking.contactInfo.name) || 'Booking'}`
+      : `${court.sportType ? `${court.sportType.charAt(0).toUpperCase()}${court.sportType.slice(1)} - ` : ''}` +
+        `${courtName}${venue.name ? ` (${venue.name})` : ''}`;
+
+    const description = [`Booking ${booking.bookingNumber}`, `Status: ${booking.status}`];
+    if (booking.pricing && booking.pricing.totalAmount !== undefined) {
+      description.push(`Total: ${Number(booking.pricing.totalAmount).toFixed(2)} ${booking.pricing.currency || ''}`.trim());
+    }
+    if (booking.notes) {
+      description.push(`Notes: ${booking.notes}`);
+    }
+
+    return {
+      uid: `${booking._id}@${UID_DOMAIN}`,
+      start: booking.startTime,
+      end: booking.endTime,
+      summary: status === 'CANCELLED' ? `Cancelled: ${summary}` : summary,
+      description: description.join('\n'),
+      location: [venue.name, formatAddress(venue.address)].filter(Boolean).join(', '),
+      url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/bookings/${booking._id}` : undefined,
+      status,
+      // Every reschedule is recorded, and a cancellation is one more change on top of those
+      sequence: (booking.modificationHistory || []).length + (status === 'CANCELLED' ? 1 : 0),
+      updatedAt: booking.updatedAt,
+    };
+  }
+
+  // All-day event of a court availability exception: a closure, or the special hours of that day
+  static getExceptionEvent(court, exception) {
+    const date = new Date(exception.date).toISOString().split('T')[0];
+    const hours = exception.customHours && exception.customHours.openTime && exception.customHours.closeTime
+      ? `${exception.customHours.openTime}-${exception.customHours.closeTime}`
+      : null;
+
+    const summary = exception.isAvailable
+      ? `${court.name}: ${hours ? `special hours ${hours}` : exception.type}`
+      : `${court.name}: closed (${exception.type})`;
+
+    return {
+      uid: `${exception._id}@${UID_DOMAIN}`,
+      start: date,
+      end: TimezoneUtils.addDays(date, 1),
+      allDay: true,
+      summary,
+      description: exception.reason,
+      status: 'CONFIRMED',
+      updatedAt: exception.updatedAt,
+    };
+  }
+
+  // Calendar with a single booking, for download
+  static forBooking(booking) {
+    return new ICalendar({ name: `Booking ${booking.bookingNumber}` })
+      .addEvent(this.getBookingEvent(booking))
+      .toString();
+  }
+
+  // Subscription feed of a user's bookings
+  static forUser(user, bookings) {
+    const calendar = new ICalendar({
+      name: `${getName(user) || 'My'} bookings - Sports Nest`,
+      refreshMinutes: FEED_REFRESH_MINUTES,
+    });
+    bookings.forEach(booking => calendar.addEvent(this.getBookingEvent(booking)));
+    return calendar.toString();
+  }
+
+  // Subscription feed of a court's bookings and availability exceptions, for venue staff
+  static forCourt(court, bookings, exceptions = court.availabilityExceptions || []) {
+    const calendar = new ICalendar({
+      name: `${court.name} - Sports Nest`,
+      refreshMinutes: FEED_REFRESH_MINUTES,
+    });
+    bookings.forEach(booking => calendar.addEvent(this.getBookingEvent(booking, { forStaff: true })));
+    exceptions.forEach(exception => calendar.addEvent(this.getExceptionEvent(court, exception)));
+    return calendar.toString();
+  }
+}
+
+BookingCalendar.EVENT_STATUSES = EVENT_STATUSES;
+BookingCalendar.FEED_REFRESH_MINUTES = FEED_REFRESH_MINUTES;
+
+module.exports = BookingCalendar;
@@ -0,0 +1,92 @@
+// Refund schedule for venues that only set the legacy window and percentage
+const DEFAULT_REFUND_TIERS = [
+  { hoursBefore: 24, refundPercentage: 100 },
+  { hoursBefore: 12, refundPercentage: 75 },
+  { hoursBefore: 6, refundPercentage: 50 },
+  { hoursBefore: 2, refundPercentage: 25 }
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Plain tiers, earliest cancellation first
+const sortTiers = (tiers) => tiers
+  .map(({ hoursBefore, refundPercentage }) => ({ hoursBefore, refundPercentage }))
+  .sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+class CancellationPolicy {
+  // Policy in effect for a court. Court overrides win field by field over the venue's policy.
+  static resolve(venue, court) {
+    const venuePolicy = (venue && venue.settings && venue.settings.cancellationPolicy) || {};
+    const courtPolicy = (court && court.cancellationPolicy) || {};
+    const pick = (field, fallback) => courtPolicy[field] ?? venuePolicy[field] ?? fallback;
+
+    let tiers;
+    if (courtPolicy.tiers && courtPolicy.tiers.length) {
+      tiers = courtPolicy.tiers;
+    } else if (venuePolicy.tiers && venuePolicy.tiers.length) {
+      tiers = venuePolicy.tiers;
+    } else {
+      tiers = this.legacyTiers(venuePolicy);
+    }
+
+    return {
+      allowCancellation: pick('allowCancellation', true),
+      noCancelWindowHours: pick('noCancelWindowHours', 0),
+      fixedFee: pick('fixedFee', 0),
+      tiers: sortTiers(tiers)
+    };
+  }
+
+  // Tiers from the venue's cancellationWindowHours and refundPercentage: cancelling before the
+  // window refunds the percentage, later cancellations follow the default schedule capped by it
+  static legacyTiers({ cancellationWindowHours = 24, refundPercentage = 100 } = {}) {
+    return [
+      { hoursBefore: cancellationWindowHours, refundPercentage },
+      ...DEFAULT_REFUND_TIERS
+        .filter(tier => tier.hoursBefore < cancellationWindowHours)
+        .map(tier => ({ ...tier, refundPercentage: Math.min(tier.refundPercentage, refundPercentage) }))
+    ];
+  }
+
+  // Whether a booking may be cancelled at a given time and what it refunds
+  static evaluate(policy, { startTime, totalAmount, at = new Date() }) {
+    const effective = policy || this.DEFAULT_POLICY;
+    const hoursUntilBooking = (new Date(startTime) - new Date(at)) / (1000 * 60 * 60);
+    const noCancelWindowHours = effective.noCancelWindowHours || 0;
+
+    let allowed = true;
+    let reason;
+    if (effective.allowCancellation === false) {
+      allowed = false;
+      reason = 'Cancellations are not allowed for this booking';
+    } else if (hoursUntilBooking < noCancelWindowHours) {
+      allowed = false;
+      reason = `Bookings cannot be cancelled within ${noCancelWindowHours} hours of the start`;
+    }
+
+    const tier = sortTiers(effective.tiers || []).find(t => hoursUntilBooking >= t.hoursBefore);
+    const refundPercentage = tier ? tier.refundPercentage : 0;
+    const grossRefund = (totalAmount * refundPercentage) / 100;
+    const refundAmount = refundPercentage > 0 ? roundAmount(Math.max(0, grossRefund - (effective.fixedFee || 0))) : 0;
+
+    return {
+      allowed,
+      reason,
+      refundEligible: refundAmount > 0,
+      refundPercentage,
+      refundAmount,
+      cancellationFee: roundAmount(totalAmount - refundAmount),
+      hoursUntilBooking: Math.round(hoursUntilBooking * 10) / 10
+    };
+  }
+}
+
+CancellationPolicy.DEFAULT_REFUND_TIERS = DEFAULT_REFUND_TIERS;
+CancellationPolicy.DEFAULT_POLICY = {
+  allowCancellation: true,
+  noCancelWindowHours: 0,
+  fixedFee: 0,
+  tiers: DEFAULT_REFUND_TIERS
+};
+
+module.exports = CancellationPolicy;
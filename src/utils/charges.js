@@ -0,0 +1,81 @@
+// Tax charged where neither the venue nor an admin tax rule sets any
+const DEFAULT_TAXES = [{ name: 'Tax', rate: 5 }];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sum = (items) => roundAmount(items.reduce((total, item) => total + item.amount, 0));
+
+// Plain tax and fee rules, safe to use on mongoose subdocuments
+const toTaxes = (taxes) => taxes.map(({ name, rate }) => ({ name, rate }));
+const toFees = (fees, type) => fees.map(({ name, feeType, value }) => ({ name, type, feeType, value }));
+
+class ChargeRules {
+  // Taxes and fees in effect at a venue. An admin tax rule for the venue's country or region
+  // replaces the venue's own taxes and inclusive setting where it sets them, and adds platform fees.
+  static resolve(venue, rule = null) {
+    const settings = (venue && venue.settings && venue.settings.taxSettings) || {};
+
+    let taxes = DEFAULT_TAXES;
+    if (rule && rule.taxes) {
+      taxes = rule.taxes;
+    } else if (settings.taxes) {
+      taxes = settings.taxes;
+    }
+
+    const pricesIncludeTax = rule && typeof rule.pricesIncludeTax === 'boolean'
+      ? rule.pricesIncludeTax
+      : Boolean(settings.pricesIncludeTax);
+
+    return {
+      pricesIncludeTax,
+      taxes: toTaxes(taxes),
+      fees: [
+        ...toFees(settings.serviceFees || [], 'service'),
+        ...toFees((rule && rule.platformFees) || [], 'platform')
+      ]
+    };
+  }
+
+  // Breakdown of a price after discounts. Exclusive taxes are added on top; inclusive taxes are
+  // already part of the price, which is split into the net subtotal and the tax. Fees are charged
+  // on the price and are not taxed. Free bookings carry no fees.
+  static apply(amount, charges = this.DEFAULT_CHARGES) {
+    const { pricesIncludeTax, taxes, fees } = charges;
+    const totalRate = taxes.reduce((total, tax) => total + tax.rate, 0);
+    const net = pricesIncludeTax ? amount / (1 + totalRate / 100) : amount;
+
+    const taxLines = taxes.map(({ name, rate }) => ({ name, rate, amount: roundAmount(net * rate / 100) }));
+    const tax = sum(taxLines);
+    const subtotal = roundAmount(pricesIncludeTax ? amount - tax : amount);
+
+    const feeLines = amount > 0
+      ? fees.map(({ name, type, feeType, value }) => ({
+        name,
+        type,
+        amount: roundAmount(feeType === 'fixed' ? value : amount * value / 100)
+      }))
+      : [];
+    const serviceFee = sum(feeLines.filter(fee => fee.type === 'service'));
+    const platformFee = sum(feeLines.filter(fee => fee.type === 'platform'));
+
+    return {
+      subtotal,
+      taxInclusive: pricesIncludeTax,
+      taxes: taxLines,
+      tax,
+      fees: feeLines,
+      serviceFee,
+      platformFee,
+      totalAmount: roundAmount(subtotal + tax + serviceFee + platformFee)
+    };
+  }
+}
+
+ChargeRules.DEFAULT_TAXES = DEFAULT_TAXES;
+ChargeRules.DEFAULT_CHARGES = {
+  pricesIncludeTax: false,
+  taxes: DEFAULT_TAXES,
+  fees: []
+};
+
+module.exports = ChargeRules;
@@ -1,28 +1,60 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
 require('dotenv').config();
+
+// Most messages the outbox keeps, oldest dropped first
+const OUTBOX_LIMIT = 100;
+
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
+    this.transporter = null;
+    // Messages sent through the outbox transport, oldest first
+    this.outbox = [];
+  }
+
+  // Emails are kept in the local outbox instead of being sent in tests, or when EMAIL_TRANSPORT
+  // is "outbox". Set EMAIL_PREVIEW_DIR as well to write each one out as HTML and text files.
+  usesOutbox() {
+    return process.env.EMAIL_TRANSPORT === 'outbox' || process.env.NODE_ENV === 'test';
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = this.usesOutbox()
+        ? nodemailer.createTransport({ jsonTransport: true })
+        : nodemailer.createTransport({
+          host: process.env.EMAIL_HOST,
+          port: process.env.EMAIL_PORT,
+          secure: false,
+          auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS
+          }
+        });
+    }
+    return this.transporter;
+  }
+
+  clearOutbox() {
+    this.outbox = [];
   }
 
   async sendEmail(options) {
     const mailOptions = {
       from: process.env.EMAIL_FROM,
       to: options.email,
+      replyTo: options.replyTo,
       subject: options.subject,
-      html: options.html
+      html: options.html,
+      text: options.text
     };
 
     try {
-      const info = await this.transporter.sendMail(mailOptions);
+      const info = await this.getTransporter().sendMail(mailOptions);
+      if (this.usesOutbox()) {
+        await this.addToOutbox({ ...mailOptions, template: options.template, locale: options.locale });
+      }
       return info;
     } catch (error) {
       console.error('Email sending failed:', error);
@@ -30,56 +62,21 @@ class EmailService {
     }
   }
 
-  async sendWelcomeEmail(user, verificationToken) {
-    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Welcome to Court Booking System!</h2>
-        <p>Hi ${user.firstName},</p>
-        <p>Thank you for registering with us. Please verify your email address by clicking the button below:</p>
-        <a href="${verificationUrl}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 16px 0;">
-          Verify Email Address
-        </a>
-        <p>Or copy and paste this link in your browser:</p>
-        <p>${verificationUrl}</p>
-        <p>This link will expire in 24 hours.</p>
-        <p>Best regards,<br>Court Booking Team</p>
-      </div>
-    `;
-
-    await this.sendEmail({
-      email: user.email,
-      subject: 'Welcome! Please verify your email',
-      html
-    });
-  }
-
-  async sendPasswordResetEmail(user, resetToken) {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Password Reset Request</h2>
-        <p>Hi ${user.firstName},</p>
-        <p>You requested a password reset. Click the button below to reset your password:</p>
-        <a href="${resetUrl}" style="background-color: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 16px 0;">
-          Reset Password
-        </a>
-        <p>Or copy and paste this link in your browser:</p>
-        <p>${resetUrl}</p>
-        <p>This link will expire in 10 minutes.</p>
-        <p>If you didn't request this, please ignore this email.</p>
-        <p>Best regards,<br>Court Booking Team</p>
-      </div>
-    `;
+  async addToOutbox(message) {
+    const entry = { ...message, sentAt: new Date() };
+    this.outbox.push(entry);
+    if (this.outbox.length > OUTBOX_LIMIT) {
+      this.outbox.shift();
+    }
 
-    await this.sendEmail({
-      email: user.email,
-      subject: 'Password Reset Request',
-      html
-    });
+    const previewDir = process.env.EMAIL_PREVIEW_DIR;
+    if (previewDir) {
+      const name = `${entry.sentAt.getTime()}-${entry.template || 'email'}`;
+      await fs.promises.mkdir(previewDir, { recursive: true });
+      await fs.promises.writeFile(path.join(previewDir, `${name}.html`), entry.html || '');
+      await fs.promises.writeFile(path.join(previewDir, `${name}.txt`), entry.text || '');
+    }
   }
 }
 
-module.exports = new EmailService();
\ No newline at end of file
+module.exports = new EmailService();
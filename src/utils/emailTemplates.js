@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const Template = require('./template');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const DEFAULT_LOCALE = 'en';
+
+// Branding of emails that are not sent on behalf of a venue
+const DEFAULT_BRAND = {
+  name: 'Court Booking',
+  primaryColor: '#007bff',
+};
+
+const FORMATS = { html: Template.escapeHtml, txt: String };
+
+const files = new Map();
+
+// Contents of a file under the template directory, or null when there is none. Files are read once.
+const readFile = (...parts) => {
+  const file = path.join(TEMPLATE_DIR, ...parts);
+  if (!files.has(file)) {
+    files.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  }
+  return files.get(file);
+};
+
+// Partials of a format by name, e.g. partials/button.html is {{> button}} in HTML templates
+const getPartials = (format) => {
+  const dir = path.join(TEMPLATE_DIR, 'partials');
+  return Object.fromEntries(fs.readdirSync(dir)
+    .filter(file => path.extname(file) === `.${format}`)
+    .map(file => [path.basename(file, `.${format}`), readFile('partials', file)]));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (base, override) => Object.entries(override).reduce((merged, [key, value]) => ({
+  ...merged,
+  [key]: isObject(value) && isObject(merged[key]) ? merge(merged[key], value) : value,
+}), base);
+
+// Fill the placeholders of localized strings. They are left unescaped here and escaped where
+// the template outputs them.
+const localize = (strings, context) => Object.fromEntries(Object.entries(strings).map(([key, value]) => [
+  key,
+  isObject(value) ? localize(value, context) : Template.render(String(value), context, { escape: String }),
+]));
+
+// Renders transactional emails from the templates in src/templates/email:
+// - messages/<name>.html and .txt are the HTML body and its plain-text alternative, wrapped in
+//   layouts/default.html and .txt. A message may have a variant for a locale, e.g. <name>.ur.html.
+// - partials/ holds pieces shared between messages, per format.
+// - locales/<locale>.json holds the copy: strings under "common" and under the message name are
+//   available as {{t.key}}, and may use the message data themselves. Missing strings fall back to
+//   the default locale.
+// Notifications that are not emailed, e.g. in-app ones for venue staff, have locale strings only.
+class EmailTemplates {
+  // Supported locale closest to the requested one, e.g. "ur-PK" is served in "ur"
+  static resolveLocale(locale) {
+    const requested = String(locale || '').toLowerCase();
+    const candidates = [requested, requested.split('-')[0]];
+    return candidates.find(candidate => candidate && /^[a-z-]+$/.test(candidate) && readFile('locales', `${candidate}.json`)) ||
+      DEFAULT_LOCALE;
+  }
+
+  static getMessages(locale) {
+    const messages = JSON.parse(readFile('locales', `${DEFAULT_LOCALE}.json`));
+    return locale === DEFAULT_LOCALE ? messages : merge(messages, JSON.parse(readFile('locales', `${locale}.json`)));
+  }
+
+  // Branding of a venue's emails, falling back to the defaults for anything it does not set
+  static getBrand(venue = null) {
+    if (!venue) {
+      return { ...DEFAULT_BRAND };
+    }
+
+    const branding = venue.branding || {};
+    const primaryImage = (venue.media || []).find(item => item.type === 'image' && item.isPrimary);
+
+    return {
+      name: venue.name || DEFAULT_BRAND.name,
+      logoUrl: branding.logoUrl || (primaryImage ? primaryImage.url : undefined),
+      primaryColor: branding.primaryColor || DEFAULT_BRAND.primaryColor,
+      signature: branding.emailSignature,
+      replyTo: branding.replyTo || (venue.contact ? venue.contact.email : undefined),
+    };
+  }
+
+  // Data a message is rendered with, its localized strings included as t
+  static getContext(name, { locale, brand = this.getBrand(), data = {} } = {}) {
+    const resolved = this.resolveLocale(locale);
+    const messages = this.getMessages(resolved);
+
+    if (!messages[name]) {
+      throw new Error(`Message "${name}" not found`);
+    }
+
+    const context = { ...data, brand, locale: resolved, direction: messages.direction || 'ltr' };
+    context.t = localize({ ...messages.common, ...messages[name] }, context);
+    return context;
+  }
+
+  // Subject and one-line summary of a message, for notifications that are not emailed and so
+  // have no message templates
+  static localize(name, options) {
+    const context = this.getContext(name, options);
+    return { subject: context.t.subject, summary: context.t.summary, locale: context.locale };
+  }
+
+  // Render a message to its subject, HTML body and plain-text alternative, and the one-line
+  // summary that SMS, push and in-app notifications show
+  static render(name, options) {
+    if (!readFile('messages', `${name}.html`)) {
+      throw new Error(`Email template "${name}" not found`);
+    }
+
+    const context = this.getContext(name, options);
+    const { locale } = context;
+
+    const [html, text] = Object.entries(FORMATS).map(([format, escape]) => {
+      const formatOptions = { partials: getPartials(format), escape };
+      const body = readFile('messages', `${name}.${locale}.${format}`) || readFile('messages', `${name}.${format}`);
+      const content = Template.render(body, context, formatOptions);
+      return Template.render(readFile('layouts', `default.${format}`), { ...context, content }, formatOptions);
+    });
+
+    return { subject: context.t.subject, summary: context.t.summary, html, text, locale };
+  }
+}
+
+EmailTemplates.DEFAULT_LOCALE = DEFAULT_LOCALE;
+EmailTemplates.DEFAULT_BRAND = DEFAULT_BRAND;
+
+module.exports = EmailTemplates;
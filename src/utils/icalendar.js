@@ -0,0 +1,125 @@
+// Content lines are folded once they reach 75 octets (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const PRODUCT_ID = '-//Sports Nest//Bookings//EN';
+
+// TEXT values escape backslashes, separators and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20260115T093000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// DATE value of a calendar date ("YYYY-MM-DD" or a Date at UTC midnight), e.g. 20260115
+const formatDate = (date) => (typeof date === 'string' ? date : new Date(date).toISOString().split('T')[0]).replace(/-/g, '');
+
+// Split a line into chunks of at most 75 octets without breaking multi-byte characters.
+// Continuation lines start with a space, which counts towards their length.
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+// Builds an iCalendar (RFC 5545) document of events. Event times are written in UTC so the
+// calendar app shows them in its own timezone; all-day events use plain dates.
+class ICalendar {
+  constructor({ name, method = 'PUBLISH', refreshMinutes } = {}) {
+    this.name = name;
+    this.method = method;
+    this.refreshMinutes = refreshMinutes;
+    this.events = [];
+  }
+
+  // Add an event. `uid` must stay the same across updates so calendars replace the event
+  // instead of adding a copy; `sequence` goes up whenever the event changes.
+  addEvent({ uid, start, end, allDay = false, summary, description, location, url, status, sequence = 0, updatedAt }) {
+    this.events.push({ uid, start, end, allDay, summary, description, location, url, status, sequence, updatedAt });
+    return this;
+  }
+
+  toString() {
+    const stamp = formatDateTime(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${this.method}`,
+    ];
+
+    if (this.name) {
+      lines.push(`X-WR-CALNAME:${escapeText(this.name)}`);
+    }
+
+    // How often subscribed calendars should fetch the feed again
+    if (this.refreshMinutes) {
+      lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${this.refreshMinutes}M`);
+      lines.push(`X-PUBLISHED-TTL:PT${this.refreshMinutes}M`);
+    }
+
+    this.events.forEach(event => {
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${event.uid}`);
+      lines.push(`DTSTAMP:${stamp}`);
+
+      if (event.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(event.end)}`);
+      } else {
+        lines.push(`DTSTART:${formatDateTime(event.start)}`);
+        lines.push(`DTEND:${formatDateTime(event.end)}`);
+      }
+
+      lines.push(`SEQUENCE:${event.sequence}`);
+      if (event.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+      }
+      if (event.status) {
+        lines.push(`STATUS:${event.status}`);
+      }
+      lines.push(`SUMMARY:${escapeText(event.summary)}`);
+      if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      }
+      if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+      }
+      if (event.url) {
+        lines.push(`URL:${event.url}`);
+      }
+      // Free/busy lookups should ignore cancelled events and closures
+      lines.push(`TRANSP:${event.status === 'CANCELLED' || event.allDay ? 'TRANSPARENT' : 'OPAQUE'}`);
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+}
+
+ICalendar.CONTENT_TYPE = 'text/calendar; charset=utf-8';
+ICalendar.escapeText = escapeText;
+ICalendar.formatDateTime = formatDateTime;
+ICalendar.formatDate = formatDate;
+
+module.exports = ICalendar;
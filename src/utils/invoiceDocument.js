@@ -0,0 +1,197 @@
+const TimezoneUtils = require('./timezone');
+const PdfDocument = require('./pdf');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (amount, currency) => `${Number(amount || 0).toFixed(2)} ${currency}`;
+
+// Renders issued invoices and credit notes as HTML pages or PDF files. An invoice doubles as
+// the receipt: given the booking's payment summary it lists what was paid and what is still due.
+class InvoiceDocument {
+  // Heading of the document: credit notes keep their name, a paid invoice is a receipt
+  static getTitle(invoice, payment = null) {
+    if (invoice.type === 'credit-note') {
+      return 'Credit Note';
+    }
+    return payment && payment.paid > 0 && payment.outstanding === 0 ? 'Receipt' : 'Invoice';
+  }
+
+  // Payment summary of a booking for its invoice
+  static getPaymentSummary(booking) {
+    if (!booking.payment) {
+      return null;
+    }
+
+    return {
+      paid: booking.getPaidAmount(),
+      refunded: booking.payment.refundAmount || 0,
+      outstanding: booking.getOutstandingAmount(),
+      transactions: (booking.payment.transactions || []).map(({ paidAt, method, provider, amount }) => ({
+        paidAt,
+        method: method || provider,
+        amount
+      }))
+    };
+  }
+
+  static getFilename(invoice, format) {
+    return `${invoice.number}.${format}`;
+  }
+
+  // Date, and time range for the booked slot, in the booking's timezone
+  static formatPeriod(invoice) {
+    const timeZone = invoice.timezone || undefined;
+    return `${TimezoneUtils.formatDate(invoice.serviceStart, timeZone)} ` +
+      `${TimezoneUtils.formatTime(invoice.serviceStart, timeZone)}-${TimezoneUtils.formatTime(invoice.serviceEnd, timeZone)}`;
+  }
+
+  // Totals block shared by both formats, as [label, amount] pairs. Taxes and fees are
+  // itemized where the booking was priced with tax and fee rules.
+  static getTotals(invoice) {
+    const totals = [['Subtotal', invoice.subtotal]];
+
+    if (invoice.taxes && invoice.taxes.length > 0) {
+      invoice.taxes.forEach(tax => totals.push([
+        `${tax.name} ${tax.rate}%${invoice.taxInclusive ? ' (included)' : ''}`,
+        tax.amount
+      ]));
+    } else if (invoice.tax) {
+      totals.push(['Tax', invoice.tax]);
+    }
+
+    if (invoice.fees && invoice.fees.length > 0) {
+      invoice.fees.forEach(fee => totals.push([fee.name, fee.amount]));
+    } else if (invoice.serviceFee) {
+      totals.push(['Service fee', invoice.serviceFee]);
+    }
+
+    totals.push([invoice.type === 'credit-note' ? 'Total credited' : 'Total', invoice.total]);
+    return totals;
+  }
+
+  static getPaymentRows(invoice, payment) {
+    if (!payment || invoice.type === 'credit-note') {
+      return [];
+    }
+
+    const rows = payment.transactions.map(t => [
+      `Paid ${TimezoneUtils.formatDate(t.paidAt, invoice.timezone || undefined)}${t.method ? ` (${t.method})` : ''}`,
+      t.amount
+    ]);
+    if (payment.refunded) {
+      rows.push(['Refunded', payment.refunded]);
+    }
+    rows.push(['Balance due', payment.outstanding]);
+    return rows;
+  }
+
+  static toHtml(invoice, payment = null) {
+    const title = this.getTitle(invoice, payment);
+    const { seller = {}, customer = {}, currency } = invoice;
+    const amount = (value) => escapeHtml(formatAmount(value, currency));
+    const row = (cells, tag = 'td') => `<tr>${cells.map(cell => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+
+    const lines = invoice.lines.map(line => row([
+      escapeHtml(line.description),
+      escapeHtml(line.quantity),
+      amount(line.unitPrice),
+      amount(line.amount)
+    ]));
+    const discounts = (invoice.discounts || []).map(discount => row([
+      `Discount: ${escapeHtml(discount.name)}`, '', '', amount(-discount.amount)
+    ]));
+    const summary = [...this.getTotals(invoice), ...this.getPaymentRows(invoice, payment)]
+      .map(([label, value]) => `<tr><th colspan="3">${escapeHtml(label)}</th><td>${amount(value)}</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${title} ${invoice.number}`)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; }
+table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+td:last-child, tfoot th { text-align: right; }
+.parties { display: flex; justify-content: space-between; margin-top: 24px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)} ${escapeHtml(invoice.number)}</h1>
+<p>Issued ${escapeHtml(TimezoneUtils.formatDate(invoice.issuedAt, invoice.timezone || undefined))}` +
+      ` &middot; Booking ${escapeHtml(invoice.bookingNumber)} &middot; ${escapeHtml(this.formatPeriod(invoice))}</p>
+${invoice.reason ? `<p>Reason: ${escapeHtml(invoice.reason)}</p>\n` : ''}<div class="parties">
+<div><strong>${escapeHtml(seller.name)}</strong><br>${escapeHtml(seller.address)}<br>${escapeHtml(seller.email)}<br>${escapeHtml(seller.phone)}</div>
+<div><strong>Billed to</strong><br>${escapeHtml(customer.name)}<br>${escapeHtml(customer.email)}<br>${escapeHtml(customer.phone)}</div>
+</div>
+<table>
+<thead>${row(['Description', 'Qty', 'Unit price', 'Amount'], 'th')}</thead>
+<tbody>
+${[...lines, ...discounts].join('\n')}
+</tbody>
+<tfoot>
+${summary.join('\n')}
+</tfoot>
+</table>
+</body>
+</html>
+`;
+  }
+
+  static toPdf(invoice, payment = null) {
+    const title = this.getTitle(invoice, payment);
+    const { seller = {}, customer = {}, currency } = invoice;
+    const right = PdfDocument.PAGE_WIDTH - 2 * PdfDocument.MARGIN;
+    const amount = (value) => formatAmount(value, currency);
+    const pdf = new PdfDocument({ title: `${title} ${invoice.number}` });
+
+    pdf.text(`${title} ${invoice.number}`, { size: 18, bold: true })
+      .text(`Issued ${TimezoneUtils.formatDate(invoice.issuedAt, invoice.timezone || undefined)}  |  ` +
+        `Booking ${invoice.bookingNumber || ''}  |  ${this.formatPeriod(invoice)}`);
+    if (invoice.reason) {
+      pdf.text(`Reason: ${invoice.reason}`);
+    }
+
+    pdf.space()
+      .row([{ text: seller.name }, { text: 'Billed to', x: 280 }], { bold: true });
+    [['address', 'name'], ['email', 'email'], ['phone', 'phone']].forEach(([sellerField, customerField]) => pdf.row([
+      { text: seller[sellerField] },
+      { text: customer[customerField], x: 280 }
+    ]));
+
+    pdf.space()
+      .row([
+        { text: 'Description' },
+        { text: 'Qty', x: 300 },
+        { text: 'Unit price', x: 410, align: 'right' },
+        { text: 'Amount', x: right, align: 'right' }
+      ], { bold: true })
+      .rule();
+
+    invoice.lines.forEach(line => pdf.row([
+      { text: line.description },
+      { text: line.quantity, x: 300 },
+      { text: amount(line.unitPrice), x: 410, align: 'right' },
+      { text: amount(line.amount), x: right, align: 'right' }
+    ]));
+    (invoice.discounts || []).forEach(discount => pdf.row([
+      { text: `Discount: ${discount.name}` },
+      { text: amount(-discount.amount), x: right, align: 'right' }
+    ]));
+
+    pdf.rule();
+    [...this.getTotals(invoice), ...this.getPaymentRows(invoice, payment)].forEach(([label, value]) => pdf.row([
+      { text: label, x: 300 },
+      { text: amount(value), x: right, align: 'right' }
+    ]));
+
+    return pdf.toBuffer();
+  }
+}
+
+module.exports = InvoiceDocument;
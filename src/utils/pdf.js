@@ -0,0 +1,136 @@
+// A4 in points, with the printable area inside the margin
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Helvetica glyph widths in thousandths of the font size, for right-aligned text.
+// Characters not listed are measured as an average letter.
+const GLYPH_WIDTHS = { ' ': 278, '.': 278, ',': 278, '-': 333, ':': 278, '(': 333, ')': 333, '/': 278 };
+const DIGIT_WIDTH = 556;
+const UPPERCASE_WIDTH = 667;
+const DEFAULT_WIDTH = 500;
+
+const measure = (text, size) => [...text].reduce((width, char) => {
+  let glyph = GLYPH_WIDTHS[char];
+  if (glyph === undefined) {
+    if (char >= '0' && char <= '9') {
+      glyph = DIGIT_WIDTH;
+    } else if (char >= 'A' && char <= 'Z') {
+      glyph = UPPERCASE_WIDTH;
+    } else {
+      glyph = DEFAULT_WIDTH;
+    }
+  }
+  return width + glyph * size / 1000;
+}, 0);
+
+// PDF string literal; the standard fonts only cover Latin-1, anything else is replaced
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+// Minimal text-only PDF writer using the built-in Helvetica fonts, so documents can be
+// generated without external tools. Rows are laid out top to bottom and flow onto new pages.
+class PdfDocument {
+  constructor({ title } = {}) {
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.operations = [];
+    this.pages.push(this.operations);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  // Write a row of cells. A cell is placed at x points from the left margin, or ends
+  // there when right-aligned. Rows that do not fit start a new page.
+  row(cells, { size = 10, bold = false } = {}) {
+    const height = size * 1.5;
+    if (this.y - height < MARGIN) {
+      this.addPage();
+    }
+    this.y -= height;
+
+    const font = bold ? 'F2' : 'F1';
+    cells.forEach(({ text, x = 0, align = 'left' }) => {
+      if (text === undefined || text === null || text === '') {
+        return;
+      }
+      const value = String(text);
+      const left = MARGIN + (align === 'right' ? x - measure(value, size) : x);
+      this.operations.push(`BT /${font} ${size} Tf ${formatNumber(left)} ${formatNumber(this.y)} Td (${escapeText(value)}) Tj ET`);
+    });
+
+    return this;
+  }
+
+  text(text, options) {
+    return this.row([{ text }], options);
+  }
+
+  // Horizontal line across the printable width
+  rule() {
+    this.y -= 6;
+    this.operations.push(`0.5 w ${MARGIN} ${formatNumber(this.y)} m ${PAGE_WIDTH - MARGIN} ${formatNumber(this.y)} l S`);
+    return this;
+  }
+
+  space(points = 10) {
+    this.y -= points;
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const pageIds = this.pages.map((page, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${escapeText(this.title || '')}) /Producer (Sports Nest) >>`;
+
+    this.pages.forEach((operations, index) => {
+      const content = operations.join('\n');
+      objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        '/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> ' +
+        `/Contents ${pageIds[index] + 1} 0 R >>`;
+      objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    const chunks = ['%PDF-1.4\n'];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    for (let id = 1; id < objects.length; id++) {
+      const chunk = `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      offsets[id] = length;
+      chunks.push(chunk);
+      length += Buffer.byteLength(chunk, 'latin1');
+    }
+
+    const xref = [
+      'xref',
+      `0 ${objects.length}`,
+      '0000000000 65535 f ',
+      ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(xref);
+
+    return Buffer.from(chunks.join(''), 'latin1');
+  }
+}
+
+PdfDocument.PAGE_WIDTH = PAGE_WIDTH;
+PdfDocument.MARGIN = MARGIN;
+
+module.exports = PdfDocument;
@@ -0,0 +1,206 @@
+const TimezoneUtils = require('./timezone');
+
+// Most occurrences a series can have
+const MAX_OCCURRENCES = 52;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'];
+
+// RRULE day codes by day of week (0 = Sunday)
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Frequencies of the legacy recurringPattern
+const PATTERN_FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+
+// Weeks start on Monday, the RRULE default
+const daysFromMonday = (dayOfWeek) => (dayOfWeek + 6) % 7;
+
+// UNTIL is either a date ("YYYYMMDD", that whole day in the series timezone) or a UTC time
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw new Error('UNTIL must be a date (YYYYMMDD) or a UTC time (YYYYMMDDTHHMMSSZ)');
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  const until = hour === undefined
+    ? new Date(Date.UTC(year, month - 1, day))
+    : new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (isNaN(until) || until.getUTCDate() !== Number(day)) {
+    throw new Error('UNTIL is not a valid date');
+  }
+
+  return hour === undefined ? `${year}-${month}-${day}` : until;
+};
+
+const formatUntil = (until) => (typeof until === 'string'
+  ? until.replace(/-/g, '')
+  : new Date(until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''));
+
+// Calendar dates the rule can produce from the first one on, in order. Day filters always
+// match the first date and so every seventh candidate at least, which keeps this moving.
+function* candidateDates({ freq, interval, byDay }, firstDate) {
+  if (freq === 'DAILY') {
+    for (let date = firstDate; ; date = TimezoneUtils.addDays(date, interval)) {
+      if (byDay.length === 0 || byDay.includes(TimezoneUtils.getDayOfWeekForDate(date))) {
+        yield date;
+      }
+    }
+  }
+
+  if (freq === 'WEEKLY') {
+    const firstDay = TimezoneUtils.getDayOfWeekForDate(firstDate);
+    const days = byDay.length > 0 ? byDay : [firstDay];
+    for (let week = TimezoneUtils.addDays(firstDate, -daysFromMonday(firstDay)); ; week = TimezoneUtils.addDays(week, 7 * interval)) {
+      for (const day of days) {
+        const date = TimezoneUtils.addDays(week, daysFromMonday(day));
+        if (date >= firstDate) {
+          yield date;
+        }
+      }
+    }
+  }
+
+  // Monthly on the first date's day of the month; months without that day are skipped
+  const [year, month, day] = firstDate.split('-').map(Number);
+  for (let offset = 0; ; offset += interval) {
+    const date = new Date(Date.UTC(year, month - 1 + offset, day));
+    if (date.getUTCDate() === day) {
+      yield date.toISOString().split('T')[0];
+    }
+  }
+}
+
+class RecurrenceRule {
+  // Parts of an RRULE such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=10". FREQ may be daily,
+  // weekly or monthly, and the series must end through COUNT or UNTIL. Throws on invalid rules.
+  static parse(rule) {
+    if (typeof rule !== 'string' || !rule.trim()) {
+      throw new Error('Recurrence rule is required');
+    }
+
+    const parts = {};
+    rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+      const [name, value] = part.split('=').map(s => s && s.trim().toUpperCase());
+      if (!name || !value) {
+        throw new Error(`Invalid recurrence rule part "${part}"`);
+      }
+      if (!SUPPORTED_PARTS.includes(name)) {
+        throw new Error(`Unsupported recurrence rule part ${name}`);
+      }
+      if (parts[name] !== undefined) {
+        throw new Error(`${name} is set more than once`);
+      }
+      parts[name] = value;
+    });
+
+    if (!FREQUENCIES.includes(parts.FREQ)) {
+      throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+    }
+
+    const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('INTERVAL must be a positive whole number');
+    }
+
+    let byDay = [];
+    if (parts.BYDAY !== undefined) {
+      if (parts.FREQ === 'MONTHLY') {
+        throw new Error('BYDAY is only supported with DAILY and WEEKLY rules');
+      }
+      byDay = parts.BYDAY.split(',').map(code => {
+        const day = WEEKDAY_CODES.indexOf(code);
+        if (day === -1) {
+          throw new Error(`Invalid BYDAY day "${code}"`);
+        }
+        return day;
+      });
+      byDay = [...new Set(byDay)].sort((a, b) => daysFromMonday(a) - daysFromMonday(b));
+    }
+
+    if ((parts.COUNT === undefined) === (parts.UNTIL === undefined)) {
+      throw new Error('A recurrence rule must set either COUNT or UNTIL');
+    }
+
+    let count;
+    if (parts.COUNT !== undefined) {
+      count = Number(parts.COUNT);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+        throw new Error(`COUNT must be between 1 and ${MAX_OCCURRENCES}`);
+      }
+    }
+
+    const until = parts.UNTIL !== undefined ? parseUntil(parts.UNTIL) : undefined;
+
+    return { freq: parts.FREQ, interval, byDay, count, until };
+  }
+
+  // RRULE string of parsed parts
+  static format({ freq, interval = 1, byDay = [], count, until }) {
+    const parts = [`FREQ=${freq}`];
+    if (interval > 1) {
+      parts.push(`INTERVAL=${interval}`);
+    }
+    if (byDay.length > 0) {
+      parts.push(`BYDAY=${byDay.map(day => WEEKDAY_CODES[day]).join(',')}`);
+    }
+    if (count) {
+      parts.push(`COUNT=${count}`);
+    }
+    if (until) {
+      parts.push(`UNTIL=${formatUntil(until)}`);
+    }
+    return parts.join(';');
+  }
+
+  // RRULE for a legacy recurringPattern, where occurrences counts the whole series
+  static fromPattern({ frequency, interval, daysOfWeek, endDate, occurrences } = {}) {
+    return this.format({
+      freq: PATTERN_FREQUENCIES[frequency],
+      interval: interval || 1,
+      byDay: daysOfWeek || [],
+      count: occurrences || undefined,
+      until: occurrences || !endDate ? undefined : new Date(endDate)
+    });
+  }
+
+  // Occurrences of a rule whose first one is the given slot. Each one starts at the same wall-clock
+  // time in the timezone and lasts as long as the first. Throws on invalid rules.
+  static getOccurrences(rule, { startTime, endTime, timezone = TimezoneUtils.DEFAULT_TIMEZONE }) {
+    const parts = typeof rule === 'string' ? this.parse(rule) : rule;
+    const firstDate = TimezoneUtils.formatDate(startTime, timezone);
+    const time = TimezoneUtils.formatTime(startTime, timezone);
+    const duration = new Date(endTime) - new Date(startTime);
+
+    if (parts.byDay.length > 0 && !parts.byDay.includes(TimezoneUtils.getDayOfWeekForDate(firstDate))) {
+      throw new Error('The first occurrence must fall on one of the BYDAY days');
+    }
+
+    const occurrences = [];
+    for (const date of candidateDates(parts, firstDate)) {
+      const start = TimezoneUtils.toDate(date, time, timezone);
+      const pastUntil = typeof parts.until === 'string' ? date > parts.until : start > parts.until;
+      if (parts.until && pastUntil) {
+        break;
+      }
+
+      if (occurrences.length === MAX_OCCURRENCES) {
+        throw new Error(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+      }
+
+      occurrences.push({ startTime: start, endTime: new Date(start.getTime() + duration) });
+      if (occurrences.length === parts.count) {
+        break;
+      }
+    }
+
+    return occurrences;
+  }
+}
+
+RecurrenceRule.MAX_OCCURRENCES = MAX_OCCURRENCES;
+RecurrenceRule.FREQUENCIES = FREQUENCIES;
+RecurrenceRule.WEEKDAY_CODES = WEEKDAY_CODES;
+
+module.exports = RecurrenceRule;
@@ -0,0 +1,135 @@
+const TAG = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([#^/>]?)\s*([\w.-]+|\.)\s*\}\}/g;
+
+// Section, inverted section, closing and partial tags alone on their line take the whole line
+// with them, so templates can put them on lines of their own without leaving blank lines behind
+const STANDALONE_TYPES = ['#', '^', '/', '>'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Split a template into text and tags, nesting section contents
+const parse = (source) => {
+  const root = [];
+  const stack = [{ children: root }];
+  let position = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    const [tag, rawName, type = '', name = rawName] = match;
+    let start = match.index;
+    let end = start + tag.length;
+
+    if (!rawName && STANDALONE_TYPES.includes(type)) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = source.indexOf('\n', end);
+      const after = lineEnd === -1 ? source.slice(end) : source.slice(end, lineEnd);
+      if (!source.slice(lineStart, start).trim() && !after.trim()) {
+        start = lineStart;
+        end = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    const { children } = stack[stack.length - 1];
+    if (start > position) {
+      children.push({ type: 'text', value: source.slice(position, start) });
+    }
+    position = end;
+
+    if (rawName) {
+      children.push({ type: 'raw', name });
+    } else if (type === '#' || type === '^') {
+      const section = { type, name, children: [] };
+      children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      const section = stack.pop();
+      if (stack.length === 0 || section.name !== name) {
+        throw new Error(`Unexpected closing tag "${name}" in template`);
+      }
+    } else if (type === '>') {
+      children.push({ type: 'partial', name });
+    } else {
+      children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section "${stack[stack.length - 1].name}" in template`);
+  }
+  if (position < source.length) {
+    root.push({ type: 'text', value: source.slice(position) });
+  }
+
+  return root;
+};
+
+// Value of a dotted name, from the innermost context that has its first part
+const lookup = (name, contexts) => {
+  if (name === '.') {
+    return contexts[contexts.length - 1];
+  }
+
+  const [first, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), context[first]);
+    }
+  }
+  return undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+const renderNodes = (nodes, contexts, options) => nodes.map(node => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+
+  const value = node.type === 'partial' ? undefined : lookup(node.name, contexts);
+
+  if (node.type === 'variable' || node.type === 'raw') {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return node.type === 'variable' ? options.escape(value) : String(value);
+  }
+
+  if (node.type === 'partial') {
+    const partial = options.partials[node.name];
+    if (partial === undefined) {
+      throw new Error(`Template partial "${node.name}" not found`);
+    }
+    return renderNodes(parse(partial), contexts, options);
+  }
+
+  if (node.type === '^') {
+    return isEmpty(value) ? renderNodes(node.children, contexts, options) : '';
+  }
+
+  if (isEmpty(value)) {
+    return '';
+  }
+  const items = Array.isArray(value) ? value : [value];
+  return items.map(item => renderNodes(node.children, [...contexts, item], options)).join('');
+}).join('');
+
+// Logic-less templates in a subset of Mustache: {{name}} and {{a.b}} (escaped), {{{name}}} (as is),
+// sections {{#name}}...{{/name}} shown for truthy values and repeated for lists, inverted sections
+// {{^name}}...{{/name}} shown for falsy values and empty lists, {{> partial}} and {{.}} for the
+// current list item.
+class Template {
+  // Render a template with the given data. Values are HTML-escaped unless another escape is given.
+  static render(source, data, { partials = {}, escape = escapeHtml } = {}) {
+    return renderNodes(parse(source), [data], { partials, escape });
+  }
+}
+
+Template.escapeHtml = escapeHtml;
+
+module.exports = Template;
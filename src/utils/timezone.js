@@ -0,0 +1,113 @@
+const DEFAULT_TIMEZONE = 'Asia/Karachi';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class TimezoneUtils {
+  // Wall-clock parts of an instant in the given IANA timezone
+  static getParts(date, timeZone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      dayOfWeek: WEEKDAYS[parts.weekday]
+    };
+  }
+
+  // Day of week (0 = Sunday) in the given timezone
+  static getDayOfWeek(date, timeZone = DEFAULT_TIMEZONE) {
+    return this.getParts(date, timeZone).dayOfWeek;
+  }
+
+  // "HH:MM" in the given timezone
+  static formatTime(date, timeZone = DEFAULT_TIMEZONE) {
+    const { hour, minute } = this.getParts(date, timeZone);
+    return `${pad(hour)}:${pad(minute)}`;
+  }
+
+  // "YYYY-MM-DD" in the given timezone
+  static formatDate(date, timeZone = DEFAULT_TIMEZONE) {
+    const { year, month, day } = this.getParts(date, timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  // Offset of the timezone from UTC at the given instant, in milliseconds
+  static getOffset(date, timeZone = DEFAULT_TIMEZONE) {
+    const instant = new Date(date);
+    const { year, month, day, hour, minute, second } = this.getParts(instant, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return asUtc - (instant.getTime() - instant.getMilliseconds());
+  }
+
+  // Instant at which the wall clock in the timezone reads dateStr ("YYYY-MM-DD") timeStr ("HH:MM").
+  // Times skipped by a DST jump resolve to the instant after the jump.
+  static toDate(dateStr, timeStr = '00:00', timeZone = DEFAULT_TIMEZONE) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute] = timeStr.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset at the wall-clock instant may differ from the offset at the result when a DST
+    // change lies in between, so try both and keep the one that reads back correctly
+    const firstOffset = this.getOffset(wallClock, timeZone);
+    const candidates = [wallClock - firstOffset];
+    candidates.push(wallClock - this.getOffset(candidates[0], timeZone));
+
+    const exact = candidates.find(candidate => this.formatTime(candidate, timeZone) === `${pad(hour)}:${pad(minute)}`);
+
+    return new Date(exact !== undefined ? exact : Math.max(...candidates));
+  }
+
+  // Calendar date string shifted by a number of days
+  static addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return date.toISOString().split('T')[0];
+  }
+
+  // Day of week (0 = Sunday) of a calendar date string
+  static getDayOfWeekForDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+
+  static isValidTimezone(timeZone) {
+    try {
+      getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+TimezoneUtils.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+module.exports = TimezoneUtils;
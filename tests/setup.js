@@ -34,4 +34,6 @@ process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
 process.env.JWT_EXPIRE = '15m';
 process.env.JWT_REFRESH_EXPIRE = '7d';
-process.env.BCRYPT_ROUNDS = '4'; // Lower for faster tests
\ No newline at end of file
+process.env.BCRYPT_ROUNDS = '4'; // Lower for faster tests
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
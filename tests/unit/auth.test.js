@@ -2,14 +2,14 @@ const User = require("../../src/models/User.js");
 const JWTUtils = require("../../src/utils/jwt.js");
 const { register, login, resendVerificationEmail, getProfile, updateProfile, changePassword, forgotPassword, resetPassword, verifyEmail, refreshToken: _refreshToken } = require("../../src/controllers/authController.js");
 const {
-    sendWelcomeEmail: _sendWelcomeEmail,
-    sendPasswordResetEmail: _sendPasswordResetEmail,
-} = require("../../src/utils/email.js");
-
-// Mock EmailService
-jest.mock("../../src/utils/email", () => ({
-    sendWelcomeEmail: jest.fn(),
-    sendPasswordResetEmail: jest.fn(),
+    notifyWelcome: _notifyWelcome,
+    notifyPasswordReset: _notifyPasswordReset,
+} = require("../../src/services/notifications");
+
+// Mock the notification service
+jest.mock("../../src/services/notifications", () => ({
+    notifyWelcome: jest.fn(),
+    notifyPasswordReset: jest.fn(),
 }));
 
 describe("User Model", () => {
@@ -234,8 +234,8 @@ describe("Auth Controller", () => {
         };
         mockNext = jest.fn();
         // Clear email service mocks
-        _sendWelcomeEmail.mockClear();
-        _sendPasswordResetEmail.mockClear();
+        _notifyWelcome.mockClear();
+        _notifyPasswordReset.mockClear();
     });
     describe("Register", () => {
         it("should register a new user successfully", async () => {
@@ -261,7 +261,7 @@ describe("Auth Controller", () => {
                     }),
                 })
             );
-            expect(_sendWelcomeEmail).toHaveBeenCalled();
+            expect(_notifyWelcome).toHaveBeenCalled();
         });
 
         it("should not register user with existing email", async () => {
@@ -570,7 +570,7 @@ describe("Auth Controller", () => {
                     ),
                 })
             );
-            expect(_sendPasswordResetEmail).toHaveBeenCalled();
+            expect(_notifyPasswordReset).toHaveBeenCalled();
         });
 
         it("should respond positively for non-existent email", async () => {
@@ -687,7 +687,7 @@ describe("Auth Controller", () => {
                     message: "Verification email sent successfully",
                 })
             );
-            expect(_sendWelcomeEmail).toHaveBeenCalled();
+            expect(_notifyWelcome).toHaveBeenCalled();
         });
 
         it("should not resend verification email if already verified", async () => {
@@ -2,6 +2,8 @@ const Booking = require('../../src/models/Booking');
 const Court = require('../../src/models/Court');
 const Venue = require('../../src/models/Venue');
 const User = require('../../src/models/User');
+const SlotLock = require('../../src/models/SlotLock');
+const TimezoneUtils = require('../../src/utils/timezone');
 const {
     createBooking,
     getBookings,
@@ -16,6 +18,7 @@ const {
     checkOut,
     getMyBookings
 } = require('../../src/controllers/bookingController');
+const { authorizeVenue } = require('../../src/middleware/auth');
 
 describe('Booking Model', () => {
     let venue, court, user;
@@ -185,6 +188,129 @@ describe('Booking Model', () => {
         });
     });
 
+    describe('Buffer and Break Times', () => {
+        it('should treat a booking inside the buffer window as a conflict', async () => {
+            court.bookingSettings.bufferTimeBetweenBookings = 15;
+            await court.save();
+
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+
+            await Booking.create({
+                user: user._id,
+                court: court._id,
+                venue: venue._id,
+                startTime,
+                endTime,
+                status: 'confirmed',
+                pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1050 },
+                payment: { amount: 1050, currency: 'PKR', status: 'pending' }
+            });
+
+            const tooSoon = new Date(endTime.getTime() + 10 * 60 * 1000);
+            const conflicts = await Booking.checkConflicts(court._id, tooSoon, new Date(tooSoon.getTime() + 60 * 60 * 1000));
+            expect(conflicts.length).toBe(1);
+
+            const afterBuffer = new Date(endTime.getTime() + 15 * 60 * 1000);
+            const noConflicts = await Booking.checkConflicts(court._id, afterBuffer, new Date(afterBuffer.getTime() + 60 * 60 * 1000));
+            expect(noConflicts.length).toBe(0);
+        });
+
+        it('should mark slots in the buffer and break windows unavailable', async () => {
+            const day = TimezoneUtils.formatDate(new Date(Date.now() + 24 * 60 * 60 * 1000), court.timezone);
+
+            court.bookingSettings.bufferTimeBetweenBookings = 30;
+            court.operatingHours.forEach(oh => {
+                oh.breakTimes = [{ startTime: '13:00', endTime: '14:00' }];
+            });
+            await court.save();
+
+            await Booking.create({
+                user: user._id,
+                court: court._id,
+                venue: venue._id,
+                startTime: TimezoneUtils.toDate(day, '10:00', court.timezone),
+                endTime: TimezoneUtils.toDate(day, '11:00', court.timezone),
+                status: 'confirmed',
+                pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1050 },
+                payment: { amount: 1050, currency: 'PKR', status: 'pending' }
+            });
+
+            const slots = await Booking.findAvailableSlots(court._id, day, 30);
+            const slotAt = (time) => slots.find(slot =>
+                TimezoneUtils.formatTime(slot.startTime, court.timezone) === time
+            );
+
+            expect(slotAt('09:00').available).toBe(true);
+            expect(slotAt('09:30').available).toBe(false);
+            expect(slotAt('11:00').available).toBe(false);
+            expect(slotAt('11:30').available).toBe(true);
+            expect(slotAt('13:00').available).toBe(false);
+            expect(slotAt('13:30').available).toBe(false);
+            expect(slotAt('14:00').available).toBe(true);
+        });
+    });
+
+    describe('Slot Reservation', () => {
+        it('should let only one of two overlapping reservations succeed', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+            const overlapStart = new Date(startTime.getTime() + 60 * 60 * 1000);
+            const overlapEnd = new Date(endTime.getTime() + 60 * 60 * 1000);
+
+            const results = await Promise.all([
+                SlotLock.reserve(court._id, startTime, endTime, new Booking()._id),
+                SlotLock.reserve(court._id, overlapStart, overlapEnd, new Booking()._id)
+            ]);
+
+            expect(results.filter(Boolean)).toHaveLength(1);
+        });
+
+        it('should roll back a failed reservation completely', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+            const loserId = new Booking()._id;
+
+            await SlotLock.reserve(court._id, new Date(startTime.getTime() + 60 * 60 * 1000), endTime, new Booking()._id);
+            const reserved = await SlotLock.reserve(court._id, startTime, endTime, loserId);
+
+            expect(reserved).toBe(false);
+            expect(await SlotLock.countDocuments({ booking: loserId })).toBe(0);
+        });
+
+        it('should allow back-to-back reservations', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const midTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+            const endTime = new Date(midTime.getTime() + 60 * 60 * 1000);
+
+            expect(await SlotLock.reserve(court._id, startTime, midTime, new Booking()._id)).toBe(true);
+            expect(await SlotLock.reserve(court._id, midTime, endTime, new Booking()._id)).toBe(true);
+        });
+
+        it('should release the slot when a booking is cancelled', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+
+            const booking = new Booking({
+                user: user._id,
+                court: court._id,
+                venue: venue._id,
+                startTime,
+                endTime,
+                status: 'confirmed',
+                pricing: { basePrice: 2000, subtotal: 2000, totalAmount: 2100 },
+                payment: { amount: 2100, currency: 'PKR', status: 'pending' }
+            });
+            await SlotLock.reserve(court._id, startTime, endTime, booking._id);
+            await booking.save();
+
+            booking.status = 'cancelled';
+            await booking.save();
+
+            expect(await SlotLock.countDocuments({ booking: booking._id })).toBe(0);
+        });
+    });
+
     describe('Cancellation Refund Calculation', () => {
         it('should calculate 100% refund for cancellation 24+ hours before', async () => {
             const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000); // 48 hours from now
@@ -412,6 +538,34 @@ describe('Booking Controller', () => {
             );
         });
 
+        it('should ignore payment and status fields sent by the client', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+
+            mockReq.user = user;
+            mockReq.body = {
+                court: court._id.toString(),
+                startTime: startTime.toISOString(),
+                endTime: endTime.toISOString(),
+                notes: 'Bringing my own rackets',
+                pricing: { basePrice: 1, subtotal: 1, totalAmount: 1 },
+                payment: { amount: 1, status: 'completed', paidAmount: 5000 },
+                status: 'completed',
+                isPaid: true
+            };
+
+            await createBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            const booking = await Booking.findOne({ user: user._id });
+            expect(booking.notes).toBe('Bringing my own rackets');
+            expect(booking.status).toBe('confirmed');
+            expect(booking.pricing.totalAmount).toBeGreaterThan(1);
+            expect(booking.payment.amount).toBe(booking.pricing.totalAmount);
+            expect(booking.payment.status).toBe('pending');
+            expect(booking.payment.paidAmount).toBe(0);
+        });
+
         it('should reject booking for non-existent court', async () => {
             const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
             const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
@@ -495,6 +649,35 @@ describe('Booking Controller', () => {
         });
     });
 
+    describe('createBooking concurrency', () => {
+        it('should confirm exactly one of two simultaneous requests for the same slot', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+
+            const makeRequest = () => {
+                const res = {
+                    status: jest.fn().mockReturnThis(),
+                    json: jest.fn()
+                };
+                const req = {
+                    ...mockReq,
+                    user,
+                    body: {
+                        court: court._id.toString(),
+                        startTime: startTime.toISOString(),
+                        endTime: endTime.toISOString()
+                    }
+                };
+                return createBooking(req, res, mockNext).then(() => res.status.mock.calls[0][0]);
+            };
+
+            const statuses = await Promise.all([makeRequest(), makeRequest()]);
+
+            expect(statuses.sort()).toEqual([201, 409]);
+            expect(await Booking.countDocuments({ court: court._id })).toBe(1);
+        });
+    });
+
     describe('getBookings', () => {
         beforeEach(async () => {
             // Create multiple bookings
@@ -712,6 +895,47 @@ describe('Booking Controller', () => {
             );
         });
 
+        it('should charge the difference when moved to a more expensive slot', async () => {
+            booking.recordPayment({ method: 'cash', amount: 2100 });
+            await booking.save();
+
+            const day = TimezoneUtils.formatDate(new Date(Date.now() + 4 * 24 * 60 * 60 * 1000), court.timezone);
+
+            mockReq.user = user;
+            mockReq.params = { id: booking._id.toString() };
+            mockReq.body = {
+                startTime: TimezoneUtils.toDate(day, '10:00', court.timezone).toISOString(),
+                endTime: TimezoneUtils.toDate(day, '13:00', court.timezone).toISOString()
+            };
+
+            await updateBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.pricing.totalAmount).toBeGreaterThan(2100);
+            expect(updated.payment.amount).toBe(updated.pricing.totalAmount);
+            expect(updated.payment.status).toBe('partially-paid');
+            expect(updated.isPaid).toBe(false);
+            expect(updated.getOutstandingAmount()).toBeCloseTo(updated.pricing.totalAmount - 2100, 2);
+        });
+
+        it('should let venue staff reschedule a booking', async () => {
+            const newStartTime = new Date(Date.now() + 96 * 60 * 60 * 1000);
+            const newEndTime = new Date(newStartTime.getTime() + 2 * 60 * 60 * 1000);
+
+            mockReq.user = owner;
+            mockReq.params = { id: booking._id.toString() };
+            mockReq.body = {
+                startTime: newStartTime.toISOString(),
+                endTime: newEndTime.toISOString()
+            };
+
+            await updateBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect((await Booking.findById(booking._id)).startTime).toEqual(newStartTime);
+        });
+
         it('should not allow unauthorized user to update booking', async () => {
             const otherUser = await User.create({
                 firstName: 'Other',
@@ -914,8 +1138,9 @@ describe('Booking Controller', () => {
             mockReq.user = user;
             mockReq.params = { id: booking._id.toString() };
 
-            await approveBooking(mockReq, mockRes, mockNext);
+            await authorizeVenue('bookings.manage', { from: 'booking' })(mockReq, mockRes, mockNext);
 
+            expect(mockNext).not.toHaveBeenCalled();
             expect(mockRes.status).toHaveBeenCalledWith(403);
         });
     });
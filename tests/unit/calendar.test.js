@@ -0,0 +1,276 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const ICalendar = require('../../src/utils/icalendar');
+const BookingCalendar = require('../../src/utils/bookingCalendar');
+const {
+    getBookingCalendar,
+    createUserFeed,
+    deleteUserFeed,
+    getUserFeed,
+    createCourtFeed,
+    getCourtFeed
+} = require('../../src/controllers/calendarController');
+const { authorizeVenue } = require('../../src/middleware/auth');
+
+describe('Calendar export', () => {
+    describe('ICalendar', () => {
+        it('should escape text and fold long lines at 75 octets', () => {
+            const ics = new ICalendar({ name: 'Test' })
+                .addEvent({
+                    uid: 'event-1@sportsnest',
+                    start: new Date('2026-01-15T10:00:00Z'),
+                    end: new Date('2026-01-15T11:00:00Z'),
+                    summary: 'Tennis, doubles; court 1',
+                    description: `${'é'.repeat(60)}\nSecond line`
+                })
+                .toString();
+
+            const lines = ics.split('\r\n');
+            expect(ics.endsWith('\r\n')).toBe(true);
+            expect(lines).toContain('DTSTART:20260115T100000Z');
+            expect(lines).toContain('SUMMARY:Tennis\\, doubles\\; court 1');
+            expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+            expect(ics.replace(/\r\n /g, '')).toContain(`DESCRIPTION:${'é'.repeat(60)}\\nSecond line`);
+        });
+
+        it('should write all-day events as dates', () => {
+            const ics = new ICalendar()
+                .addEvent({ uid: 'day@sportsnest', start: '2026-03-01', end: '2026-03-02', allDay: true, summary: 'Closed' })
+                .toString();
+
+            expect(ics).toContain('DTSTART;VALUE=DATE:20260301\r\nDTEND;VALUE=DATE:20260302');
+        });
+    });
+
+    describe('BookingCalendar', () => {
+        it('should cancel the event and bump its sequence when a booking is cancelled', () => {
+            const event = BookingCalendar.getBookingEvent({
+                _id: 'booking1',
+                bookingNumber: 'BK1',
+                status: 'cancelled',
+                startTime: new Date('2026-01-15T10:00:00Z'),
+                endTime: new Date('2026-01-15T11:00:00Z'),
+                court: { name: 'Court 1', sportType: 'tennis' },
+                venue: { name: 'Test Sports Complex' },
+                modificationHistory: [{ reason: 'Rescheduled' }]
+            });
+
+            expect(event).toMatchObject({
+                uid: 'booking1@sportsnest',
+                status: 'CANCELLED',
+                sequence: 2,
+                summary: 'Cancelled: Tennis - Court 1 (Test Sports Complex)'
+            });
+        });
+    });
+
+    describe('Feeds', () => {
+        let user, owner, stranger, venue, court;
+        let mockReq, mockRes, mockNext;
+
+        const inDays = (days, hour = 10) => {
+            const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+            date.setUTCHours(hour, 0, 0, 0);
+            return date;
+        };
+
+        const createBooking = (overrides = {}) => Booking.create({
+            user: user._id,
+            court: court._id,
+            venue: venue._id,
+            startTime: inDays(2),
+            endTime: inDays(2, 11),
+            pricing: {
+                basePrice: 1000,
+                subtotal: 1000,
+                tax: 50,
+                totalAmount: 1050,
+                currency: 'PKR'
+            },
+            status: 'confirmed',
+            ...overrides
+        });
+
+        const call = async (handler, { params = {}, asUser = user } = {}) => {
+            mockRes.status.mockClear();
+            mockRes.json.mockClear();
+            mockRes.send.mockClear();
+            mockRes.set.mockClear();
+            mockReq.user = asUser;
+            mockReq.params = params;
+            await handler(mockReq, mockRes, mockNext);
+        };
+
+        const feedToken = () => mockRes.json.mock.calls[0][0].data.url.match(/([a-f0-9]{64})\.ics$/)[1];
+
+        const sentCalendar = () => mockRes.send.mock.calls[0][0].replace(/\r\n /g, '');
+
+        beforeEach(async () => {
+            user = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'user@example.com',
+                password: 'Password123!',
+                role: 'user'
+            });
+
+            owner = await User.create({
+                firstName: 'Jane',
+                lastName: 'Owner',
+                email: 'owner@example.com',
+                password: 'Password123!',
+                role: 'owner'
+            });
+
+            stranger = await User.create({
+                firstName: 'Sam',
+                lastName: 'Stranger',
+                email: 'stranger@example.com',
+                password: 'Password123!',
+                role: 'owner'
+            });
+
+            venue = await Venue.create({
+                name: 'Test Sports Complex',
+                address: {
+                    street: '123 Main St',
+                    city: 'Karachi',
+                    state: 'Sindh',
+                    country: 'Pakistan'
+                },
+                location: {
+                    type: 'Point',
+                    coordinates: [67.0011, 24.8607]
+                },
+                contact: {
+                    primaryPhone: '+923001234567',
+                    email: 'venue@example.com'
+                },
+                amenities: {
+                    totalCourts: 5
+                },
+                owner: owner._id
+            });
+
+            court = await Court.create({
+                name: 'Court 1',
+                venue: venue._id,
+                sportType: 'tennis',
+                courtType: 'outdoor',
+                baseHourlyRate: 1000,
+                owner: owner._id,
+                operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                    dayOfWeek: i,
+                    openTime: '08:00',
+                    closeTime: '20:00'
+                })),
+                availabilityExceptions: [{
+                    date: new Date(`${inDays(5).toISOString().split('T')[0]}T00:00:00Z`),
+                    type: 'maintenance',
+                    reason: 'Resurfacing'
+                }]
+            });
+
+            mockReq = {
+                user,
+                body: {},
+                params: {},
+                query: {},
+                headers: {},
+                protocol: 'https',
+                get: jest.fn(() => 'api.example.com')
+            };
+            mockRes = {
+                status: jest.fn().mockReturnThis(),
+                json: jest.fn(),
+                send: jest.fn(),
+                set: jest.fn()
+            };
+            mockNext = jest.fn();
+        });
+
+        it('should download a booking as an .ics file', async () => {
+            const booking = await createBooking();
+
+            await call(getBookingCalendar, { params: { id: booking._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.set).toHaveBeenCalledWith('Content-Type', 'text/calendar; charset=utf-8');
+            expect(mockRes.set).toHaveBeenCalledWith('Content-Disposition', `attachment; filename="${booking.bookingNumber}.ics"`);
+            expect(sentCalendar()).toContain(`UID:${booking._id}@sportsnest`);
+            expect(sentCalendar()).toContain('LOCATION:Test Sports Complex\\, 123 Main St\\, Karachi\\, Sindh\\, Pakistan');
+        });
+
+        it('should not let other users download a booking', async () => {
+            const booking = await createBooking();
+
+            await call(getBookingCalendar, { params: { id: booking._id.toString() }, asUser: stranger });
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should serve my bookings through a tokenized feed, including cancellations', async () => {
+            const confirmed = await createBooking();
+            const cancelled = await createBooking({ startTime: inDays(3), endTime: inDays(3, 11), status: 'cancelled' });
+            await createBooking({ startTime: inDays(-60), endTime: inDays(-60, 11), status: 'completed' });
+
+            await call(createUserFeed);
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(mockRes.json.mock.calls[0][0].data.webcalUrl).toMatch(/^webcal:\/\/api\.example\.com\/api\/calendar\/feed\//);
+            const token = feedToken();
+
+            await call(getUserFeed, { params: { token }, asUser: undefined });
+
+            const ics = sentCalendar();
+            expect(ics).toContain(`UID:${confirmed._id}@sportsnest\r\n`);
+            expect(ics).toMatch(new RegExp(`UID:${cancelled._id}@sportsnest[\\s\\S]*?STATUS:CANCELLED`));
+            expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+            expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT60M');
+        });
+
+        it('should stop serving a feed once it is replaced or turned off', async () => {
+            await call(createUserFeed);
+            const oldToken = feedToken();
+            await call(createUserFeed);
+            const newToken = feedToken();
+
+            await call(getUserFeed, { params: { token: oldToken }, asUser: undefined });
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+
+            await call(deleteUserFeed);
+            await call(getUserFeed, { params: { token: newToken }, asUser: undefined });
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should serve owners a court feed of confirmed bookings and availability exceptions', async () => {
+            const confirmed = await createBooking();
+            const pending = await createBooking({ startTime: inDays(3), endTime: inDays(3, 11), status: 'pending-confirmation' });
+
+            await call(createCourtFeed, { params: { courtId: court._id.toString() }, asUser: owner });
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            const token = feedToken();
+
+            await call(getCourtFeed, { params: { courtId: court._id.toString(), token }, asUser: undefined });
+
+            const ics = sentCalendar();
+            expect(ics).toContain(`UID:${confirmed._id}@sportsnest`);
+            expect(ics).not.toContain(`UID:${pending._id}@sportsnest`);
+            expect(ics).toContain('SUMMARY:Court 1: John Doe');
+            expect(ics).toContain('SUMMARY:Court 1: closed (maintenance)');
+            expect(ics).toContain('DESCRIPTION:Resurfacing');
+        });
+
+        it('should only let venue staff create a court feed', async () => {
+            await call(authorizeVenue('courts.manage', { from: 'court', param: 'courtId' }), {
+                params: { courtId: court._id.toString() },
+                asUser: stranger
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockNext).not.toHaveBeenCalled();
+            expect((await Court.findById(court._id).select('+calendarFeedToken')).calendarFeedToken).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,271 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const CancellationPolicy = require('../../src/utils/cancellationPolicy');
+const { cancelBooking, getCancellationPreview } = require('../../src/controllers/bookingController');
+
+describe('Cancellation policies', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    describe('CancellationPolicy', () => {
+        it('should build the default schedule from the legacy venue settings', () => {
+            const policy = CancellationPolicy.resolve(new Venue({}), null);
+
+            expect(policy.tiers).toEqual(CancellationPolicy.DEFAULT_REFUND_TIERS);
+            expect(policy.allowCancellation).toBe(true);
+        });
+
+        it('should use the legacy window and percentage as the top tier', () => {
+            const venue = new Venue({
+                settings: { cancellationPolicy: { cancellationWindowHours: 48, refundPercentage: 80 } }
+            });
+
+            const policy = CancellationPolicy.resolve(venue, null);
+
+            expect(policy.tiers[0]).toEqual({ hoursBefore: 48, refundPercentage: 80 });
+            expect(policy.tiers.every(tier => tier.refundPercentage <= 80)).toBe(true);
+        });
+
+        it('should let court settings override the venue field by field', () => {
+            const venue = new Venue({
+                settings: {
+                    cancellationPolicy: {
+                        fixedFee: 50,
+                        tiers: [{ hoursBefore: 24, refundPercentage: 100 }]
+                    }
+                }
+            });
+            const court = new Court({
+                cancellationPolicy: { noCancelWindowHours: 3, tiers: [{ hoursBefore: 6, refundPercentage: 50 }] }
+            });
+
+            const policy = CancellationPolicy.resolve(venue, court);
+
+            expect(policy.fixedFee).toBe(50);
+            expect(policy.noCancelWindowHours).toBe(3);
+            expect(policy.tiers).toEqual([{ hoursBefore: 6, refundPercentage: 50 }]);
+        });
+
+        it('should apply the matching tier and deduct the fixed fee', () => {
+            const at = new Date();
+            const policy = {
+                allowCancellation: true,
+                noCancelWindowHours: 0,
+                fixedFee: 100,
+                tiers: [{ hoursBefore: 48, refundPercentage: 100 }, { hoursBefore: 6, refundPercentage: 50 }]
+            };
+
+            const early = CancellationPolicy.evaluate(policy, { startTime: new Date(at.getTime() + 72 * HOUR), totalAmount: 2000, at });
+            const late = CancellationPolicy.evaluate(policy, { startTime: new Date(at.getTime() + 10 * HOUR), totalAmount: 2000, at });
+            const tooLate = CancellationPolicy.evaluate(policy, { startTime: new Date(at.getTime() + 2 * HOUR), totalAmount: 2000, at });
+
+            expect(early.refundAmount).toBe(1900);
+            expect(late.refundPercentage).toBe(50);
+            expect(late.refundAmount).toBe(900);
+            expect(late.cancellationFee).toBe(1100);
+            expect(tooLate.refundEligible).toBe(false);
+            expect(tooLate.allowed).toBe(true);
+        });
+
+        it('should refuse cancellations inside the no-cancel window', () => {
+            const at = new Date();
+            const policy = { ...CancellationPolicy.DEFAULT_POLICY, noCancelWindowHours: 12 };
+
+            const result = CancellationPolicy.evaluate(policy, { startTime: new Date(at.getTime() + 6 * HOUR), totalAmount: 2000, at });
+
+            expect(result.allowed).toBe(false);
+            expect(result.reason).toMatch(/12 hours/);
+        });
+    });
+
+    describe('Bookings', () => {
+        let user, owner, venue, court;
+        let mockReq, mockRes, mockNext;
+
+        const createBooking = (hoursAhead) => {
+            const startTime = new Date(Date.now() + hoursAhead * HOUR);
+            return Booking.create({
+                user: user._id,
+                court: court._id,
+                venue: venue._id,
+                startTime,
+                endTime: new Date(startTime.getTime() + HOUR),
+                status: 'confirmed',
+                pricing: { basePrice: 2000, subtotal: 2000, totalAmount: 2000 },
+                payment: { amount: 2000, currency: 'PKR', status: 'pending' }
+            });
+        };
+
+        beforeEach(async () => {
+            user = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'user@example.com',
+                password: 'Password123!',
+                role: 'user'
+            });
+
+            owner = await User.create({
+                firstName: 'Jane',
+                lastName: 'Owner',
+                email: 'owner@example.com',
+                password: 'Password123!',
+                role: 'owner'
+            });
+
+            venue = await Venue.create({
+                name: 'Test Sports Complex',
+                address: {
+                    street: '123 Main St',
+                    city: 'Karachi',
+                    state: 'Sindh',
+                    country: 'Pakistan'
+                },
+                location: {
+                    type: 'Point',
+                    coordinates: [67.0011, 24.8607]
+                },
+                contact: {
+                    primaryPhone: '+923001234567',
+                    email: 'venue@example.com'
+                },
+                amenities: {
+                    totalCourts: 5
+                },
+                settings: {
+                    cancellationPolicy: {
+                        noCancelWindowHours: 4,
+                        tiers: [{ hoursBefore: 24, refundPercentage: 100 }, { hoursBefore: 8, refundPercentage: 40 }]
+                    }
+                },
+                owner: owner._id
+            });
+
+            court = await Court.create({
+                name: 'Test Court',
+                venue: venue._id,
+                sportType: 'tennis',
+                courtType: 'outdoor',
+                baseHourlyRate: 1000,
+                owner: owner._id
+            });
+
+            mockReq = {
+                user,
+                params: {},
+                body: {}
+            };
+            mockRes = {
+                status: jest.fn().mockReturnThis(),
+                json: jest.fn()
+            };
+            mockNext = jest.fn();
+        });
+
+        it('should snapshot the policy in effect when the booking is made', async () => {
+            const booking = await createBooking(12);
+
+            await Venue.updateOne(
+                { _id: venue._id },
+                { 'settings.cancellationPolicy.tiers': [{ hoursBefore: 1, refundPercentage: 100 }] }
+            );
+
+            const refundInfo = (await Booking.findById(booking._id)).calculateCancellationRefund();
+            expect(refundInfo.refundPercentage).toBe(40);
+            expect(refundInfo.refundAmount).toBe(800);
+        });
+
+        it('should snapshot the venue policy over one given with the booking', async () => {
+            const startTime = new Date(Date.now() + 12 * HOUR);
+            const booking = await Booking.create({
+                user: user._id,
+                court: court._id,
+                venue: venue._id,
+                startTime,
+                endTime: new Date(startTime.getTime() + HOUR),
+                status: 'confirmed',
+                pricing: { basePrice: 2000, subtotal: 2000, totalAmount: 2000 },
+                payment: { amount: 2000, currency: 'PKR', status: 'pending' },
+                cancellationPolicy: { tiers: [{ hoursBefore: 0, refundPercentage: 100 }] }
+            });
+
+            expect(booking.cancellationPolicy.tiers.map(tier => tier.hoursBefore)).toEqual([24, 8]);
+            expect(booking.calculateCancellationRefund().refundPercentage).toBe(40);
+        });
+
+        it('should preview the refund of cancelling now', async () => {
+            const booking = await createBooking(12);
+
+            mockReq.params = { id: booking._id.toString() };
+            await getCancellationPreview(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const { data } = mockRes.json.mock.calls[0][0];
+            expect(data.canCancel).toBe(true);
+            expect(data.refundInfo.refundPercentage).toBe(40);
+            // Nothing has been paid yet
+            expect(data.refundAmount).toBe(0);
+        });
+
+        it('should keep the fee from what was paid on a booking paid in part', async () => {
+            const booking = await createBooking(12);
+            booking.recordPayment({ method: 'cash', amount: 1500 });
+            await booking.save();
+
+            mockReq.params = { id: booking._id.toString() };
+            await getCancellationPreview(mockReq, mockRes, mockNext);
+
+            // 40% refund keeps a fee of 1200 of the 2000 total
+            expect(mockRes.json.mock.calls[0][0].data.refundAmount).toBe(300);
+
+            mockReq.body = { reason: 'Plans changed' };
+            await cancelBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenLastCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.status).toBe('cancelled');
+            expect(updated.payment.refundAmount).toBe(300);
+        });
+
+        it('should refund nothing when less than the fee was paid', async () => {
+            const booking = await createBooking(12);
+            booking.recordPayment({ method: 'cash', amount: 500 });
+            await booking.save();
+
+            mockReq.params = { id: booking._id.toString() };
+            mockReq.body = { reason: 'Plans changed' };
+            await cancelBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.status).toBe('cancelled');
+            expect(updated.payment.refundAmount).toBe(0);
+        });
+
+        it('should refuse a customer cancelling inside the no-cancel window', async () => {
+            const booking = await createBooking(2);
+
+            mockReq.params = { id: booking._id.toString() };
+            mockReq.body = { reason: 'Running late' };
+            await cancelBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+            expect((await Booking.findById(booking._id)).status).toBe('confirmed');
+        });
+
+        it('should let the venue cancel at any time with a full refund', async () => {
+            const booking = await createBooking(2);
+
+            mockReq.user = owner;
+            mockReq.params = { id: booking._id.toString() };
+            mockReq.body = { reason: 'Court flooded' };
+            await cancelBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.status).toBe('cancelled');
+            expect(updated.cancellation.refundPercentage).toBe(100);
+        });
+    });
+});
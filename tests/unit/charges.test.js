@@ -0,0 +1,243 @@
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const TaxRule = require('../../src/models/TaxRule');
+const ChargeRules = require('../../src/utils/charges');
+const TimezoneUtils = require('../../src/utils/timezone');
+const { createBooking } = require('../../src/controllers/bookingController');
+const { calculatePrice } = require('../../src/controllers/courtController');
+const { createTaxRule, getVenueCharges } = require('../../src/controllers/taxRuleController');
+
+describe('Taxes and fees', () => {
+    describe('ChargeRules', () => {
+        it('should charge the default 5% tax on top of the price', () => {
+            const pricing = ChargeRules.apply(2000, ChargeRules.resolve(new Venue({}), null));
+
+            expect(pricing).toMatchObject({ subtotal: 2000, tax: 100, totalAmount: 2100, taxInclusive: false });
+            expect(pricing.taxes).toEqual([{ name: 'Tax', rate: 5, amount: 100 }]);
+        });
+
+        it('should add several exclusive taxes and fees', () => {
+            const pricing = ChargeRules.apply(1000, {
+                pricesIncludeTax: false,
+                taxes: [{ name: 'GST', rate: 17 }, { name: 'City tax', rate: 1 }],
+                fees: [
+                    { name: 'Booking fee', type: 'service', feeType: 'fixed', value: 50 },
+                    { name: 'Platform fee', type: 'platform', feeType: 'percentage', value: 2 }
+                ]
+            });
+
+            expect(pricing.taxes.map(t => t.amount)).toEqual([170, 10]);
+            expect(pricing).toMatchObject({ subtotal: 1000, tax: 180, serviceFee: 50, platformFee: 20, totalAmount: 1250 });
+        });
+
+        it('should split inclusive taxes out of the price', () => {
+            const pricing = ChargeRules.apply(1170, {
+                pricesIncludeTax: true,
+                taxes: [{ name: 'GST', rate: 17 }],
+                fees: []
+            });
+
+            expect(pricing).toMatchObject({ subtotal: 1000, tax: 170, totalAmount: 1170, taxInclusive: true });
+        });
+
+        it('should not charge fees on free bookings', () => {
+            const pricing = ChargeRules.apply(0, {
+                pricesIncludeTax: false,
+                taxes: [],
+                fees: [{ name: 'Booking fee', type: 'service', feeType: 'fixed', value: 50 }]
+            });
+
+            expect(pricing.totalAmount).toBe(0);
+            expect(pricing.fees).toEqual([]);
+        });
+
+        it('should let a tax rule replace the venue taxes and add platform fees', () => {
+            const venue = new Venue({
+                settings: {
+                    taxSettings: {
+                        taxes: [{ name: 'VAT', rate: 10 }],
+                        serviceFees: [{ name: 'Booking fee', feeType: 'fixed', value: 25 }]
+                    }
+                }
+            });
+
+            const charges = ChargeRules.resolve(venue, {
+                taxes: [{ name: 'GST', rate: 16 }],
+                pricesIncludeTax: true,
+                platformFees: [{ name: 'Platform fee', feeType: 'percentage', value: 3 }]
+            });
+
+            expect(charges.pricesIncludeTax).toBe(true);
+            expect(charges.taxes).toEqual([{ name: 'GST', rate: 16 }]);
+            expect(charges.fees.map(f => [f.name, f.type])).toEqual([
+                ['Booking fee', 'service'],
+                ['Platform fee', 'platform']
+            ]);
+        });
+    });
+
+    describe('Venue charges', () => {
+        let user, admin, owner, venue, court;
+        let mockReq, mockRes, mockNext;
+
+        // 10:00-12:00 Karachi time, two days from now
+        const slot = () => {
+            const day = TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), 2);
+            return {
+                startTime: TimezoneUtils.toDate(day, '10:00', 'Asia/Karachi').toISOString(),
+                endTime: TimezoneUtils.toDate(day, '12:00', 'Asia/Karachi').toISOString()
+            };
+        };
+
+        const call = async (handler, { body = {}, params = {}, asUser = user } = {}) => {
+            mockRes.status.mockClear();
+            mockRes.json.mockClear();
+            mockReq.user = asUser;
+            mockReq.body = body;
+            mockReq.params = params;
+            await handler(mockReq, mockRes, mockNext);
+            return mockRes.json.mock.calls[0][0];
+        };
+
+        beforeEach(async () => {
+            user = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'user@example.com',
+                password: 'Password123!',
+                role: 'user'
+            });
+
+            admin = await User.create({
+                firstName: 'Ada',
+                lastName: 'Admin',
+                email: 'admin@example.com',
+                password: 'Password123!',
+                role: 'admin'
+            });
+
+            owner = await User.create({
+                firstName: 'Jane',
+                lastName: 'Owner',
+                email: 'owner@example.com',
+                password: 'Password123!',
+                role: 'owner'
+            });
+
+            venue = await Venue.create({
+                name: 'Test Sports Complex',
+                address: {
+                    street: '123 Main St',
+                    city: 'Karachi',
+                    state: 'Sindh',
+                    country: 'Pakistan'
+                },
+                location: {
+                    type: 'Point',
+                    coordinates: [67.0011, 24.8607]
+                },
+                contact: {
+                    primaryPhone: '+923001234567',
+                    email: 'venue@example.com'
+                },
+                amenities: {
+                    totalCourts: 5
+                },
+                owner: owner._id,
+                settings: {
+                    taxSettings: {
+                        taxes: [{ name: 'VAT', rate: 10 }],
+                        serviceFees: [{ name: 'Booking fee', feeType: 'fixed', value: 100 }]
+                    }
+                }
+            });
+
+            court = await Court.create({
+                name: 'Court 1',
+                venue: venue._id,
+                sportType: 'tennis',
+                courtType: 'outdoor',
+                baseHourlyRate: 1000,
+                owner: owner._id,
+                operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                    dayOfWeek: i,
+                    openTime: '08:00',
+                    closeTime: '20:00'
+                })),
+                bookingSettings: {
+                    minBookingDuration: 60,
+                    maxBookingDuration: 180,
+                    maxConcurrentBookingsPerUser: 5
+                }
+            });
+
+            mockReq = {
+                user,
+                body: {},
+                params: {},
+                query: {},
+                headers: {},
+                ip: '127.0.0.1',
+                get: jest.fn(() => 'test-user-agent')
+            };
+            mockRes = {
+                status: jest.fn().mockReturnThis(),
+                json: jest.fn()
+            };
+            mockNext = jest.fn();
+        });
+
+        it('should store the venue tax and fee breakdown on the booking', async () => {
+            const { data } = await call(createBooking, { body: { court: court._id.toString(), ...slot() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.pricing.taxes.map(t => [t.name, t.amount])).toEqual([['VAT', 200]]);
+            expect(data.pricing.fees.map(f => [f.name, f.type, f.amount])).toEqual([['Booking fee', 'service', 100]]);
+            expect(data.pricing.totalAmount).toBe(2300);
+            expect(data.payment.amount).toBe(2300);
+        });
+
+        it('should apply a regional tax rule over the venue taxes', async () => {
+            await TaxRule.create({ country: 'Pakistan', taxes: [{ name: 'GST', rate: 17 }] });
+            await TaxRule.create({
+                country: 'pakistan',
+                region: 'Sindh',
+                taxes: [{ name: 'SST', rate: 13 }],
+                platformFees: [{ name: 'Platform fee', feeType: 'percentage', value: 1 }]
+            });
+
+            const { data } = await call(createBooking, { body: { court: court._id.toString(), ...slot() } });
+
+            expect(data.pricing.taxes.map(t => [t.name, t.amount])).toEqual([['SST', 260]]);
+            expect(data.pricing.platformFee).toBe(20);
+            expect(data.pricing.totalAmount).toBe(2000 + 260 + 100 + 20);
+        });
+
+        it('should report the breakdown when calculating a price', async () => {
+            await TaxRule.create({ country: 'Pakistan', pricesIncludeTax: true, taxes: [{ name: 'GST', rate: 25 }] });
+
+            const { data } = await call(calculatePrice, { body: slot(), params: { id: court._id.toString() } });
+
+            expect(data.totalPrice).toBe(2000);
+            expect(data).toMatchObject({ subtotal: 1600, tax: 400, serviceFee: 100, totalAmount: 2100, taxInclusive: true });
+        });
+
+        it('should refuse a second rule for the same region', async () => {
+            await call(createTaxRule, { body: { country: 'Pakistan', region: 'Sindh', taxes: [] }, asUser: admin });
+            await call(createTaxRule, { body: { country: 'PAKISTAN', region: 'sindh' }, asUser: admin });
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+            expect(await TaxRule.countDocuments()).toBe(1);
+        });
+
+        it('should show owners the charges in effect at their venue', async () => {
+            const rule = await TaxRule.create({ country: 'Pakistan', taxes: [] });
+
+            const { data } = await call(getVenueCharges, { params: { venueId: venue._id.toString() }, asUser: owner });
+
+            expect(data.taxes).toEqual([]);
+            expect(data.taxRule._id.toString()).toBe(rule._id.toString());
+        });
+    });
+});
@@ -0,0 +1,368 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Coupon = require('../../src/models/Coupon');
+const TimezoneUtils = require('../../src/utils/timezone');
+const {
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    validateCoupon
+} = require('../../src/controllers/couponController');
+const { createBooking, cancelBooking } = require('../../src/controllers/bookingController');
+
+describe('Coupons', () => {
+    let user, owner, otherOwner, venue, court;
+    let mockReq, mockRes, mockNext;
+
+    // 10:00-12:00 Karachi time, two days from now
+    const slot = (dayOffset = 2, hour = '10:00', endHour = '12:00') => {
+        const day = TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), dayOffset);
+        return {
+            startTime: TimezoneUtils.toDate(day, hour, 'Asia/Karachi').toISOString(),
+            endTime: TimezoneUtils.toDate(day, endHour, 'Asia/Karachi').toISOString()
+        };
+    };
+
+    const createTestCoupon = (overrides = {}) => Coupon.create({
+        code: 'SAVE20',
+        discountType: 'percentage',
+        discountValue: 20,
+        scope: { venues: [venue._id] },
+        createdBy: owner._id,
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        user = await User.create({
+            firstName: 'Regular',
+            lastName: 'User',
+            email: 'user@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        owner = await User.create({
+            firstName: 'Owner',
+            lastName: 'User',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        otherOwner = await User.create({
+            firstName: 'Other',
+            lastName: 'Owner',
+            email: 'other@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Test Court',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id,
+            operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                dayOfWeek: i,
+                openTime: '08:00',
+                closeTime: '20:00'
+            })),
+            bookingSettings: {
+                minBookingDuration: 60,
+                maxBookingDuration: 180,
+                maxConcurrentBookingsPerUser: 5
+            }
+        });
+
+        mockReq = {
+            body: {},
+            params: {},
+            query: {},
+            user: null,
+            ip: '127.0.0.1',
+            get: jest.fn(() => 'test-user-agent')
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Coupon Model', () => {
+        it('should store codes in upper case', async () => {
+            const coupon = await createTestCoupon({ code: 'spring10' });
+
+            expect(coupon.code).toBe('SPRING10');
+            expect((await Coupon.findByCode('Spring10'))._id).toEqual(coupon._id);
+        });
+
+        it('should cap percentage discounts at maxDiscountAmount', async () => {
+            const coupon = await createTestCoupon({ maxDiscountAmount: 300 });
+
+            expect(coupon.calculateDiscount(1000)).toBe(200);
+            expect(coupon.calculateDiscount(5000)).toBe(300);
+        });
+
+        it('should never discount more than the amount', async () => {
+            const coupon = await createTestCoupon({ discountType: 'fixed', discountValue: 5000 });
+
+            expect(coupon.calculateDiscount(2000)).toBe(2000);
+        });
+
+        it('should reject coupons outside their scope or window', async () => {
+            const coupon = await createTestCoupon({
+                scope: { sportTypes: ['badminton'] },
+                minSpend: 1000
+            });
+
+            expect(coupon.checkEligibility({ userId: user._id, court, amount: 2000 }).reason)
+                .toBe('Coupon is not valid for tennis');
+
+            coupon.scope.sportTypes = [];
+            coupon.validUntil = new Date(Date.now() - 1000);
+            expect(coupon.checkEligibility({ userId: user._id, court, amount: 2000 }).reason)
+                .toBe('Coupon has expired');
+
+            coupon.validUntil = undefined;
+            expect(coupon.checkEligibility({ userId: user._id, court, amount: 500 }).valid).toBe(false);
+            expect(coupon.checkEligibility({ userId: user._id, court, amount: 2000 }).valid).toBe(true);
+        });
+
+        it('should enforce the global usage cap atomically', async () => {
+            const coupon = await createTestCoupon({ usageLimit: 1, perUserLimit: 5 });
+
+            const results = await Promise.all([
+                Coupon.redeem(coupon._id, { userId: user._id, bookingId: new Booking()._id, discountAmount: 100 }),
+                Coupon.redeem(coupon._id, { userId: owner._id, bookingId: new Booking()._id, discountAmount: 100 })
+            ]);
+
+            expect(results.filter(Boolean)).toHaveLength(1);
+            expect((await Coupon.findById(coupon._id)).usageCount).toBe(1);
+        });
+
+        it('should enforce the per-user cap', async () => {
+            const coupon = await createTestCoupon({ perUserLimit: 1 });
+
+            const first = await Coupon.redeem(coupon._id, { userId: user._id, bookingId: new Booking()._id, discountAmount: 100 });
+            const second = await Coupon.redeem(coupon._id, { userId: user._id, bookingId: new Booking()._id, discountAmount: 100 });
+            const otherUser = await Coupon.redeem(coupon._id, { userId: owner._id, bookingId: new Booking()._id, discountAmount: 100 });
+
+            expect(first).not.toBeNull();
+            expect(second).toBeNull();
+            expect(otherUser).not.toBeNull();
+        });
+
+        it('should release a redemption', async () => {
+            const coupon = await createTestCoupon();
+            const bookingId = new Booking()._id;
+            await Coupon.redeem(coupon._id, { userId: user._id, bookingId, discountAmount: 100 });
+
+            await Coupon.release(bookingId);
+
+            const updated = await Coupon.findById(coupon._id);
+            expect(updated.usageCount).toBe(0);
+            expect(updated.redemptions).toHaveLength(0);
+        });
+    });
+
+    describe('createCoupon', () => {
+        it('should let an owner create a coupon for their venue', async () => {
+            mockReq.user = owner;
+            mockReq.body = {
+                code: 'OPENING',
+                discountType: 'fixed',
+                discountValue: 500,
+                scope: { venues: [venue._id.toString()] }
+            };
+
+            await createCoupon(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(mockRes.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    data: expect.objectContaining({ code: 'OPENING', usageCount: 0 })
+                })
+            );
+        });
+
+        it('should reject an owner scoping a coupon to someone else\'s venue', async () => {
+            mockReq.user = otherOwner;
+            mockReq.body = {
+                code: 'STEAL',
+                discountType: 'fixed',
+                discountValue: 500,
+                scope: { venues: [venue._id.toString()] }
+            };
+
+            await createCoupon(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should require owners to scope coupons', async () => {
+            mockReq.user = owner;
+            mockReq.body = { code: 'EVERYWHERE', discountType: 'fixed', discountValue: 500 };
+
+            await createCoupon(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should reject a duplicate code', async () => {
+            await createTestCoupon();
+            mockReq.user = owner;
+            mockReq.body = {
+                code: 'save20',
+                discountType: 'fixed',
+                discountValue: 500,
+                scope: { venues: [venue._id.toString()] }
+            };
+
+            await createCoupon(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('updateCoupon and deleteCoupon', () => {
+        it('should not let another owner update the coupon', async () => {
+            const coupon = await createTestCoupon();
+            mockReq.user = otherOwner;
+            mockReq.params = { id: coupon._id.toString() };
+            mockReq.body = { discountValue: 90 };
+
+            await updateCoupon(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should ignore attempts to reset the usage count', async () => {
+            const coupon = await createTestCoupon();
+            await Coupon.redeem(coupon._id, { userId: user._id, bookingId: new Booking()._id, discountAmount: 100 });
+            mockReq.user = owner;
+            mockReq.params = { id: coupon._id.toString() };
+            mockReq.body = { discountValue: 25, usageCount: 0 };
+
+            await updateCoupon(mockReq, mockRes, mockNext);
+
+            const updated = await Coupon.findById(coupon._id);
+            expect(updated.discountValue).toBe(25);
+            expect(updated.usageCount).toBe(1);
+        });
+
+        it('should deactivate instead of deleting a redeemed coupon', async () => {
+            const coupon = await createTestCoupon();
+            await Coupon.redeem(coupon._id, { userId: user._id, bookingId: new Booking()._id, discountAmount: 100 });
+            mockReq.user = owner;
+            mockReq.params = { id: coupon._id.toString() };
+
+            await deleteCoupon(mockReq, mockRes, mockNext);
+
+            const updated = await Coupon.findById(coupon._id);
+            expect(updated).not.toBeNull();
+            expect(updated.isActive).toBe(false);
+        });
+    });
+
+    describe('validateCoupon', () => {
+        it('should return the discount for a booking', async () => {
+            await createTestCoupon();
+            mockReq.user = user;
+            mockReq.body = { code: 'save20', court: court._id.toString(), ...slot() };
+
+            await validateCoupon(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    data: expect.objectContaining({ basePrice: 2000, discount: 400, priceAfterDiscount: 1600 })
+                })
+            );
+        });
+
+        it('should return 404 for an unknown code', async () => {
+            mockReq.user = user;
+            mockReq.body = { code: 'NOPE', court: court._id.toString(), ...slot() };
+
+            await validateCoupon(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('Booking redemption', () => {
+        it('should apply the coupon and record the redemption', async () => {
+            const coupon = await createTestCoupon();
+            mockReq.user = user;
+            mockReq.body = { court: court._id.toString(), couponCode: 'save20', ...slot() };
+
+            await createBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            const booking = mockRes.json.mock.calls[0][0].data;
+            expect(booking.pricing.totalDiscount).toBe(400);
+            expect(booking.pricing.subtotal).toBe(1600);
+            expect(booking.couponCode).toBe('SAVE20');
+
+            const updated = await Coupon.findById(coupon._id);
+            expect(updated.usageCount).toBe(1);
+            expect(updated.redemptions[0].booking).toEqual(booking._id);
+        });
+
+        it('should reject a coupon the user has used up', async () => {
+            await createTestCoupon({ perUserLimit: 1 });
+            mockReq.user = user;
+            mockReq.body = { court: court._id.toString(), couponCode: 'SAVE20', ...slot(2) };
+            await createBooking(mockReq, mockRes, mockNext);
+
+            mockReq.body = { court: court._id.toString(), couponCode: 'SAVE20', ...slot(3) };
+            await createBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenLastCalledWith(400);
+            expect(await Booking.countDocuments()).toBe(1);
+        });
+
+        it('should give the redemption back when the booking is cancelled', async () => {
+            const coupon = await createTestCoupon();
+            mockReq.user = user;
+            mockReq.body = { court: court._id.toString(), couponCode: 'SAVE20', ...slot() };
+            await createBooking(mockReq, mockRes, mockNext);
+            const booking = mockRes.json.mock.calls[0][0].data;
+
+            mockReq.params = { id: booking._id.toString() };
+            mockReq.body = { reason: 'Plans changed, sorry' };
+            await cancelBooking(mockReq, mockRes, mockNext);
+
+            const updated = await Coupon.findById(coupon._id);
+            expect(updated.usageCount).toBe(0);
+            expect(updated.redemptions).toHaveLength(0);
+        });
+    });
+});
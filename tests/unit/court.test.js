@@ -19,6 +19,7 @@ const {
     updateStatus,
     getCourtsByVenue
 } = require('../../src/controllers/courtController');
+const { authorizeVenue } = require('../../src/middleware/auth');
 
 describe('Court Model', () => {
     let venue, owner;
@@ -141,8 +142,8 @@ describe('Court Model', () => {
         });
 
         it('should calculate price for time slot', () => {
-            const startTime = new Date('2024-01-15T10:00:00');
-            const endTime = new Date('2024-01-15T12:00:00');
+            const startTime = new Date('2024-01-15T10:00:00+05:00');
+            const endTime = new Date('2024-01-15T12:00:00+05:00');
 
             const price = court.calculatePrice(startTime, endTime);
 
@@ -150,8 +151,8 @@ describe('Court Model', () => {
         });
 
         it('should apply pricing rule for peak hours', () => {
-            const startTime = new Date('2024-01-15T18:00:00');
-            const endTime = new Date('2024-01-15T20:00:00');
+            const startTime = new Date('2024-01-15T18:00:00+05:00');
+            const endTime = new Date('2024-01-15T20:00:00+05:00');
 
             const price = court.calculatePrice(startTime, endTime);
 
@@ -159,20 +160,49 @@ describe('Court Model', () => {
         });
 
         it('should check availability for time slot', async () => {
-            const startTime = new Date('2024-01-15T10:00:00');
-            const endTime = new Date('2024-01-15T12:00:00');
+            const startTime = new Date('2024-01-15T10:00:00+05:00');
+            const endTime = new Date('2024-01-15T12:00:00+05:00');
 
             const availability = await court.isAvailableForSlot(startTime, endTime);
 
             expect(availability.available).toBe(true);
         });
 
+        it('should return unavailable for slot overlapping a break', async () => {
+            court.operatingHours[0].breakTimes = [
+                { startTime: '13:00', endTime: '14:00', reason: 'cleaning' }
+            ];
+            await court.save();
+
+            const availability = await court.isAvailableForSlot(
+                new Date('2024-01-15T12:30:00+05:00'),
+                new Date('2024-01-15T13:30:00+05:00')
+            );
+
+            expect(availability.available).toBe(false);
+            expect(availability.reason).toContain('cleaning');
+        });
+
+        it('should allow slot ending when a break starts', async () => {
+            court.operatingHours[0].breakTimes = [
+                { startTime: '13:00', endTime: '14:00' }
+            ];
+            await court.save();
+
+            const availability = await court.isAvailableForSlot(
+                new Date('2024-01-15T12:00:00+05:00'),
+                new Date('2024-01-15T13:00:00+05:00')
+            );
+
+            expect(availability.available).toBe(true);
+        });
+
         it('should return unavailable for inactive court', async () => {
             court.status = 'inactive';
             await court.save();
 
-            const startTime = new Date('2024-01-15T10:00:00');
-            const endTime = new Date('2024-01-15T12:00:00');
+            const startTime = new Date('2024-01-15T10:00:00+05:00');
+            const endTime = new Date('2024-01-15T12:00:00+05:00');
 
             const availability = await court.isAvailableForSlot(startTime, endTime);
 
@@ -316,8 +346,9 @@ describe('Court Controller', () => {
                 baseHourlyRate: 800
             };
 
-            await createCourt(mockReq, mockRes, mockNext);
+            await authorizeVenue('courts.manage', { param: 'venue', location: 'body' })(mockReq, mockRes, mockNext);
 
+            expect(mockNext).not.toHaveBeenCalled();
             expect(mockRes.status).toHaveBeenCalledWith(403);
             expect(mockRes.json).toHaveBeenCalledWith(
                 expect.objectContaining({
@@ -469,8 +500,9 @@ describe('Court Controller', () => {
             mockReq.params = { id: court._id.toString() };
             mockReq.body = { name: 'Hacked Name' };
 
-            await updateCourt(mockReq, mockRes, mockNext);
+            await authorizeVenue('courts.manage', { from: 'court' })(mockReq, mockRes, mockNext);
 
+            expect(mockNext).not.toHaveBeenCalled();
             expect(mockRes.status).toHaveBeenCalledWith(403);
         });
     });
@@ -505,8 +537,9 @@ describe('Court Controller', () => {
             mockReq.user = unauthorizedUser;
             mockReq.params = { id: court._id.toString() };
 
-            await deleteCourt(mockReq, mockRes, mockNext);
+            await authorizeVenue('courts.delete', { from: 'court' })(mockReq, mockRes, mockNext);
 
+            expect(mockNext).not.toHaveBeenCalled();
             expect(mockRes.status).toHaveBeenCalledWith(403);
         });
     });
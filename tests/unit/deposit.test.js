@@ -0,0 +1,225 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const SlotLock = require('../../src/models/SlotLock');
+const payments = require('../../src/services/payments');
+const TimezoneUtils = require('../../src/utils/timezone');
+const { createBooking, checkIn } = require('../../src/controllers/bookingController');
+const { createPaymentIntent } = require('../../src/controllers/paymentController');
+
+describe('Deposits', () => {
+    let user, owner, venue, court;
+    let mockReq, mockRes, mockNext;
+
+    // 10:00-12:00 Karachi time, two days from now
+    const slot = () => {
+        const day = TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), 2);
+        return {
+            startTime: TimezoneUtils.toDate(day, '10:00', 'Asia/Karachi').toISOString(),
+            endTime: TimezoneUtils.toDate(day, '12:00', 'Asia/Karachi').toISOString()
+        };
+    };
+
+    const call = async (handler, { body = {}, params = {} } = {}) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.body = body;
+        mockReq.params = params;
+        await handler(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0];
+    };
+
+    const book = () => call(createBooking, { body: { court: court._id.toString(), ...slot() } });
+
+    beforeEach(async () => {
+        user = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'user@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        owner = await User.create({
+            firstName: 'Jane',
+            lastName: 'Owner',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id,
+            settings: {
+                paymentSettings: {
+                    requireDeposit: true,
+                    depositPercentage: 25,
+                    depositHoldMinutes: 30
+                }
+            }
+        });
+
+        court = await Court.create({
+            name: 'Court 1',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id,
+            operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                dayOfWeek: i,
+                openTime: '08:00',
+                closeTime: '20:00'
+            })),
+            bookingSettings: {
+                minBookingDuration: 60,
+                maxBookingDuration: 180,
+                maxConcurrentBookingsPerUser: 5
+            }
+        });
+
+        mockReq = {
+            user,
+            body: {},
+            params: {},
+            query: {},
+            headers: {},
+            ip: '127.0.0.1',
+            get: jest.fn(() => 'test-user-agent')
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('createBooking', () => {
+        it('should schedule a deposit and a balance', async () => {
+            const before = Date.now();
+            const { data } = await book();
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.payment.amount).toBe(2100);
+            expect(data.payment.depositAmount).toBe(525);
+            expect(data.payment.depositDueAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 60 * 1000);
+            expect(data.payment.balanceDueAt.toISOString()).toBe(slot().startTime);
+            expect(data.paymentSchedule.map(i => [i.type, i.amount, i.outstanding])).toEqual([
+                ['deposit', 525, 525],
+                ['balance', 1575, 1575]
+            ]);
+        });
+
+        it('should not schedule a deposit at venues without one', async () => {
+            venue.settings.paymentSettings.requireDeposit = false;
+            await venue.save();
+
+            const { data } = await book();
+
+            expect(data.payment.depositAmount).toBeUndefined();
+            expect(data.paymentSchedule).toBeUndefined();
+        });
+    });
+
+    describe('Paying the deposit', () => {
+        it('should open an intent for just the deposit', async () => {
+            const { data } = await book();
+
+            const intent = await call(createPaymentIntent, {
+                body: { amount: 'deposit' },
+                params: { id: data._id.toString() }
+            });
+            expect(intent.data.amount).toBe(525);
+
+            const booking = await Booking.findById(data._id);
+            await payments.capture(booking);
+            expect(booking.payment.status).toBe('partially-paid');
+            expect(booking.isDepositPaid()).toBe(true);
+            expect(booking.paymentSchedule[1].outstanding).toBe(1575);
+        });
+    });
+
+    describe('Deposit hold', () => {
+        it('should expire bookings whose deposit is overdue and free the slot', async () => {
+            const { data } = await book();
+            await Booking.updateOne({ _id: data._id }, { 'payment.depositDueAt': new Date(Date.now() - 60 * 1000) });
+
+            const results = await Booking.updateBookingStatuses();
+
+            expect(results.expired).toBe(1);
+            expect((await Booking.findById(data._id)).status).toBe('expired');
+            expect(await SlotLock.countDocuments({ booking: data._id })).toBe(0);
+        });
+
+        it('should keep bookings whose deposit was paid', async () => {
+            const { data } = await book();
+            const booking = await Booking.findById(data._id);
+            booking.recordPayment({ provider: 'mock', transactionId: 'ch_1', amount: 525 });
+            booking.payment.depositDueAt = new Date(Date.now() - 60 * 1000);
+            await booking.save();
+
+            await Booking.updateBookingStatuses();
+
+            expect((await Booking.findById(data._id)).status).toBe('confirmed');
+        });
+
+        it('should keep bookings with part of the deposit paid', async () => {
+            const { data } = await book();
+            const booking = await Booking.findById(data._id);
+            booking.recordPayment({ provider: 'mock', transactionId: 'ch_1', amount: 200 });
+            booking.payment.depositDueAt = new Date(Date.now() - 60 * 1000);
+            await booking.save();
+
+            const results = await Booking.updateBookingStatuses();
+
+            expect(results.expired).toBe(0);
+            const updated = await Booking.findById(data._id);
+            expect(updated.status).toBe('confirmed');
+            expect(updated.getRefundableAmount()).toBe(200);
+        });
+    });
+
+    describe('checkIn', () => {
+        it('should report the balance still due', async () => {
+            const startTime = new Date(Date.now() + 10 * 60 * 1000);
+            const booking = await Booking.create({
+                user: user._id,
+                court: court._id,
+                venue: venue._id,
+                startTime,
+                endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+                status: 'confirmed',
+                pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1000 },
+                payment: { amount: 1000, currency: 'PKR', status: 'pending' }
+            });
+            booking.scheduleDeposit(25, 30);
+            booking.recordPayment({ provider: 'mock', transactionId: 'ch_1', amount: 250 });
+            await booking.save();
+
+            const result = await call(checkIn, { params: { id: booking._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(result.outstandingAmount).toBe(750);
+            expect(result.message).toBe('Checked in successfully. A balance of 750 PKR is due');
+        });
+    });
+});
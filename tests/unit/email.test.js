@@ -0,0 +1,259 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Template = require('../../src/utils/template');
+const EmailTemplates = require('../../src/utils/emailTemplates');
+const EmailService = require('../../src/utils/email');
+const TimezoneUtils = require('../../src/utils/timezone');
+const {
+    createBooking,
+    approveBooking,
+    rejectBooking,
+    cancelBooking,
+    checkIn
+} = require('../../src/controllers/bookingController');
+
+describe('Transactional emails', () => {
+    describe('Template', () => {
+        it('should escape values, repeat sections for lists and render partials', () => {
+            const html = Template.render(
+                '<p>{{name}} {{{raw}}}</p>{{#items}}<i>{{.}}</i>{{/items}}{{^empty}}none{{/empty}}{{> footer}}',
+                { name: '<b>Ann</b>', raw: '<br>', items: ['a', 'b'], empty: [], team: 'Team' },
+                { partials: { footer: ' - {{team}}' } }
+            );
+
+            expect(html).toBe('<p>&lt;b&gt;Ann&lt;/b&gt; <br></p><i>a</i><i>b</i>none - Team');
+        });
+
+        it('should drop lines holding only a section tag', () => {
+            const text = Template.render('A\n{{#show}}\nB\n{{/show}}\n{{^show}}\nC\n{{/show}}\nD\n', { show: true }, { escape: String });
+
+            expect(text).toBe('A\nB\nD\n');
+        });
+
+        it('should reject unbalanced sections', () => {
+            expect(() => Template.render('{{#a}}x', {})).toThrow('Unclosed section "a"');
+        });
+    });
+
+    describe('EmailTemplates', () => {
+        it('should fall back to the closest supported locale', () => {
+            expect(EmailTemplates.resolveLocale('ur-PK')).toBe('ur');
+            expect(EmailTemplates.resolveLocale('fr')).toBe('en');
+            expect(EmailTemplates.resolveLocale(undefined)).toBe('en');
+        });
+
+        it('should brand emails with the venue and render a plain-text alternative', () => {
+            const brand = EmailTemplates.getBrand(new Venue({
+                name: 'Test Sports Complex',
+                contact: { email: 'venue@example.com' },
+                branding: { primaryColor: '#ff5500', emailSignature: 'Open daily 8am to 10pm' }
+            }));
+
+            const message = EmailTemplates.render('welcome', {
+                brand,
+                data: { recipient: { name: 'Ann' }, action: { url: 'https://example.com/verify' } }
+            });
+
+            expect(brand.replyTo).toBe('venue@example.com');
+            expect(message.html).toContain('background-color: #ff5500');
+            expect(message.text).toContain('Welcome to Test Sports Complex!');
+            expect(message.text).toContain('Open daily 8am to 10pm');
+            expect(message.text).not.toContain('<');
+        });
+    });
+
+    describe('Booking emails', () => {
+        let user, owner, venue, court;
+        let mockReq, mockRes, mockNext;
+
+        // 10:00-12:00 Karachi time, two days from now
+        const slot = () => {
+            const day = TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), 2);
+            return {
+                startTime: TimezoneUtils.toDate(day, '10:00', 'Asia/Karachi').toISOString(),
+                endTime: TimezoneUtils.toDate(day, '12:00', 'Asia/Karachi').toISOString()
+            };
+        };
+
+        const call = async (handler, { body = {}, params = {}, asUser = user } = {}) => {
+            mockRes.status.mockClear();
+            mockRes.json.mockClear();
+            mockReq.user = asUser;
+            mockReq.body = body;
+            mockReq.params = params;
+            await handler(mockReq, mockRes, mockNext);
+            return mockRes.json.mock.calls[0][0];
+        };
+
+        const sent = (template) => EmailService.outbox.filter(message => message.template === template);
+
+        beforeEach(async () => {
+            EmailService.clearOutbox();
+
+            user = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'user@example.com',
+                password: 'Password123!',
+                role: 'user'
+            });
+
+            owner = await User.create({
+                firstName: 'Jane',
+                lastName: 'Owner',
+                email: 'owner@example.com',
+                password: 'Password123!',
+                role: 'owner'
+            });
+
+            venue = await Venue.create({
+                name: 'Test Sports Complex',
+                address: {
+                    street: '123 Main St',
+                    city: 'Karachi',
+                    state: 'Sindh',
+                    country: 'Pakistan'
+                },
+                location: {
+                    type: 'Point',
+                    coordinates: [67.0011, 24.8607]
+                },
+                contact: {
+                    primaryPhone: '+923001234567',
+                    email: 'venue@example.com'
+                },
+                amenities: {
+                    totalCourts: 5
+                },
+                owner: owner._id,
+                branding: {
+                    replyTo: 'bookings@example.com'
+                }
+            });
+
+            court = await Court.create({
+                name: 'Court 1',
+                venue: venue._id,
+                sportType: 'tennis',
+                courtType: 'outdoor',
+                baseHourlyRate: 1000,
+                owner: owner._id,
+                operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                    dayOfWeek: i,
+                    openTime: '08:00',
+                    closeTime: '20:00'
+                }))
+            });
+
+            mockReq = {
+                user,
+                body: {},
+                params: {},
+                query: {},
+                headers: {},
+                ip: '127.0.0.1',
+                get: jest.fn(() => 'test-user-agent')
+            };
+            mockRes = {
+                status: jest.fn().mockReturnThis(),
+                json: jest.fn()
+            };
+            mockNext = jest.fn();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should confirm a new booking by email', async () => {
+            const { data } = await call(createBooking, { body: { court: court._id.toString(), ...slot() } });
+
+            const [message] = sent('booking-created');
+            expect(message.to).toBe('user@example.com');
+            expect(message.replyTo).toBe('bookings@example.com');
+            expect(message.subject).toMatch(/^Booking confirmed: Court 1 on /);
+            expect(message.text).toContain(`Booking: ${data.bookingNumber}`);
+            expect(message.text).toMatch(/Time: 10:00\sAM - 12:00\sPM/);
+            expect(message.html).toContain('Your Booking Is Confirmed');
+        });
+
+        it('should email the request, then the approval, for bookings the venue approves', async () => {
+            court.bookingSettings.requiresApproval = true;
+            await court.save();
+
+            const { data } = await call(createBooking, { body: { court: court._id.toString(), ...slot() } });
+            expect(sent('booking-created')[0].subject).toMatch(/^Booking request received/);
+
+            await call(approveBooking, { params: { id: data._id.toString() }, asUser: owner });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(sent('booking-approved')).toHaveLength(1);
+            expect(sent('booking-approved')[0].to).toBe('user@example.com');
+        });
+
+        it('should tell the user why a booking was rejected', async () => {
+            court.bookingSettings.requiresApproval = true;
+            await court.save();
+            const { data } = await call(createBooking, { body: { court: court._id.toString(), ...slot() } });
+
+            await call(rejectBooking, { body: { reason: 'Court closed for a tournament' }, params: { id: data._id.toString() }, asUser: owner });
+
+            expect(sent('booking-rejected')[0].text).toContain('Reason: Court closed for a tournament');
+        });
+
+        it('should send cancellations in the user\'s language', async () => {
+            await User.updateOne({ _id: user._id }, { language: 'ur' });
+            const { data } = await call(createBooking, { body: { court: court._id.toString(), ...slot() } });
+
+            await call(cancelBooking, { body: { reason: 'Rain' }, params: { id: data._id.toString() }, asUser: owner });
+
+            const [message] = sent('booking-cancelled');
+            expect(message.locale).toBe('ur');
+            expect(message.html).toContain('dir="rtl"');
+            expect(message.text).toContain('Test Sports Complex نے آپ کی بکنگ منسوخ کر دی ہے');
+            expect(message.text).toContain('اس منسوخی پر کوئی رقم واپس نہیں ہو گی');
+        });
+
+        it('should send a receipt with the balance due on check-in', async () => {
+            const startTime = new Date(Date.now() + 10 * 60 * 1000);
+            const booking = await Booking.create({
+                user: user._id,
+                court: court._id,
+                venue: venue._id,
+                startTime,
+                endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+                pricing: {
+                    basePrice: 1000,
+                    subtotal: 1000,
+                    taxes: [{ name: 'GST', rate: 17, amount: 170 }],
+                    tax: 170,
+                    totalAmount: 1170,
+                    currency: 'PKR'
+                },
+                payment: {
+                    amount: 1170,
+                    currency: 'PKR',
+                    status: 'pending'
+                },
+                status: 'confirmed'
+            });
+
+            await call(checkIn, { params: { id: booking._id.toString() } });
+
+            const [message] = sent('check-in-receipt');
+            expect(message.text).toContain('GST 17%: PKR 170.00');
+            expect(message.text).toContain('Balance due: PKR 1170.00');
+        });
+
+        it('should not fail the request when an email cannot be sent', async () => {
+            jest.spyOn(EmailService, 'sendEmail').mockRejectedValueOnce(new Error('Email could not be sent'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await call(createBooking, { body: { court: court._id.toString(), ...slot() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+        });
+    });
+});
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Equipment = require('../../src/models/Equipment');
+const TimezoneUtils = require('../../src/utils/timezone');
+const { deleteEquipment } = require('../../src/controllers/equipmentController');
+const { createBooking, cancelBooking } = require('../../src/controllers/bookingController');
+const { authorizeVenue } = require('../../src/middleware/auth');
+
+describe('Equipment rental', () => {
+    let user, owner, otherOwner, venue, court, otherCourt, racquets;
+    let mockReq, mockRes, mockNext;
+
+    const HOUR = 60 * 60 * 1000;
+
+    // 10:00-12:00 Karachi time, two days from now
+    const slot = (hour = '10:00', endHour = '12:00') => {
+        const day = TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), 2);
+        return {
+            startTime: TimezoneUtils.toDate(day, hour, 'Asia/Karachi').toISOString(),
+            endTime: TimezoneUtils.toDate(day, endHour, 'Asia/Karachi').toISOString()
+        };
+    };
+
+    const createCourt = (name) => Court.create({
+        name,
+        venue: venue._id,
+        sportType: 'tennis',
+        courtType: 'outdoor',
+        baseHourlyRate: 1000,
+        owner: owner._id,
+        operatingHours: Array.from({ length: 7 }, (_, i) => ({
+            dayOfWeek: i,
+            openTime: '08:00',
+            closeTime: '20:00'
+        })),
+        bookingSettings: {
+            minBookingDuration: 60,
+            maxBookingDuration: 180,
+            maxConcurrentBookingsPerUser: 5
+        }
+    });
+
+    const book = async (courtDoc, equipment, times = slot()) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.user = user;
+        mockReq.body = { court: courtDoc._id.toString(), ...times, equipment };
+        await createBooking(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0];
+    };
+
+    beforeEach(async () => {
+        user = await User.create({
+            firstName: 'Regular',
+            lastName: 'User',
+            email: 'user@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        owner = await User.create({
+            firstName: 'Owner',
+            lastName: 'User',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        otherOwner = await User.create({
+            firstName: 'Other',
+            lastName: 'Owner',
+            email: 'other@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await createCourt('Court 1');
+        otherCourt = await createCourt('Court 2');
+
+        racquets = await Equipment.create({
+            venue: venue._id,
+            name: 'Tennis racquet',
+            category: 'racquet',
+            sportTypes: ['tennis'],
+            totalStock: 2,
+            pricing: { type: 'hourly', amount: 100 }
+        });
+
+        mockReq = {
+            body: {},
+            params: {},
+            query: {},
+            user: null,
+            ip: '127.0.0.1',
+            get: jest.fn(() => 'test-user-agent')
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Availability', () => {
+        it('should count the peak of overlapping reservations', () => {
+            const start = new Date('2030-01-01T10:00:00Z');
+            const at = (hours) => new Date(start.getTime() + hours * HOUR);
+            const equipment = new Equipment({
+                totalStock: 5,
+                reservations: [
+                    { booking: new mongoose.Types.ObjectId(), quantity: 2, startTime: at(0), endTime: at(2) },
+                    { booking: new mongoose.Types.ObjectId(), quantity: 2, startTime: at(1), endTime: at(3) },
+                    { booking: new mongoose.Types.ObjectId(), quantity: 3, startTime: at(3), endTime: at(4) }
+                ]
+            });
+
+            expect(equipment.getAvailableQuantity(at(0), at(5))).toBe(1);
+            expect(equipment.getAvailableQuantity(at(2), at(3))).toBe(3);
+            // Back-to-back reservations do not overlap
+            expect(equipment.getAvailableQuantity(at(3), at(4))).toBe(2);
+        });
+
+        it('should price hourly and flat rentals', () => {
+            expect(racquets.calculatePrice(2, 90)).toBe(300);
+
+            racquets.pricing.type = 'flat';
+            expect(racquets.calculatePrice(2, 90)).toBe(200);
+        });
+    });
+
+    describe('Booking with equipment', () => {
+        it('should add the rental to the booking price and reserve the stock', async () => {
+            const response = await book(court, [{ equipment: racquets._id.toString(), quantity: 2 }]);
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            const { pricing, equipmentRental } = response.data;
+            expect(equipmentRental).toHaveLength(1);
+            expect(equipmentRental[0].price).toBe(400);
+            expect(pricing.equipmentCost).toBe(400);
+            expect(pricing.subtotal).toBe(pricing.basePrice + 400);
+
+            const { startTime, endTime } = slot();
+            expect((await Equipment.findById(racquets._id)).getAvailableQuantity(startTime, endTime)).toBe(0);
+        });
+
+        it('should refuse the booking and free the slot when stock runs out', async () => {
+            await book(court, [{ equipment: racquets._id.toString(), quantity: 2 }]);
+            await book(otherCourt, [{ equipment: racquets._id.toString(), quantity: 1 }]);
+
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+            expect(await Booking.countDocuments({ court: otherCourt._id })).toBe(0);
+
+            // The court itself is still free
+            await book(otherCourt, []);
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+        });
+
+        it('should allow renting again after the slot ends', async () => {
+            await book(court, [{ equipment: racquets._id.toString(), quantity: 2 }]);
+            await book(otherCourt, [{ equipment: racquets._id.toString(), quantity: 2 }], slot('12:00', '13:00'));
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+        });
+
+        it('should return the stock when the booking is cancelled', async () => {
+            const { data } = await book(court, [{ equipment: racquets._id.toString(), quantity: 2 }]);
+
+            mockReq.params = { id: data._id.toString() };
+            mockReq.body = { reason: 'Change of plans' };
+            await cancelBooking(mockReq, mockRes, mockNext);
+
+            const { startTime, endTime } = slot();
+            expect((await Equipment.findById(racquets._id)).getAvailableQuantity(startTime, endTime)).toBe(2);
+        });
+
+        it('should refuse equipment from another venue', async () => {
+            const elsewhere = await Equipment.create({
+                venue: new mongoose.Types.ObjectId(),
+                name: 'Ball can',
+                category: 'ball',
+                totalStock: 10,
+                pricing: { amount: 50 }
+            });
+
+            await book(court, [{ equipment: elsewhere._id.toString(), quantity: 1 }]);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('Inventory management', () => {
+        it('should only let the venue staff add equipment', async () => {
+            mockReq.user = otherOwner;
+            mockReq.body = {
+                venue: venue._id.toString(),
+                name: 'Squash ball',
+                category: 'ball',
+                totalStock: 20,
+                pricing: { amount: 30 }
+            };
+            await authorizeVenue('inventory.manage', { param: 'venue', location: 'body' })(mockReq, mockRes, mockNext);
+
+            expect(mockNext).not.toHaveBeenCalled();
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should deactivate equipment that upcoming bookings have reserved', async () => {
+            await book(court, [{ equipment: racquets._id.toString(), quantity: 1 }]);
+
+            mockReq.user = owner;
+            mockReq.params = { id: racquets._id.toString() };
+            await deleteEquipment(mockReq, mockRes, mockNext);
+
+            const updated = await Equipment.findById(racquets._id);
+            expect(updated).not.toBeNull();
+            expect(updated.isActive).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const SlotLock = require('../../src/models/SlotLock');
+const TimezoneUtils = require('../../src/utils/timezone');
+const { createBooking, holdBooking } = require('../../src/controllers/bookingController');
+const { createPaymentIntent, capturePayment } = require('../../src/controllers/paymentController');
+
+describe('Checkout holds', () => {
+    let user, other, owner, venue, court;
+    let mockReq, mockRes, mockNext;
+
+    // 10:00-12:00 Karachi time, two days from now
+    const day = () => TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), 2);
+    const slot = () => ({
+        startTime: TimezoneUtils.toDate(day(), '10:00', 'Asia/Karachi').toISOString(),
+        endTime: TimezoneUtils.toDate(day(), '12:00', 'Asia/Karachi').toISOString()
+    });
+
+    const createUser = (email, role = 'user') => User.create({
+        firstName: 'Test',
+        lastName: 'User',
+        email,
+        password: 'Password123!',
+        role
+    });
+
+    const call = async (handler, { as = user, body = {}, params = {} } = {}) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.user = as;
+        mockReq.body = body;
+        mockReq.params = params;
+        await handler(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0];
+    };
+
+    const hold = (as = user) => call(holdBooking, { as, body: { court: court._id.toString(), ...slot() } });
+
+    const lapse = (bookingId) => Booking.updateOne(
+        { _id: bookingId },
+        { tentativeExpiryTime: new Date(Date.now() - 60 * 1000) }
+    );
+
+    beforeEach(async () => {
+        user = await createUser('user@example.com');
+        other = await createUser('other@example.com');
+        owner = await createUser('owner@example.com', 'owner');
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Court 1',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id,
+            operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                dayOfWeek: i,
+                openTime: '08:00',
+                closeTime: '20:00'
+            })),
+            bookingSettings: {
+                minBookingDuration: 60,
+                maxBookingDuration: 180,
+                maxConcurrentBookingsPerUser: 5
+            }
+        });
+
+        mockReq = {
+            body: {},
+            params: {},
+            query: {},
+            headers: {},
+            user: null,
+            ip: '127.0.0.1',
+            get: jest.fn(() => 'test-user-agent')
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Holding a slot', () => {
+        it('should create a tentative booking that blocks the slot', async () => {
+            const before = Date.now();
+            const { data } = await hold();
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.status).toBe('pending-confirmation');
+            expect(data.isTentative).toBe(true);
+            expect(data.tentativeExpiryTime.getTime()).toBeGreaterThanOrEqual(before + 10 * 60 * 1000);
+
+            const { startTime, endTime } = slot();
+            expect(await Booking.checkConflicts(court._id, startTime, endTime)).toHaveLength(1);
+
+            await call(createBooking, { as: other, body: { court: court._id.toString(), ...slot() } });
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+        });
+
+        it('should show held slots as unavailable until the hold runs out', async () => {
+            const { data } = await hold();
+            const isFree = async () => {
+                const slots = await Booking.findAvailableSlots(court._id, day(), 60);
+                return slots.find(s => s.startTime.toISOString() === slot().startTime).available;
+            };
+
+            expect(await isFree()).toBe(false);
+
+            await lapse(data._id);
+            expect(await isFree()).toBe(true);
+        });
+
+        it('should let someone else book a slot whose hold ran out', async () => {
+            const { data } = await hold();
+            await lapse(data._id);
+
+            await call(createBooking, { as: other, body: { court: court._id.toString(), ...slot() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect((await Booking.findById(data._id)).status).toBe('expired');
+        });
+    });
+
+    describe('Paying for a hold', () => {
+        it('should confirm the booking once paid', async () => {
+            const { data } = await hold();
+            const params = { id: data._id.toString() };
+
+            await call(createPaymentIntent, { params });
+            await call(capturePayment, { params });
+
+            const booking = await Booking.findById(data._id);
+            expect(booking.status).toBe('confirmed');
+            expect(booking.isTentative).toBe(false);
+            expect(booking.tentativeExpiryTime).toBeUndefined();
+        });
+
+        it('should refuse payment once the hold has run out', async () => {
+            const { data } = await hold();
+            const params = { id: data._id.toString() };
+            await call(createPaymentIntent, { params });
+            await lapse(data._id);
+
+            await call(capturePayment, { params });
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('Expiry', () => {
+        it('should expire unpaid holds and free the slot', async () => {
+            const { data } = await hold();
+            await lapse(data._id);
+
+            const results = await Booking.updateBookingStatuses();
+
+            expect(results.expired).toBe(1);
+            expect(await SlotLock.countDocuments({ booking: data._id })).toBe(0);
+        });
+    });
+});
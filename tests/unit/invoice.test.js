@@ -0,0 +1,329 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Invoice = require('../../src/models/Invoice');
+const { getBookingInvoices, getInvoice, getVenueInvoices } = require('../../src/controllers/invoiceController');
+const { authorizeVenue } = require('../../src/middleware/auth');
+
+describe('Invoices', () => {
+    let user, owner, otherOwner, venue, otherVenue, court, otherCourt;
+    let mockReq, mockRes, mockNext;
+
+    const createVenue = (name, venueOwner) => Venue.create({
+        name,
+        address: {
+            street: '123 Main St',
+            city: 'Karachi',
+            state: 'Sindh',
+            country: 'Pakistan'
+        },
+        location: {
+            type: 'Point',
+            coordinates: [67.0011, 24.8607]
+        },
+        contact: {
+            primaryPhone: '+923001234567',
+            email: 'venue@example.com'
+        },
+        amenities: {
+            totalCourts: 5
+        },
+        owner: venueOwner._id
+    });
+
+    const createCourt = (courtVenue, courtOwner) => Court.create({
+        name: 'Court 1',
+        venue: courtVenue._id,
+        sportType: 'tennis',
+        courtType: 'outdoor',
+        baseHourlyRate: 1000,
+        owner: courtOwner._id
+    });
+
+    const createBooking = (bookingCourt, overrides = {}) => {
+        const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+        return Booking.create({
+            user: user._id,
+            court: bookingCourt._id,
+            venue: bookingCourt.venue,
+            startTime,
+            endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+            pricing: {
+                basePrice: 1000,
+                discounts: [{ type: 'coupon', name: 'SAVE10', amount: 100 }],
+                totalDiscount: 100,
+                subtotal: 900,
+                tax: 45,
+                totalAmount: 945,
+                currency: 'PKR'
+            },
+            payment: {
+                amount: 945,
+                currency: 'PKR',
+                status: 'pending'
+            },
+            status: 'confirmed',
+            ...overrides
+        });
+    };
+
+    const pay = async (booking) => {
+        booking.recordPayment({ provider: 'mock', transactionId: 'txn_1', method: 'card' });
+        await booking.save();
+    };
+
+    const call = async (handler, { params = {}, query = {}, asUser = user } = {}) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockRes.send.mockClear();
+        mockReq.user = asUser;
+        mockReq.params = params;
+        mockReq.query = query;
+        await handler(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0] && mockRes.json.mock.calls[0][0];
+    };
+
+    beforeEach(async () => {
+        user = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'user@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        owner = await User.create({
+            firstName: 'Jane',
+            lastName: 'Owner',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        otherOwner = await User.create({
+            firstName: 'Omar',
+            lastName: 'Owner',
+            email: 'other@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await createVenue('Test Sports Complex', owner);
+        otherVenue = await createVenue('Other Sports Complex', otherOwner);
+        court = await createCourt(venue, owner);
+        otherCourt = await createCourt(otherVenue, otherOwner);
+
+        mockReq = {
+            user,
+            body: {},
+            params: {},
+            query: {}
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            send: jest.fn(),
+            set: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Issuing', () => {
+        it('should invoice a confirmed booking from its pricing', async () => {
+            const booking = await createBooking(court);
+
+            const invoice = await Invoice.findOne({ booking: booking._id });
+
+            expect(invoice.number).toBe('INV-000001');
+            expect(invoice.venue.toString()).toBe(venue._id.toString());
+            expect(invoice.seller.name).toBe('Test Sports Complex');
+            expect(invoice.customer.name).toBe('John Doe');
+            expect(invoice.lines).toHaveLength(1);
+            expect(invoice.lines[0].amount).toBe(1000);
+            expect(invoice.discounts[0]).toMatchObject({ name: 'SAVE10', amount: 100 });
+            expect(invoice.subtotal).toBe(900);
+            expect(invoice.tax).toBe(45);
+            expect(invoice.total).toBe(945);
+        });
+
+        it('should number invoices sequentially per venue', async () => {
+            await createBooking(court);
+            await createBooking(court, { startTime: new Date(Date.now() + 72 * 60 * 60 * 1000), endTime: new Date(Date.now() + 73 * 60 * 60 * 1000) });
+            await createBooking(otherCourt);
+
+            const invoices = await Invoice.find({ venue: venue._id }).sort('sequence');
+            const otherInvoices = await Invoice.find({ venue: otherVenue._id });
+
+            expect(invoices.map(i => i.number)).toEqual(['INV-000001', 'INV-000002']);
+            expect(otherInvoices.map(i => i.number)).toEqual(['INV-000001']);
+        });
+
+        it('should not invoice unpaid bookings awaiting approval or free bookings', async () => {
+            await createBooking(court, { status: 'pending-confirmation' });
+            await createBooking(otherCourt, {
+                pricing: { basePrice: 0, subtotal: 0, totalAmount: 0 },
+                payment: { amount: 0, status: 'pending' }
+            });
+
+            expect(await Invoice.countDocuments()).toBe(0);
+        });
+
+        it('should invoice a booking awaiting approval once money is taken', async () => {
+            const booking = await createBooking(court, { status: 'pending-confirmation' });
+
+            await pay(booking);
+
+            expect(await Invoice.countDocuments({ booking: booking._id, type: 'invoice' })).toBe(1);
+        });
+
+        it('should issue one credit note per refund with tax credited proportionally', async () => {
+            const booking = await createBooking(court);
+            await pay(booking);
+
+            booking.recordRefund({ refundId: 're_1', transactionId: 'txn_1', amount: 472.5, reason: 'Rain' });
+            await booking.save();
+            booking.recordRefund({ refundId: 're_2', transactionId: 'txn_1', amount: 472.5, reason: 'Rain' });
+            await booking.save();
+
+            const notes = await Invoice.find({ booking: booking._id, type: 'credit-note' }).sort('sequence');
+            const invoice = await Invoice.findOne({ booking: booking._id, type: 'invoice' });
+
+            expect(notes.map(n => n.number)).toEqual(['CN-000001', 'CN-000002']);
+            expect(notes[0].invoice.toString()).toBe(invoice._id.toString());
+            expect(notes[0].refundId).toBe('re_1');
+            expect(notes[0].total).toBe(472.5);
+            expect(notes[0].tax).toBe(22.5);
+            expect(notes[0].subtotal).toBe(450);
+            expect(await Invoice.countDocuments({ type: 'invoice' })).toBe(1);
+        });
+
+        it('should not allow issued invoices to change', async () => {
+            const booking = await createBooking(court);
+            const invoice = await Invoice.findOne({ booking: booking._id });
+
+            invoice.total = 1;
+            await expect(invoice.save()).rejects.toThrow('Issued invoices cannot be modified');
+            await expect(Invoice.deleteOne({ _id: invoice._id })).rejects.toThrow('Issued invoices cannot be modified');
+        });
+    });
+
+    describe('getBookingInvoices', () => {
+        it('should return the invoice and credit notes to the booking owner', async () => {
+            const booking = await createBooking(court);
+            await pay(booking);
+            booking.recordRefund({ refundId: 're_1', transactionId: 'txn_1', amount: 100, reason: 'Goodwill' });
+            await booking.save();
+
+            const result = await call(getBookingInvoices, { params: { id: booking._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(result.data.map(i => i.type)).toEqual(['invoice', 'credit-note']);
+        });
+
+        it('should issue missing documents for bookings billed before invoicing', async () => {
+            const booking = await createBooking(court);
+            await Invoice.collection.deleteMany({});
+
+            const result = await call(getBookingInvoices, { params: { id: booking._id.toString() } });
+
+            expect(result.data).toHaveLength(1);
+            expect(result.data[0].number).toBe('INV-000001');
+        });
+
+        it('should reject other users', async () => {
+            const booking = await createBooking(court);
+
+            await call(getBookingInvoices, { params: { id: booking._id.toString() }, asUser: otherOwner });
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('getInvoice', () => {
+        it('should title a fully paid invoice as a receipt', async () => {
+            const booking = await createBooking(court);
+            await pay(booking);
+            const invoice = await Invoice.findOne({ booking: booking._id });
+
+            const result = await call(getInvoice, { params: { id: invoice._id.toString() } });
+
+            expect(result.data.title).toBe('Receipt');
+            expect(result.data.payment).toMatchObject({ paid: 945, outstanding: 0 });
+        });
+
+        it('should render HTML', async () => {
+            const booking = await createBooking(court);
+            const invoice = await Invoice.findOne({ booking: booking._id });
+
+            await call(getInvoice, { params: { id: invoice._id.toString() }, query: { format: 'html' } });
+
+            expect(mockRes.set).toHaveBeenCalledWith('Content-Type', 'text/html; charset=utf-8');
+            const html = mockRes.send.mock.calls[0][0];
+            expect(html).toContain('Invoice INV-000001');
+            expect(html).toContain('945.00 PKR');
+        });
+
+        it('should render a PDF download', async () => {
+            const booking = await createBooking(court);
+            const invoice = await Invoice.findOne({ booking: booking._id });
+
+            await call(getInvoice, { params: { id: invoice._id.toString() }, query: { format: 'pdf' }, asUser: owner });
+
+            expect(mockRes.set).toHaveBeenCalledWith('Content-Type', 'application/pdf');
+            expect(mockRes.set).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="INV-000001.pdf"');
+            const pdf = mockRes.send.mock.calls[0][0];
+            expect(Buffer.isBuffer(pdf)).toBe(true);
+            expect(pdf.toString('latin1')).toMatch(/^%PDF-1\.4/);
+            expect(pdf.toString('latin1')).toContain('(Invoice INV-000001) Tj');
+        });
+
+        it('should reject other venue owners', async () => {
+            const booking = await createBooking(court);
+            const invoice = await Invoice.findOne({ booking: booking._id });
+
+            await call(getInvoice, { params: { id: invoice._id.toString() }, asUser: otherOwner });
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('getVenueInvoices', () => {
+        it('should list invoices in the date range with totals', async () => {
+            const booking = await createBooking(court);
+            await pay(booking);
+            booking.recordRefund({ refundId: 're_1', transactionId: 'txn_1', amount: 100, reason: 'Goodwill' });
+            await booking.save();
+            await createBooking(otherCourt);
+
+            const today = new Date().toISOString().slice(0, 10);
+            const result = await call(getVenueInvoices, {
+                params: { venueId: venue._id.toString() },
+                query: { from: today, to: today },
+                asUser: owner
+            });
+
+            expect(result.total).toBe(2);
+            expect(result.summary.PKR).toMatchObject({ invoiced: 945, credited: 100, net: 845 });
+        });
+
+        it('should exclude invoices outside the date range', async () => {
+            await createBooking(court);
+
+            const result = await call(getVenueInvoices, {
+                params: { venueId: venue._id.toString() },
+                query: { from: '2020-01-01', to: '2020-12-31' },
+                asUser: owner
+            });
+
+            expect(result.total).toBe(0);
+        });
+
+        it('should reject owners of other venues', async () => {
+            await call(authorizeVenue('billing.view', { param: 'venueId' }), { params: { venueId: venue._id.toString() }, asUser: otherOwner });
+
+            expect(mockNext).not.toHaveBeenCalled();
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+    });
+});
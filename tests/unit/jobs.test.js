@@ -0,0 +1,329 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const JobLock = require('../../src/models/JobLock');
+const JobRun = require('../../src/models/JobRun');
+const scheduler = require('../../src/jobs');
+const { runJob, getJobRuns } = require('../../src/controllers/jobController');
+const { checkIn } = require('../../src/controllers/bookingController');
+const { authenticateCron } = require('../../src/middleware/auth');
+
+describe('Booking Status Job', () => {
+    let user, venue, court;
+
+    const createBooking = (overrides) => Booking.create({
+        user: user._id,
+        court: court._id,
+        venue: venue._id,
+        pricing: { basePrice: 2000, subtotal: 2000, totalAmount: 2100 },
+        payment: { amount: 2100, currency: 'PKR', status: 'pending' },
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        user = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'user@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: user._id
+        });
+
+        court = await Court.create({
+            name: 'Test Court',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: user._id
+        });
+    });
+
+    describe('updateBookingStatuses', () => {
+        it('should return counts for each transition', async () => {
+            const now = Date.now();
+
+            await createBooking({
+                startTime: new Date(now + 60 * 60 * 1000),
+                endTime: new Date(now + 2 * 60 * 60 * 1000),
+                isTentative: true,
+                tentativeExpiryTime: new Date(now - 60 * 1000)
+            });
+
+            await createBooking({
+                startTime: new Date(now - 10 * 60 * 1000),
+                endTime: new Date(now + 50 * 60 * 1000),
+                status: 'confirmed',
+                checkIn: { time: new Date(now - 15 * 60 * 1000) }
+            });
+
+            await createBooking({
+                startTime: new Date(now - 3 * 60 * 60 * 1000),
+                endTime: new Date(now - 2 * 60 * 60 * 1000),
+                status: 'in-progress'
+            });
+
+            const results = await Booking.updateBookingStatuses();
+
+            expect(results).toEqual({
+                expired: 1,
+                inProgress: 1,
+                completed: 1,
+                noShow: 0
+            });
+        });
+
+        it('should move bookings in progress and complete them at venues without check-in', async () => {
+            const now = Date.now();
+            const booking = await createBooking({
+                startTime: new Date(now - 40 * 60 * 1000),
+                endTime: new Date(now + 20 * 60 * 1000),
+                status: 'confirmed'
+            });
+
+            let results = await Booking.updateBookingStatuses();
+
+            expect(results.inProgress).toBe(1);
+            expect(results.noShow).toBe(0);
+            expect((await Booking.findById(booking._id)).status).toBe('in-progress');
+
+            // Later runs see the booking over
+            await Booking.updateOne(
+                { _id: booking._id },
+                { startTime: new Date(now - 90 * 60 * 1000), endTime: new Date(now - 30 * 60 * 1000) }
+            );
+
+            results = await Booking.updateBookingStatuses();
+
+            expect(results.completed).toBe(1);
+            expect((await Booking.findById(booking._id)).status).toBe('completed');
+        });
+
+        describe('at venues tracking no-shows', () => {
+            beforeEach(async () => {
+                await Venue.updateOne({ _id: venue._id }, { 'settings.trackNoShows': true });
+            });
+
+            it('should keep late arrivals checkable until 30 minutes after start, then mark them no-show', async () => {
+                const now = Date.now();
+                const booking = await createBooking({
+                    startTime: new Date(now - 10 * 60 * 1000),
+                    endTime: new Date(now + 50 * 60 * 1000),
+                    status: 'confirmed'
+                });
+
+                let results = await Booking.updateBookingStatuses();
+
+                expect(results.inProgress).toBe(0);
+                expect(results.noShow).toBe(0);
+                expect((await Booking.findById(booking._id)).status).toBe('confirmed');
+
+                // Later runs see the booking 31 minutes past its start
+                await Booking.updateOne(
+                    { _id: booking._id },
+                    { startTime: new Date(now - 31 * 60 * 1000), endTime: new Date(now + 29 * 60 * 1000) }
+                );
+
+                results = await Booking.updateBookingStatuses();
+
+                expect(results.noShow).toBe(1);
+                const updated = await Booking.findById(booking._id);
+                expect(updated.status).toBe('no-show');
+                expect(updated.isNoShow).toBe(true);
+            });
+
+            it('should let a late arrival check in before the no-show threshold', async () => {
+                const now = Date.now();
+                const booking = await createBooking({
+                    startTime: new Date(now - 20 * 60 * 1000),
+                    endTime: new Date(now + 40 * 60 * 1000),
+                    status: 'confirmed'
+                });
+
+                await Booking.updateBookingStatuses();
+
+                const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+                await checkIn({ user, params: { id: booking._id.toString() } }, res, jest.fn());
+
+                expect(res.status).toHaveBeenCalledWith(200);
+                expect((await Booking.findById(booking._id)).status).toBe('in-progress');
+            });
+        });
+    });
+
+    describe('JobScheduler', () => {
+        it('should record a completed run with the handler counts', async () => {
+            await createBooking({
+                startTime: new Date(Date.now() + 60 * 60 * 1000),
+                endTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+                isTentative: true,
+                tentativeExpiryTime: new Date(Date.now() - 60 * 1000)
+            });
+
+            const run = await scheduler.run('booking-status-update');
+
+            expect(run.status).toBe('completed');
+            expect(run.results.expired).toBe(1);
+            expect(run.finishedAt).toBeDefined();
+
+            const stored = await JobRun.findById(run._id);
+            expect(stored.status).toBe('completed');
+        });
+
+        it('should release the lock after running', async () => {
+            await scheduler.run('booking-status-update');
+
+            const lock = await JobLock.findById('booking-status-update');
+            expect(lock.lockedUntil.getTime()).toBeLessThanOrEqual(Date.now());
+        });
+
+        it('should skip the run while another runner holds the lock', async () => {
+            await JobLock.acquire('booking-status-update', 'other-runner', 60 * 1000);
+
+            const run = await scheduler.run('booking-status-update');
+
+            expect(run).toBeNull();
+            expect(await JobRun.countDocuments()).toBe(0);
+        });
+
+        it('should take over an expired lock', async () => {
+            await JobLock.create({
+                _id: 'booking-status-update',
+                lockedBy: 'crashed-runner',
+                lockedUntil: new Date(Date.now() - 1000)
+            });
+
+            const run = await scheduler.run('booking-status-update');
+
+            expect(run).not.toBeNull();
+        });
+
+        it('should allow only one of two concurrent acquisitions', async () => {
+            const [first, second] = await Promise.all([
+                JobLock.acquire('race-job', 'runner-a', 60 * 1000),
+                JobLock.acquire('race-job', 'runner-b', 60 * 1000)
+            ]);
+
+            expect([first, second].filter(Boolean)).toHaveLength(1);
+        });
+    });
+});
+
+describe('Job Controller', () => {
+    let mockReq, mockRes, mockNext;
+
+    beforeEach(() => {
+        mockReq = {
+            method: 'GET',
+            params: {},
+            query: {},
+            header: jest.fn()
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('runJob', () => {
+        it('should run a registered job', async () => {
+            mockReq.params.name = 'booking-status-update';
+
+            await runJob(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    success: true,
+                    data: expect.objectContaining({ trigger: 'cron', status: 'completed' })
+                })
+            );
+        });
+
+        it('should return 404 for unknown job', async () => {
+            mockReq.params.name = 'does-not-exist';
+
+            await runJob(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should return 409 when the job is locked', async () => {
+            await JobLock.acquire('booking-status-update', 'other-runner', 60 * 1000);
+            mockReq.params.name = 'booking-status-update';
+
+            await runJob(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+        });
+    });
+
+    describe('getJobRuns', () => {
+        it('should list recorded runs', async () => {
+            await scheduler.run('booking-status-update');
+            mockReq.query = { job: 'booking-status-update' };
+
+            await getJobRuns(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.json).toHaveBeenCalledWith(
+                expect.objectContaining({ success: true, total: 1 })
+            );
+        });
+    });
+
+    describe('authenticateCron', () => {
+        const originalSecret = process.env.CRON_SECRET;
+
+        afterEach(() => {
+            if (originalSecret === undefined) {
+                delete process.env.CRON_SECRET;
+            } else {
+                process.env.CRON_SECRET = originalSecret;
+            }
+        });
+
+        it('should accept the configured cron secret', () => {
+            process.env.CRON_SECRET = 'cron-secret';
+            mockReq.header.mockReturnValue('Bearer cron-secret');
+
+            authenticateCron(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+        });
+
+        it('should reject a wrong secret', () => {
+            process.env.CRON_SECRET = 'cron-secret';
+            mockReq.header.mockReturnValue('Bearer wrong-secret');
+
+            authenticateCron(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(401);
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+    });
+});
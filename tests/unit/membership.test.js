@@ -0,0 +1,217 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Membership = require('../../src/models/Membership');
+const MembershipPlan = require('../../src/models/MembershipPlan');
+const memberships = require('../../src/services/memberships');
+const TimezoneUtils = require('../../src/utils/timezone');
+const { subscribe, cancelMembership } = require('../../src/controllers/membershipController');
+const { createBooking, cancelBooking } = require('../../src/controllers/bookingController');
+
+describe('Memberships', () => {
+    let user, owner, venue, court, plan;
+    let mockReq, mockRes, mockNext;
+
+    // 10:00-12:00 Karachi time, the given number of days from now
+    const slot = (days = 2) => {
+        const day = TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), days);
+        return {
+            startTime: TimezoneUtils.toDate(day, '10:00', 'Asia/Karachi').toISOString(),
+            endTime: TimezoneUtils.toDate(day, '12:00', 'Asia/Karachi').toISOString()
+        };
+    };
+
+    const createUser = (email, role = 'user') => User.create({
+        firstName: 'Test',
+        lastName: 'User',
+        email,
+        password: 'Password123!',
+        role
+    });
+
+    const call = async (handler, { body = {}, params = {} } = {}) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.user = user;
+        mockReq.body = body;
+        mockReq.params = params;
+        await handler(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0];
+    };
+
+    const book = (days) => call(createBooking, { body: { court: court._id.toString(), ...slot(days) } });
+
+    beforeEach(async () => {
+        user = await createUser('user@example.com');
+        owner = await createUser('owner@example.com', 'owner');
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Court 1',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id,
+            operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                dayOfWeek: i,
+                openTime: '08:00',
+                closeTime: '20:00'
+            })),
+            bookingSettings: {
+                minBookingDuration: 60,
+                maxBookingDuration: 180,
+                maxConcurrentBookingsPerUser: 5
+            }
+        });
+
+        plan = await MembershipPlan.create({
+            venue: venue._id,
+            name: 'Gold monthly',
+            tier: 'Gold',
+            price: 5000,
+            durationDays: 30,
+            perks: {
+                discountPercentage: 10,
+                extraAdvanceBookingDays: 30,
+                freeHours: 1
+            }
+        });
+
+        mockReq = {
+            body: {},
+            params: {},
+            query: {},
+            user: null,
+            ip: '127.0.0.1',
+            get: jest.fn(() => 'test-user-agent')
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Subscribing', () => {
+        it('should charge the plan price and start the membership', async () => {
+            const { data } = await call(subscribe, { body: { plan: plan._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.tier).toBe('gold');
+            expect(data.perks.freeMinutes).toBe(60);
+            expect(data.payments).toHaveLength(1);
+            expect(data.payments[0].amount).toBe(5000);
+            expect(data.endDate.getTime() - data.startDate.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+        });
+
+        it('should not create a membership when the card is declined', async () => {
+            await call(subscribe, { body: { plan: plan._id.toString(), paymentMethod: 'pm_card_declined' } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(402);
+            expect(await Membership.countDocuments()).toBe(0);
+        });
+
+        it('should refuse a second membership at the same venue', async () => {
+            await call(subscribe, { body: { plan: plan._id.toString() } });
+            await call(subscribe, { body: { plan: plan._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('Member pricing', () => {
+        beforeEach(async () => {
+            await call(subscribe, { body: { plan: plan._id.toString() } });
+        });
+
+        it('should use free hours first and discount the rest', async () => {
+            const { data } = await book();
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.pricing.basePrice).toBe(2000);
+            expect(data.pricing.discounts.map(d => d.amount)).toEqual([1000, 100]);
+            expect(data.pricing.subtotal).toBe(900);
+            expect(data.membershipFreeMinutes).toBe(60);
+
+            const membership = await Membership.findOne({ user: user._id });
+            expect(membership.remainingFreeMinutes).toBe(0);
+        });
+
+        it('should give free time back when the booking is cancelled', async () => {
+            const { data } = await book();
+
+            await call(cancelBooking, { body: { reason: 'Change of plans' }, params: { id: data._id.toString() } });
+
+            const membership = await Membership.findOne({ user: user._id });
+            expect(membership.remainingFreeMinutes).toBe(60);
+        });
+
+        it('should extend the advance booking window', async () => {
+            await book(45);
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+
+            const membership = await Membership.findOne({ user: user._id });
+            await call(cancelMembership, { params: { id: membership._id.toString() } });
+
+            await book(50);
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+            expect(await Booking.countDocuments()).toBe(1);
+        });
+    });
+
+    describe('Renewals', () => {
+        it('should renew auto-renewing memberships and expire the rest', async () => {
+            const other = await createUser('other@example.com');
+            const renewing = await memberships.subscribe(user, plan, { autoRenew: true });
+            const lapsing = await memberships.subscribe(other, plan);
+
+            const past = new Date(Date.now() - 60 * 1000);
+            await Membership.updateMany({}, { endDate: past });
+
+            const result = await memberships.processRenewals();
+
+            expect(result).toEqual({ renewed: 1, failed: 0, expired: 1 });
+            expect((await Membership.findById(renewing._id)).endDate.getTime()).toBeGreaterThan(Date.now());
+            expect((await Membership.findById(lapsing._id)).status).toBe('expired');
+        });
+
+        it('should turn automatic renewal off when the charge fails', async () => {
+            const membership = await memberships.subscribe(user, plan, { autoRenew: true });
+            await Membership.updateOne(
+                { _id: membership._id },
+                { endDate: new Date(Date.now() + 60 * 60 * 1000), paymentMethod: 'pm_card_declined' }
+            );
+
+            const result = await memberships.processRenewals();
+            const updated = await Membership.findById(membership._id);
+
+            expect(result.failed).toBe(1);
+            expect(updated.autoRenew).toBe(false);
+            expect(updated.lastRenewalError).toBeDefined();
+            expect(updated.status).toBe('active');
+        });
+    });
+});
@@ -0,0 +1,429 @@
+const crypto = require('crypto');
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Notification = require('../../src/models/Notification');
+const NotificationDelivery = require('../../src/models/NotificationDelivery');
+const EmailService = require('../../src/utils/email');
+const notifications = require('../../src/services/notifications');
+const WebPushProvider = require('../../src/services/notifications/WebPushProvider');
+const { verifyVenue } = require('../../src/controllers/venueController');
+const { updateStatus: updateCourtStatus } = require('../../src/controllers/courtController');
+const {
+    getNotifications,
+    getUnreadCount,
+    markRead,
+    markUnread,
+    markAllRead,
+    updatePreferences,
+    addPushSubscription,
+    removePushSubscription,
+    getDeliveries
+} = require('../../src/controllers/notificationController');
+
+describe('Notifications', () => {
+    let user, owner, venue, court, booking;
+    let mockReq, mockRes, mockNext;
+
+    const HOUR = 60 * 60 * 1000;
+    const ENDPOINT = 'https://push.example.com/send/abc';
+
+    const fake = (channel) => notifications.getProvider(channel, 'fake');
+
+    const deliveries = async (filter = {}) => (await NotificationDelivery.find(filter).sort('channel'))
+        .map(delivery => delivery.channel);
+
+    const call = async (handler, { body = {}, params = {}, query = {}, asUser = user } = {}) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.user = asUser;
+        mockReq.body = body;
+        mockReq.params = params;
+        mockReq.query = query;
+        await handler(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0];
+    };
+
+    beforeEach(async () => {
+        EmailService.clearOutbox();
+        ['email', 'sms', 'push', 'in-app'].forEach(channel => fake(channel).clear());
+
+        user = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'user@example.com',
+            phone: '+923001112222',
+            password: 'Password123!',
+            role: 'user',
+            pushSubscriptions: [{ endpoint: ENDPOINT, keys: { p256dh: 'key', auth: 'secret' } }]
+        });
+
+        owner = await User.create({
+            firstName: 'Jane',
+            lastName: 'Owner',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Court 1',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id
+        });
+
+        booking = await Booking.create({
+            user: user._id,
+            court: court._id,
+            venue: venue._id,
+            startTime: new Date(Date.now() + 48 * HOUR),
+            endTime: new Date(Date.now() + 49 * HOUR),
+            pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1000 },
+            payment: { amount: 1000, currency: 'PKR', status: 'pending' },
+            status: 'confirmed'
+        });
+
+        mockReq = {
+            user,
+            body: {},
+            params: {},
+            query: {},
+            headers: {},
+            get: () => 'Jest'
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    afterEach(() => {
+        delete process.env.NOTIFICATION_EMAIL_PROVIDER;
+        jest.restoreAllMocks();
+    });
+
+    describe('Channels', () => {
+        it('should send booking notifications on the channels the user has turned on', async () => {
+            await notifications.notifyBookingApproved(booking);
+
+            expect(await deliveries({ status: 'sent' })).toEqual(['email', 'in-app', 'push']);
+            expect(EmailService.outbox).toHaveLength(1);
+            expect(fake('sms').sent).toHaveLength(0);
+
+            const [push] = fake('push').sent;
+            expect(push.to.endpoint).toBe(ENDPOINT);
+            expect(push.content.title).toContain('Booking approved: Court 1');
+            expect(push.content.text).toContain('Test Sports Complex approved your booking at Court 1');
+            expect(push.content.url).toBe(`${process.env.FRONTEND_URL}/bookings/${booking._id}`);
+
+            const [notification] = await Notification.find({ user: user._id });
+            expect(notification).toMatchObject({ type: 'booking-approved', title: push.content.title, isRead: false });
+        });
+
+        it('should send SMS to users who turned it on', async () => {
+            user.notificationPreferences.sms = true;
+            user.notificationPreferences.push = false;
+            await user.save();
+
+            await notifications.notifyBookingApproved(booking);
+
+            expect(await deliveries()).toEqual(['email', 'in-app', 'sms']);
+            expect(fake('sms').sent[0]).toMatchObject({ to: '+923001112222' });
+            expect(fake('sms').sent[0].content.text).toMatch(/^Test Sports Complex: .*Court 1/);
+        });
+
+        it('should send account emails whatever the preferences, without keeping their content', async () => {
+            user.notificationPreferences.email = false;
+            await user.save();
+
+            await notifications.notifyPasswordReset(user, 'reset-token');
+
+            expect(EmailService.outbox).toHaveLength(1);
+            expect(EmailService.outbox[0].text).toContain('reset-password?token=reset-token');
+            const delivery = await NotificationDelivery.findOne({ type: 'password-reset' });
+            expect(delivery.status).toBe('sent');
+            expect(delivery.content.text).toBeUndefined();
+        });
+
+        it('should throw when a required notification could not be sent, without retrying it', async () => {
+            process.env.NOTIFICATION_EMAIL_PROVIDER = 'fake';
+            fake('email').failNext({ retryable: true });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(notifications.notifyWelcome(user, 'verification-token')).rejects.toMatchObject({ code: 'not_delivered' });
+            expect(await NotificationDelivery.findOne({ type: 'welcome' })).toMatchObject({ status: 'failed', errorCode: 'fake_failure' });
+        });
+
+        it('should not fail optional notifications that could not be sent', async () => {
+            fake('push').failNext();
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const sent = await notifications.notifyBookingApproved(booking);
+
+            expect(sent.map(delivery => delivery.status)).toEqual(['sent', 'failed', 'sent']);
+        });
+    });
+
+    describe('Retries', () => {
+        it('should retry failed deliveries once they are due', async () => {
+            fake('push').failNext({ retryable: true });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await notifications.notifyBookingApproved(booking);
+
+            const delivery = await NotificationDelivery.findOne({ channel: 'push' });
+            expect(delivery.status).toBe('pending');
+            expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+            expect(await notifications.processRetries()).toEqual({ sent: 0, pending: 0, failed: 0 });
+
+            await NotificationDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+
+            expect(await notifications.processRetries()).toEqual({ sent: 1, pending: 0, failed: 0 });
+            expect(await NotificationDelivery.findById(delivery._id)).toMatchObject({ status: 'sent', attempts: 2 });
+            expect(fake('push').sent).toHaveLength(1);
+        });
+
+        it('should give up after the last attempt', async () => {
+            fake('push').failNext({ retryable: true });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            await notifications.notifyBookingApproved(booking);
+            await NotificationDelivery.updateOne({ channel: 'push' }, { attempts: 4, nextAttemptAt: new Date(Date.now() - 1000) });
+            fake('push').failNext({ retryable: true });
+
+            expect(await notifications.processRetries()).toEqual({ sent: 0, pending: 0, failed: 1 });
+            expect(await NotificationDelivery.findOne({ channel: 'push' })).toMatchObject({ status: 'failed', attempts: 5 });
+        });
+
+        it('should drop push subscriptions that have expired', async () => {
+            fake('push').failNext({ code: 'subscription_expired' });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await notifications.notifyBookingApproved(booking);
+
+            expect((await User.findById(user._id)).pushSubscriptions).toHaveLength(0);
+        });
+    });
+
+    describe('Web push', () => {
+        it('should encrypt payloads for the subscription', () => {
+            const receiver = crypto.createECDH('prime256v1');
+            const receiverKey = receiver.generateKeys();
+            const authSecret = crypto.randomBytes(16);
+            const provider = new WebPushProvider({ publicKey: 'unused', privateKey: 'unused' });
+
+            const body = provider.encrypt('hello', { p256dh: receiverKey.toString('base64url'), auth: authSecret.toString('base64url') });
+
+            const salt = body.subarray(0, 16);
+            const senderKey = body.subarray(21, 21 + body[20]);
+            const encrypted = body.subarray(21 + body[20]);
+            const hkdf = (key, info, length) => Buffer.from(crypto.hkdfSync('sha256', key, salt, info, length));
+            const ikm = Buffer.from(crypto.hkdfSync('sha256', receiver.computeSecret(senderKey), authSecret,
+                Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]), 32));
+            const decipher = crypto.createDecipheriv('aes-128-gcm',
+                hkdf(ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+                hkdf(ikm, Buffer.from('Content-Encoding: nonce\0'), 12));
+            decipher.setAuthTag(encrypted.subarray(-16));
+
+            const payload = Buffer.concat([decipher.update(encrypted.subarray(0, -16)), decipher.final()]);
+            expect(payload.toString()).toBe('hello\u0002');
+        });
+    });
+
+    describe('Inbox', () => {
+        const addNotifications = (count, owner = user) => Notification.insertMany(
+            Array.from({ length: count }, (_, i) => ({
+                user: owner._id,
+                type: 'booking-approved',
+                title: `Notification ${i}`,
+                createdAt: new Date(Date.now() - (count - i) * 1000)
+            }))
+        );
+
+        it('should list notifications newest first with the unread count', async () => {
+            await addNotifications(3);
+            await Notification.updateOne({ title: 'Notification 0' }, { isRead: true });
+
+            const page = await call(getNotifications, { query: { page: 1, limit: 2 } });
+            const unread = await call(getNotifications, { query: { unread: 'true' } });
+
+            expect(page.data.map(n => n.title)).toEqual(['Notification 2', 'Notification 1']);
+            expect(page).toMatchObject({ total: 3, unreadCount: 2, totalPages: 2 });
+            expect(unread.total).toBe(2);
+        });
+
+        it('should mark notifications read and unread', async () => {
+            const [notification] = await addNotifications(2);
+
+            await call(markRead, { params: { id: notification._id.toString() } });
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect((await call(getUnreadCount)).data.unreadCount).toBe(1);
+
+            await call(markUnread, { params: { id: notification._id.toString() } });
+            expect(await Notification.findById(notification._id)).toMatchObject({ isRead: false, readAt: undefined });
+
+            expect((await call(markAllRead)).data.updated).toBe(2);
+            expect(await Notification.getUnreadCount(user._id)).toBe(0);
+        });
+
+        it('should not let users read each other\'s notifications', async () => {
+            const [notification] = await addNotifications(1, owner);
+
+            await call(markRead, { params: { id: notification._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+            expect((await Notification.findById(notification._id)).isRead).toBe(false);
+        });
+
+        it('should keep only the most recent notifications of a user', async () => {
+            await addNotifications(Notification.MAX_NOTIFICATIONS_PER_USER);
+
+            await notifications.notifyBookingApproved(booking);
+
+            expect(await Notification.countDocuments({ user: user._id })).toBe(Notification.MAX_NOTIFICATIONS_PER_USER);
+            expect(await Notification.exists({ title: 'Notification 0' })).toBeNull();
+            expect(await Notification.exists({ type: 'booking-approved', title: /^Booking approved/ })).toBeTruthy();
+        });
+    });
+
+    describe('Venue events', () => {
+        let admin;
+
+        beforeEach(async () => {
+            admin = await User.create({
+                firstName: 'Ada',
+                lastName: 'Admin',
+                email: 'admin@example.com',
+                password: 'Password123!',
+                role: 'admin'
+            });
+        });
+
+        const inbox = async (recipient) => (await Notification.find({ user: recipient._id }).sort({ createdAt: 1, _id: 1 }))
+            .map(n => n.type);
+
+        it('should tell venue staff about new bookings and cancellations by players', async () => {
+            booking.status = 'pending-confirmation';
+
+            await notifications.notifyVenueBookingCreated(booking);
+            await notifications.notifyVenueBookingCancelled(booking, { occurrences: 3 });
+
+            expect(await inbox(owner)).toEqual(['venue-booking-created', 'venue-booking-cancelled']);
+            expect(await inbox(user)).toEqual([]);
+            const [created, cancelled] = await Notification.find({ user: owner._id }).sort({ createdAt: 1, _id: 1 });
+            expect(created.title).toContain('Booking request: Court 1');
+            expect(created.body).toContain('John Doe requested Court 1');
+            expect(cancelled.body).toContain('John Doe cancelled 3 recurring bookings of Court 1');
+        });
+
+        it('should tell the owner when their venue is verified', async () => {
+            await call(verifyVenue, { params: { id: venue._id.toString() }, asUser: admin });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const [notification] = await Notification.find({ user: owner._id });
+            expect(notification).toMatchObject({ type: 'venue-verified', title: 'Test Sports Complex is verified' });
+            expect(notification.body).toContain('is now open for bookings');
+        });
+
+        it('should tell staff and players with upcoming bookings when a court closes', async () => {
+            await call(updateCourtStatus, {
+                params: { id: court._id.toString() },
+                body: { status: 'maintenance', reason: 'Resurfacing' },
+                asUser: admin
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(await inbox(owner)).toEqual(['court-status-changed']);
+            expect(await inbox(user)).toEqual(['court-unavailable']);
+            const [notification] = await Notification.find({ user: user._id });
+            expect(notification.body).toContain('is now under maintenance. Reason: Resurfacing.');
+        });
+
+        it('should not notify the staff member who changed the court', async () => {
+            await call(updateCourtStatus, {
+                params: { id: court._id.toString() },
+                body: { status: 'inactive' },
+                asUser: owner
+            });
+
+            expect(await inbox(owner)).toEqual([]);
+            expect(await inbox(user)).toEqual(['court-unavailable']);
+        });
+    });
+
+    describe('Endpoints', () => {
+        it('should not turn on SMS without a phone number', async () => {
+            await User.updateOne({ _id: user._id }, { $unset: { phone: 1 } });
+
+            const response = await call(updatePreferences, { body: { sms: true } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+            expect(response.success).toBe(false);
+        });
+
+        it('should update notification preferences', async () => {
+            const response = await call(updatePreferences, { body: { sms: true, push: false } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(response.data.preferences).toEqual({ email: true, sms: true, push: false, inApp: true });
+        });
+
+        it('should add, refresh and remove push subscriptions', async () => {
+            const subscription = { endpoint: 'https://push.example.com/send/def', keys: { p256dh: 'key2', auth: 'secret2' } };
+
+            await call(addPushSubscription, { body: subscription });
+            await call(addPushSubscription, { body: { ...subscription, keys: { p256dh: 'key3', auth: 'secret3' } } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            let saved = await User.findById(user._id);
+            expect(saved.pushSubscriptions).toHaveLength(2);
+            expect(saved.pushSubscriptions[1].keys.p256dh).toBe('key3');
+
+            await call(removePushSubscription, { body: { endpoint: subscription.endpoint } });
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            saved = await User.findById(user._id);
+            expect(saved.pushSubscriptions.map(s => s.endpoint)).toEqual([ENDPOINT]);
+
+            await call(removePushSubscription, { body: { endpoint: subscription.endpoint } });
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should only list the user\'s own deliveries', async () => {
+            await notifications.notifyBookingApproved(booking);
+            await notifications.notifyPasswordReset(owner, 'reset-token');
+
+            const own = await call(getDeliveries, { query: { user: owner._id.toString() } });
+            const all = await call(getDeliveries, { asUser: new User({ ...owner.toObject(), role: 'admin' }) });
+
+            expect(own.total).toBe(3);
+            expect(own.data.every(delivery => delivery.user.toString() === user._id.toString())).toBe(true);
+            expect(all.total).toBe(4);
+        });
+    });
+});
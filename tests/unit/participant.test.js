@@ -0,0 +1,344 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const notifications = require('../../src/services/notifications');
+const MockPaymentProvider = require('../../src/services/payments/MockPaymentProvider');
+const {
+    inviteParticipant,
+    removeParticipant,
+    updateShares,
+    getInvitation,
+    acceptInvitation,
+    declineInvitation,
+    payShare
+} = require('../../src/controllers/participantController');
+
+jest.mock('../../src/services/notifications', () => ({
+    notifyParticipantInvitation: jest.fn()
+}));
+
+describe('Group booking participants', () => {
+    let leader, friend, owner, venue, court, booking;
+    let mockReq, mockRes, mockNext;
+
+    const resetResponse = () => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+    };
+
+    // Invite someone and return the raw token from the invitation notification
+    const invite = async (body) => {
+        resetResponse();
+        notifications.notifyParticipantInvitation.mockClear();
+        mockReq.user = leader;
+        mockReq.params = { id: booking._id.toString() };
+        mockReq.body = body;
+        await inviteParticipant(mockReq, mockRes, mockNext);
+
+        const call = notifications.notifyParticipantInvitation.mock.calls[0];
+        return call ? call[3] : null;
+    };
+
+    const respond = async (handler, token, body = {}, user = undefined) => {
+        resetResponse();
+        mockReq.user = user;
+        mockReq.params = { token };
+        mockReq.body = body;
+        await handler(mockReq, mockRes, mockNext);
+    };
+
+    beforeEach(async () => {
+        leader = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'leader@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        friend = await User.create({
+            firstName: 'Sam',
+            lastName: 'Friend',
+            email: 'friend@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        owner = await User.create({
+            firstName: 'Jane',
+            lastName: 'Owner',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Test Court',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id,
+            capacity: { minPlayers: 2, maxPlayers: 3 }
+        });
+
+        const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+        booking = await Booking.create({
+            user: leader._id,
+            court: court._id,
+            venue: venue._id,
+            startTime,
+            endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+            status: 'confirmed',
+            pricing: { basePrice: 3000, subtotal: 3000, totalAmount: 3000 },
+            payment: { amount: 3000, currency: 'PKR', status: 'pending' }
+        });
+
+        mockReq = {
+            user: leader,
+            params: {},
+            body: {},
+            headers: {}
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('inviteParticipant', () => {
+        it('should invite by email and send a tokenized link', async () => {
+            const token = await invite({ email: 'guest@example.com', name: 'Guest' });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(token).toMatch(/^[a-f0-9]{64}$/);
+
+            const updated = await Booking.findById(booking._id);
+            expect(updated.isGroupBooking).toBe(true);
+            expect(updated.groupSize).toBe(2);
+            expect(updated.participants[0].status).toBe('invited');
+            // Only the hash is stored
+            expect(updated.participants[0].invitationToken).not.toBe(token);
+            expect(updated.toJSON().participants[0].invitationToken).toBeUndefined();
+        });
+
+        it('should link an invitation by user ID to the account', async () => {
+            await invite({ user: friend._id.toString() });
+
+            const updated = await Booking.findById(booking._id);
+            expect(updated.participants[0].user.toString()).toBe(friend._id.toString());
+            expect(updated.participants[0].email).toBe(friend.email);
+        });
+
+        it('should refuse inviting the same person twice', async () => {
+            await invite({ email: 'guest@example.com' });
+            await invite({ email: 'guest@example.com' });
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should enforce the court maximum players', async () => {
+            await invite({ email: 'one@example.com' });
+            await invite({ email: 'two@example.com' });
+            await invite({ email: 'three@example.com' });
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+            expect((await Booking.findById(booking._id)).participants).toHaveLength(2);
+        });
+
+        it('should only let the group leader invite', async () => {
+            resetResponse();
+            mockReq.user = friend;
+            mockReq.params = { id: booking._id.toString() };
+            mockReq.body = { email: 'guest@example.com' };
+            await inviteParticipant(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('Invitation responses', () => {
+        it('should show the invitation to anyone holding the token', async () => {
+            const token = await invite({ email: 'guest@example.com', name: 'Guest' });
+
+            await respond(getInvitation, token);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const { data } = mockRes.json.mock.calls[0][0];
+            expect(data.participant.name).toBe('Guest');
+            expect(data.booking.bookingNumber).toBe(booking.bookingNumber);
+        });
+
+        it('should reject an unknown or expired token', async () => {
+            const token = await invite({ email: 'guest@example.com' });
+            await Booking.updateOne(
+                { _id: booking._id },
+                { 'participants.0.invitationExpires': new Date(Date.now() - 1000) }
+            );
+
+            await respond(acceptInvitation, token);
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+
+            await respond(acceptInvitation, 'not-a-token');
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should accept and link the logged-in user', async () => {
+            const token = await invite({ email: 'guest@example.com' });
+
+            await respond(acceptInvitation, token, {}, friend);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const participant = (await Booking.findById(booking._id)).participants[0];
+            expect(participant.status).toBe('confirmed');
+            expect(participant.user.toString()).toBe(friend._id.toString());
+        });
+
+        it('should refuse a user answering someone else\'s invitation', async () => {
+            const token = await invite({ user: friend._id.toString() });
+
+            await respond(acceptInvitation, token, {}, owner);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should free the place of a participant who declines', async () => {
+            const token = await invite({ email: 'one@example.com' });
+            await invite({ email: 'two@example.com' });
+
+            await respond(declineInvitation, token);
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+
+            await invite({ email: 'three@example.com' });
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+
+            // The declined participant cannot take back a place that has been filled
+            await respond(acceptInvitation, token);
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('Payment shares', () => {
+        const split = async (body) => {
+            resetResponse();
+            mockReq.user = leader;
+            mockReq.params = { id: booking._id.toString() };
+            mockReq.body = body;
+            await updateShares(mockReq, mockRes, mockNext);
+        };
+
+        it('should split the total equally with the leader', async () => {
+            await invite({ email: 'one@example.com' });
+            await invite({ email: 'two@example.com' });
+
+            await split({ mode: 'equal' });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const { data } = mockRes.json.mock.calls[0][0];
+            expect(data.participants.map(p => p.paymentShare)).toEqual([1000, 1000]);
+            expect(data.leaderShare).toBe(1000);
+        });
+
+        it('should give the rounding remainder to the leader', async () => {
+            await Booking.updateOne({ _id: booking._id }, { 'pricing.totalAmount': 1000 });
+            await invite({ email: 'one@example.com' });
+            await invite({ email: 'two@example.com' });
+
+            await split({ mode: 'equal' });
+
+            const { data } = mockRes.json.mock.calls[0][0];
+            expect(data.participants[0].paymentShare).toBe(333.33);
+            expect(data.leaderShare).toBe(333.34);
+        });
+
+        it('should accept custom shares up to the total', async () => {
+            await invite({ email: 'one@example.com' });
+            const participantId = (await Booking.findById(booking._id)).participants[0]._id.toString();
+
+            await split({ mode: 'custom', shares: [{ participantId, amount: 3500 }] });
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+
+            await split({ mode: 'custom', shares: [{ participantId, amount: 500 }] });
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.json.mock.calls[0][0].data.leaderShare).toBe(2500);
+        });
+    });
+
+    describe('payShare', () => {
+        it('should charge a participant their share and leave the rest outstanding', async () => {
+            const token = await invite({ email: 'guest@example.com', paymentShare: 1200 });
+            await respond(acceptInvitation, token);
+
+            await respond(payShare, token, { paymentMethod: 'pm_card_visa' });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.participants[0].paymentStatus).toBe('paid');
+            expect(updated.payment.status).toBe('partially-paid');
+            expect(updated.payment.paidAmount).toBe(1200);
+            expect(updated.getOutstandingAmount()).toBe(1800);
+            expect(updated.payment.transactions[0].participant.toString())
+                .toBe(updated.participants[0]._id.toString());
+        });
+
+        it('should require accepting the invitation first', async () => {
+            const token = await invite({ email: 'guest@example.com', paymentShare: 1200 });
+
+            await respond(payShare, token, {});
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should report a declined card without recording a payment', async () => {
+            const token = await invite({ email: 'guest@example.com', paymentShare: 1200 });
+            await respond(acceptInvitation, token);
+
+            await respond(payShare, token, { paymentMethod: MockPaymentProvider.DECLINED_PAYMENT_METHOD });
+
+            expect(mockRes.status).toHaveBeenCalledWith(402);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.participants[0].paymentStatus).toBe('pending');
+            expect(updated.payment.status).toBe('pending');
+        });
+
+        it('should not remove a participant who has paid', async () => {
+            const token = await invite({ email: 'guest@example.com', paymentShare: 1200 });
+            await respond(acceptInvitation, token);
+            await respond(payShare, token, {});
+
+            resetResponse();
+            mockReq.user = leader;
+            mockReq.params = {
+                id: booking._id.toString(),
+                participantId: (await Booking.findById(booking._id)).participants[0]._id.toString()
+            };
+            await removeParticipant(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+});
@@ -0,0 +1,359 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const payments = require('../../src/services/payments');
+const { PaymentError } = payments;
+const MockPaymentProvider = require('../../src/services/payments/MockPaymentProvider');
+const {
+    getPayment,
+    createPaymentIntent,
+    capturePayment,
+    refundPayment,
+    handleWebhook
+} = require('../../src/controllers/paymentController');
+const { cancelBooking } = require('../../src/controllers/bookingController');
+const { authorizeVenue } = require('../../src/middleware/auth');
+
+describe('Payments', () => {
+    let user, owner, venue, court, booking;
+    let mockReq, mockRes, mockNext;
+
+    const createBooking = (overrides = {}) => {
+        const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+        return Booking.create({
+            user: user._id,
+            court: court._id,
+            venue: venue._id,
+            startTime,
+            endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+            status: 'confirmed',
+            pricing: { basePrice: 2000, subtotal: 2000, totalAmount: 2000 },
+            payment: { amount: 2000, currency: 'PKR', status: 'pending' },
+            ...overrides
+        });
+    };
+
+    const payBooking = async () => {
+        await payments.createIntent(booking);
+        await payments.capture(booking);
+        await booking.save();
+    };
+
+    beforeEach(async () => {
+        user = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'user@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        owner = await User.create({
+            firstName: 'Jane',
+            lastName: 'Owner',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Test Court',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id
+        });
+
+        booking = await createBooking();
+
+        mockReq = {
+            user,
+            params: { id: booking._id.toString() },
+            body: {},
+            headers: {}
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Booking payment state', () => {
+        it('should mark the booking paid when a payment is recorded', async () => {
+            booking.recordPayment({ provider: 'mock', transactionId: 'ch_1', method: 'card' });
+            await booking.save();
+
+            expect(booking.payment.status).toBe('completed');
+            expect(booking.isPaid).toBe(true);
+            expect(booking.payment.paidAt).toBeDefined();
+        });
+
+        it('should move through partially-refunded to refunded', async () => {
+            booking.recordPayment({ provider: 'mock', transactionId: 'ch_1' });
+            booking.recordRefund({ refundId: 're_1', amount: 500, reason: 'Partial' });
+            await booking.save();
+
+            expect(booking.payment.status).toBe('partially-refunded');
+            expect(booking.payment.refundAmount).toBe(500);
+            expect(booking.isPaid).toBe(true);
+
+            booking.recordRefund({ refundId: 're_2', amount: 1500, reason: 'Rest' });
+            await booking.save();
+
+            expect(booking.payment.status).toBe('refunded');
+            expect(booking.payment.refundAmount).toBe(2000);
+            expect(booking.payment.refunds).toHaveLength(2);
+            expect(booking.isPaid).toBe(false);
+        });
+
+        it('should not refund more than was paid', () => {
+            booking.recordPayment({ provider: 'mock', transactionId: 'ch_1' });
+
+            expect(() => booking.recordRefund({ amount: 2500 })).toThrow('Refund amount must be between 0 and 2000');
+        });
+    });
+
+    describe('MockPaymentProvider', () => {
+        it('should verify signed webhooks and reject tampered ones', () => {
+            const provider = new MockPaymentProvider({ webhookSecret: 'secret' });
+            const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded' });
+
+            expect(provider.verifyWebhook(rawBody, { 'x-mock-signature': provider.sign(rawBody) }).id).toBe('evt_1');
+            expect(() => provider.verifyWebhook(rawBody, { 'x-mock-signature': 'forged' })).toThrow('Invalid webhook signature');
+        });
+
+        it('should refuse webhooks when no secret is configured', () => {
+            const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+            delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+            const provider = new MockPaymentProvider();
+            process.env.MOCK_PAYMENT_WEBHOOK_SECRET = secret;
+
+            const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded' });
+
+            expect(() => provider.verifyWebhook(rawBody, { 'x-mock-signature': 'anything' })).toThrow('Webhook secret is not configured');
+        });
+    });
+
+    describe('getProvider', () => {
+        it('should fail when no payment provider is configured', () => {
+            const configured = process.env.PAYMENT_PROVIDER;
+            delete process.env.PAYMENT_PROVIDER;
+
+            try {
+                expect(() => payments.getProvider()).toThrow('No payment provider is configured');
+                expect(payments.getProvider('mock').name).toBe('mock');
+            } finally {
+                process.env.PAYMENT_PROVIDER = configured;
+            }
+        });
+    });
+
+    describe('createPaymentIntent and capturePayment', () => {
+        it('should create an intent and capture it', async () => {
+            await createPaymentIntent(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            const intent = mockRes.json.mock.calls[0][0].data;
+            expect(intent.intentId).toMatch(/^pi_mock_/);
+            expect(intent.amount).toBe(2000);
+
+            await capturePayment(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenLastCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.status).toBe('completed');
+            expect(updated.payment.transactionId).toMatch(/^ch_mock_/);
+            expect(updated.isPaid).toBe(true);
+        });
+
+        it('should record a declined card as failed', async () => {
+            await createPaymentIntent(mockReq, mockRes, mockNext);
+            mockReq.body = { paymentMethod: MockPaymentProvider.DECLINED_PAYMENT_METHOD };
+
+            await capturePayment(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenLastCalledWith(402);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.status).toBe('failed');
+            expect(updated.isPaid).toBe(false);
+        });
+
+        it('should not let another user pay for the booking', async () => {
+            mockReq.user = owner;
+            mockReq.user.role = 'user';
+
+            await createPaymentIntent(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should reject paying twice', async () => {
+            await payBooking();
+
+            await createPaymentIntent(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('refundPayment', () => {
+        it('should refund part of a captured payment through the provider', async () => {
+            await payBooking();
+            mockReq.user = owner;
+            mockReq.body = { amount: 800, reason: 'Court lights failed' };
+
+            await refundPayment(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.status).toBe('partially-refunded');
+            expect(updated.payment.refundAmount).toBe(800);
+            expect(updated.payment.refunds[0].refundId).toMatch(/^re_mock_/);
+        });
+
+        it('should keep refunds already paid out when the gateway fails part way', async () => {
+            await payments.createIntent(booking, { amount: 1200 });
+            await payments.capture(booking);
+            await payments.createIntent(booking);
+            await payments.capture(booking);
+            await booking.save();
+
+            const provider = payments.getProvider('mock');
+            const refund = provider.refund.bind(provider);
+            const spy = jest.spyOn(provider, 'refund')
+                .mockImplementationOnce(refund)
+                .mockRejectedValueOnce(new PaymentError('Gateway unavailable', 'gateway_unavailable', 502));
+
+            mockReq.user = owner;
+            mockReq.body = { reason: 'Court closed' };
+
+            try {
+                await refundPayment(mockReq, mockRes, mockNext);
+            } finally {
+                spy.mockRestore();
+            }
+
+            expect(mockRes.status).toHaveBeenCalledWith(502);
+            expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'gateway_unavailable' }));
+
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.refundAmount).toBe(800);
+            expect(updated.payment.refunds).toHaveLength(1);
+            expect(updated.getRefundableAmount()).toBe(1200);
+        });
+
+        it('should forbid the booking owner from refunding', async () => {
+            await payBooking();
+            mockReq.body = { reason: 'I want my money back' };
+
+            await authorizeVenue('payments.refund', { from: 'booking' })(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getPayment', () => {
+        it('should return payment details to the booking owner', async () => {
+            await getPayment(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    data: expect.objectContaining({ isPaid: false, refundableAmount: 0 })
+                })
+            );
+        });
+    });
+
+    describe('cancelBooking', () => {
+        it('should refund a gateway payment on cancellation', async () => {
+            await payBooking();
+            mockReq.body = { reason: 'Personal emergency' };
+
+            await cancelBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.status).toBe('cancelled');
+            expect(updated.payment.status).toBe('refunded');
+            expect(updated.payment.refundAmount).toBe(2000);
+            expect(updated.payment.refunds[0].refundId).toMatch(/^re_mock_/);
+        });
+    });
+
+    describe('handleWebhook', () => {
+        const sendWebhook = async (event, signature) => {
+            const provider = payments.getProvider('mock');
+            mockReq.params = { provider: 'mock' };
+            mockReq.rawBody = JSON.stringify(event);
+            mockReq.headers = { 'x-mock-signature': signature || provider.sign(mockReq.rawBody) };
+
+            await handleWebhook(mockReq, mockRes, mockNext);
+        };
+
+        it('should mark the booking paid on payment.succeeded', async () => {
+            await payments.createIntent(booking);
+            await booking.save();
+
+            await sendWebhook({
+                id: 'evt_1',
+                type: 'payment.succeeded',
+                data: { intentId: booking.payment.intentId, transactionId: 'ch_external' }
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.status).toBe('completed');
+            expect(updated.payment.transactionId).toBe('ch_external');
+            expect(updated.isPaid).toBe(true);
+        });
+
+        it('should apply a refund event only once', async () => {
+            await payBooking();
+            const event = {
+                id: 'evt_2',
+                type: 'refund.succeeded',
+                data: { intentId: booking.payment.intentId, refundId: 're_external', amount: 500 }
+            };
+
+            await sendWebhook(event);
+            await sendWebhook(event);
+
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.refundAmount).toBe(500);
+            expect(updated.payment.refunds).toHaveLength(1);
+        });
+
+        it('should reject an invalid signature', async () => {
+            await sendWebhook({ id: 'evt_3', type: 'payment.succeeded', data: {} }, 'forged');
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+});
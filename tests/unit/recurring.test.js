@@ -0,0 +1,390 @@
+const Booking = require('../../src/models/Booking');
+const BookingSeries = require('../../src/models/BookingSeries');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const RecurrenceRule = require('../../src/utils/recurrence');
+const TimezoneUtils = require('../../src/utils/timezone');
+const {
+    createBooking,
+    previewSeries,
+    createSeries,
+    getSeries,
+    cancelSeries,
+    rescheduleSeries
+} = require('../../src/controllers/bookingController');
+
+const TZ = 'Asia/Karachi';
+
+describe('Recurring series', () => {
+    describe('RecurrenceRule', () => {
+        // Tuesday 18:00 Karachi time
+        const first = { startTime: new Date('2026-10-20T13:00:00Z'), endTime: new Date('2026-10-20T14:00:00Z'), timezone: TZ };
+        const dates = (rule, slot = first) => RecurrenceRule.getOccurrences(rule, slot)
+            .map(o => `${TimezoneUtils.formatDate(o.startTime, slot.timezone)} ${TimezoneUtils.formatTime(o.startTime, slot.timezone)}`);
+
+        it('should expand weekly days at the same local time', () => {
+            expect(dates('FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4')).toEqual([
+                '2026-10-20 18:00',
+                '2026-10-22 18:00',
+                '2026-10-27 18:00',
+                '2026-10-29 18:00'
+            ]);
+        });
+
+        it('should skip weeks by the interval and stop at UNTIL', () => {
+            expect(dates('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;UNTIL=20261117')).toEqual([
+                '2026-10-20 18:00',
+                '2026-11-03 18:00',
+                '2026-11-17 18:00'
+            ]);
+        });
+
+        it('should skip months without the day of the month', () => {
+            const slot = { startTime: new Date('2026-01-31T05:00:00Z'), endTime: new Date('2026-01-31T06:00:00Z'), timezone: TZ };
+
+            expect(dates('FREQ=MONTHLY;COUNT=3', slot).map(d => d.slice(0, 10))).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+        });
+
+        it('should keep the local time across a daylight saving change', () => {
+            const slot = { startTime: new Date('2026-10-20T22:00:00Z'), endTime: new Date('2026-10-20T23:00:00Z'), timezone: 'America/New_York' };
+
+            const occurrences = RecurrenceRule.getOccurrences('FREQ=WEEKLY;COUNT=3', slot);
+
+            expect(occurrences.map(o => TimezoneUtils.formatTime(o.startTime, slot.timezone))).toEqual(['18:00', '18:00', '18:00']);
+            expect(occurrences[2].endTime - occurrences[2].startTime).toBe(60 * 60 * 1000);
+        });
+
+        it('should reject rules that cannot be booked', () => {
+            expect(() => RecurrenceRule.parse('FREQ=WEEKLY')).toThrow('COUNT or UNTIL');
+            expect(() => RecurrenceRule.parse('FREQ=YEARLY;COUNT=2')).toThrow('FREQ must be');
+            expect(() => RecurrenceRule.parse('FREQ=DAILY;COUNT=53')).toThrow('COUNT must be between 1 and 52');
+            expect(() => RecurrenceRule.parse('FREQ=MONTHLY;BYDAY=MO;COUNT=2')).toThrow('BYDAY');
+            expect(() => dates('FREQ=WEEKLY;BYDAY=MO;COUNT=2')).toThrow('must fall on one of the BYDAY days');
+            expect(() => dates('FREQ=DAILY;UNTIL=20271231')).toThrow('at most 52 occurrences');
+        });
+
+        it('should turn a legacy recurring pattern into a rule', () => {
+            expect(RecurrenceRule.fromPattern({ frequency: 'weekly', interval: 2, daysOfWeek: [4, 2], occurrences: 6 }))
+                .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=6');
+        });
+    });
+
+    describe('Series bookings', () => {
+        let user, owner, venue, court;
+        let mockReq, mockRes, mockNext;
+
+        // 10:00-11:00 Karachi time, the given number of days from now
+        const slot = (days, time = '10:00', endTime = '11:00') => {
+            const day = TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), TZ), days);
+            return {
+                startTime: TimezoneUtils.toDate(day, time, TZ).toISOString(),
+                endTime: TimezoneUtils.toDate(day, endTime, TZ).toISOString()
+            };
+        };
+
+        const weekly = (count) => `FREQ=WEEKLY;COUNT=${count}`;
+
+        const call = async (handler, { body = {}, params = {}, asUser = user } = {}) => {
+            mockRes.status.mockClear();
+            mockRes.json.mockClear();
+            mockReq.user = asUser;
+            mockReq.body = body;
+            mockReq.params = params;
+            await handler(mockReq, mockRes, mockNext);
+            return mockRes.json.mock.calls[0][0];
+        };
+
+        const book = (count, options = {}) => call(createSeries, {
+            body: { court: court._id.toString(), ...slot(2), rule: weekly(count), ...options }
+        });
+
+        const occurrencesOf = (series) => Booking.find({ series: series._id }).sort('startTime');
+
+        beforeEach(async () => {
+            user = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'user@example.com',
+                password: 'Password123!',
+                role: 'user'
+            });
+
+            owner = await User.create({
+                firstName: 'Jane',
+                lastName: 'Owner',
+                email: 'owner@example.com',
+                password: 'Password123!',
+                role: 'owner'
+            });
+
+            venue = await Venue.create({
+                name: 'Test Sports Complex',
+                address: {
+                    street: '123 Main St',
+                    city: 'Karachi',
+                    state: 'Sindh',
+                    country: 'Pakistan'
+                },
+                location: {
+                    type: 'Point',
+                    coordinates: [67.0011, 24.8607]
+                },
+                contact: {
+                    primaryPhone: '+923001234567',
+                    email: 'venue@example.com'
+                },
+                amenities: {
+                    totalCourts: 5
+                },
+                owner: owner._id
+            });
+
+            court = await Court.create({
+                name: 'Court 1',
+                venue: venue._id,
+                sportType: 'tennis',
+                courtType: 'outdoor',
+                baseHourlyRate: 1000,
+                owner: owner._id,
+                operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                    dayOfWeek: i,
+                    openTime: '08:00',
+                    closeTime: '20:00'
+                })),
+                discountRules: [{ type: 'bulk', discountType: 'percentage', value: 10, minOccurrences: 4 }]
+            });
+
+            mockReq = {
+                user,
+                body: {},
+                params: {},
+                query: {},
+                headers: {},
+                ip: '127.0.0.1',
+                get: jest.fn(() => 'test-user-agent')
+            };
+            mockRes = {
+                status: jest.fn().mockReturnThis(),
+                json: jest.fn()
+            };
+            mockNext = jest.fn();
+        });
+
+        // A booking by someone else a week after the series starts
+        const takeSecondOccurrence = () => Booking.create({
+            user: owner._id,
+            court: court._id,
+            venue: venue._id,
+            ...slot(9),
+            pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1000 },
+            payment: { amount: 1000, status: 'pending' },
+            status: 'confirmed'
+        });
+
+        it('should preview which occurrences conflict and price the rest', async () => {
+            await takeSecondOccurrence();
+
+            const { data } = await call(previewSeries, {
+                body: { court: court._id.toString(), ...slot(2), rule: weekly(4) }
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(data.occurrences.map(o => o.available)).toEqual([true, false, true, true]);
+            expect(data.occurrences[1].reason).toBe('Time slot is already booked');
+            expect(data.conflicts).toBe(1);
+            expect(data.occurrences[1].pricing).toBeUndefined();
+            // 3 occurrences with the default 5% tax, and no bulk discount below 4 occurrences
+            expect(data.pricing).toMatchObject({ occurrences: 3, totalDiscount: 0, totalAmount: 3150 });
+            expect(await Booking.countDocuments({ series: { $exists: true } })).toBe(0);
+        });
+
+        it('should refuse a series with conflicts unless told to skip them', async () => {
+            await takeSecondOccurrence();
+
+            const refused = await book(4);
+
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+            expect(refused.conflicts).toHaveLength(1);
+            expect(await BookingSeries.countDocuments()).toBe(0);
+
+            const { data } = await book(4, { skipConflicts: true });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.totalBookings).toBe(3);
+            expect(data.series.skippedOccurrences).toHaveLength(1);
+            expect(data.series.skippedOccurrences[0].startTime.toISOString()).toBe(slot(9).startTime);
+        });
+
+        it('should price the series with the bulk discount', async () => {
+            const { data } = await book(4);
+
+            const bookings = await occurrencesOf(data.series);
+            expect(bookings).toHaveLength(4);
+            expect(bookings.every(b => b.bookingType === 'recurring')).toBe(true);
+            expect(bookings[0].pricing.discounts[0]).toMatchObject({ type: 'bulk', amount: 100, percentage: 10 });
+            expect(bookings[0].pricing.totalAmount).toBe(945);
+            expect(data.series.pricing).toMatchObject({ occurrences: 4, totalDiscount: 400, totalAmount: 3780 });
+            expect(data.series.rule).toBe('FREQ=WEEKLY;COUNT=4');
+        });
+
+        it('should book a legacy recurring pattern as a series', async () => {
+            const { data } = await call(createBooking, {
+                body: {
+                    court: court._id.toString(),
+                    ...slot(2),
+                    bookingType: 'recurring',
+                    recurringPattern: { frequency: 'daily', interval: 2, occurrences: 3 }
+                }
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.series.rule).toBe('FREQ=DAILY;INTERVAL=2;COUNT=3');
+            expect(data.bookings.map(b => b.startTime.toISOString())).toEqual([slot(2), slot(4), slot(6)].map(s => s.startTime));
+        });
+
+        it('should refuse recurring bookings on courts that do not allow them', async () => {
+            court.bookingSettings.allowRecurringBookings = false;
+            await court.save();
+
+            await book(2);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should cancel a single occurrence', async () => {
+            const { data } = await book(4);
+            const [, second] = await occurrencesOf(data.series);
+
+            const result = await call(cancelSeries, {
+                params: { id: data.series._id.toString() },
+                body: { scope: 'occurrence', occurrence: second._id.toString(), reason: 'Away that week' }
+            });
+
+            const bookings = await occurrencesOf(data.series);
+            expect(bookings.map(b => b.status)).toEqual(['confirmed', 'cancelled', 'confirmed', 'confirmed']);
+            expect(result.data.series.status).toBe('active');
+            expect(result.data.series.pricing.occurrences).toBe(3);
+        });
+
+        it('should cancel an occurrence and the following ones, ending the series before them', async () => {
+            const { data } = await book(4);
+            const [, , third] = await occurrencesOf(data.series);
+
+            const result = await call(cancelSeries, {
+                params: { id: data.series._id.toString() },
+                body: { scope: 'following', occurrence: third._id.toString(), reason: 'Leaving the club' }
+            });
+
+            const bookings = await occurrencesOf(data.series);
+            expect(bookings.map(b => b.status)).toEqual(['confirmed', 'confirmed', 'cancelled', 'cancelled']);
+            expect(result.data.cancelled).toHaveLength(2);
+
+            const series = await BookingSeries.findById(data.series._id);
+            expect(series.getOccurrences()).toHaveLength(2);
+            expect(series.status).toBe('active');
+        });
+
+        it('should let the venue cancel the whole series', async () => {
+            const { data } = await book(3);
+
+            const result = await call(cancelSeries, {
+                params: { id: data.series._id.toString() },
+                body: { scope: 'all', reason: 'Court closed for renovation' },
+                asUser: owner
+            });
+
+            expect(result.data.cancelled).toHaveLength(3);
+            expect(result.data.series.status).toBe('cancelled');
+            expect(await Booking.countDocuments({ series: data.series._id, status: 'cancelled' })).toBe(3);
+        });
+
+        it('should move a single occurrence to another day', async () => {
+            const { data } = await book(3);
+            const [first] = await occurrencesOf(data.series);
+
+            await call(rescheduleSeries, {
+                params: { id: data.series._id.toString() },
+                body: { scope: 'occurrence', occurrence: first._id.toString(), ...slot(3, '12:00', '13:00') }
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const moved = await Booking.findById(first._id);
+            expect(moved.startTime.toISOString()).toBe(slot(3, '12:00').startTime);
+        });
+
+        it('should move the whole series to another time of day', async () => {
+            const { data } = await book(3);
+
+            const result = await call(rescheduleSeries, {
+                params: { id: data.series._id.toString() },
+                body: { scope: 'all', ...slot(2, '15:00', '16:30') }
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(result.data.newSeries).toBeNull();
+
+            const bookings = await occurrencesOf(data.series);
+            expect(bookings.map(b => TimezoneUtils.formatTime(b.startTime, TZ))).toEqual(['15:00', '15:00', '15:00']);
+            expect(bookings.every(b => b.duration === 90)).toBe(true);
+            expect(result.data.series.duration).toBe(90);
+            expect(result.data.series.pricing.basePrice).toBe(4500);
+        });
+
+        it('should split off the following occurrences when they move', async () => {
+            const { data } = await book(4);
+            const [, second] = await occurrencesOf(data.series);
+
+            const result = await call(rescheduleSeries, {
+                params: { id: data.series._id.toString() },
+                body: { scope: 'following', occurrence: second._id.toString(), ...slot(9, '17:00', '18:00') }
+            });
+
+            const { newSeries } = result.data;
+            expect(newSeries.splitFrom.toString()).toBe(data.series._id.toString());
+            expect(newSeries.rule).toBe('FREQ=WEEKLY;COUNT=3');
+            expect(newSeries.startTime.toISOString()).toBe(slot(9, '17:00').startTime);
+            expect(result.data.series.rule).toBe('FREQ=WEEKLY;COUNT=1');
+            expect(await Booking.countDocuments({ series: newSeries._id })).toBe(3);
+            expect(newSeries.pricing.occurrences).toBe(3);
+        });
+
+        it('should not move any occurrence when one of them cannot move', async () => {
+            const { data } = await book(3);
+            await Booking.create({
+                user: owner._id,
+                court: court._id,
+                venue: venue._id,
+                ...slot(16, '15:00', '16:00'),
+                pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1000 },
+                payment: { amount: 1000, status: 'pending' },
+                status: 'confirmed'
+            });
+
+            const result = await call(rescheduleSeries, {
+                params: { id: data.series._id.toString() },
+                body: { scope: 'all', ...slot(2, '15:00', '16:00') }
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+            expect(result.conflicts).toHaveLength(1);
+            const bookings = await occurrencesOf(data.series);
+            expect(bookings.map(b => TimezoneUtils.formatTime(b.startTime, TZ))).toEqual(['10:00', '10:00', '10:00']);
+        });
+
+        it('should not let other users see the series', async () => {
+            const { data } = await book(2);
+            const stranger = await User.create({
+                firstName: 'Sam',
+                lastName: 'Stranger',
+                email: 'stranger@example.com',
+                password: 'Password123!',
+                role: 'user'
+            });
+
+            await call(getSeries, { params: { id: data.series._id.toString() }, asUser: stranger });
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+    });
+});
@@ -0,0 +1,325 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Reminder = require('../../src/models/Reminder');
+const NotificationDelivery = require('../../src/models/NotificationDelivery');
+const EmailService = require('../../src/utils/email');
+const notifications = require('../../src/services/notifications');
+const reminders = require('../../src/services/reminders');
+const scheduler = require('../../src/jobs');
+const {
+    updateVenueReminderSettings,
+    getVenueReminders,
+    cancelReminder
+} = require('../../src/controllers/reminderController');
+const { authorizeVenue } = require('../../src/middleware/auth');
+
+describe('Booking Reminders', () => {
+    let user, owner, venue, court;
+    let mockReq, mockRes, mockNext;
+
+    const HOUR = 60 * 60 * 1000;
+
+    const createBooking = (startsInHours, overrides = {}) => Booking.create({
+        user: user._id,
+        court: court._id,
+        venue: venue._id,
+        startTime: new Date(Date.now() + startsInHours * HOUR),
+        endTime: new Date(Date.now() + (startsInHours + 1) * HOUR),
+        pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1000 },
+        payment: { amount: 1000, currency: 'PKR', status: 'pending' },
+        status: 'confirmed',
+        ...overrides
+    });
+
+    const scheduled = async (booking) => (await Reminder.find({ booking: booking._id, status: 'scheduled' }).sort('sendAt'))
+        .map(reminder => reminder.offsetMinutes);
+
+    // Bring reminders forward so that they are due now
+    const makeDue = (filter = {}) => Reminder.updateMany(
+        { ...filter, status: 'scheduled' },
+        [{ $set: { sendAt: { $subtract: ['$$NOW', { $multiply: ['$offsetMinutes', 1000] }] } } }]
+    );
+
+    const call = async (handler, { body = {}, params = {}, query = {}, asUser = owner } = {}) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.user = asUser;
+        mockReq.body = body;
+        mockReq.params = params;
+        mockReq.query = query;
+        await handler(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0];
+    };
+
+    beforeEach(async () => {
+        EmailService.clearOutbox();
+
+        user = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'user@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        owner = await User.create({
+            firstName: 'Jane',
+            lastName: 'Owner',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Court 1',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id
+        });
+
+        mockReq = {
+            user: owner,
+            body: {},
+            params: {},
+            query: {},
+            headers: {}
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Scheduling', () => {
+        it('should schedule 24 hour and 1 hour reminders for confirmed bookings', async () => {
+            const booking = await createBooking(48);
+
+            const [first, second] = await Reminder.find({ booking: booking._id }).sort('sendAt');
+            expect(first.offsetMinutes).toBe(1440);
+            expect(first.sendAt.getTime()).toBe(booking.startTime.getTime() - 24 * HOUR);
+            expect(second.offsetMinutes).toBe(60);
+        });
+
+        it('should skip reminders whose time has already passed', async () => {
+            const booking = await createBooking(3);
+
+            expect(await scheduled(booking)).toEqual([60]);
+        });
+
+        it('should only schedule reminders once a pending booking is confirmed', async () => {
+            const booking = await createBooking(48, { status: 'pending-confirmation' });
+            expect(await scheduled(booking)).toEqual([]);
+
+            booking.status = 'confirmed';
+            await booking.save();
+
+            expect(await scheduled(booking)).toEqual([1440, 60]);
+        });
+
+        it('should cancel reminders when the booking is cancelled', async () => {
+            const booking = await createBooking(48);
+
+            booking.status = 'cancelled';
+            await booking.save();
+
+            expect(await scheduled(booking)).toEqual([]);
+            expect(await Reminder.countDocuments({ booking: booking._id, cancelReason: 'booking-inactive' })).toBe(2);
+        });
+
+        it('should replace the reminders of a rescheduled booking', async () => {
+            const booking = await createBooking(48);
+
+            booking.startTime = new Date(booking.startTime.getTime() + 24 * HOUR);
+            booking.endTime = new Date(booking.endTime.getTime() + 24 * HOUR);
+            await booking.save();
+
+            const active = await Reminder.find({ booking: booking._id, status: 'scheduled' });
+            expect(active).toHaveLength(2);
+            expect(active.every(reminder => reminder.startTime.getTime() === booking.startTime.getTime())).toBe(true);
+            expect(await Reminder.countDocuments({ booking: booking._id, cancelReason: 'rescheduled' })).toBe(2);
+        });
+
+        it('should use the user\'s reminder preferences over the venue\'s', async () => {
+            venue.settings.reminders.offsetsMinutes = [120];
+            await venue.save();
+            await User.updateOne({ _id: user._id }, { reminderPreferences: { enabled: true, offsetsMinutes: [30, 180] } });
+
+            const booking = await createBooking(48);
+
+            expect(await scheduled(booking)).toEqual([180, 30]);
+        });
+
+        it('should not remind users who turned reminders off', async () => {
+            await User.updateOne({ _id: user._id }, { reminderPreferences: { enabled: false } });
+
+            const booking = await createBooking(48);
+
+            expect(await scheduled(booking)).toEqual([]);
+        });
+    });
+
+    describe('Sending', () => {
+        it('should send a due reminder once', async () => {
+            const booking = await createBooking(48);
+            await makeDue({ offsetMinutes: 1440 });
+
+            const first = await reminders.processDueReminders();
+            const second = await reminders.processDueReminders();
+
+            expect(first).toEqual({ sent: 1, cancelled: 0, failed: 0 });
+            expect(second.sent).toBe(0);
+            expect(EmailService.outbox).toHaveLength(1);
+            expect(EmailService.outbox[0].subject).toBe('Reminder: Court 1 in 24 hours');
+            expect(await scheduled(booking)).toEqual([60]);
+        });
+
+        it('should only send the latest of several due reminders', async () => {
+            const booking = await createBooking(48);
+            await makeDue();
+
+            const results = await reminders.processDueReminders();
+
+            expect(results).toEqual({ sent: 1, cancelled: 1, failed: 0 });
+            const sent = await Reminder.findOne({ booking: booking._id, status: 'sent' });
+            expect(sent.offsetMinutes).toBe(60);
+        });
+
+        it('should cancel due reminders of bookings that changed without a save', async () => {
+            const booking = await createBooking(48);
+            await makeDue({ offsetMinutes: 1440 });
+            await Booking.updateOne({ _id: booking._id }, { status: 'no-show' });
+
+            const results = await reminders.processDueReminders();
+
+            expect(results).toEqual({ sent: 0, cancelled: 1, failed: 0 });
+            expect(EmailService.outbox).toHaveLength(0);
+        });
+
+        it('should leave failed emails to the notification retries', async () => {
+            await createBooking(48);
+            await makeDue({ offsetMinutes: 1440 });
+            const spy = jest.spyOn(EmailService, 'sendEmail').mockRejectedValueOnce(new Error('Email could not be sent'));
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const results = await reminders.processDueReminders();
+
+            spy.mockRestore();
+            errorSpy.mockRestore();
+            expect(results).toEqual({ sent: 1, cancelled: 0, failed: 0 });
+            expect((await reminders.processDueReminders()).sent).toBe(0);
+            expect(await NotificationDelivery.findOne({ type: 'booking-reminder', channel: 'email' }))
+                .toMatchObject({ status: 'pending', attempts: 1, error: 'Email could not be sent' });
+        });
+
+        it('should record reminders that could not be sent at all', async () => {
+            await createBooking(48);
+            await makeDue({ offsetMinutes: 1440 });
+            const spy = jest.spyOn(notifications, 'notifyBookingReminder').mockRejectedValueOnce(new Error('Template not found'));
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const results = await reminders.processDueReminders();
+
+            spy.mockRestore();
+            errorSpy.mockRestore();
+            expect(results.failed).toBe(1);
+            expect(await Reminder.findOne({ status: 'failed' })).toMatchObject({ error: 'Template not found' });
+        });
+
+        it('should run as the booking-reminders job', async () => {
+            await createBooking(48);
+            await makeDue({ offsetMinutes: 1440 });
+
+            const run = await scheduler.run('booking-reminders');
+
+            expect(run.status).toBe('completed');
+            expect(run.results).toEqual({ sent: 1, cancelled: 0, failed: 0 });
+        });
+    });
+
+    describe('Venue management', () => {
+        it('should reschedule upcoming reminders when the venue changes its settings', async () => {
+            const booking = await createBooking(48);
+
+            const response = await call(updateVenueReminderSettings, {
+                body: { offsetsMinutes: [180] },
+                params: { venueId: venue._id.toString() }
+            });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(response.data).toEqual({ settings: { enabled: true, offsetsMinutes: [180] }, rescheduledBookings: 1 });
+            expect(await scheduled(booking)).toEqual([180]);
+
+            await call(updateVenueReminderSettings, {
+                body: { enabled: false },
+                params: { venueId: venue._id.toString() }
+            });
+            expect(await scheduled(booking)).toEqual([]);
+        });
+
+        it('should not let other users manage a venue\'s reminders', async () => {
+            await call(authorizeVenue('venue.update', { param: 'venueId' }), {
+                body: { enabled: false },
+                params: { venueId: venue._id.toString() },
+                asUser: user
+            });
+
+            expect(mockNext).not.toHaveBeenCalled();
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should list the venue\'s reminders', async () => {
+            await createBooking(48);
+
+            const response = await call(getVenueReminders, {
+                params: { venueId: venue._id.toString() },
+                query: { status: 'scheduled' }
+            });
+
+            expect(response.total).toBe(2);
+            expect(response.data[0].user.email).toBe('user@example.com');
+            expect(response.settings).toEqual({ enabled: true, offsetsMinutes: [1440, 60] });
+        });
+
+        it('should keep a reminder cancelled by hand cancelled when the booking is saved again', async () => {
+            const booking = await createBooking(48);
+            const reminder = await Reminder.findOne({ booking: booking._id, offsetMinutes: 60 });
+
+            await call(cancelReminder, { params: { id: reminder._id.toString() }, asUser: user });
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+
+            booking.status = 'cancelled';
+            await booking.save();
+            booking.status = 'confirmed';
+            await booking.save();
+
+            expect(await scheduled(booking)).toEqual([1440]);
+        });
+    });
+});
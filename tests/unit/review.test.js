@@ -0,0 +1,253 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Review = require('../../src/models/Review');
+const {
+    createReview,
+    getReviews,
+    updateReview,
+    deleteReview,
+    replyToReview,
+    reportReview,
+    moderateReview
+} = require('../../src/controllers/reviewController');
+const { authorizeVenue } = require('../../src/middleware/auth');
+
+describe('Reviews', () => {
+    let user, otherUser, owner, admin, venue, court;
+    let mockReq, mockRes, mockNext;
+
+    const createUser = (email, role = 'user') => User.create({
+        firstName: 'Test',
+        lastName: 'User',
+        email,
+        password: 'Password123!',
+        role
+    });
+
+    const createBooking = (status = 'completed', bookingUser = user) => {
+        const startTime = new Date(Date.now() - 48 * 60 * 60 * 1000);
+        return Booking.create({
+            user: bookingUser._id,
+            court: court._id,
+            venue: venue._id,
+            startTime,
+            endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+            status,
+            pricing: { basePrice: 2000, subtotal: 2000, totalAmount: 2000 },
+            payment: { amount: 2000, currency: 'PKR', status: 'completed' }
+        });
+    };
+
+    const submitReview = async (booking, rating, reviewer = user) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.user = reviewer;
+        mockReq.body = { booking: booking._id.toString(), rating, comment: 'Great court' };
+        await createReview(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0].data;
+    };
+
+    beforeEach(async () => {
+        user = await createUser('user@example.com');
+        otherUser = await createUser('other@example.com');
+        owner = await createUser('owner@example.com', 'owner');
+        admin = await createUser('admin@example.com', 'admin');
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Test Court',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id
+        });
+
+        mockReq = {
+            user,
+            params: {},
+            query: {},
+            body: {}
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('createReview', () => {
+        it('should review a completed booking and update the ratings', async () => {
+            const booking = await createBooking();
+
+            const review = await submitReview(booking, 4);
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(review.rating).toBe(4);
+
+            const updatedBooking = await Booking.findById(booking._id);
+            expect(updatedBooking.isReviewed).toBe(true);
+            expect(updatedBooking.review.toString()).toBe(review._id.toString());
+
+            expect((await Court.findById(court._id)).stats).toEqual(expect.objectContaining({ averageRating: 4, totalReviews: 1 }));
+            expect((await Venue.findById(venue._id)).stats).toEqual(expect.objectContaining({ averageRating: 4, totalReviews: 1 }));
+        });
+
+        it('should average ratings across reviews', async () => {
+            await submitReview(await createBooking(), 5);
+            await submitReview(await createBooking('completed', otherUser), 2, otherUser);
+
+            const updated = await Court.findById(court._id);
+            expect(updated.stats.averageRating).toBe(3.5);
+            expect(updated.stats.totalReviews).toBe(2);
+        });
+
+        it('should only accept completed bookings', async () => {
+            await submitReview(await createBooking('confirmed'), 5);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should refuse reviewing someone else\'s booking', async () => {
+            await submitReview(await createBooking(), 5, otherUser);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should allow one review per booking', async () => {
+            const booking = await createBooking();
+            await submitReview(booking, 5);
+            await submitReview(booking, 1);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+            expect(await Review.countDocuments({ booking: booking._id })).toBe(1);
+        });
+    });
+
+    describe('Editing and deleting', () => {
+        it('should recalculate ratings when a review is edited', async () => {
+            const review = await submitReview(await createBooking(), 5);
+
+            mockReq.params = { id: review._id.toString() };
+            mockReq.body = { rating: 3 };
+            await updateReview(mockReq, mockRes, mockNext);
+
+            expect((await Court.findById(court._id)).stats.averageRating).toBe(3);
+        });
+
+        it('should reset ratings and the booking when a review is deleted', async () => {
+            const booking = await createBooking();
+            const review = await submitReview(booking, 5);
+
+            mockReq.params = { id: review._id.toString() };
+            await deleteReview(mockReq, mockRes, mockNext);
+
+            expect((await Court.findById(court._id)).stats.totalReviews).toBe(0);
+            expect((await Booking.findById(booking._id)).isReviewed).toBe(false);
+        });
+    });
+
+    describe('replyToReview', () => {
+        it('should let the venue owner reply', async () => {
+            const review = await submitReview(await createBooking(), 2);
+
+            mockRes.status.mockClear();
+            mockReq.user = owner;
+            mockReq.params = { id: review._id.toString() };
+            mockReq.body = { text: 'Sorry to hear that, the lights have been fixed.' };
+            await replyToReview(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Review.findById(review._id);
+            expect(updated.reply.text).toMatch(/lights/);
+            expect(updated.reply.repliedBy.toString()).toBe(owner._id.toString());
+        });
+
+        it('should not let other users reply', async () => {
+            const review = await submitReview(await createBooking(), 2);
+
+            mockRes.status.mockClear();
+            mockReq.user = otherUser;
+            mockReq.params = { id: review._id.toString() };
+            mockReq.body = { text: 'Not my venue' };
+            await authorizeVenue('venue.update', { from: 'review' })(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Moderation', () => {
+        it('should flag a review after repeated reports', async () => {
+            const review = await submitReview(await createBooking(), 1);
+
+            for (let i = 0; i < Review.REPORT_THRESHOLD; i++) {
+                mockReq.user = await createUser(`reporter${i}@example.com`);
+                mockReq.params = { id: review._id.toString() };
+                mockReq.body = { reason: 'spam' };
+                await reportReview(mockReq, mockRes, mockNext);
+            }
+
+            expect((await Review.findById(review._id)).status).toBe('flagged');
+        });
+
+        it('should refuse duplicate reports from the same user', async () => {
+            const review = await submitReview(await createBooking(), 1);
+
+            mockReq.user = otherUser;
+            mockReq.params = { id: review._id.toString() };
+            mockReq.body = { reason: 'fake' };
+            await reportReview(mockReq, mockRes, mockNext);
+            mockRes.status.mockClear();
+            await reportReview(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should drop hidden reviews from listings and ratings', async () => {
+            await submitReview(await createBooking('completed', otherUser), 5, otherUser);
+            const review = await submitReview(await createBooking(), 1);
+
+            mockReq.user = admin;
+            mockReq.params = { id: review._id.toString() };
+            mockReq.body = { status: 'hidden', note: 'Abusive language' };
+            await moderateReview(mockReq, mockRes, mockNext);
+
+            const updated = await Court.findById(court._id);
+            expect(updated.stats.averageRating).toBe(5);
+            expect(updated.stats.totalReviews).toBe(1);
+
+            mockRes.json.mockClear();
+            mockReq.user = undefined;
+            mockReq.query = { court: court._id.toString() };
+            await getReviews(mockReq, mockRes, mockNext);
+
+            const response = mockRes.json.mock.calls[0][0];
+            expect(response.total).toBe(1);
+            expect(response.ratingBreakdown).toEqual({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 1 });
+        });
+    });
+});
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const Service = require('../../src/models/Service');
+const TimezoneUtils = require('../../src/utils/timezone');
+const { createService } = require('../../src/controllers/serviceController');
+const { createBooking, cancelBooking } = require('../../src/controllers/bookingController');
+
+describe('Add-on services', () => {
+    let user, owner, coachA, coachB, venue, courts, coaching;
+    let mockReq, mockRes, mockNext;
+
+    // 10:00-12:00 Karachi time, two days from now
+    const slot = () => {
+        const day = TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), 2);
+        return {
+            startTime: TimezoneUtils.toDate(day, '10:00', 'Asia/Karachi').toISOString(),
+            endTime: TimezoneUtils.toDate(day, '12:00', 'Asia/Karachi').toISOString()
+        };
+    };
+
+    const createUser = (email, role = 'user') => User.create({
+        firstName: 'Test',
+        lastName: 'User',
+        email,
+        password: 'Password123!',
+        role
+    });
+
+    const createCourt = (name, sportType = 'tennis') => Court.create({
+        name,
+        venue: venue._id,
+        sportType,
+        courtType: 'outdoor',
+        baseHourlyRate: 1000,
+        owner: owner._id,
+        operatingHours: Array.from({ length: 7 }, (_, i) => ({
+            dayOfWeek: i,
+            openTime: '08:00',
+            closeTime: '20:00'
+        })),
+        bookingSettings: {
+            minBookingDuration: 60,
+            maxBookingDuration: 180,
+            maxConcurrentBookingsPerUser: 5
+        }
+    });
+
+    const book = async (court, services) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.user = user;
+        mockReq.body = { court: court._id.toString(), ...slot(), services };
+        await createBooking(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0];
+    };
+
+    beforeEach(async () => {
+        user = await createUser('user@example.com');
+        owner = await createUser('owner@example.com', 'owner');
+        coachA = await createUser('coach.a@example.com');
+        coachB = await createUser('coach.b@example.com');
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        courts = await Promise.all(['Court 1', 'Court 2', 'Court 3'].map(name => createCourt(name)));
+
+        coaching = await Service.create({
+            venue: venue._id,
+            name: 'Private coaching',
+            category: 'coaching',
+            pricing: { type: 'hourly', amount: 1500 },
+            staff: [coachA._id, coachB._id]
+        });
+
+        mockReq = {
+            body: {},
+            params: {},
+            query: {},
+            user: null,
+            ip: '127.0.0.1',
+            get: jest.fn(() => 'test-user-agent')
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Booking with services', () => {
+        it('should price the service into the subtotal and assign a coach', async () => {
+            const { data } = await book(courts[0], [{ service: coaching._id.toString() }]);
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.additionalServices).toHaveLength(1);
+            expect(data.additionalServices[0].serviceName).toBe('Private coaching');
+            expect(data.additionalServices[0].price).toBe(3000);
+            expect(data.additionalServices[0].staff._id.toString()).toBe(coachA._id.toString());
+            expect(data.pricing.servicesCost).toBe(3000);
+            expect(data.pricing.subtotal).toBe(data.pricing.basePrice + 3000);
+        });
+
+        it('should assign each concurrent booking a different coach', async () => {
+            await book(courts[0], [{ service: coaching._id.toString() }]);
+            const { data } = await book(courts[1], [{ service: coaching._id.toString() }]);
+
+            expect(data.additionalServices[0].staff._id.toString()).toBe(coachB._id.toString());
+        });
+
+        it('should refuse the booking and free the slot when no coach is free', async () => {
+            await book(courts[0], [{ service: coaching._id.toString() }]);
+            await book(courts[1], [{ service: coaching._id.toString() }]);
+            await book(courts[2], [{ service: coaching._id.toString() }]);
+
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+            expect(await Booking.countDocuments({ court: courts[2]._id })).toBe(0);
+
+            await book(courts[2], []);
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+        });
+
+        it('should enforce the capacity of unstaffed services', async () => {
+            const ballMachine = await Service.create({
+                venue: venue._id,
+                name: 'Ball machine',
+                category: 'ball-machine',
+                pricing: { amount: 500 },
+                capacity: 1
+            });
+
+            await book(courts[0], [{ service: ballMachine._id.toString() }]);
+            await book(courts[1], [{ service: ballMachine._id.toString() }]);
+
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+        });
+
+        it('should only offer services on the courts they are limited to', async () => {
+            const lighting = await Service.create({
+                venue: venue._id,
+                name: 'Floodlights',
+                category: 'lighting',
+                pricing: { type: 'hourly', amount: 300 },
+                courts: [courts[0]._id]
+            });
+
+            await book(courts[1], [{ service: lighting._id.toString() }]);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should free the coach when the booking is cancelled', async () => {
+            const { data } = await book(courts[0], [{ service: coaching._id.toString() }]);
+
+            mockReq.params = { id: data._id.toString() };
+            mockReq.body = { reason: 'Change of plans' };
+            await cancelBooking(mockReq, mockRes, mockNext);
+
+            const { startTime, endTime } = slot();
+            expect((await Service.findById(coaching._id)).getFreeStaff(startTime, endTime)).toHaveLength(2);
+        });
+    });
+
+    describe('Catalog management', () => {
+        it('should refuse courts of another venue', async () => {
+            mockReq.user = owner;
+            mockReq.body = {
+                venue: venue._id.toString(),
+                name: 'Referee',
+                category: 'refereeing',
+                pricing: { amount: 1000 },
+                courts: [new mongoose.Types.ObjectId().toString()]
+            };
+            await createService(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+});
@@ -0,0 +1,393 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const VenueMembership = require('../../src/models/VenueMembership');
+const notifications = require('../../src/services/notifications');
+const { authorizeVenue } = require('../../src/middleware/auth');
+const {
+    getVenueStaff,
+    inviteStaff,
+    updateStaffMember,
+    removeStaffMember,
+    getMyMemberships,
+    getInvitation,
+    acceptInvitation,
+    declineInvitation
+} = require('../../src/controllers/staffController');
+const { getBooking, cancelBooking } = require('../../src/controllers/bookingController');
+
+jest.mock('../../src/services/notifications', () => ({
+    notifyStaffInvitation: jest.fn(),
+    notifyBookingCancelled: jest.fn(),
+    notifyVenueBookingCancelled: jest.fn()
+}));
+
+describe('Venue staff', () => {
+    let owner, legacyManager, otherManager, staff, admin;
+    let venue, otherVenue, court, booking;
+    let mockReq, mockRes, mockNext;
+
+    const createUser = (email, role = 'user') => User.create({
+        firstName: email.split('@')[0],
+        lastName: 'User',
+        email,
+        password: 'Password123!',
+        role,
+        isEmailVerified: true
+    });
+
+    const createVenue = (name, venueOwner, managers = []) => Venue.create({
+        name,
+        address: {
+            street: '123 Main St',
+            city: 'Karachi',
+            state: 'Sindh',
+            country: 'Pakistan'
+        },
+        location: {
+            type: 'Point',
+            coordinates: [67.0011, 24.8607]
+        },
+        contact: {
+            primaryPhone: '+923001234567',
+            email: 'venue@example.com'
+        },
+        amenities: {
+            totalCourts: 5
+        },
+        owner: venueOwner._id,
+        managers: managers.map(manager => manager._id)
+    });
+
+    const call = async (handler, { user, params = {}, body = {}, query = {} }) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockNext.mockClear();
+        mockReq = { user, params, body, query, headers: {} };
+        await handler(mockReq, mockRes, mockNext);
+    };
+
+    // Run a route's venue authorization and return whether it let the request through
+    const isAllowed = async (user, permission, options, params = {}, body = {}) => {
+        await call(authorizeVenue(permission, options), { user, params, body });
+        return mockNext.mock.calls.length === 1;
+    };
+
+    // Invite someone as the owner and return the raw token from the invitation email
+    const invite = async (email, role) => {
+        notifications.notifyStaffInvitation.mockClear();
+        await call(inviteStaff, { user: owner, params: { venueId: venue._id.toString() }, body: { email, role } });
+
+        const sent = notifications.notifyStaffInvitation.mock.calls[0];
+        return sent ? sent[3] : null;
+    };
+
+    beforeEach(async () => {
+        owner = await createUser('owner@example.com', 'owner');
+        legacyManager = await createUser('legacy@example.com', 'manager');
+        otherManager = await createUser('other@example.com', 'manager');
+        staff = await createUser('staff@example.com');
+        admin = await createUser('admin@example.com', 'admin');
+
+        venue = await createVenue('Test Sports Complex', owner, [legacyManager]);
+        otherVenue = await createVenue('Other Sports Complex', await createUser('rival@example.com', 'owner'), [otherManager]);
+
+        court = await Court.create({
+            name: 'Test Court',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id
+        });
+
+        const player = await createUser('player@example.com');
+        const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+        booking = await Booking.create({
+            user: player._id,
+            court: court._id,
+            venue: venue._id,
+            startTime,
+            endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+            status: 'confirmed',
+            pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1000 },
+            payment: { amount: 1000, currency: 'PKR', status: 'pending' }
+        });
+
+        mockReq = {};
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('authorizeVenue', () => {
+        it('should allow the venue owner everything', async () => {
+            const access = await VenueMembership.getAccess(owner, venue);
+
+            expect(access.role).toBe('owner');
+            VenueMembership.ROLE_PERMISSIONS.owner.forEach(permission => {
+                expect(access.can(permission)).toBe(true);
+            });
+        });
+
+        it('should treat users listed in the venue managers as managers', async () => {
+            expect(await isAllowed(legacyManager, 'courts.manage', { from: 'court' }, { id: court._id.toString() })).toBe(true);
+            expect(mockReq.venueAccess.role).toBe('manager');
+
+            expect(await isAllowed(legacyManager, 'courts.delete', { from: 'court' }, { id: court._id.toString() })).toBe(false);
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should not let managers of another venue act on this one', async () => {
+            expect(await isAllowed(otherManager, 'venue.update', {}, { id: venue._id.toString() })).toBe(false);
+            expect(await isAllowed(otherManager, 'courts.manage', { from: 'court' }, { id: court._id.toString() })).toBe(false);
+            expect(await isAllowed(otherManager, 'bookings.manage', { from: 'booking' }, { id: booking._id.toString() })).toBe(false);
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+
+            expect(await isAllowed(otherManager, 'venue.update', {}, { id: otherVenue._id.toString() })).toBe(true);
+        });
+
+        it('should find the venue from the request body', async () => {
+            expect(await isAllowed(owner, 'courts.manage', { param: 'venue', location: 'body' }, {}, { venue: venue._id.toString() })).toBe(true);
+            expect(await isAllowed(otherManager, 'courts.manage', { param: 'venue', location: 'body' }, {}, { venue: venue._id.toString() })).toBe(false);
+        });
+
+        it('should allow admins everything', async () => {
+            expect(await isAllowed(admin, 'venue.delete', {}, { id: venue._id.toString() })).toBe(true);
+            expect(mockReq.venueAccess.isAdmin).toBe(true);
+        });
+
+        it('should return 404 for unknown or malformed IDs', async () => {
+            expect(await isAllowed(owner, 'courts.manage', { from: 'court' }, { id: '507f1f77bcf86cd799439011' })).toBe(false);
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+            expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Court not found' }));
+
+            expect(await isAllowed(owner, 'courts.manage', { from: 'court' }, { id: 'not-an-id' })).toBe(false);
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should grant staff the permissions of their role', async () => {
+            await VenueMembership.create({ venue: venue._id, user: staff._id, email: staff.email, role: 'front-desk', status: 'active' });
+            const params = { id: booking._id.toString() };
+
+            expect(await isAllowed(staff, 'bookings.manage', { from: 'booking' }, params)).toBe(true);
+            expect(await isAllowed(staff, 'bookings.check-in', { from: 'booking' }, params)).toBe(true);
+            expect(await isAllowed(staff, 'payments.refund', { from: 'booking' }, params)).toBe(false);
+            expect(await isAllowed(staff, 'courts.status', { from: 'court' }, { id: court._id.toString() })).toBe(false);
+        });
+    });
+
+    describe('invitations', () => {
+        it('should invite staff by email with a tokenized link', async () => {
+            const token = await invite('staff@example.com', 'front-desk');
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(token).toMatch(/^[a-f0-9]{64}$/);
+
+            const membership = await VenueMembership.findOne({ venue: venue._id }).select('+invitationToken');
+            expect(membership.status).toBe('invited');
+            expect(membership.role).toBe('front-desk');
+            expect(membership.invitationToken).not.toBe(token);
+            expect(membership.invitedBy.toString()).toBe(owner._id.toString());
+        });
+
+        it('should only let the owner invite staff', async () => {
+            const params = { venueId: venue._id.toString() };
+
+            expect(await isAllowed(legacyManager, 'staff.manage', { param: 'venueId' }, params)).toBe(false);
+            expect(await isAllowed(legacyManager, 'staff.view', { param: 'venueId' }, params)).toBe(true);
+            expect(await isAllowed(owner, 'staff.manage', { param: 'venueId' }, params)).toBe(true);
+        });
+
+        it('should send a new invitation to someone already invited', async () => {
+            const first = await invite('staff@example.com', 'coach');
+            const second = await invite('staff@example.com', 'manager');
+
+            expect(second).not.toBe(first);
+            expect(await VenueMembership.countDocuments({ venue: venue._id })).toBe(1);
+            expect(await VenueMembership.findByInvitationToken(first)).toBeNull();
+            expect((await VenueMembership.findByInvitationToken(second)).role).toBe('manager');
+        });
+
+        it('should not invite the owner or current staff', async () => {
+            await invite('owner@example.com', 'manager');
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+
+            const token = await invite('staff@example.com', 'coach');
+            await call(acceptInvitation, { user: staff, params: { token } });
+
+            await invite('staff@example.com', 'manager');
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should show the venue and role of an invitation', async () => {
+            const token = await invite('staff@example.com', 'coach');
+
+            await call(getInvitation, { params: { token } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const { data } = mockRes.json.mock.calls[0][0];
+            expect(data.venue.name).toBe('Test Sports Complex');
+            expect(data.role).toBe('coach');
+            expect(data.permissions).toEqual(['bookings.view']);
+        });
+
+        it('should add managers to the venue managers when they accept', async () => {
+            const token = await invite('staff@example.com', 'manager');
+
+            await call(acceptInvitation, { user: staff, params: { token } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const membership = await VenueMembership.findOne({ venue: venue._id, email: 'staff@example.com' });
+            expect(membership.status).toBe('active');
+            expect(membership.user.toString()).toBe(staff._id.toString());
+
+            const updated = await Venue.findById(venue._id);
+            expect(updated.managers.map(String)).toContain(staff._id.toString());
+            expect((await VenueMembership.getAccess(staff, updated)).role).toBe('manager');
+
+            // The invitation cannot be used again
+            await call(getInvitation, { params: { token } });
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should not list other roles in the venue managers', async () => {
+            const token = await invite('staff@example.com', 'front-desk');
+
+            await call(acceptInvitation, { user: staff, params: { token } });
+
+            const updated = await Venue.findById(venue._id);
+            expect(updated.managers.map(String)).not.toContain(staff._id.toString());
+            expect((await VenueMembership.getAccess(staff, updated)).role).toBe('front-desk');
+        });
+
+        it('should only let the invitee accept an invitation', async () => {
+            const token = await invite('staff@example.com', 'manager');
+
+            await call(acceptInvitation, { user: otherManager, params: { token } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect((await VenueMembership.findOne({ venue: venue._id })).status).toBe('invited');
+        });
+
+        it('should require a verified email address to accept an invitation', async () => {
+            const token = await invite('staff@example.com', 'manager');
+            await User.updateOne({ _id: staff._id }, { isEmailVerified: false });
+
+            await call(acceptInvitation, { user: await User.findById(staff._id), params: { token } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect((await VenueMembership.findOne({ venue: venue._id })).status).toBe('invited');
+            expect((await Venue.findById(venue._id)).managers.map(String)).not.toContain(staff._id.toString());
+        });
+
+        it('should decline an invitation', async () => {
+            const token = await invite('staff@example.com', 'coach');
+
+            await call(declineInvitation, { params: { token } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect((await VenueMembership.findOne({ venue: venue._id })).status).toBe('declined');
+
+            await call(acceptInvitation, { user: staff, params: { token } });
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should reject expired invitations', async () => {
+            const token = await invite('staff@example.com', 'coach');
+            await VenueMembership.updateOne({ venue: venue._id }, { invitationExpires: new Date(Date.now() - 1000) });
+
+            await call(acceptInvitation, { user: staff, params: { token } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('managing staff', () => {
+        let membership;
+
+        beforeEach(async () => {
+            const token = await invite('staff@example.com', 'manager');
+            await call(acceptInvitation, { user: staff, params: { token } });
+            membership = await VenueMembership.findOne({ venue: venue._id, email: 'staff@example.com' });
+        });
+
+        it('should list the owner, staff and managers listed before memberships', async () => {
+            await call(getVenueStaff, { user: owner, params: { venueId: venue._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const { data } = mockRes.json.mock.calls[0][0];
+            expect(data.owner.email).toBe('owner@example.com');
+            expect(data.members.map(member => member.user.email).sort()).toEqual(['legacy@example.com', 'staff@example.com']);
+            expect(data.members.every(member => member.role === 'manager')).toBe(true);
+        });
+
+        it('should change a member\'s role and their venue managers listing', async () => {
+            await call(updateStaffMember, { user: owner, params: { id: membership._id.toString() }, body: { role: 'coach' } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const updated = await Venue.findById(venue._id);
+            expect(updated.managers.map(String)).not.toContain(staff._id.toString());
+
+            const access = await VenueMembership.getAccess(staff, updated);
+            expect(access.role).toBe('coach');
+            expect(access.can('bookings.view')).toBe(true);
+            expect(access.can('bookings.manage')).toBe(false);
+        });
+
+        it('should remove a member from the staff', async () => {
+            await call(removeStaffMember, { user: owner, params: { id: membership._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect((await VenueMembership.findById(membership._id)).status).toBe('revoked');
+
+            const updated = await Venue.findById(venue._id);
+            expect(updated.managers.map(String)).not.toContain(staff._id.toString());
+            expect(await VenueMembership.getRole(staff, updated)).toBeNull();
+        });
+
+        it('should only let the owner of the member\'s venue manage them', async () => {
+            const params = { id: membership._id.toString() };
+
+            expect(await isAllowed(staff, 'staff.manage', { from: 'membership' }, params)).toBe(false);
+            expect(await isAllowed(owner, 'staff.manage', { from: 'membership' }, params)).toBe(true);
+        });
+
+        it('should list the venues the user is on the staff of and their invitations', async () => {
+            const other = new VenueMembership({ venue: otherVenue._id, email: 'staff@example.com', role: 'coach' });
+            other.createInvitation();
+            await other.save();
+
+            await call(getMyMemberships, { user: staff });
+
+            const { data } = mockRes.json.mock.calls[0][0];
+            expect(data.memberships).toHaveLength(1);
+            expect(data.memberships[0].venue.name).toBe('Test Sports Complex');
+            expect(data.invitations).toHaveLength(1);
+            expect(data.invitations[0].venue.name).toBe('Other Sports Complex');
+        });
+    });
+
+    describe('booking access', () => {
+        beforeEach(async () => {
+            await VenueMembership.create({ venue: venue._id, user: staff._id, email: staff.email, role: 'coach', status: 'active' });
+        });
+
+        it('should let staff view the venue\'s bookings', async () => {
+            await call(getBooking, { user: staff, params: { id: booking._id.toString() } });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+        });
+
+        it('should only let staff whose role allows it cancel bookings', async () => {
+            await call(cancelBooking, { user: staff, params: { id: booking._id.toString() }, body: { reason: 'Court closed' } });
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+
+            await call(cancelBooking, { user: otherManager, params: { id: booking._id.toString() }, body: { reason: 'Court closed' } });
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+// Pin the host timezone far away from the courts' zones so any use of
+// server-local Date#getHours/getDay shows up as a failure
+process.env.TZ = 'America/Los_Angeles';
+
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const TimezoneUtils = require('../../src/utils/timezone');
+
+describe('TimezoneUtils', () => {
+    it('should resolve wall-clock time in a fixed-offset zone', () => {
+        const date = TimezoneUtils.toDate('2024-01-15', '10:00', 'Asia/Karachi');
+
+        expect(date.toISOString()).toBe('2024-01-15T05:00:00.000Z');
+    });
+
+    it('should read wall-clock parts in the requested zone', () => {
+        const instant = new Date('2024-01-15T20:00:00Z');
+
+        expect(TimezoneUtils.formatDate(instant, 'Asia/Karachi')).toBe('2024-01-16');
+        expect(TimezoneUtils.formatTime(instant, 'Asia/Karachi')).toBe('01:00');
+        expect(TimezoneUtils.getDayOfWeek(instant, 'Asia/Karachi')).toBe(2);
+    });
+
+    it('should handle the spring-forward gap', () => {
+        // 02:30 does not exist in New York on 2024-03-10
+        const skipped = TimezoneUtils.toDate('2024-03-10', '02:30', 'America/New_York');
+        const after = TimezoneUtils.toDate('2024-03-10', '03:30', 'America/New_York');
+
+        expect(skipped.toISOString()).toBe('2024-03-10T07:30:00.000Z');
+        expect(after.toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    });
+
+    it('should pick the first occurrence of a repeated fall-back hour', () => {
+        const date = TimezoneUtils.toDate('2024-11-03', '01:30', 'America/New_York');
+
+        expect(date.toISOString()).toBe('2024-11-03T05:30:00.000Z');
+    });
+});
+
+describe('Timezone-aware Court and Booking models', () => {
+    let owner, venue;
+
+    const createCourt = (overrides = {}) => Court.create({
+        name: `Court ${Math.random()}`,
+        venue: venue._id,
+        sportType: 'tennis',
+        courtType: 'outdoor',
+        baseHourlyRate: 1000,
+        owner: owner._id,
+        operatingHours: Array.from({ length: 7 }, (_, i) => ({
+            dayOfWeek: i,
+            openTime: '08:00',
+            closeTime: '20:00'
+        })),
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        owner = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should reject an invalid timezone', async () => {
+        await expect(createCourt({ timezone: 'Mars/Olympus_Mons' })).rejects.toThrow('Invalid IANA timezone');
+    });
+
+    it('should apply peak pricing by the court\'s local time', async () => {
+        const court = await createCourt({
+            pricingRules: [{
+                name: 'Peak Hours',
+                type: 'peak',
+                baseRate: 1500,
+                startTime: '17:00',
+                endTime: '21:00',
+                priority: 10
+            }]
+        });
+
+        // 18:00 in Karachi is 05:00 in Los Angeles
+        const price = court.calculatePrice(
+            new Date('2024-01-15T18:00:00+05:00'),
+            new Date('2024-01-15T20:00:00+05:00')
+        );
+
+        expect(price).toBe(3000);
+    });
+
+    it('should check operating hours and day of week in the court\'s timezone', async () => {
+        // Only open on Tuesdays
+        const court = await createCourt({
+            operatingHours: [{ dayOfWeek: 2, openTime: '00:00', closeTime: '03:00' }]
+        });
+
+        // Tuesday 01:00 in Karachi, still Monday in Los Angeles
+        const availability = await court.isAvailableForSlot(
+            new Date('2024-01-16T01:00:00+05:00'),
+            new Date('2024-01-16T02:00:00+05:00')
+        );
+
+        expect(availability.available).toBe(true);
+    });
+
+    it('should evaluate isCurrentlyOpen in the court\'s timezone', async () => {
+        const court = await createCourt({
+            operatingHours: [{ dayOfWeek: 1, openTime: '08:00', closeTime: '20:00' }]
+        });
+
+        // Monday 12:00 in Los Angeles, Tuesday 01:00 in Karachi
+        jest.useFakeTimers({ now: new Date('2024-01-15T20:00:00Z') });
+        const isOpen = court.isCurrentlyOpen;
+        jest.useRealTimers();
+
+        expect(isOpen).toBe(false);
+    });
+
+    it('should generate slots at the court\'s local opening time', async () => {
+        const court = await createCourt();
+
+        const slots = await Booking.findAvailableSlots(court._id, '2030-01-15', 60);
+
+        expect(slots).toHaveLength(12);
+        expect(slots[0].startTime.toISOString()).toBe('2030-01-15T03:00:00.000Z');
+        expect(slots[11].endTime.toISOString()).toBe('2030-01-15T15:00:00.000Z');
+    });
+
+    it('should generate only real hours on a DST change day', async () => {
+        const court = await createCourt({
+            timezone: 'America/New_York',
+            operatingHours: [{ dayOfWeek: 0, openTime: '01:00', closeTime: '04:00' }]
+        });
+
+        // Clocks jump from 02:00 to 03:00 on 2030-03-10
+        const slots = await Booking.findAvailableSlots(court._id, '2030-03-10', 60);
+
+        expect(slots.map(slot => slot.startTime.toISOString())).toEqual([
+            '2030-03-10T06:00:00.000Z',
+            '2030-03-10T07:00:00.000Z'
+        ]);
+    });
+});
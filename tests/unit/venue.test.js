@@ -17,6 +17,7 @@ const {
     getMyVenues,
     updateVenueStats
 } = require('../../src/controllers/venueController');
+const { authorizeVenue } = require('../../src/middleware/auth');
 
 describe('Venue Model', () => {
     let owner;
@@ -539,8 +540,9 @@ describe('Venue Controller', () => {
             mockReq.params = { id: venue._id.toString() };
             mockReq.body = { name: 'Hacked Name' };
 
-            await updateVenue(mockReq, mockRes, mockNext);
+            await authorizeVenue('venue.update')(mockReq, mockRes, mockNext);
 
+            expect(mockNext).not.toHaveBeenCalled();
             expect(mockRes.status).toHaveBeenCalledWith(403);
         });
     });
@@ -0,0 +1,272 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const SlotLock = require('../../src/models/SlotLock');
+const Invoice = require('../../src/models/Invoice');
+const Reminder = require('../../src/models/Reminder');
+const TimezoneUtils = require('../../src/utils/timezone');
+const notifications = require('../../src/services/notifications');
+const waitlist = require('../../src/services/waitlist');
+const {
+    createBooking,
+    cancelBooking,
+    joinWaitlist,
+    acceptWaitlistOffer,
+    leaveWaitlist
+} = require('../../src/controllers/bookingController');
+
+jest.mock('../../src/services/notifications', () => ({
+    notifyWaitlistOffer: jest.fn(),
+    notifyBookingCreated: jest.fn(),
+    notifyVenueBookingCreated: jest.fn(),
+    notifyBookingCancelled: jest.fn()
+}));
+
+describe('Waitlist', () => {
+    let holder, firstUser, secondUser, venue, court, heldBooking;
+    let mockReq, mockRes, mockNext;
+
+    // 10:00-12:00 Karachi time, two days from now
+    const day = () => TimezoneUtils.addDays(TimezoneUtils.formatDate(new Date(), 'Asia/Karachi'), 2);
+    const slot = {
+        get startTime() { return TimezoneUtils.toDate(day(), '10:00', 'Asia/Karachi').toISOString(); },
+        get endTime() { return TimezoneUtils.toDate(day(), '12:00', 'Asia/Karachi').toISOString(); }
+    };
+
+    const createUser = (email) => User.create({
+        firstName: 'Test',
+        lastName: 'User',
+        email,
+        password: 'Password123!',
+        role: 'user'
+    });
+
+    const resetResponse = () => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+    };
+
+    const join = async (user) => {
+        resetResponse();
+        mockReq.user = user;
+        mockReq.body = { court: court._id.toString(), startTime: slot.startTime, endTime: slot.endTime };
+        await joinWaitlist(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0].data;
+    };
+
+    beforeEach(async () => {
+        notifications.notifyWaitlistOffer.mockClear();
+
+        holder = await createUser('holder@example.com');
+        firstUser = await createUser('first@example.com');
+        secondUser = await createUser('second@example.com');
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: holder._id
+        });
+
+        court = await Court.create({
+            name: 'Test Court',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: holder._id,
+            operatingHours: Array.from({ length: 7 }, (_, i) => ({
+                dayOfWeek: i,
+                openTime: '08:00',
+                closeTime: '20:00'
+            })),
+            bookingSettings: {
+                minBookingDuration: 60,
+                maxBookingDuration: 180
+            }
+        });
+
+        mockReq = {
+            body: {},
+            params: {},
+            query: {},
+            user: holder,
+            ip: '127.0.0.1',
+            get: jest.fn(() => 'test-user-agent')
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+
+        mockReq.body = { court: court._id.toString(), startTime: slot.startTime, endTime: slot.endTime };
+        await createBooking(mockReq, mockRes, mockNext);
+        heldBooking = mockRes.json.mock.calls[0][0].data;
+    });
+
+    const cancelHeldBooking = async () => {
+        resetResponse();
+        mockReq.user = holder;
+        mockReq.params = { id: heldBooking._id.toString() };
+        mockReq.body = { reason: 'Cannot make it anymore' };
+        await cancelBooking(mockReq, mockRes, mockNext);
+    };
+
+    describe('joinWaitlist', () => {
+        it('should queue users for a booked slot in order', async () => {
+            const first = await join(firstUser);
+            const second = await join(secondUser);
+
+            expect(first.booking.status).toBe('waitlisted');
+            expect(first.booking.isWaitlisted).toBe(true);
+            expect(first.positionInLine).toBe(1);
+            expect(second.positionInLine).toBe(2);
+        });
+
+        it('should not occupy the court', async () => {
+            await join(firstUser);
+
+            const conflicts = await Booking.checkConflicts(court._id, slot.startTime, slot.endTime, heldBooking._id);
+            expect(conflicts).toHaveLength(0);
+        });
+
+        it('should refuse a free slot', async () => {
+            await cancelHeldBooking();
+
+            await join(firstUser);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should refuse joining twice', async () => {
+            await join(firstUser);
+            await join(firstUser);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('Promotion', () => {
+        it('should offer the freed slot to the first user in line and notify them', async () => {
+            const first = await join(firstUser);
+            const second = await join(secondUser);
+
+            await cancelHeldBooking();
+
+            const offer = await Booking.findById(first.booking._id);
+            expect(offer.status).toBe('pending-confirmation');
+            expect(offer.isTentative).toBe(true);
+            expect(offer.tentativeExpiryTime.getTime()).toBeGreaterThan(Date.now());
+            expect(await SlotLock.countDocuments({ booking: offer._id })).toBeGreaterThan(0);
+
+            expect((await Booking.findById(second.booking._id)).status).toBe('waitlisted');
+            expect(notifications.notifyWaitlistOffer).toHaveBeenCalledTimes(1);
+        });
+
+        it('should block direct bookings while the offer is held', async () => {
+            await join(firstUser);
+            await cancelHeldBooking();
+
+            resetResponse();
+            mockReq.user = secondUser;
+            mockReq.body = { court: court._id.toString(), startTime: slot.startTime, endTime: slot.endTime };
+            await createBooking(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+        });
+
+        it('should confirm the booking when the offer is accepted', async () => {
+            const first = await join(firstUser);
+            await cancelHeldBooking();
+
+            resetResponse();
+            mockReq.user = firstUser;
+            mockReq.params = { id: first.booking._id.toString() };
+            await acceptWaitlistOffer(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            const booking = await Booking.findById(first.booking._id);
+            expect(booking.status).toBe('confirmed');
+            expect(booking.isTentative).toBe(false);
+            expect(booking.isWaitlisted).toBe(false);
+        });
+
+        it('should invoice, remind and notify like a new booking when the offer is accepted', async () => {
+            const first = await join(firstUser);
+            await cancelHeldBooking();
+            notifications.notifyBookingCreated.mockClear();
+
+            resetResponse();
+            mockReq.user = firstUser;
+            mockReq.params = { id: first.booking._id.toString() };
+            await acceptWaitlistOffer(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(await Invoice.countDocuments({ booking: first.booking._id, type: 'invoice' })).toBe(1);
+            expect(await Reminder.countDocuments({ booking: first.booking._id, status: 'scheduled' })).toBeGreaterThan(0);
+            expect(notifications.notifyBookingCreated).toHaveBeenCalledWith(
+                expect.objectContaining({ bookingNumber: first.booking.bookingNumber })
+            );
+        });
+
+        it('should reject accepting an expired offer', async () => {
+            const first = await join(firstUser);
+            await cancelHeldBooking();
+            await Booking.updateOne({ _id: first.booking._id }, { tentativeExpiryTime: new Date(Date.now() - 1000) });
+
+            resetResponse();
+            mockReq.user = firstUser;
+            mockReq.params = { id: first.booking._id.toString() };
+            await acceptWaitlistOffer(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+
+        it('should pass a declined offer to the next user', async () => {
+            const first = await join(firstUser);
+            const second = await join(secondUser);
+            await cancelHeldBooking();
+
+            resetResponse();
+            mockReq.user = firstUser;
+            mockReq.params = { id: first.booking._id.toString() };
+            await leaveWaitlist(mockReq, mockRes, mockNext);
+
+            expect((await Booking.findById(first.booking._id)).status).toBe('cancelled');
+            const next = await Booking.findById(second.booking._id);
+            expect(next.status).toBe('pending-confirmation');
+            expect(next.isTentative).toBe(true);
+        });
+
+        it('should offer the slot again once an unanswered offer expires', async () => {
+            const first = await join(firstUser);
+            const second = await join(secondUser);
+            await cancelHeldBooking();
+            await Booking.updateOne({ _id: first.booking._id }, { tentativeExpiryTime: new Date(Date.now() - 1000) });
+
+            await Booking.updateBookingStatuses();
+            const results = await waitlist.processWaitlists();
+
+            expect(results.offered).toBe(1);
+            expect((await Booking.findById(first.booking._id)).status).toBe('expired');
+            expect((await Booking.findById(second.booking._id)).status).toBe('pending-confirmation');
+        });
+    });
+});
@@ -0,0 +1,255 @@
+const Booking = require('../../src/models/Booking');
+const Court = require('../../src/models/Court');
+const Venue = require('../../src/models/Venue');
+const User = require('../../src/models/User');
+const WalletTransaction = require('../../src/models/WalletTransaction');
+const payments = require('../../src/services/payments');
+const { getWallet, topUp, adjustBalance } = require('../../src/controllers/walletController');
+const { payFromWallet } = require('../../src/controllers/paymentController');
+const { cancelBooking } = require('../../src/controllers/bookingController');
+
+describe('Wallet', () => {
+    let user, admin, owner, venue, court, booking;
+    let mockReq, mockRes, mockNext;
+
+    const credit = (amount) => WalletTransaction.append(user._id, { type: 'adjustment', amount, description: 'Test credit' });
+
+    const call = async (handler, body = {}) => {
+        mockRes.status.mockClear();
+        mockRes.json.mockClear();
+        mockReq.body = body;
+        await handler(mockReq, mockRes, mockNext);
+        return mockRes.json.mock.calls[0][0];
+    };
+
+    beforeEach(async () => {
+        user = await User.create({
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'user@example.com',
+            password: 'Password123!',
+            role: 'user'
+        });
+
+        admin = await User.create({
+            firstName: 'Ada',
+            lastName: 'Admin',
+            email: 'admin@example.com',
+            password: 'Password123!',
+            role: 'admin'
+        });
+
+        owner = await User.create({
+            firstName: 'Jane',
+            lastName: 'Owner',
+            email: 'owner@example.com',
+            password: 'Password123!',
+            role: 'owner'
+        });
+
+        venue = await Venue.create({
+            name: 'Test Sports Complex',
+            address: {
+                street: '123 Main St',
+                city: 'Karachi',
+                state: 'Sindh',
+                country: 'Pakistan'
+            },
+            location: {
+                type: 'Point',
+                coordinates: [67.0011, 24.8607]
+            },
+            contact: {
+                primaryPhone: '+923001234567',
+                email: 'venue@example.com'
+            },
+            amenities: {
+                totalCourts: 5
+            },
+            owner: owner._id
+        });
+
+        court = await Court.create({
+            name: 'Test Court',
+            venue: venue._id,
+            sportType: 'tennis',
+            courtType: 'outdoor',
+            baseHourlyRate: 1000,
+            owner: owner._id
+        });
+
+        const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+        booking = await Booking.create({
+            user: user._id,
+            court: court._id,
+            venue: venue._id,
+            startTime,
+            endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+            status: 'confirmed',
+            pricing: { basePrice: 2000, subtotal: 2000, totalAmount: 2000 },
+            payment: { amount: 2000, currency: 'PKR', status: 'pending' }
+        });
+
+        mockReq = {
+            user,
+            params: { id: booking._id.toString() },
+            query: {},
+            body: {},
+            headers: {}
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        mockNext = jest.fn();
+    });
+
+    describe('Ledger', () => {
+        it('should keep a running balance across entries', async () => {
+            await credit(1000);
+            await credit(-400);
+            const entry = await credit(250);
+
+            expect(entry.sequence).toBe(3);
+            expect(entry.balanceAfter).toBe(850);
+            expect(await WalletTransaction.getBalance(user._id)).toBe(850);
+        });
+
+        it('should refuse debits beyond the balance', async () => {
+            await credit(100);
+
+            expect(await credit(-150)).toBeNull();
+            expect(await WalletTransaction.getBalance(user._id)).toBe(100);
+        });
+
+        it('should not let entries be changed', async () => {
+            const entry = await credit(100);
+
+            entry.amount = 1000;
+            await expect(entry.save()).rejects.toThrow('Wallet transactions cannot be modified');
+            await expect(WalletTransaction.updateOne({ _id: entry._id }, { amount: 1000 }))
+                .rejects.toThrow('Wallet transactions cannot be modified');
+        });
+
+        it('should not lose concurrent credits', async () => {
+            await Promise.all([credit(100), credit(200), credit(300)]);
+
+            expect(await WalletTransaction.getBalance(user._id)).toBe(600);
+        });
+    });
+
+    describe('Top-ups and adjustments', () => {
+        it('should credit a card top-up', async () => {
+            const { data } = await call(topUp, { amount: 3000 });
+
+            expect(mockRes.status).toHaveBeenCalledWith(201);
+            expect(data.type).toBe('top-up');
+            expect(data.transactionId).toMatch(/^ch_mock_/);
+
+            const wallet = await call(getWallet);
+            expect(wallet.data.balance).toBe(3000);
+        });
+
+        it('should not credit a declined top-up', async () => {
+            await call(topUp, { amount: 3000, paymentMethod: 'pm_card_declined' });
+
+            expect(mockRes.status).toHaveBeenCalledWith(402);
+            expect(await WalletTransaction.countDocuments()).toBe(0);
+        });
+
+        it('should record the admin behind an adjustment', async () => {
+            mockReq.user = admin;
+            const { data } = await call(adjustBalance, { user: user._id.toString(), amount: 500, reason: 'Goodwill credit' });
+
+            expect(data.createdBy.toString()).toBe(admin._id.toString());
+
+            await call(adjustBalance, { user: user._id.toString(), amount: -600, reason: 'Correction' });
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('Paying bookings', () => {
+        it('should pay a booking entirely from the wallet', async () => {
+            await credit(2500);
+
+            const { data } = await call(payFromWallet);
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(data.payment.status).toBe('completed');
+            expect(data.payment.method).toBe('wallet');
+            expect(data.walletBalance).toBe(500);
+        });
+
+        it('should pay part from the wallet and the rest by card', async () => {
+            await credit(500);
+
+            await call(payFromWallet, { amount: 500 });
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.status).toBe('partially-paid');
+            expect(updated.getOutstandingAmount()).toBe(1500);
+
+            const intent = await payments.createIntent(updated);
+            expect(intent.amount).toBe(1500);
+            await payments.capture(updated);
+            expect(updated.payment.status).toBe('completed');
+        });
+
+        it('should refuse a payment the balance does not cover', async () => {
+            await credit(1000);
+
+            await call(payFromWallet);
+
+            expect(mockRes.status).toHaveBeenCalledWith(402);
+            expect(await WalletTransaction.getBalance(user._id)).toBe(1000);
+        });
+
+        it('should credit the wallet back when a wallet-paid booking is cancelled', async () => {
+            await credit(2000);
+            await call(payFromWallet);
+
+            await call(cancelBooking, { reason: 'Personal emergency' });
+
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.status).toBe('refunded');
+            expect(await WalletTransaction.getBalance(user._id)).toBe(2000);
+        });
+
+        it('should refund a card payment to the wallet when asked', async () => {
+            await payments.createIntent(booking);
+            await payments.capture(booking);
+            await booking.save();
+
+            await call(cancelBooking, { reason: 'Personal emergency', refundToWallet: true });
+
+            const refund = await WalletTransaction.findOne({ user: user._id, type: 'refund' });
+            expect(refund.amount).toBe(2000);
+            expect(refund.booking.toString()).toBe(booking._id.toString());
+        });
+
+        it('should only credit the wallet for payments on record', async () => {
+            booking.payment.status = 'completed';
+            booking.payment.paidAmount = 2000;
+            await booking.save();
+
+            await call(cancelBooking, { reason: 'Personal emergency', refundToWallet: true });
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(await WalletTransaction.getBalance(user._id)).toBe(0);
+            expect((await Booking.findById(booking._id)).payment.refundAmount).toBe(2000);
+        });
+
+        it('should refund through the gateway when the booking is in another currency', async () => {
+            booking.payment.currency = 'USD';
+            await payments.createIntent(booking);
+            await payments.capture(booking);
+            await booking.save();
+
+            await call(cancelBooking, { reason: 'Personal emergency', refundToWallet: true });
+
+            expect(await WalletTransaction.getBalance(user._id)).toBe(0);
+            const updated = await Booking.findById(booking._id);
+            expect(updated.payment.status).toBe('refunded');
+            expect(updated.payment.refunds[0].transactionId).toBe(updated.payment.transactions[0].transactionId);
+        });
+    });
+});